@@ -6,6 +6,11 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class WC_Connect_Account_Settings {
 
+	/**
+	 * How many of the latest orders with labels are looked at to find a shipment to preview the notification with.
+	 */
+	const LAST_SHIPMENT_ORDERS_LIMIT = 10;
+
 	/**
 	 * @var WC_Connect_Service_Settings_Store
 	 */
@@ -34,6 +39,7 @@ class WC_Connect_Account_Settings {
 		$last_box_id     = $last_box_id === 'individual' ? '' : $last_box_id;
 		$last_service_id = get_user_meta( get_current_user_id(), 'wc_connect_last_service_id', true );
 		$last_carrier_id = get_user_meta( get_current_user_id(), 'wc_connect_last_carrier_id', true );
+		$default_origin  = $this->settings_store->get_default_origin_address();
 
 		return array(
 			'storeOptions' => $this->settings_store->get_store_options(),
@@ -47,12 +53,66 @@ class WC_Connect_Account_Settings {
 				'master_user_email'       => $connected_data['email'],
 				'payment_methods'         => $this->payment_methods_store->get_payment_methods(),
 				'warnings'                => array( 'payment_methods' => $payment_methods_warning ),
+				'order_statuses'          => $this->get_order_statuses(),
+				'last_shipment'           => $this->get_last_shipment(),
 			),
 			'userMeta'     => array(
-				'last_box_id'     => $last_box_id,
-				'last_service_id' => $last_service_id,
-				'last_carrier_id' => $last_carrier_id,
+				'last_box_id'         => $last_box_id,
+				'last_service_id'     => $last_service_id,
+				'last_carrier_id'     => $last_carrier_id,
+				'default_origin_id'   => $default_origin ? $default_origin['id'] : '',
+				'label_purchase_view' => $this->settings_store->get_label_purchase_view(),
 			),
 		);
 	}
+
+	/**
+	 * Lists the order statuses the delivery automation can move orders to, custom ones included.
+	 *
+	 * @return array Status names keyed by their slug, without the `wc-` prefix.
+	 */
+	private function get_order_statuses() {
+		$statuses = array();
+		foreach ( wc_get_order_statuses() as $status => $name ) {
+			$statuses[ 'wc-' === substr( $status, 0, 3 ) ? substr( $status, 3 ) : $status ] = $name;
+		}
+		return $statuses;
+	}
+
+	/**
+	 * Finds the shipment labels of the latest order that has some, to preview the shipment notification with.
+	 * Orders whose labels were all refunded or are returns are skipped.
+	 *
+	 * @return array|null `order_id` and `labels`, null when none of the latest orders has a shipment label.
+	 */
+	private function get_last_shipment() {
+		$order_ids = wc_get_orders(
+			array(
+				'limit'        => self::LAST_SHIPMENT_ORDERS_LIMIT,
+				'return'       => 'ids',
+				'meta_key'     => 'wc_connect_labels',
+				'meta_compare' => 'EXISTS',
+			)
+		);
+
+		foreach ( $order_ids as $order_id ) {
+			$labels = array_values(
+				array_filter(
+					$this->settings_store->get_label_order_meta_data( $order_id ),
+					function( $label ) {
+						return empty( $label['is_return'] ) && empty( $label['refund'] ) && ! empty( $label['tracking'] );
+					}
+				)
+			);
+
+			if ( ! empty( $labels ) ) {
+				return array(
+					'order_id' => $order_id,
+					'labels'   => $labels,
+				);
+			}
+		}
+
+		return null;
+	}
 }
@@ -274,6 +274,16 @@ if ( ! class_exists( 'WC_Connect_API_Client' ) ) {
 			return $this->request( 'GET', '/shipping/label/' . $label_id . '?get_refund=true' );
 		}
 
+		/**
+		 * Gets the scan events the carrier reported for a shipping label
+		 *
+		 * @param $label_id integer
+		 * @return object|WP_Error
+		 */
+		public function get_label_tracking( $label_id ) {
+			return $this->request( 'GET', '/shipping/label/' . $label_id . '/tracking' );
+		}
+
 		/**
 		 * Gets the shipping label status (refund status, tracking code, etc)
 		 *
@@ -294,6 +304,47 @@ if ( ! class_exists( 'WC_Connect_API_Client' ) ) {
 			return $this->request( 'POST', '/shipping/label/' . $label_id . '/refund' );
 		}
 
+		/**
+		 * Schedules a carrier pickup for a set of purchased labels
+		 *
+		 * @param $body array
+		 * @return object|WP_Error
+		 */
+		public function schedule_pickup( $body ) {
+			return $this->request( 'POST', '/shipping/pickup', $body );
+		}
+
+		/**
+		 * Cancels a scheduled carrier pickup
+		 *
+		 * @param $carrier_id string
+		 * @param $confirmation_number string
+		 * @return object|WP_Error
+		 */
+		public function cancel_pickup( $carrier_id, $confirmation_number ) {
+			return $this->request( 'POST', '/shipping/pickup/' . $carrier_id . '/' . $confirmation_number . '/cancel' );
+		}
+
+		/**
+		 * Creates the end-of-day manifest (USPS SCAN form or equivalent) for a set of labels
+		 *
+		 * @param $body array
+		 * @return object|WP_Error
+		 */
+		public function create_manifest( $body ) {
+			return $this->request( 'POST', '/shipping/manifest', $body );
+		}
+
+		/**
+		 * Gets the printable PDF of a manifest
+		 *
+		 * @param $manifest_id string
+		 * @return array|WP_Error
+		 */
+		public function get_manifest_pdf( $manifest_id ) {
+			return $this->request( 'GET', '/shipping/manifest/' . $manifest_id . '/print' );
+		}
+
 		/**
 		 * Gets the configured carrier accounts
 		 *
@@ -0,0 +1,284 @@
+<?php
+
+if ( ! class_exists( 'WC_Connect_Delivery_Automation' ) ) {
+	/**
+	 * Moves orders through the statuses picked in the label settings as their packages are tracked. A cron job
+	 * refreshes the tracking of the labels that haven't arrived yet, so it doesn't depend on an admin having
+	 * the order open. Opening a label's timeline refreshes it the same way.
+	 */
+	class WC_Connect_Delivery_Automation {
+		const CRON_HOOK     = 'wc_connect_refresh_delivery_statuses';
+		const CRON_SCHEDULE = 'wc_connect_delivery_automation';
+
+		/**
+		 * How long a tracking timeline is cached, so opening it again doesn't ask the carrier every time.
+		 */
+		const TRACKING_CACHE_TTL = 900;
+
+		/**
+		 * Labels still not delivered 30 days after they were bought were lost or never sent, they aren't refreshed anymore.
+		 */
+		const MAX_LABEL_AGE = 2592000;
+
+		/**
+		 * @var WC_Connect_API_Client
+		 */
+		protected $api_client;
+
+		/**
+		 * @var WC_Connect_Service_Settings_Store
+		 */
+		protected $settings_store;
+
+		/**
+		 * @var WC_Connect_Logger
+		 */
+		protected $logger;
+
+		private static $scanned_statuses = array(
+			WC_Connect_Label_Tracking::STATUS_IN_TRANSIT,
+			WC_Connect_Label_Tracking::STATUS_OUT_FOR_DELIVERY,
+			WC_Connect_Label_Tracking::STATUS_DELIVERED,
+			WC_Connect_Label_Tracking::STATUS_EXCEPTION,
+		);
+
+		private static $carrier_names = array(
+			'usps'       => 'USPS',
+			'ups'        => 'UPS',
+			'fedex'      => 'FedEx',
+			'dhlexpress' => 'DHL Express',
+			'canadapost' => 'Canada Post',
+		);
+
+		public function __construct( WC_Connect_API_Client $api_client, WC_Connect_Service_Settings_Store $settings_store, WC_Connect_Logger $logger ) {
+			$this->api_client     = $api_client;
+			$this->settings_store = $settings_store;
+			$this->logger         = $logger;
+		}
+
+		/**
+		 * @return array `enabled`, the refresh `interval` in minutes and the order `statuses` for each event.
+		 */
+		protected function get_settings() {
+			$account_settings = $this->settings_store->get_account_settings();
+			return $account_settings['delivery_automation'];
+		}
+
+		public static function get_tracking_cache_key( $label_id ) {
+			return 'wcs_label_tracking_' . $label_id;
+		}
+
+		/**
+		 * Adds the refresh interval picked in the settings to the cron schedules.
+		 *
+		 * @param array $schedules Cron schedules.
+		 * @return array
+		 */
+		public function add_cron_schedule( $schedules ) {
+			$settings = $this->get_settings();
+
+			$schedules[ self::CRON_SCHEDULE ] = array(
+				'interval' => max( 15, absint( $settings['interval'] ) ) * MINUTE_IN_SECONDS,
+				'display'  => __( 'WooCommerce Shipping delivery updates', 'woocommerce-services' ),
+			);
+			return $schedules;
+		}
+
+		/**
+		 * Schedules the refresh while the automation is on, and brings the next run closer when the interval was shortened.
+		 */
+		public function schedule() {
+			$settings = $this->get_settings();
+			$next_run = wp_next_scheduled( self::CRON_HOOK );
+
+			if ( empty( $settings['enabled'] ) ) {
+				if ( $next_run ) {
+					wp_clear_scheduled_hook( self::CRON_HOOK );
+				}
+				return;
+			}
+
+			$interval = max( 15, absint( $settings['interval'] ) ) * MINUTE_IN_SECONDS;
+			if ( $next_run && $next_run - time() <= $interval ) {
+				return;
+			}
+
+			wp_clear_scheduled_hook( self::CRON_HOOK );
+			wp_schedule_event( time() + $interval, self::CRON_SCHEDULE, self::CRON_HOOK );
+		}
+
+		/**
+		 * Cron job refreshing the tracking of every label on its way to a customer.
+		 */
+		public function refresh_delivery_statuses() {
+			$settings = $this->get_settings();
+			if ( empty( $settings['enabled'] ) ) {
+				return;
+			}
+
+			$since = time() - self::MAX_LABEL_AGE;
+			foreach ( $this->settings_store->get_all_orders_labels( $since ) as $label ) {
+				if ( $this->is_awaiting_delivery( $label, $since ) ) {
+					$this->refresh_label_tracking( $label['order_id'], $label );
+				}
+			}
+		}
+
+		/**
+		 * @param array $label Label, as stored in the order.
+		 * @param int   $since UNIX timestamp, older labels aren't followed anymore.
+		 * @return bool
+		 */
+		private function is_awaiting_delivery( $label, $since ) {
+			return $this->is_shipment_label( $label )
+				&& ( ! isset( $label['tracking_status'] ) || WC_Connect_Label_Tracking::STATUS_DELIVERED !== $label['tracking_status'] )
+				&& isset( $label['created'] ) && $label['created'] / 1000 >= $since;
+		}
+
+		/**
+		 * Return labels travel back to the store and refunded labels won't travel at all, so neither says anything about the delivery.
+		 *
+		 * @param array $label Label, as stored in the order.
+		 * @return bool
+		 */
+		private function is_shipment_label( $label ) {
+			return ! empty( $label['tracking'] ) && empty( $label['is_return'] ) && empty( $label['refund'] );
+		}
+
+		/**
+		 * Asks the carrier for the tracking of a label, keeps the latest status in the label and moves the order
+		 * along when the change matters to it.
+		 *
+		 * @param int   $order_id Order ID.
+		 * @param array $label    Label, as stored in the order.
+		 * @return array|WP_Error The normalized tracking.
+		 */
+		public function refresh_label_tracking( $order_id, $label ) {
+			$response = $this->api_client->get_label_tracking( $label['label_id'] );
+			if ( ! is_wp_error( $response ) && isset( $response->error ) ) {
+				$response = new WP_Error(
+					property_exists( $response->error, 'code' ) ? $response->error->code : 'tracking_error',
+					property_exists( $response->error, 'message' ) ? $response->error->message : ''
+				);
+			}
+			if ( is_wp_error( $response ) ) {
+				$error = new WP_Error(
+					$response->get_error_code(),
+					$response->get_error_message(),
+					array( 'message' => $response->get_error_message() )
+				);
+				$this->logger->log( $error, __CLASS__ );
+				return $error;
+			}
+
+			$tracking = WC_Connect_Label_Tracking::normalize( $label['carrier_id'], $response->tracking );
+			set_transient( self::get_tracking_cache_key( $label['label_id'] ), $tracking, self::TRACKING_CACHE_TTL );
+
+			$previous_status = isset( $label['tracking_status'] ) ? $label['tracking_status'] : null;
+			$this->settings_store->update_label_order_meta_data(
+				$order_id,
+				(object) array(
+					'label_id'        => $label['label_id'],
+					'tracking_status' => $tracking['status'],
+				)
+			);
+			$this->update_order_status( $order_id, $label, $previous_status, $tracking );
+
+			return $tracking;
+		}
+
+		/**
+		 * Tells what a tracking status change means for the whole order.
+		 *
+		 * @param array  $labels          Labels of the order, with the new status already stored.
+		 * @param int    $label_id        Label whose status changed.
+		 * @param string $previous_status Status of the label before the change.
+		 * @param string $status          New status of the label.
+		 * @return string|null `exception`, `delivered` once every package arrived, `first_scan` when no other
+		 *                     package of the order was scanned before, or null when the order doesn't have to change.
+		 */
+		public function get_delivery_event( $labels, $label_id, $previous_status, $status ) {
+			$shipment_labels = array_filter( $labels, array( $this, 'is_shipment_label' ) );
+			$label_ids       = array_map( 'intval', wp_list_pluck( $shipment_labels, 'label_id' ) );
+			if ( $status === $previous_status || ! in_array( (int) $label_id, $label_ids, true ) ) {
+				return null;
+			}
+
+			if ( WC_Connect_Label_Tracking::STATUS_EXCEPTION === $status ) {
+				return 'exception';
+			}
+
+			$statuses = wp_list_pluck( $shipment_labels, 'tracking_status' );
+			if ( WC_Connect_Label_Tracking::STATUS_DELIVERED === $status
+				&& count( $statuses ) === count( $shipment_labels )
+				&& array( WC_Connect_Label_Tracking::STATUS_DELIVERED ) === array_values( array_unique( $statuses ) ) ) {
+				return 'delivered';
+			}
+
+			if ( ! $this->is_scanned( $status ) || $this->is_scanned( $previous_status ) ) {
+				return null;
+			}
+			foreach ( $shipment_labels as $other_label ) {
+				if ( (int) $label_id !== (int) $other_label['label_id']
+					&& isset( $other_label['tracking_status'] )
+					&& $this->is_scanned( $other_label['tracking_status'] ) ) {
+					return null;
+				}
+			}
+			return 'first_scan';
+		}
+
+		private function is_scanned( $status ) {
+			return in_array( $status, self::$scanned_statuses, true );
+		}
+
+		/**
+		 * Moves the order to the status picked for what happened to its packages, and explains why in the order notes.
+		 *
+		 * @param int         $order_id        Order ID.
+		 * @param array       $label           Label whose tracking was refreshed.
+		 * @param string|null $previous_status Status of the label before the refresh.
+		 * @param array       $tracking        The normalized tracking.
+		 */
+		private function update_order_status( $order_id, $label, $previous_status, $tracking ) {
+			$settings = $this->get_settings();
+			if ( empty( $settings['enabled'] ) ) {
+				return;
+			}
+
+			$labels = $this->settings_store->get_label_order_meta_data( $order_id );
+			$event  = $this->get_delivery_event( $labels, $label['label_id'], $previous_status, $tracking['status'] );
+			if ( ! $event || empty( $settings['statuses'][ $event ] ) ) {
+				return;
+			}
+
+			$order = wc_get_order( $order_id );
+			if ( ! $order || $order->has_status( $settings['statuses'][ $event ] ) ) {
+				return;
+			}
+			$order->update_status( $settings['statuses'][ $event ], $this->get_delivery_note( $event, $label, $tracking ) );
+		}
+
+		/**
+		 * @param string $event    What happened, as returned by `get_delivery_event`.
+		 * @param array  $label    Label whose status changed.
+		 * @param array  $tracking The normalized tracking of that label.
+		 * @return string
+		 */
+		private function get_delivery_note( $event, $label, $tracking ) {
+			$carrier = isset( self::$carrier_names[ $label['carrier_id'] ] ) ? self::$carrier_names[ $label['carrier_id'] ] : $label['carrier_id'];
+
+			switch ( $event ) {
+				case 'first_scan':
+					/* translators: %1$s: carrier name, %2$s: tracking number */
+					return sprintf( __( '%1$s scanned the first package (tracking number %2$s).', 'woocommerce-services' ), $carrier, $label['tracking'] );
+				case 'delivered':
+					/* translators: %1$s: carrier name, %2$s: tracking number */
+					return sprintf( __( '%1$s delivered the last package (tracking number %2$s).', 'woocommerce-services' ), $carrier, $label['tracking'] );
+				default:
+					/* translators: %1$s: carrier name, %2$s: tracking number, %3$s: description of the problem */
+					return sprintf( __( '%1$s reported a delivery exception for tracking number %2$s: %3$s', 'woocommerce-services' ), $carrier, $label['tracking'], $tracking['exception'] );
+			}
+		}
+	}
+}
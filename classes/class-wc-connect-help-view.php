@@ -313,12 +313,15 @@ if ( ! class_exists( 'WC_Connect_Help_View' ) ) {
 				)
 			);
 
+			$account_settings = $this->service_settings_store->get_account_settings();
 			do_action(
 				'enqueue_wc_connect_script',
 				'wc-connect-admin-test-print',
 				array(
-					'storeOptions' => $this->service_settings_store->get_store_options(),
-					'paperSize'    => $this->service_settings_store->get_preferred_paper_size(),
+					'storeOptions'  => $this->service_settings_store->get_store_options(),
+					'paperSize'     => $this->service_settings_store->get_preferred_paper_size(),
+					'labelFormat'   => $account_settings['label_format'],
+					'printAgentUrl' => $account_settings['print_agent_url'],
 				)
 			);
 		}
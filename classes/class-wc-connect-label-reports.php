@@ -59,7 +59,7 @@ if ( ! class_exists( 'WC_Connect_Label_Reports' ) ) {
 			return $results;
 		}
 
-		private function query_labels() {
+		private function get_cached_labels() {
 			$all_labels = get_transient( self::LABELS_TRANSIENT_KEY );
 			if ( false === $all_labels ) {
 				$all_labels = $this->get_all_labels();
@@ -67,12 +67,38 @@ if ( ! class_exists( 'WC_Connect_Label_Reports' ) ) {
 				set_transient( self::LABELS_TRANSIENT_KEY, $all_labels, 1800 );
 			}
 
+			return $all_labels;
+		}
+
+		/**
+		 * Drops the cached labels, and the reports filtered from them, whenever the labels of an order are added,
+		 * changed or removed, so purchases, refunds and status changes show up in the report right away.
+		 *
+		 * @param int|array $meta_id   ID of the changed meta, or IDs of the deleted ones.
+		 * @param int       $object_id ID of the order.
+		 * @param string    $meta_key  Meta key.
+		 */
+		public function clear_cached_labels( $meta_id, $object_id, $meta_key ) {
+			if ( 'wc_connect_labels' === $meta_key ) {
+				delete_transient( self::LABELS_TRANSIENT_KEY );
+				WC_Cache_Helper::get_transient_version( self::LABELS_TRANSIENT_KEY, /* $refresh = */ true );
+			}
+		}
+
+		/**
+		 * Lists the labels bought in a date range, newest first. Refunded labels are included.
+		 *
+		 * @param int $start_date Start of the range, as a Unix timestamp.
+		 * @param int $end_date   End of the range, as a Unix timestamp.
+		 * @return array
+		 */
+		public function get_purchased_labels( $start_date, $end_date ) {
 			// translate timestamps to JS timestapms
-			$start_date = $this->start_date * 1000;
-			$end_date   = $this->end_date * 1000;
+			$start_date = $start_date * 1000;
+			$end_date   = $end_date * 1000;
 
 			$results = array();
-			foreach ( $all_labels as $label ) {
+			foreach ( $this->get_cached_labels() as $label ) {
 				$created = $label['created'];
 				if ( $created > $end_date ) {
 					continue;
@@ -88,6 +114,42 @@ if ( ! class_exists( 'WC_Connect_Label_Reports' ) ) {
 					continue;
 				}
 
+				$results[] = $label;
+			}
+
+			return $results;
+		}
+
+		/**
+		 * Tells where the refund of a label stands.
+		 *
+		 * @param array $label Label data.
+		 * @return string `none`, `requested`, `refunded` or `rejected`.
+		 */
+		public function get_refund_state( $label ) {
+			if ( ! isset( $label['refund'] ) ) {
+				return 'none';
+			}
+
+			$refund = (array) $label['refund'];
+			if ( ! isset( $refund['status'] ) ) {
+				return 'requested';
+			}
+
+			switch ( $refund['status'] ) {
+				case 'complete':
+				case 'completed':
+					return 'refunded';
+				case 'rejected':
+					return 'rejected';
+				default:
+					return 'requested';
+			}
+		}
+
+		private function query_labels() {
+			$results = array();
+			foreach ( $this->get_purchased_labels( $this->start_date, $this->end_date ) as $label ) {
 				// ignore labels with complete refunds
 				if ( isset( $label['refund'] ) ) {
 					$refund = (array) $label['refund'];
@@ -0,0 +1,149 @@
+<?php
+
+if ( ! class_exists( 'WC_Connect_Label_Tracking' ) ) {
+	class WC_Connect_Label_Tracking {
+		const STATUS_PRE_TRANSIT      = 'pre_transit';
+		const STATUS_IN_TRANSIT       = 'in_transit';
+		const STATUS_OUT_FOR_DELIVERY = 'out_for_delivery';
+		const STATUS_DELIVERED        = 'delivered';
+		const STATUS_EXCEPTION        = 'exception';
+		const STATUS_UNKNOWN          = 'unknown';
+
+		/**
+		 * The scan codes each carrier uses, mapped to the statuses shared by every carrier.
+		 * Codes missing from a carrier's list are kept in the timeline with the `unknown` status.
+		 *
+		 * @var array
+		 */
+		private static $event_statuses = array(
+			'usps'       => array(
+				'GX' => self::STATUS_PRE_TRANSIT,
+				'MA' => self::STATUS_PRE_TRANSIT,
+				'03' => self::STATUS_IN_TRANSIT,
+				'OA' => self::STATUS_IN_TRANSIT,
+				'07' => self::STATUS_IN_TRANSIT,
+				'10' => self::STATUS_IN_TRANSIT,
+				'L1' => self::STATUS_IN_TRANSIT,
+				'T1' => self::STATUS_IN_TRANSIT,
+				'OF' => self::STATUS_OUT_FOR_DELIVERY,
+				'01' => self::STATUS_DELIVERED,
+				'17' => self::STATUS_DELIVERED,
+				'02' => self::STATUS_EXCEPTION,
+				'04' => self::STATUS_EXCEPTION,
+				'05' => self::STATUS_EXCEPTION,
+				'09' => self::STATUS_EXCEPTION,
+				'21' => self::STATUS_EXCEPTION,
+				'22' => self::STATUS_EXCEPTION,
+				'23' => self::STATUS_EXCEPTION,
+				'29' => self::STATUS_EXCEPTION,
+			),
+			'ups'        => array(
+				'M'  => self::STATUS_PRE_TRANSIT,
+				'P'  => self::STATUS_IN_TRANSIT,
+				'I'  => self::STATUS_IN_TRANSIT,
+				'O'  => self::STATUS_OUT_FOR_DELIVERY,
+				'D'  => self::STATUS_DELIVERED,
+				'X'  => self::STATUS_EXCEPTION,
+				'RS' => self::STATUS_EXCEPTION,
+			),
+			'fedex'      => array(
+				'OC' => self::STATUS_PRE_TRANSIT,
+				'PU' => self::STATUS_IN_TRANSIT,
+				'AR' => self::STATUS_IN_TRANSIT,
+				'AF' => self::STATUS_IN_TRANSIT,
+				'DP' => self::STATUS_IN_TRANSIT,
+				'IT' => self::STATUS_IN_TRANSIT,
+				'HL' => self::STATUS_IN_TRANSIT,
+				'OD' => self::STATUS_OUT_FOR_DELIVERY,
+				'DL' => self::STATUS_DELIVERED,
+				'DE' => self::STATUS_EXCEPTION,
+				'SE' => self::STATUS_EXCEPTION,
+				'CA' => self::STATUS_EXCEPTION,
+				'RS' => self::STATUS_EXCEPTION,
+			),
+			'dhlexpress' => array(
+				'SA' => self::STATUS_PRE_TRANSIT,
+				'PU' => self::STATUS_IN_TRANSIT,
+				'PL' => self::STATUS_IN_TRANSIT,
+				'DF' => self::STATUS_IN_TRANSIT,
+				'AF' => self::STATUS_IN_TRANSIT,
+				'AR' => self::STATUS_IN_TRANSIT,
+				'CC' => self::STATUS_IN_TRANSIT,
+				'RR' => self::STATUS_IN_TRANSIT,
+				'TR' => self::STATUS_IN_TRANSIT,
+				'WC' => self::STATUS_OUT_FOR_DELIVERY,
+				'OK' => self::STATUS_DELIVERED,
+				'NH' => self::STATUS_EXCEPTION,
+				'CA' => self::STATUS_EXCEPTION,
+				'BA' => self::STATUS_EXCEPTION,
+				'CM' => self::STATUS_EXCEPTION,
+				'MS' => self::STATUS_EXCEPTION,
+				'OH' => self::STATUS_EXCEPTION,
+				'RD' => self::STATUS_EXCEPTION,
+				'RT' => self::STATUS_EXCEPTION,
+			),
+		);
+
+		/**
+		 * Turns the tracking details a carrier reported into the timeline shown in the label views
+		 *
+		 * @param string $carrier_id Carrier ID, as stored in the label.
+		 * @param object $tracking   Tracking details from the server, with the `events` the carrier scanned
+		 *                           and the `estimated_delivery_date`.
+		 * @return array `status`, `estimated_delivery` (JS timestamp or null), `exception` (the description
+		 *               of the scan that reported a problem or null) and the `events`, newest first.
+		 */
+		public static function normalize( $carrier_id, $tracking ) {
+			$events     = array();
+			$raw_events = isset( $tracking->events ) ? (array) $tracking->events : array();
+			foreach ( $raw_events as $raw_event ) {
+				$events[] = self::normalize_event( $carrier_id, (object) $raw_event );
+			}
+			usort( $events, function( $event_a, $event_b ) {
+				return $event_b['date'] - $event_a['date'];
+			} );
+
+			$status    = self::STATUS_PRE_TRANSIT;
+			$exception = null;
+			foreach ( $events as $event ) {
+				if ( self::STATUS_UNKNOWN !== $event['status'] ) {
+					$status    = $event['status'];
+					$exception = self::STATUS_EXCEPTION === $status ? $event['description'] : null;
+					break;
+				}
+			}
+
+			$estimated_delivery = ! empty( $tracking->estimated_delivery_date ) ? strtotime( $tracking->estimated_delivery_date ) : false;
+
+			return array(
+				'status'             => $status,
+				'estimated_delivery' => $estimated_delivery && self::STATUS_DELIVERED !== $status ? $estimated_delivery * 1000 : null,
+				'exception'          => $exception,
+				'events'             => $events,
+			);
+		}
+
+		private static function normalize_event( $carrier_id, $raw_event ) {
+			$code     = isset( $raw_event->code ) ? strtoupper( (string) $raw_event->code ) : '';
+			$statuses = isset( self::$event_statuses[ $carrier_id ] ) ? self::$event_statuses[ $carrier_id ] : array();
+			$location = isset( $raw_event->location ) ? (array) $raw_event->location : array();
+			$date     = isset( $raw_event->date ) ? strtotime( $raw_event->date ) : false;
+
+			return array(
+				'date'        => $date ? $date * 1000 : 0,
+				'status'      => isset( $statuses[ $code ] ) ? $statuses[ $code ] : self::STATUS_UNKNOWN,
+				'description' => isset( $raw_event->description ) ? (string) $raw_event->description : '',
+				'location'    => implode(
+					', ',
+					array_filter(
+						array(
+							isset( $location['city'] ) ? $location['city'] : '',
+							isset( $location['state'] ) ? $location['state'] : '',
+							isset( $location['country'] ) ? $location['country'] : '',
+						)
+					)
+				),
+			);
+		}
+	}
+}
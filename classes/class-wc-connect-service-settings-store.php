@@ -71,9 +71,106 @@ if ( ! class_exists( 'WC_Connect_Service_Settings_Store' ) ) {
 				$result['use_last_package'] = true;
 			}
 
+			if ( ! isset( $result['label_format'] ) || ! in_array( $result['label_format'], $this->get_label_formats(), true ) ) {
+				$result['label_format'] = 'pdf';
+			}
+
+			if ( ! isset( $result['print_agent_url'] ) ) {
+				$result['print_agent_url'] = '';
+			}
+
+			if ( ! isset( $result['origin_addresses'] ) || ! is_array( $result['origin_addresses'] ) ) {
+				$result['origin_addresses'] = array();
+			}
+
+			if ( ! isset( $result['shipping_rules'] ) || ! is_array( $result['shipping_rules'] ) ) {
+				$result['shipping_rules'] = array();
+			}
+
+			if ( ! isset( $result['rate_policy'] ) || ! is_array( $result['rate_policy'] ) ) {
+				$result['rate_policy'] = array(
+					'type'     => 'manual',
+					'max_days' => 3,
+					'carriers' => array(),
+				);
+			}
+
+			if ( ! isset( $result['delivery_automation'] ) || ! is_array( $result['delivery_automation'] ) ) {
+				$result['delivery_automation'] = array(
+					'enabled'  => false,
+					'interval' => 60,
+					'statuses' => array(
+						'first_scan' => '',
+						'delivered'  => '',
+						'exception'  => '',
+					),
+				);
+			}
+
+			// An empty template stands for the default one, which the client translates.
+			if ( ! isset( $result['shipment_notification'] ) || ! is_array( $result['shipment_notification'] ) ) {
+				$result['shipment_notification'] = array(
+					'template' => '',
+					'delivery' => 'note',
+				);
+			}
+
 			return $result;
 		}
 
+		/**
+		 * Gets the address book of locations the store ships from.
+		 *
+		 * @return array List of `id`, `title`, `address` and `is_normalized`
+		 */
+		public function get_origin_addresses() {
+			$account_settings = $this->get_account_settings();
+			return $account_settings['origin_addresses'];
+		}
+
+		/**
+		 * Gets the address book entry the current user ships from by default.
+		 *
+		 * @return array|null
+		 */
+		public function get_default_origin_address() {
+			$default_origin_id = get_user_meta( get_current_user_id(), 'wc_connect_default_origin_id', true );
+			if ( empty( $default_origin_id ) ) {
+				return null;
+			}
+
+			foreach ( $this->get_origin_addresses() as $origin_address ) {
+				if ( $default_origin_id === $origin_address['id'] ) {
+					return $origin_address;
+				}
+			}
+
+			return null;
+		}
+
+		/**
+		 * Sets the address book entry the current user ships from by default.
+		 *
+		 * @param string $origin_id ID of the origin address.
+		 */
+		public function set_default_origin_id( $origin_id ) {
+			update_user_meta( get_current_user_id(), 'wc_connect_default_origin_id', sanitize_text_field( $origin_id ) );
+		}
+
+		/**
+		 * Gets where the current user prefers to buy labels.
+		 *
+		 * @return string `modal` for the dialog on the order page, `page` for the full-page view
+		 */
+		public function get_label_purchase_view() {
+			$view = get_user_meta( get_current_user_id(), 'wc_connect_label_purchase_view', true );
+			return 'page' === $view ? 'page' : 'modal';
+		}
+
+		public function set_label_purchase_view( $view ) {
+			update_user_meta( get_current_user_id(), 'wc_connect_label_purchase_view', 'page' === $view ? 'page' : 'modal' );
+		}
+
 		/**
 		 * Updates connect account settings (e.g. payment method)
 		 *
@@ -92,9 +189,110 @@ if ( ! class_exists( 'WC_Connect_Service_Settings_Store' ) ) {
 			$this->set_preferred_paper_size( $paper_size );
 			unset( $settings['paper_size'] );
 
+			if ( isset( $settings['print_agent_url'] ) ) {
+				$settings['print_agent_url'] = esc_url_raw( $settings['print_agent_url'] );
+			}
+
+			if ( isset( $settings['origin_addresses'] ) && is_array( $settings['origin_addresses'] ) ) {
+				$settings['origin_addresses'] = array_values( array_map( array( $this, 'sanitize_origin_address' ), $settings['origin_addresses'] ) );
+			}
+
+			if ( isset( $settings['shipping_rules'] ) && is_array( $settings['shipping_rules'] ) ) {
+				$settings['shipping_rules'] = array_values( array_map( array( $this, 'sanitize_shipping_rule' ), $settings['shipping_rules'] ) );
+			}
+
+			if ( isset( $settings['rate_policy'] ) && is_array( $settings['rate_policy'] ) ) {
+				$rate_policy             = $settings['rate_policy'];
+				$settings['rate_policy'] = array(
+					'type'     => isset( $rate_policy['type'] ) ? sanitize_key( $rate_policy['type'] ) : 'manual',
+					'max_days' => isset( $rate_policy['max_days'] ) ? absint( $rate_policy['max_days'] ) : 3,
+					'carriers' => isset( $rate_policy['carriers'] ) ? array_map( 'sanitize_key', (array) $rate_policy['carriers'] ) : array(),
+				);
+			}
+
+			if ( isset( $settings['delivery_automation'] ) && is_array( $settings['delivery_automation'] ) ) {
+				$automation                      = $settings['delivery_automation'];
+				$statuses                        = isset( $automation['statuses'] ) ? (array) $automation['statuses'] : array();
+				$settings['delivery_automation'] = array(
+					'enabled'  => ! empty( $automation['enabled'] ),
+					// Tracking is cached for 15 minutes, refreshing more often wouldn't find anything new
+					'interval' => isset( $automation['interval'] ) ? max( 15, absint( $automation['interval'] ) ) : 60,
+					'statuses' => array(
+						'first_scan' => isset( $statuses['first_scan'] ) ? sanitize_key( $statuses['first_scan'] ) : '',
+						'delivered'  => isset( $statuses['delivered'] ) ? sanitize_key( $statuses['delivered'] ) : '',
+						'exception'  => isset( $statuses['exception'] ) ? sanitize_key( $statuses['exception'] ) : '',
+					),
+				);
+			}
+
+			if ( isset( $settings['shipment_notification'] ) && is_array( $settings['shipment_notification'] ) ) {
+				$notification                      = $settings['shipment_notification'];
+				$template                          = isset( $notification['template'] ) ? str_replace( "\r", '', $notification['template'] ) : '';
+				$settings['shipment_notification'] = array(
+					// sanitize_textarea_field() needs WP 4.7, so the lines are sanitized one by one to keep the line breaks.
+					'template' => trim( implode( "\n", array_map( 'sanitize_text_field', explode( "\n", $template ) ) ) ),
+					'delivery' => isset( $notification['delivery'] ) && 'email' === $notification['delivery'] ? 'email' : 'note',
+				);
+			}
+
 			return WC_Connect_Options::update_option( 'account_settings', $settings );
 		}
 
+		private function sanitize_origin_address( $origin_address ) {
+			return array(
+				'id'            => sanitize_text_field( $origin_address['id'] ),
+				'title'         => sanitize_text_field( $origin_address['title'] ),
+				'address'       => array_map( 'sanitize_text_field', (array) $origin_address['address'] ),
+				'is_normalized' => ! empty( $origin_address['is_normalized'] ),
+			);
+		}
+
+		/**
+		 * Keeps only the known fields of a shipping rule. Empty conditions match every order,
+		 * and empty outcome fields leave the label form as it is.
+		 *
+		 * @param array $rule
+		 * @return array
+		 */
+		private function sanitize_shipping_rule( $rule ) {
+			$conditions = isset( $rule['conditions'] ) ? (array) $rule['conditions'] : array();
+			$outcome    = isset( $rule['outcome'] ) ? (array) $rule['outcome'] : array();
+
+			$list_value   = function( $key ) use ( $conditions ) {
+				return isset( $conditions[ $key ] ) ? array_values( array_filter( array_map( 'sanitize_text_field', (array) $conditions[ $key ] ) ) ) : array();
+			};
+			$number_value = function( $key ) use ( $conditions ) {
+				return isset( $conditions[ $key ] ) && is_numeric( $conditions[ $key ] ) ? (float) $conditions[ $key ] : null;
+			};
+			$text_value   = function( $key ) use ( $outcome ) {
+				return isset( $outcome[ $key ] ) ? sanitize_text_field( $outcome[ $key ] ) : '';
+			};
+
+			return array(
+				'id'         => sanitize_text_field( $rule['id'] ),
+				'name'       => sanitize_text_field( $rule['name'] ),
+				'enabled'    => ! empty( $rule['enabled'] ),
+				'conditions' => array(
+					'countries'        => $list_value( 'countries' ),
+					'states'           => $list_value( 'states' ),
+					'min_total'        => $number_value( 'min_total' ),
+					'max_total'        => $number_value( 'max_total' ),
+					'min_weight'       => $number_value( 'min_weight' ),
+					'max_weight'       => $number_value( 'max_weight' ),
+					'shipping_classes' => $list_value( 'shipping_classes' ),
+					'product_ids'      => array_map( 'absint', $list_value( 'product_ids' ) ),
+					'shipping_methods' => $list_value( 'shipping_methods' ),
+				),
+				'outcome'    => array(
+					'box_id'        => $text_value( 'box_id' ),
+					'carrier_id'    => $text_value( 'carrier_id' ),
+					'service_id'    => $text_value( 'service_id' ),
+					'signature'     => $text_value( 'signature' ),
+					'contents_type' => $text_value( 'contents_type' ),
+				),
+			);
+		}
+
 		public function get_selected_payment_method_id() {
 			$account_settings = $this->get_account_settings();
 			return intval( $account_settings['selected_payment_method_id'] );
@@ -168,6 +366,76 @@ if ( ! class_exists( 'WC_Connect_Service_Settings_Store' ) ) {
 			return WC_Connect_Options::update_option( 'paper_size', $size );
 		}
 
+		/**
+		 * Gets the output formats the label print endpoint can produce.
+		 * "zpl" and "epl" are raw commands for thermal printers and only come in the 4"x6" label size.
+		 *
+		 * @return array
+		 */
+		public function get_label_formats() {
+			return array( 'pdf', 'zpl', 'epl' );
+		}
+
+		/**
+		 * Gets the label output format chosen in the label settings
+		 *
+		 * @return string
+		 */
+		public function get_preferred_label_format() {
+			$account_settings = $this->get_account_settings();
+			return $account_settings['label_format'];
+		}
+
+		/**
+		 * Saves the label output format picked when printing a label
+		 *
+		 * @param string $label_format One of `get_label_formats()`.
+		 * @return bool
+		 */
+		public function set_preferred_label_format( $label_format ) {
+			$account_settings                 = WC_Connect_Options::get_option( 'account_settings', array() );
+			$account_settings['label_format'] = $label_format;
+			return WC_Connect_Options::update_option( 'account_settings', $account_settings );
+		}
+
+		/**
+		 * Reads the paper size and the label format of a label print or preview request, and remembers them
+		 * for the next prints. Raw formats only come in the 4"x6" label size, so they're remembered as the
+		 * label format and leave the preferred PDF paper size alone.
+		 *
+		 * @param array $raw_params      Request parameters, with `paper_size` and optionally `label_format`.
+		 * @param bool  $remember_format Whether a raw format becomes the preferred one. Test prints only try it out.
+		 * @return array|WP_Error `paper_size`, and `label_format` for the raw formats.
+		 */
+		public function get_label_print_params( $raw_params, $remember_format = true ) {
+			$label_format = empty( $raw_params['label_format'] ) ? 'pdf' : $raw_params['label_format'];
+
+			if ( ! in_array( $label_format, $this->get_label_formats(), true ) ) {
+				$message = __( 'Invalid label format.', 'woocommerce-services' );
+				return new WP_Error(
+					'invalid_label_format',
+					$message,
+					array(
+						'message' => $message,
+						'status'  => 400,
+					)
+				);
+			}
+
+			if ( 'pdf' === $label_format ) {
+				$this->set_preferred_paper_size( $raw_params['paper_size'] );
+				return array( 'paper_size' => $raw_params['paper_size'] );
+			}
+
+			if ( $remember_format ) {
+				$this->set_preferred_label_format( $label_format );
+			}
+			return array(
+				'paper_size'   => 'label',
+				'label_format' => $label_format,
+			);
+		}
+
 		/**
 		 * Attempts to recover faulty json string fields that might contain strings with unescaped quotes
 		 *
@@ -260,6 +528,43 @@ if ( ! class_exists( 'WC_Connect_Service_Settings_Store' ) ) {
 			return $this->try_deserialize_labels_json( $label_data );
 		}
 
+		/**
+		 * Gets the labels of every order, each one with the ID of its order in `order_id`
+		 *
+		 * @param int $modified_since Only look at the orders modified since this UNIX timestamp, so
+		 *                            recent labels can be listed without scanning every order.
+		 * @return array
+		 */
+		public function get_all_orders_labels( $modified_since = 0 ) {
+			global $wpdb;
+			if ( $modified_since ) {
+				$query = $wpdb->prepare(
+					"SELECT pm.post_id, pm.meta_value FROM {$wpdb->postmeta} pm
+					INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+					WHERE pm.meta_key = 'wc_connect_labels' AND p.post_modified_gmt >= %s",
+					gmdate( 'Y-m-d H:i:s', $modified_since )
+				);
+			} else {
+				$query = "SELECT post_id, meta_value FROM {$wpdb->postmeta} WHERE meta_key = 'wc_connect_labels'";
+			}
+			$db_results = $wpdb->get_results( $query );
+			$results    = array();
+
+			foreach ( $db_results as $meta ) {
+				$labels = maybe_unserialize( $meta->meta_value );
+
+				if ( ! is_array( $labels ) ) {
+					$labels = $this->try_deserialize_labels_json( $meta->meta_value );
+				}
+
+				foreach ( $labels as $label ) {
+					$results[] = array_merge( $label, array( 'order_id' => (int) $meta->post_id ) );
+				}
+			}
+
+			return $results;
+		}
+
 		/**
 		 * Updates the existing label data
 		 *
@@ -277,8 +582,10 @@ if ( ! class_exists( 'WC_Connect_Service_Settings_Store' ) ) {
 					$result                = array_merge( $label_data, (array) $new_label_data );
 					$labels_data[ $index ] = $result;
 
+					// Return labels travel back to the store, they aren't tracking for the customer's shipment
 					if ( ! isset( $label_data['tracking'] )
-						&& isset( $result['tracking'] ) ) {
+						&& isset( $result['tracking'] )
+						&& empty( $result['is_return'] ) ) {
 							WC_Connect_Extension_Compatibility::on_new_tracking_number( $order_id, $result['carrier_id'], $result['tracking'] );
 					}
 				}
@@ -326,6 +633,27 @@ if ( ! class_exists( 'WC_Connect_Service_Settings_Store' ) ) {
 			$order->save();
 		}
 
+		/**
+		 * Stores the customs description, tariff number and origin country that the label form
+		 * fills in for a product (or variation) by default.
+		 *
+		 * @param int   $product_id Product or variation ID.
+		 * @param array $customs_info Array with `description`, `hs_tariff_number` and `origin_country`.
+		 */
+		public function update_product_customs_info( $product_id, $customs_info ) {
+			$hs_tariff_number = isset( $customs_info['hs_tariff_number'] ) ? preg_replace( '/\D/', '', $customs_info['hs_tariff_number'] ) : '';
+
+			update_post_meta(
+				$product_id,
+				'wc_connect_customs_info',
+				array(
+					'description'      => isset( $customs_info['description'] ) ? sanitize_text_field( $customs_info['description'] ) : '',
+					'hs_tariff_number' => substr( $hs_tariff_number, 0, 6 ),
+					'origin_country'   => isset( $customs_info['origin_country'] ) ? strtoupper( sanitize_key( $customs_info['origin_country'] ) ) : '',
+				)
+			);
+		}
+
 		protected function sort_services( $a, $b ) {
 
 			if ( $a->zone_order === $b->zone_order ) {
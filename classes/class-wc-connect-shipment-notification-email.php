@@ -0,0 +1,82 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_Connect_Shipment_Notification_Email' ) ) {
+	return;
+}
+
+/**
+ * Email telling customers their order shipped. The message is written from the template in the shipping
+ * label settings by the client, which knows the carriers, so this only wraps it in the store's email layout.
+ */
+class WC_Connect_Shipment_Notification_Email extends WC_Email {
+
+	/**
+	 * @var string
+	 */
+	protected $message = '';
+
+	public function __construct() {
+		$this->id             = 'wc_connect_shipment_notification';
+		$this->customer_email = true;
+		$this->title          = __( 'Shipment notification', 'woocommerce-services' );
+		$this->description    = __( 'Sent to customers when shipping labels are bought for their order, if the shipping label settings send the shipment notification by email.', 'woocommerce-services' );
+		$this->placeholders   = array(
+			'{order_date}'   => '',
+			'{order_number}' => '',
+		);
+
+		parent::__construct();
+	}
+
+	public function get_default_subject() {
+		return __( 'Your {site_title} order #{order_number} has shipped', 'woocommerce-services' );
+	}
+
+	public function get_default_heading() {
+		return __( 'Your order is on its way', 'woocommerce-services' );
+	}
+
+	/**
+	 * Sends the notification to the customer of the order.
+	 *
+	 * @param int    $order_id Order ID.
+	 * @param string $message  Plain text message, links included as URLs.
+	 * @return bool Whether the email was sent.
+	 */
+	public function trigger( $order_id, $message ) {
+		$this->setup_locale();
+
+		$sent  = false;
+		$order = wc_get_order( $order_id );
+		if ( $order ) {
+			$this->object                         = $order;
+			$this->recipient                      = $order->get_billing_email();
+			$this->message                        = $message;
+			$this->placeholders['{order_date}']   = wc_format_datetime( $order->get_date_created() );
+			$this->placeholders['{order_number}'] = $order->get_order_number();
+		}
+
+		if ( $this->is_enabled() && $this->get_recipient() ) {
+			$sent = $this->send( $this->get_recipient(), $this->get_subject(), $this->get_content(), $this->get_headers(), $this->get_attachments() );
+		}
+
+		$this->restore_locale();
+		return $sent;
+	}
+
+	public function get_content_html() {
+		ob_start();
+		do_action( 'woocommerce_email_header', $this->get_heading(), $this );
+		echo wp_kses_post( wpautop( make_clickable( esc_html( $this->message ) ) ) );
+		do_action( 'woocommerce_email_footer', $this );
+		return ob_get_clean();
+	}
+
+	public function get_content_plain() {
+		return $this->message;
+	}
+}
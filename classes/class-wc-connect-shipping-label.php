@@ -194,10 +194,17 @@ if ( ! class_exists( 'WC_Connect_Shipping_Label' ) ) {
 						if ( $product->is_type( 'variation' ) ) {
 							$product_data['attributes'] = wc_get_formatted_variation( $product, true );
 						}
+						$product_data['shipping_class'] = $product->get_shipping_class();
+						// Matched against the barcodes scanned in the packing station mode.
+						$product_data['sku'] = $product->get_sku();
+						// Used to suggest HS tariff numbers in the customs step.
+						$categories                 = wp_get_post_terms( $parent_product_id, 'product_cat', array( 'fields' => 'names' ) );
+						$product_data['categories'] = is_wp_error( $categories ) ? array() : $categories;
 						$customs_info = $product->get_meta( 'wc_connect_customs_info', true );
 						if ( is_array( $customs_info ) ) {
 							$product_data = array_merge( $product_data, $customs_info );
 						}
+						$product_data['has_customs_info'] = is_array( $customs_info );
 					} else {
 						$product_data['name'] = WC_Connect_Utils::get_product_name_from_order( $product_data['product_id'], $order );
 					}
@@ -301,8 +308,22 @@ if ( ! class_exists( 'WC_Connect_Shipping_Label' ) ) {
 
 			$origin_normalized      = (bool) WC_Connect_Options::get_option( 'origin_address', false );
 			$destination_normalized = (bool) $order->get_meta( '_wc_connect_destination_normalized', true );
+			$origin_id              = '';
 
-			$form_data = compact( 'is_packed', 'selected_packages', 'origin', 'destination', 'origin_normalized', 'destination_normalized' );
+			$default_origin = $this->settings_store->get_default_origin_address();
+			if ( $default_origin ) {
+				$origin            = $this->format_address_for_api( $default_origin['address'] );
+				$origin_normalized = $default_origin['is_normalized'];
+				$origin_id         = $default_origin['id'];
+			}
+
+			$form_data = compact( 'is_packed', 'selected_packages', 'origin', 'destination', 'origin_normalized', 'destination_normalized', 'origin_id' );
+
+			// Shipping rules match on what the customer paid and picked at checkout
+			$shipping_methods             = $order->get_shipping_methods();
+			$shipping_method              = reset( $shipping_methods );
+			$form_data['order_total']     = (float) $order->get_total();
+			$form_data['shipping_method'] = $shipping_method ? $shipping_method->get_method_id() : '';
 
 			$form_data['rates'] = array(
 				'selected' => (object) $selected_rates,
@@ -551,23 +572,34 @@ if ( ! class_exists( 'WC_Connect_Shipping_Label' ) ) {
 			return $sum + $item->get_quantity();
 		}
 
-		public function meta_box( $post, $args ) {
-
+		/**
+		 * Data the shipping label app starts with for an order.
+		 *
+		 * @param WC_Order $order   Order.
+		 * @param string   $context Where the app is shown.
+		 * @return array
+		 */
+		protected function get_order_app_payload( WC_Order $order, $context ) {
 			$connect_order_presenter = new WC_Connect_Order_Presenter();
-			$order                   = WC_Connect_Compatibility::instance()->init_theorder_object( $post );
 			$items                   = array_filter( $order->get_items(), array( $this, 'filter_items_needing_shipping' ) );
 			$items_count             = array_reduce( $items, array( $this, 'reducer_items_quantity' ), 0 ) - absint( $order->get_item_count_refunded() );
-			$payload                 = apply_filters(
+
+			return array(
+				'order'             => $connect_order_presenter->get_order_for_api( $order ),
+				'accountSettings'   => $this->account_settings->get(),
+				'packagesSettings'  => $this->package_settings->get(),
+				'shippingLabelData' => $this->get_label_payload( $order->get_id() ),
+				'continents'        => $this->continents->get(),
+				'context'           => $context,
+				'items'             => $items_count,
+			);
+		}
+
+		public function meta_box( $post, $args ) {
+			$order   = WC_Connect_Compatibility::instance()->init_theorder_object( $post );
+			$payload = apply_filters(
 				'wc_connect_meta_box_payload',
-				array(
-					'order'             => $connect_order_presenter->get_order_for_api( $order ),
-					'accountSettings'   => $this->account_settings->get(),
-					'packagesSettings'  => $this->package_settings->get(),
-					'shippingLabelData' => $this->get_label_payload( $order->get_id() ),
-					'continents'        => $this->continents->get(),
-					'context'           => $args['args']['context'],
-					'items'             => $items_count,
-				),
+				$this->get_order_app_payload( $order, $args['args']['context'] ),
 				$args,
 				$order,
 				$this
@@ -575,5 +607,153 @@ if ( ! class_exists( 'WC_Connect_Shipping_Label' ) ) {
 
 			do_action( 'enqueue_wc_connect_script', 'wc-connect-create-shipping-label', $payload );
 		}
+
+		/**
+		 * Registers the full-page label purchase screen, for merchants who picked it over the modal in the
+		 * label settings. It has no menu entry, it's opened from the order.
+		 */
+		public function register_label_purchase_page() {
+			add_submenu_page(
+				null,
+				__( 'Create shipping label', 'woocommerce-services' ),
+				'',
+				'manage_woocommerce',
+				'wc-connect-label-purchase',
+				array( $this, 'label_purchase_page' )
+			);
+		}
+
+		public function label_purchase_page() {
+			$order_id        = isset( $_GET['order_id'] ) ? absint( $_GET['order_id'] ) : 0;
+			$return_label_id = isset( $_GET['return_label_id'] ) ? absint( $_GET['return_label_id'] ) : 0;
+			$order           = wc_get_order( $order_id );
+
+			if ( ! WC_Connect_Functions::user_can_manage_labels() ) {
+				wp_die( esc_html__( 'Sorry, you are not allowed to create shipping labels.', 'woocommerce-services' ) );
+			}
+
+			?>
+			<div class="wrap">
+				<?php
+				if ( ! $order ) {
+					echo '<p>' . esc_html__( 'The order could not be found.', 'woocommerce-services' ) . '</p></div>';
+					return;
+				}
+
+				$payload = $this->get_order_app_payload( $order, 'label_purchase_page' );
+				if ( $return_label_id ) {
+					$payload['returnLabelId'] = $return_label_id;
+				}
+
+				do_action( 'enqueue_wc_connect_script', 'wc-connect-create-shipping-label', $payload );
+				?>
+			</div>
+			<?php
+		}
+
+		/**
+		 * Adds the "Create shipping labels" entry to the bulk actions of the orders list.
+		 *
+		 * @param array $actions Bulk actions.
+		 * @return array
+		 */
+		public function add_bulk_actions( $actions ) {
+			if ( ! $this->is_shipping_label_enabled() || ! WC_Connect_Functions::user_can_manage_labels() ) {
+				return $actions;
+			}
+
+			$actions['wcs_create_labels'] = __( 'Create shipping labels', 'woocommerce-services' );
+			return $actions;
+		}
+
+		/**
+		 * Sends the selected orders to the bulk label purchase screen.
+		 *
+		 * @param string $redirect_to URL to redirect to after the action is handled.
+		 * @param string $action      Bulk action being performed.
+		 * @param array  $order_ids   Selected order IDs.
+		 * @return string
+		 */
+		public function handle_bulk_actions( $redirect_to, $action, $order_ids ) {
+			if ( 'wcs_create_labels' !== $action || empty( $order_ids ) ) {
+				return $redirect_to;
+			}
+
+			return add_query_arg(
+				array(
+					'page'      => 'wc-connect-bulk-labels',
+					'order_ids' => implode( ',', array_map( 'absint', $order_ids ) ),
+				),
+				admin_url( 'admin.php' )
+			);
+		}
+
+		/**
+		 * Registers the bulk label purchase screen. It has no menu entry, it's only reachable through the bulk action.
+		 */
+		public function register_bulk_labels_page() {
+			add_submenu_page(
+				null,
+				__( 'Create shipping labels', 'woocommerce-services' ),
+				'',
+				'manage_woocommerce',
+				'wc-connect-bulk-labels',
+				array( $this, 'bulk_labels_page' )
+			);
+		}
+
+		public function bulk_labels_page() {
+			$order_ids = isset( $_GET['order_ids'] ) ? wp_parse_id_list( sanitize_text_field( wp_unslash( $_GET['order_ids'] ) ) ) : array();
+
+			$connect_order_presenter = new WC_Connect_Order_Presenter();
+			$orders                  = array();
+			$skipped_order_ids       = array();
+			foreach ( $order_ids as $order_id ) {
+				$order = wc_get_order( $order_id );
+				if ( ! $order || ! $this->is_order_eligible_for_shipping_label_creation( $order ) ) {
+					$skipped_order_ids[] = $order_id;
+					continue;
+				}
+
+				$orders[] = array(
+					'order'             => $connect_order_presenter->get_order_for_api( $order ),
+					'shippingLabelData' => $this->get_label_payload( $order ),
+				);
+			}
+
+			?>
+			<div class="wrap">
+				<h1><?php esc_html_e( 'Create shipping labels', 'woocommerce-services' ); ?></h1>
+				<?php if ( ! empty( $skipped_order_ids ) ) : ?>
+					<div class="notice notice-warning">
+						<p>
+							<?php
+							/* translators: %s: comma separated list of order numbers */
+							echo esc_html( sprintf( __( 'These orders have nothing left to ship and were skipped: %s', 'woocommerce-services' ), '#' . implode( ', #', $skipped_order_ids ) ) );
+							?>
+						</p>
+					</div>
+				<?php endif; ?>
+				<?php
+				if ( empty( $orders ) ) {
+					echo '<p>' . esc_html__( 'None of the selected orders need a shipping label.', 'woocommerce-services' ) . '</p></div>';
+					return;
+				}
+
+				do_action(
+					'enqueue_wc_connect_script',
+					'wc-connect-bulk-shipping-label',
+					array(
+						'orders'           => $orders,
+						'accountSettings'  => $this->account_settings->get(),
+						'packagesSettings' => $this->package_settings->get(),
+						'continents'       => $this->continents->get(),
+						'paperSize'        => $this->settings_store->get_preferred_paper_size(),
+					)
+				);
+				?>
+			</div>
+			<?php
+		}
 	}
 }
@@ -45,6 +45,17 @@ class WC_REST_Connect_Account_Settings_Controller extends WC_REST_Connect_Base_C
 	public function post( $request ) {
 		$settings = $request->get_json_params();
 
+		// The default origin is picked by each user, so it's kept apart from the store-wide settings
+		if ( isset( $settings['default_origin_id'] ) ) {
+			$this->settings_store->set_default_origin_id( $settings['default_origin_id'] );
+			unset( $settings['default_origin_id'] );
+		}
+
+		if ( isset( $settings['label_purchase_view'] ) ) {
+			$this->settings_store->set_label_purchase_view( $settings['label_purchase_view'] );
+			unset( $settings['label_purchase_view'] );
+		}
+
 		if ( ! $this->settings_store->can_user_manage_payment_methods() ) {
 			// Ignore the user-provided payment method ID if they don't have permission to change it
 			$old_settings                           = $this->settings_store->get_account_settings();
@@ -0,0 +1,224 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_REST_Connect_Label_Reports_Controller' ) ) {
+	return;
+}
+
+class WC_REST_Connect_Label_Reports_Controller extends WC_REST_Connect_Base_Controller {
+	protected $rest_base = 'connect/label/reports';
+
+	/**
+	 * How many labels are listed on each page of the report.
+	 */
+	const PER_PAGE = 50;
+
+	/**
+	 * How long the labels matching a report's dates and filters are kept, so going through the pages
+	 * doesn't filter every label again. Changing the labels of an order starts over.
+	 */
+	const REPORT_CACHE_TTL = 1800;
+
+	/**
+	 * @var WC_Connect_Label_Reports
+	 */
+	protected $label_reports;
+
+	public function __construct( WC_Connect_API_Client $api_client, WC_Connect_Service_Settings_Store $settings_store, WC_Connect_Logger $logger, WC_Connect_Label_Reports $label_reports ) {
+		parent::__construct( $api_client, $settings_store, $logger );
+		$this->label_reports = $label_reports;
+	}
+
+	/**
+	 * Lists the labels bought in a date range, with the cost totals by carrier and service.
+	 *
+	 * @param WP_REST_Request $request Request with `start` and `end` dates (Y-m-d, store time, both included),
+	 *                                 optional `carrier`, `service` and `refund` filters, the `page` (1-based)
+	 *                                 or `export` to get every label at once.
+	 * @return array|WP_Error
+	 */
+	public function get( $request ) {
+		$start = $this->get_timestamp( $request['start'], '00:00:00', '-30 days' );
+		$end   = $this->get_timestamp( $request['end'], '23:59:59', 'now' );
+		if ( false === $start || false === $end || $start > $end ) {
+			return new WP_Error( 'invalid_date_range', __( 'The report dates are not valid.', 'woocommerce-services' ), array( 'status' => 400 ) );
+		}
+
+		$report = $this->get_report( $start, $end, $request );
+		$labels = $report['labels'];
+
+		if ( ! empty( $request['export'] ) ) {
+			return array(
+				'success' => true,
+				'labels'  => array_map( array( $this, 'format_label' ), $labels ),
+			);
+		}
+
+		$page = max( 1, absint( $request['page'] ) );
+
+		return array(
+			'success'     => true,
+			'labels'      => array_map( array( $this, 'format_label' ), array_slice( $labels, ( $page - 1 ) * self::PER_PAGE, self::PER_PAGE ) ),
+			'page'        => $page,
+			'total_count' => count( $labels ),
+			'has_more'    => $page * self::PER_PAGE < count( $labels ),
+			'totals'      => $report['totals'],
+			'carriers'    => $report['carriers'],
+			'services'    => $report['services'],
+		);
+	}
+
+	/**
+	 * Gets the labels matching the report's dates and filters, from the cache when another page of the same
+	 * report was already loaded.
+	 *
+	 * @param int             $start   Start of the range, as a Unix timestamp.
+	 * @param int             $end     End of the range, as a Unix timestamp.
+	 * @param WP_REST_Request $request Request with the filters.
+	 * @return array The matching `labels` with their `totals`, and the `carriers` and `services` to filter by.
+	 */
+	private function get_report( $start, $end, $request ) {
+		$cache_key = 'wcs_label_report_' . md5(
+			wp_json_encode(
+				array(
+					$start,
+					$end,
+					(string) $request['carrier'],
+					(string) $request['service'],
+					(string) $request['refund'],
+					WC_Cache_Helper::get_transient_version( WC_Connect_Label_Reports::LABELS_TRANSIENT_KEY ),
+				)
+			)
+		);
+		$report    = get_transient( $cache_key );
+		if ( false !== $report ) {
+			return $report;
+		}
+
+		$labels   = $this->label_reports->get_purchased_labels( $start, $end );
+		$carriers = array_values( array_unique( wp_list_pluck( $labels, 'carrier_id' ) ) );
+		$services = array_values( array_unique( wp_list_pluck( $labels, 'service_name' ) ) );
+		sort( $carriers );
+		sort( $services );
+
+		$labels = array_values( array_filter( $labels, function( $label ) use ( $request ) {
+			return $this->matches_filters( $label, $request );
+		} ) );
+
+		$report = array(
+			'labels'   => $labels,
+			'totals'   => $this->get_totals( $labels ),
+			'carriers' => $carriers,
+			'services' => $services,
+		);
+		set_transient( $cache_key, $report, self::REPORT_CACHE_TTL );
+
+		return $report;
+	}
+
+	/**
+	 * Turns a date picked in the report into a timestamp.
+	 *
+	 * @param string $date    Date in the Y-m-d format, in the store timezone.
+	 * @param string $time    Time of the day the range starts or ends at.
+	 * @param string $default Relative date used when there's no date in the request.
+	 * @return int|false
+	 */
+	private function get_timestamp( $date, $time, $default ) {
+		if ( empty( $date ) ) {
+			$date = date( 'Y-m-d', strtotime( $default, current_time( 'timestamp' ) ) );
+		}
+		if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date ) ) {
+			return false;
+		}
+
+		return (int) get_gmt_from_date( $date . ' ' . $time, 'U' );
+	}
+
+	private function matches_filters( $label, $request ) {
+		if ( ! empty( $request['carrier'] ) && $label['carrier_id'] !== $request['carrier'] ) {
+			return false;
+		}
+		if ( ! empty( $request['service'] ) && $label['service_name'] !== $request['service'] ) {
+			return false;
+		}
+		return empty( $request['refund'] ) || $this->label_reports->get_refund_state( $label ) === $request['refund'];
+	}
+
+	/**
+	 * Adds up the cost of the labels by carrier and by service. Refunded labels didn't cost anything,
+	 * so they are left out. Costs are kept apart by currency.
+	 *
+	 * @param array $labels Labels in the report.
+	 * @return array `carriers` and `services`, each a list of `carrier_id`, `count` and `amounts` by currency.
+	 */
+	private function get_totals( $labels ) {
+		$carriers = array();
+		$services = array();
+		foreach ( $labels as $label ) {
+			if ( 'refunded' === $this->label_reports->get_refund_state( $label ) ) {
+				continue;
+			}
+
+			$currency = ! empty( $label['currency'] ) ? $label['currency'] : get_woocommerce_currency();
+			$carriers = $this->add_to_total( $carriers, $label['carrier_id'], array( 'carrier_id' => $label['carrier_id'] ), $currency, $label['rate'] );
+			$services = $this->add_to_total(
+				$services,
+				$label['carrier_id'] . '|' . $label['service_name'],
+				array(
+					'carrier_id'   => $label['carrier_id'],
+					'service_name' => $label['service_name'],
+				),
+				$currency,
+				$label['rate']
+			);
+		}
+
+		return array(
+			'carriers' => array_values( $carriers ),
+			'services' => array_values( $services ),
+		);
+	}
+
+	private function add_to_total( $totals, $key, $fields, $currency, $amount ) {
+		if ( ! isset( $totals[ $key ] ) ) {
+			$totals[ $key ] = array_merge(
+				$fields,
+				array(
+					'count'   => 0,
+					'amounts' => array(),
+				)
+			);
+		}
+
+		$totals[ $key ]['count']++;
+		$previous                               = isset( $totals[ $key ]['amounts'][ $currency ] ) ? $totals[ $key ]['amounts'][ $currency ] : 0;
+		$totals[ $key ]['amounts'][ $currency ] = round( $previous + (float) $amount, 2 );
+
+		return $totals;
+	}
+
+	private function format_label( $label ) {
+		$order = wc_get_order( $label['order_id'] );
+
+		return array(
+			'label_id'      => (int) $label['label_id'],
+			'order_id'      => (int) $label['order_id'],
+			'order_number'  => $order ? $order->get_order_number() : (string) $label['order_id'],
+			'order_url'     => $order ? $order->get_edit_order_url() : null,
+			'created'       => $label['created'],
+			'carrier_id'    => $label['carrier_id'],
+			'service_name'  => $label['service_name'],
+			'package_name'  => isset( $label['package_name'] ) ? $label['package_name'] : '',
+			'rate'          => (float) $label['rate'],
+			'currency'      => ! empty( $label['currency'] ) ? $label['currency'] : get_woocommerce_currency(),
+			'refund_status' => $this->label_reports->get_refund_state( $label ),
+			'tracking'      => isset( $label['tracking'] ) ? $label['tracking'] : '',
+			'is_return'     => ! empty( $label['is_return'] ),
+		);
+	}
+
+}
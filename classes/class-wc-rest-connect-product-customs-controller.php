@@ -0,0 +1,122 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_REST_Connect_Product_Customs_Controller' ) ) {
+	return;
+}
+
+class WC_REST_Connect_Product_Customs_Controller extends WC_REST_Connect_Base_Controller {
+	protected $rest_base = 'connect/products/customs';
+
+	/**
+	 * How many products are listed at once in the bulk editor.
+	 */
+	const PER_PAGE = 50;
+
+	/**
+	 * Lists the shippable products and variations that don't have customs information yet.
+	 *
+	 * @param WP_REST_Request $request Request with an optional `page` (1-based).
+	 * @return array
+	 */
+	public function get( $request ) {
+		$page  = max( 1, absint( $request['page'] ) );
+		$query = new WP_Query(
+			array(
+				'post_type'      => array( 'product', 'product_variation' ),
+				'post_status'    => 'publish',
+				'fields'         => 'ids',
+				'orderby'        => 'ID',
+				'order'          => 'ASC',
+				'posts_per_page' => self::PER_PAGE,
+				'paged'          => $page,
+				// Products that aren't shipped are left out here rather than after the query, so every page is full
+				'meta_query'     => array(
+					array(
+						'key'     => 'wc_connect_customs_info',
+						'compare' => 'NOT EXISTS',
+					),
+					array(
+						'relation' => 'OR',
+						array(
+							'key'     => '_virtual',
+							'value'   => 'yes',
+							'compare' => '!=',
+						),
+						array(
+							'key'     => '_virtual',
+							'compare' => 'NOT EXISTS',
+						),
+					),
+				),
+				// Variable products aren't shipped themselves, their variations are. Variations have no product type.
+				'tax_query'      => array(
+					array(
+						'taxonomy' => 'product_type',
+						'field'    => 'slug',
+						'terms'    => array( 'variable' ),
+						'operator' => 'NOT IN',
+					),
+				),
+			)
+		);
+
+		$products = array();
+		foreach ( $query->posts as $product_id ) {
+			$product = wc_get_product( $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			$parent_product_id = $product->is_type( 'variation' ) ? $product->get_parent_id() : $product->get_id();
+			$categories        = wp_get_post_terms( $parent_product_id, 'product_cat', array( 'fields' => 'names' ) );
+			$products[]        = array(
+				'id'         => $product->get_id(),
+				'name'       => $product->is_type( 'variation' ) ? $product->get_name() . ' (' . wc_get_formatted_variation( $product, true ) . ')' : $product->get_name(),
+				'sku'        => $product->get_sku(),
+				'url'        => get_edit_post_link( $parent_product_id, null ),
+				'categories' => is_wp_error( $categories ) ? array() : $categories,
+			);
+		}
+
+		return array(
+			'success'  => true,
+			'products' => $products,
+			'page'     => $page,
+			'has_more' => $page < $query->max_num_pages,
+		);
+	}
+
+	/**
+	 * Stores the customs information of several products at once.
+	 *
+	 * @param WP_REST_Request $request Request with `products`, a map of product ID to
+	 *                                 `description`, `hs_tariff_number` and `origin_country`.
+	 * @return array|WP_Error
+	 */
+	public function post( $request ) {
+		$settings = $request->get_json_params();
+
+		if ( empty( $settings['products'] ) || ! is_array( $settings['products'] ) ) {
+			return new WP_Error( 'no_products', __( 'There is no customs information to save.', 'woocommerce-services' ), array( 'status' => 400 ) );
+		}
+
+		$saved_ids = array();
+		foreach ( $settings['products'] as $product_id => $customs_info ) {
+			if ( ! wc_get_product( $product_id ) ) {
+				continue;
+			}
+			$this->settings_store->update_product_customs_info( $product_id, (array) $customs_info );
+			$saved_ids[] = (int) $product_id;
+		}
+
+		return array(
+			'success'     => true,
+			'product_ids' => $saved_ids,
+		);
+	}
+
+}
@@ -0,0 +1,46 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_REST_Connect_Shipment_Notification_Controller' ) ) {
+	return;
+}
+
+class WC_REST_Connect_Shipment_Notification_Controller extends WC_REST_Connect_Base_Controller {
+
+	protected $rest_base = 'connect/label/(?P<order_id>\d+)/notify';
+
+	/**
+	 * Emails the shipment notification to the customer of the order, and keeps a copy in a private order note.
+	 *
+	 * @param WP_REST_Request $request Request with the `message` to send.
+	 * @return array|WP_Error
+	 */
+	public function post( $request ) {
+		$settings = $request->get_json_params();
+		$order_id = (int) $request['order_id'];
+		$order    = wc_get_order( $order_id );
+		$message  = isset( $settings['message'] ) ? trim( $settings['message'] ) : '';
+
+		if ( ! $order || empty( $message ) ) {
+			return new WP_Error( 'invalid_notification', __( 'The shipment notification has nothing to send.', 'woocommerce-services' ), array( 'status' => 400 ) );
+		}
+
+		$emails = WC()->mailer()->get_emails();
+		$email  = isset( $emails['WC_Connect_Shipment_Notification_Email'] ) ? $emails['WC_Connect_Shipment_Notification_Email'] : null;
+
+		if ( ! $email || ! $email->trigger( $order_id, $message ) ) {
+			$error_message = __( 'The shipment notification email could not be sent. Check that it is enabled in the WooCommerce email settings.', 'woocommerce-services' );
+			$error         = new WP_Error( 'notification_not_sent', $error_message, array( 'message' => $error_message ) );
+			$this->logger->log( $error, __CLASS__ );
+			return $error;
+		}
+
+		/* translators: %s: the message emailed to the customer */
+		$order->add_order_note( sprintf( __( 'Shipment notification emailed to the customer: %s', 'woocommerce-services' ), $message ) );
+
+		return array( 'success' => true );
+	}
+}
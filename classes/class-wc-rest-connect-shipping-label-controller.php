@@ -68,9 +68,14 @@ class WC_REST_Connect_Shipping_Label_Controller extends WC_REST_Connect_Base_Con
 		$last_service_id = '';
 		$last_carrier_id = '';
 		$service_names   = array();
+		$deliveries      = array();
 		foreach ( $settings['packages'] as $index => $package ) {
 			$service_names[] = $package['service_name'];
-			unset( $package['service_name'] );
+			$deliveries[]    = array(
+				'delivery_date' => isset( $package['delivery_date'] ) ? $package['delivery_date'] : null,
+				'delivery_days' => isset( $package['delivery_days'] ) ? $package['delivery_days'] : null,
+			);
+			unset( $package['service_name'], $package['delivery_date'], $package['delivery_days'] );
 			$settings['packages'][ $index ] = $package;
 
 			if ( empty( $last_box_id ) && ! empty( $package['box_id'] ) ) {
@@ -149,6 +154,32 @@ class WC_REST_Connect_Shipping_Label_Controller extends WC_REST_Connect_Base_Con
 
 			$label_meta['is_letter'] = isset( $package['is_letter'] ) ? $package['is_letter'] : false;
 
+			// The shipment notification tells customers when to expect the package.
+			if ( ! empty( $deliveries[ $index ]['delivery_date'] ) ) {
+				$label_meta['delivery_date'] = sanitize_text_field( $deliveries[ $index ]['delivery_date'] );
+			}
+			if ( ! empty( $deliveries[ $index ]['delivery_days'] ) ) {
+				$label_meta['delivery_days'] = absint( $deliveries[ $index ]['delivery_days'] );
+			}
+
+			// Keep the package so a return label can be created with the same one.
+			foreach ( array( 'box_id', 'length', 'width', 'height', 'weight' ) as $package_field ) {
+				if ( isset( $package[ $package_field ] ) ) {
+					$label_meta[ $package_field ] = $package[ $package_field ];
+				}
+			}
+
+			// Manifests group the labels by the address they're shipped from.
+			if ( ! empty( $settings['origin'] ) ) {
+				$label_meta['origin'] = $settings['origin'];
+			}
+
+			if ( ! empty( $settings['is_return'] ) ) {
+				$label_meta['is_return']         = true;
+				$label_meta['original_label_id'] = isset( $settings['original_label_id'] ) ? absint( $settings['original_label_id'] ) : 0;
+				$label_meta['pay_on_scan']       = ! empty( $settings['pay_on_scan'] );
+			}
+
 			$product_names = array();
 			$product_ids   = array();
 			foreach ( $package['products'] as $product_id ) {
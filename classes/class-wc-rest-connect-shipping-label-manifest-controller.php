@@ -0,0 +1,212 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_REST_Connect_Shipping_Label_Manifest_Controller' ) ) {
+	return;
+}
+
+class WC_REST_Connect_Shipping_Label_Manifest_Controller extends WC_REST_Connect_Base_Controller {
+	protected $rest_base = 'connect/label/manifest';
+
+	/**
+	 * Lists the labels that aren't in a manifest yet, grouped by carrier and origin address. Only the labels
+	 * bought since the last manifest of their group are listed, or the ones bought today for a group without
+	 * manifests.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return array
+	 */
+	public function get( $request ) {
+		$store_origin   = $this->settings_store->get_origin_address();
+		$today          = $this->get_start_of_today();
+		$manifest_dates = WC_Connect_Options::get_option( 'last_manifest_dates', array() );
+		$groups         = array();
+
+		// Labels are stored with their order, so an order with a label bought since a date was modified since then
+		$modified_since = min( array_merge( array( $today ), array_values( $manifest_dates ) ) );
+
+		foreach ( $this->settings_store->get_all_orders_labels( $modified_since ) as $label ) {
+			// Labels bought before the origin was stored with them were shipped from the store address.
+			$origin = ! empty( $label['origin'] ) ? (array) $label['origin'] : $store_origin;
+			$key    = $this->get_group_key( $label['carrier_id'], $origin );
+
+			$since = isset( $manifest_dates[ $key ] ) ? $manifest_dates[ $key ] : $today;
+			if ( ! $this->can_be_manifested( $label, $since ) ) {
+				continue;
+			}
+
+			if ( ! isset( $groups[ $key ] ) ) {
+				$groups[ $key ] = array(
+					'key'        => $key,
+					'carrier_id' => $label['carrier_id'],
+					'origin'     => $origin,
+					'labels'     => array(),
+				);
+			}
+
+			$groups[ $key ]['labels'][] = array(
+				'order_id'     => $label['order_id'],
+				'label_id'     => (int) $label['label_id'],
+				'service_name' => $label['service_name'],
+				'tracking'     => $label['tracking'],
+				'created'      => $label['created'],
+			);
+		}
+
+		return array(
+			'success' => true,
+			'groups'  => array_values( $groups ),
+		);
+	}
+
+	/**
+	 * Creates the manifest for a group of labels and returns its PDF. The labels are only marked as manifested
+	 * once the PDF is fetched, so a manifest that can't be printed leaves them in the list.
+	 *
+	 * @param WP_REST_Request $request Request with `carrier_id`, `origin` and `labels` (list of `order_id` and `label_id`).
+	 * @return array|WP_Error
+	 */
+	public function post( $request ) {
+		$settings = $request->get_json_params();
+
+		if ( empty( $settings['labels'] ) ) {
+			return new WP_Error( 'no_labels', __( 'There are no labels to add to the manifest.', 'woocommerce-services' ), array( 'status' => 400 ) );
+		}
+
+		foreach ( $settings['labels'] as $label ) {
+			if ( ! $this->is_order_label_manifestable( $label, $settings['carrier_id'] ) ) {
+				$error = new WP_Error(
+					'label_not_manifestable',
+					sprintf(
+						/* translators: %d: ID of the label */
+						__( 'Label %d can\'t be added to the manifest. Only labels of the order and the carrier that weren\'t refunded or already manifested can be.', 'woocommerce-services' ),
+						isset( $label['label_id'] ) ? (int) $label['label_id'] : 0
+					),
+					array( 'status' => 400 )
+				);
+				$this->logger->log( $error, __CLASS__ );
+				return $error;
+			}
+		}
+
+		$response = $this->api_client->create_manifest(
+			array(
+				'carrier_id' => $settings['carrier_id'],
+				'origin'     => $settings['origin'],
+				'label_ids'  => wp_list_pluck( $settings['labels'], 'label_id' ),
+			)
+		);
+
+		if ( isset( $response->error ) ) {
+			$response = new WP_Error(
+				property_exists( $response->error, 'code' ) ? $response->error->code : 'manifest_error',
+				property_exists( $response->error, 'message' ) ? $response->error->message : ''
+			);
+		}
+
+		if ( is_wp_error( $response ) ) {
+			$response->add_data(
+				array(
+					'message' => $response->get_error_message(),
+				),
+				$response->get_error_code()
+			);
+
+			$this->logger->log( $response, __CLASS__ );
+			return $response;
+		}
+
+		$manifest = array(
+			'id'      => $response->manifest->id,
+			'created' => $response->manifest->created,
+		);
+
+		$raw_response = $this->api_client->get_manifest_pdf( $manifest['id'] );
+
+		if ( is_wp_error( $raw_response ) ) {
+			$this->logger->log( $raw_response, __CLASS__ );
+			return $raw_response;
+		}
+
+		// The next manifest of the group starts with the labels bought after the newest one of this manifest
+		$last_label_date = 0;
+		foreach ( $settings['labels'] as $label ) {
+			$label_manifest  = (object) array(
+				'label_id' => (int) $label['label_id'],
+				'manifest' => $manifest,
+			);
+			$updated_label   = (array) $this->settings_store->update_label_order_meta_data( (int) $label['order_id'], $label_manifest );
+			$last_label_date = max( $last_label_date, isset( $updated_label['created'] ) ? (int) floor( $updated_label['created'] / 1000 ) : 0 );
+		}
+
+		$manifest_dates = WC_Connect_Options::get_option( 'last_manifest_dates', array() );
+		$manifest_dates[ $this->get_group_key( $settings['carrier_id'], (array) $settings['origin'] ) ] = $last_label_date ? $last_label_date : time();
+		WC_Connect_Options::update_option( 'last_manifest_dates', $manifest_dates );
+
+		return array(
+			'success'    => true,
+			'manifest'   => $manifest,
+			'mimeType'   => $raw_response['headers']['content-type'],
+			'b64Content' => base64_encode( $raw_response['body'] ),
+		);
+	}
+
+	private function can_be_manifested( $label, $since ) {
+		if ( empty( $label['tracking'] ) || ! empty( $label['manifest'] ) || ! empty( $label['is_return'] ) ) {
+			return false;
+		}
+
+		if ( ! isset( $label['created'] ) || $label['created'] < $since * 1000 ) {
+			return false;
+		}
+
+		if ( ! empty( $label['refund'] ) ) {
+			$refund = (array) $label['refund'];
+			return in_array( $refund['status'], array( 'rejected', 'unknown' ), true );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Checks a label sent to create a manifest against the labels stored in its order.
+	 *
+	 * @param array  $label      Label with its `order_id` and `label_id`.
+	 * @param string $carrier_id Carrier of the manifest.
+	 * @return bool
+	 */
+	private function is_order_label_manifestable( $label, $carrier_id ) {
+		if ( ! is_array( $label ) || empty( $label['order_id'] ) || empty( $label['label_id'] ) ) {
+			return false;
+		}
+
+		foreach ( $this->settings_store->get_label_order_meta_data( (int) $label['order_id'] ) as $order_label ) {
+			if ( (int) $order_label['label_id'] === (int) $label['label_id'] ) {
+				return $carrier_id === $order_label['carrier_id'] && $this->can_be_manifested( $order_label, 0 );
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * @return int UNIX timestamp of the last midnight in the store timezone
+	 */
+	private function get_start_of_today() {
+		$local_time = current_time( 'timestamp' );
+		return $local_time - ( $local_time % DAY_IN_SECONDS ) - ( $local_time - time() );
+	}
+
+	private function get_group_key( $carrier_id, $origin ) {
+		return $carrier_id . '-' . md5( wp_json_encode( $this->get_address_lines( $origin ) ) );
+	}
+
+	private function get_address_lines( $address ) {
+		$fields = array( 'address', 'address_2', 'city', 'state', 'postcode', 'country' );
+		return array_map( 'strtoupper', array_map( 'trim', wp_array_slice_assoc( $address, $fields ) ) );
+	}
+
+}
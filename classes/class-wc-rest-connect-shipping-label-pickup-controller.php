@@ -0,0 +1,248 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_REST_Connect_Shipping_Label_Pickup_Controller' ) ) {
+	return;
+}
+
+class WC_REST_Connect_Shipping_Label_Pickup_Controller extends WC_REST_Connect_Base_Controller {
+	// Carriers only pick up packages whose labels were bought recently
+	const MAX_LABEL_AGE_IN_DAYS = 7;
+
+	// Carriers whose pickups can be scheduled through the connection server
+	const PICKUP_CARRIERS = array( 'usps', 'fedex', 'ups', 'dhlexpress' );
+
+	protected $rest_base = 'connect/label/pickup';
+
+	public function register_routes() {
+		parent::register_routes();
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/cancel',
+			array(
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'cancel' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Lists the purchased labels, across every order, that can be added to a pickup for the given carrier.
+	 *
+	 * @param WP_REST_Request $request Request with a `carrier_id` parameter.
+	 * @return array
+	 */
+	public function get( $request ) {
+		$carrier_id = $request['carrier_id'];
+		$labels     = array();
+
+		// Buying a label saves its order, so the orders left untouched since then can't hold an eligible label
+		$since = time() - self::MAX_LABEL_AGE_IN_DAYS * DAY_IN_SECONDS;
+		foreach ( $this->settings_store->get_all_orders_labels( $since ) as $label ) {
+			if ( ! $this->is_label_eligible( $label, $carrier_id ) ) {
+				continue;
+			}
+
+			$labels[] = array(
+				'order_id'     => $label['order_id'],
+				'label_id'     => (int) $label['label_id'],
+				'service_name' => $label['service_name'],
+				'tracking'     => $label['tracking'],
+				'created'      => $label['created'],
+			);
+		}
+
+		return array(
+			'success' => true,
+			'labels'  => $labels,
+		);
+	}
+
+	/**
+	 * Schedules a carrier pickup for the given labels and stores the confirmation in each label's meta.
+	 *
+	 * @param WP_REST_Request $request Request with `carrier_id`, `labels` (list of `order_id` and `label_id`),
+	 *                                 the pickup window and the pickup location.
+	 * @return array|WP_Error
+	 */
+	public function post( $request ) {
+		$settings = $request->get_json_params();
+
+		if ( empty( $settings['labels'] ) || ! is_array( $settings['labels'] ) ) {
+			return new WP_Error( 'no_labels', __( 'Select at least one label to schedule a pickup.', 'woocommerce-services' ), array( 'status' => 400 ) );
+		}
+
+		if ( ! in_array( $settings['carrier_id'], self::PICKUP_CARRIERS, true ) ) {
+			$error = new WP_Error(
+				'pickup_not_supported',
+				__( 'Pickups can\'t be scheduled for this carrier.', 'woocommerce-services' ),
+				array( 'status' => 400 )
+			);
+			$this->logger->log( $error, __CLASS__ );
+			return $error;
+		}
+
+		foreach ( $settings['labels'] as $label ) {
+			if ( ! $this->is_order_label_eligible( $label, $settings['carrier_id'] ) ) {
+				$error = new WP_Error(
+					'label_not_eligible',
+					sprintf(
+						/* translators: %d: ID of the label */
+						__( 'Label %d can\'t be added to the pickup. Only recent labels of the order that weren\'t refunded or already picked up can be.', 'woocommerce-services' ),
+						isset( $label['label_id'] ) ? (int) $label['label_id'] : 0
+					),
+					array( 'status' => 400 )
+				);
+				$this->logger->log( $error, __CLASS__ );
+				return $error;
+			}
+		}
+
+		$body = array(
+			'carrier_id'   => $settings['carrier_id'],
+			'label_ids'    => wp_list_pluck( $settings['labels'], 'label_id' ),
+			'pickup_date'  => $settings['pickup_date'],
+			'ready_time'   => $settings['ready_time'],
+			'close_time'   => $settings['close_time'],
+			'address'      => $settings['address'],
+			'location'     => $settings['location'],
+			'instructions' => $settings['instructions'],
+		);
+		$response = $this->api_client->schedule_pickup( $body );
+
+		if ( isset( $response->error ) ) {
+			$response = new WP_Error(
+				property_exists( $response->error, 'code' ) ? $response->error->code : 'pickup_error',
+				property_exists( $response->error, 'message' ) ? $response->error->message : ''
+			);
+		}
+
+		if ( is_wp_error( $response ) ) {
+			$response->add_data(
+				array(
+					'message' => $response->get_error_message(),
+				),
+				$response->get_error_code()
+			);
+
+			$this->logger->log( $response, __CLASS__ );
+			return $response;
+		}
+
+		$pickup = array(
+			'confirmation_number' => $response->pickup->confirmation_number,
+			'carrier_id'          => $settings['carrier_id'],
+			'pickup_date'         => $settings['pickup_date'],
+			'ready_time'          => $settings['ready_time'],
+			'close_time'          => $settings['close_time'],
+			'labels'              => $settings['labels'],
+		);
+		$this->update_labels_pickup( $settings['labels'], $pickup );
+
+		return array(
+			'success' => true,
+			'pickup'  => $pickup,
+		);
+	}
+
+	/**
+	 * Cancels a scheduled pickup and removes it from the meta of the labels it included.
+	 *
+	 * @param WP_REST_Request $request Request with `carrier_id`, `confirmation_number` and `labels`.
+	 * @return array|WP_Error
+	 */
+	public function cancel( $request ) {
+		$settings = $request->get_json_params();
+
+		if ( empty( $settings['labels'] ) || ! is_array( $settings['labels'] ) ) {
+			return new WP_Error( 'no_labels', __( 'The pickup to cancel has no labels.', 'woocommerce-services' ), array( 'status' => 400 ) );
+		}
+
+		$response = $this->api_client->cancel_pickup( $settings['carrier_id'], $settings['confirmation_number'] );
+
+		if ( isset( $response->error ) ) {
+			$response = new WP_Error(
+				property_exists( $response->error, 'code' ) ? $response->error->code : 'pickup_cancel_error',
+				property_exists( $response->error, 'message' ) ? $response->error->message : ''
+			);
+		}
+
+		if ( is_wp_error( $response ) ) {
+			$response->add_data(
+				array(
+					'message' => $response->get_error_message(),
+				),
+				$response->get_error_code()
+			);
+
+			$this->logger->log( $response, __CLASS__ );
+			return $response;
+		}
+
+		$this->update_labels_pickup( $settings['labels'], null );
+
+		return array(
+			'success' => true,
+		);
+	}
+
+	private function is_label_eligible( $label, $carrier_id ) {
+		if ( empty( $label['tracking'] ) || $carrier_id !== $label['carrier_id'] ) {
+			return false;
+		}
+
+		if ( ! empty( $label['is_return'] ) || ! empty( $label['pickup'] ) ) {
+			return false;
+		}
+
+		// Only a rejected refund leaves the label usable, a refund whose status is unknown may still go through
+		if ( ! empty( $label['refund'] ) ) {
+			$refund = (array) $label['refund'];
+			if ( 'rejected' !== $refund['status'] ) {
+				return false;
+			}
+		}
+
+		$min_date = ( time() - self::MAX_LABEL_AGE_IN_DAYS * DAY_IN_SECONDS ) * 1000;
+		return isset( $label['created'] ) && $label['created'] >= $min_date;
+	}
+
+	/**
+	 * Checks a label sent to schedule a pickup against the labels stored in its order.
+	 *
+	 * @param array  $label      Label with its `order_id` and `label_id`.
+	 * @param string $carrier_id Carrier of the pickup.
+	 * @return bool
+	 */
+	private function is_order_label_eligible( $label, $carrier_id ) {
+		if ( ! is_array( $label ) || empty( $label['order_id'] ) || empty( $label['label_id'] ) ) {
+			return false;
+		}
+
+		foreach ( $this->settings_store->get_label_order_meta_data( (int) $label['order_id'] ) as $order_label ) {
+			if ( (int) $order_label['label_id'] === (int) $label['label_id'] ) {
+				return $this->is_label_eligible( $order_label, $carrier_id );
+			}
+		}
+
+		return false;
+	}
+
+	private function update_labels_pickup( $labels, $pickup ) {
+		foreach ( $labels as $label ) {
+			$label_pickup = (object) array(
+				'label_id' => (int) $label['label_id'],
+				'pickup'   => $pickup,
+			);
+			$this->settings_store->update_label_order_meta_data( (int) $label['order_id'], $label_pickup );
+		}
+	}
+
+}
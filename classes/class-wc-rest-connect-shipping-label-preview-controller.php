@@ -13,10 +13,12 @@ class WC_REST_Connect_Shipping_Label_Preview_Controller extends WC_REST_Connect_
 
 	public function get( $request ) {
 		$raw_params = $request->get_params();
-		$params     = array();
+		$params     = $this->settings_store->get_label_print_params( $raw_params, false );
 
-		$params['paper_size'] = $raw_params['paper_size'];
-		$this->settings_store->set_preferred_paper_size( $params['paper_size'] );
+		if ( is_wp_error( $params ) ) {
+			$this->logger->log( $params, __CLASS__ );
+			return $params;
+		}
 		$params['carrier'] = 'usps';
 		$params['labels']  = array();
 		$captions          = empty( $raw_params['caption_csv'] ) ? array() : explode( ',', $raw_params['caption_csv'] );
@@ -32,6 +34,14 @@ class WC_REST_Connect_Shipping_Label_Preview_Controller extends WC_REST_Connect_
 			return $raw_response;
 		}
 
+		if ( isset( $raw_params['json'] ) && $raw_params['json'] ) {
+			return array(
+				'mimeType'   => $raw_response['headers']['content-type'],
+				'b64Content' => base64_encode( $raw_response['body'] ),
+				'success'    => true,
+			);
+		}
+
 		header( 'content-type: ' . $raw_response['headers']['content-type'] );
 		echo $raw_response['body']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
 		die();
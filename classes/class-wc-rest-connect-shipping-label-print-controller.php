@@ -13,10 +13,12 @@ class WC_REST_Connect_Shipping_Label_Print_Controller extends WC_REST_Connect_Ba
 
 	public function get( $request ) {
 		$raw_params = $request->get_params();
-		$params     = array();
+		$params     = $this->settings_store->get_label_print_params( $raw_params );
 
-		$params['paper_size'] = $raw_params['paper_size'];
-		$this->settings_store->set_preferred_paper_size( $params['paper_size'] );
+		if ( is_wp_error( $params ) ) {
+			$this->logger->log( $params, __CLASS__ );
+			return $params;
+		}
 
 		$label_ids   = ! empty( $raw_params['label_id_csv'] ) ? explode( ',', $raw_params['label_id_csv'] ) : array();
 		$n_label_ids = count( $label_ids );
@@ -0,0 +1,63 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( class_exists( 'WC_REST_Connect_Shipping_Label_Tracking_Controller' ) ) {
+	return;
+}
+
+class WC_REST_Connect_Shipping_Label_Tracking_Controller extends WC_REST_Connect_Base_Controller {
+	protected $rest_base = 'connect/label/(?P<order_id>\d+)/(?P<label_id>\d+)/tracking';
+
+	/**
+	 * @var WC_Connect_Delivery_Automation
+	 */
+	protected $delivery_automation;
+
+	public function __construct( WC_Connect_API_Client $api_client, WC_Connect_Service_Settings_Store $settings_store, WC_Connect_Logger $logger, WC_Connect_Delivery_Automation $delivery_automation ) {
+		parent::__construct( $api_client, $settings_store, $logger );
+		$this->delivery_automation = $delivery_automation;
+	}
+
+	/**
+	 * Gets the tracking timeline of a label, and keeps its latest status in the label so the activity log can show it.
+	 *
+	 * @param WP_REST_Request $request Request with the `order_id` and the `label_id`.
+	 * @return array|WP_Error
+	 */
+	public function get( $request ) {
+		$label_id = (int) $request['label_id'];
+		$label    = null;
+		foreach ( $this->settings_store->get_label_order_meta_data( $request['order_id'] ) as $label_data ) {
+			if ( $label_id === (int) $label_data['label_id'] ) {
+				$label = $label_data;
+			}
+		}
+		if ( ! $label || empty( $label['tracking'] ) ) {
+			return new WP_Error( 'no_tracking', __( 'This label has no tracking number.', 'woocommerce-services' ), array( 'status' => 404 ) );
+		}
+
+		$tracking = get_transient( WC_Connect_Delivery_Automation::get_tracking_cache_key( $label_id ) );
+		if ( false === $tracking ) {
+			$tracking = $this->delivery_automation->refresh_label_tracking( $request['order_id'], $label );
+			if ( is_wp_error( $tracking ) ) {
+				return $tracking;
+			}
+		}
+
+		return array(
+			'success'  => true,
+			'tracking' => array_merge(
+				$tracking,
+				array(
+					'label_id'   => $label_id,
+					'carrier_id' => $label['carrier_id'],
+					'tracking'   => $label['tracking'],
+				)
+			),
+		);
+	}
+
+}
@@ -42,30 +42,36 @@ class WC_REST_Connect_Shipping_Rates_Controller extends WC_REST_Connect_Base_Con
 		$payload['payment_method_id'] = $this->settings_store->get_selected_payment_method_id();
 		$order_id                     = $request['order_id'];
 
+		// The products whose customs information the merchant asked to remember are only meant for this store.
+		$save_customs_product_ids = empty( $payload['save_customs_product_ids'] ) ? array() : array_map( 'intval', (array) $payload['save_customs_product_ids'] );
+		unset( $payload['save_customs_product_ids'] );
+
+		// The origin picked from the address book is only used for this order, it's not the store address.
+		$is_saved_origin = ! empty( $payload['origin_id'] );
+		unset( $payload['origin_id'] );
+
 		// This is the earliest point in the printing label flow where we are sure that
-		// the merchant wants to ship from this exact address (normalized or otherwise)
-		$this->settings_store->update_origin_address( $payload['origin'] );
-		$this->settings_store->update_destination_address( $order_id, $payload['destination'] );
+		// the merchant wants to ship from this exact address (normalized or otherwise).
+		// Return labels have the addresses swapped, so they must not overwrite the stored ones.
+		if ( empty( $payload['is_return'] ) ) {
+			if ( ! $is_saved_origin ) {
+				$this->settings_store->update_origin_address( $payload['origin'] );
+			}
+			$this->settings_store->update_destination_address( $order_id, $payload['destination'] );
+		}
 
-		// Update the customs information on all this order's products
-		$updated_product_ids = array();
-		foreach ( $payload['packages'] as $package_id => $package ) {
+		// Remember the customs information of the products the merchant asked for
+		foreach ( $payload['packages'] as $package ) {
 			if ( ! $this->has_customs_data( $package ) ) {
 				break;
 			}
-			foreach ( $package['items'] as $index => $item ) {
-				if ( ! isset( $updated_product_ids[ $item['product_id'] ] ) ) {
-					$updated_product_ids[ $item['product_id'] ] = true;
-					update_post_meta(
-						$item['product_id'],
-						'wc_connect_customs_info',
-						array(
-							'description'      => $item['description'],
-							'hs_tariff_number' => $item['hs_tariff_number'],
-							'origin_country'   => $item['origin_country'],
-						)
-					);
+			foreach ( $package['items'] as $item ) {
+				$index = array_search( (int) $item['product_id'], $save_customs_product_ids, true );
+				if ( false === $index ) {
+					continue;
 				}
+				unset( $save_customs_product_ids[ $index ] );
+				$this->settings_store->update_product_customs_info( $item['product_id'], $item );
 			}
 		}
 
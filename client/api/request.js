@@ -49,7 +49,8 @@ const _request = ( url, data, method, namespace = '' ) => {
 				return;
 			}
 
-			throw json;
+			// Keep the HTTP status, so callers can tell server failures from rejected requests
+			throw { status: response.status, ...json };
 		} );
 	} );
 };
@@ -0,0 +1,124 @@
+/**
+ * External dependencies
+ */
+import React from 'react';
+
+/**
+ * Internal dependencies
+ */
+import ViewWrapper from './view-wrapper';
+// from calypso
+import notices from 'state/notices/reducer';
+import reducer from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/reducer';
+import bulkLabelReducer from '../../extensions/woocommerce/woocommerce-services/state/bulk-label/reducer';
+import packagesReducer from '../../extensions/woocommerce/woocommerce-services/state/packages/reducer';
+import labelSettingsReducer from '../../extensions/woocommerce/woocommerce-services/state/label-settings/reducer';
+import locationsReducer from '../../extensions/woocommerce/state/sites/data/locations/reducer';
+import { combineReducers } from 'state/utils';
+import initializeLabelsState from 'woocommerce/woocommerce-services/lib/initialize-labels-state';
+import {
+	fetchBulkRates,
+	initBulkLabels,
+} from '../../extensions/woocommerce/woocommerce-services/state/bulk-label/actions';
+
+export default ( { orders, accountSettings, packagesSettings, continents, paperSize } ) => {
+	const orderIds = orders.map( ( { order } ) => order.id );
+
+	return {
+		getReducer() {
+			return combineReducers( {
+				extensions: combineReducers( {
+					woocommerce: combineReducers( {
+						woocommerceServices: combineReducers( {
+							1: combineReducers( {
+								shippingLabel: reducer,
+								bulkLabel: bulkLabelReducer,
+								packages: packagesReducer,
+								labelSettings: labelSettingsReducer,
+							} ),
+						} ),
+						sites: combineReducers( {
+							1: combineReducers( {
+								data: combineReducers( {
+									locations: locationsReducer,
+								} ),
+							} ),
+						} ),
+					} ),
+				} ),
+				notices,
+				ui: () => ( {
+					selectedSiteId: 1,
+				} ),
+			} );
+		},
+
+		getInitialState() {
+			const { storeOptions, formMeta, userMeta, formData } = accountSettings;
+			const shippingLabel = {};
+			orders.forEach( ( { order, shippingLabelData } ) => {
+				shippingLabel[ order.id ] = initializeLabelsState( shippingLabelData );
+			} );
+
+			return {
+				extensions: {
+					woocommerce: {
+						woocommerceServices: {
+							1: {
+								shippingLabel,
+								labelSettings: {
+									storeOptions,
+									meta: {
+										...formMeta,
+										pristine: true,
+										isLoaded: true,
+										user: userMeta,
+									},
+									data: {
+										...formData,
+									},
+								},
+								packages: {
+									modalErrors: {},
+									pristine: true,
+									packages: packagesSettings.formData,
+									dimensionUnit: packagesSettings.storeOptions.dimension_unit,
+									weightUnit: packagesSettings.storeOptions.weight_unit,
+									packageSchema: packagesSettings.formSchema.custom
+										? packagesSettings.formSchema.custom.items
+										: undefined,
+									predefinedSchema: packagesSettings.formSchema.predefined,
+									packageData: {
+										is_user_defined: true,
+									},
+									isLoaded: true,
+								},
+							},
+						},
+						sites: {
+							1: {
+								data: {
+									locations: continents,
+								},
+							},
+						},
+					},
+				},
+			};
+		},
+
+		getInitialActions() {
+			return [ initBulkLabels( 1, orderIds, paperSize ), fetchBulkRates( 1 ) ];
+		},
+
+		getStateForPersisting() {
+			return null; //do not persist any state for labels
+		},
+
+		getStateKey() {
+			return 'wcs-bulk-labels';
+		},
+
+		View: () => <ViewWrapper />,
+	};
+};
@@ -0,0 +1,25 @@
+/**
+ * External dependencies
+ */
+import React from 'react';
+import { connect } from 'react-redux';
+
+/**
+ * Internal dependencies
+ */
+// from calypso
+import GlobalNotices from 'components/global-notices';
+import notices from 'notices';
+import { getSelectedSiteId } from 'state/ui/selectors';
+import BulkLabelPurchase from '../../extensions/woocommerce/woocommerce-services/views/bulk-label-purchase';
+
+const BulkLabelViewWrapper = ( { siteId } ) => (
+	<div>
+		<GlobalNotices id="notices" notices={ notices.list } />
+		<BulkLabelPurchase siteId={ siteId } />
+	</div>
+);
+
+export default connect( state => ( {
+	siteId: getSelectedSiteId( state ),
+} ) )( BulkLabelViewWrapper );
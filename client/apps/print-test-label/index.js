@@ -10,7 +10,7 @@ import './style.scss';
 import PrintTestLabelView from './view';
 import reducer from './state/reducer';
 
-export default ( { paperSize, storeOptions } ) => ( {
+export default ( { paperSize, labelFormat, printAgentUrl, storeOptions } ) => ( {
 	getReducer() {
 		return reducer;
 	},
@@ -18,6 +18,8 @@ export default ( { paperSize, storeOptions } ) => ( {
 	getInitialState() {
 		return {
 			paperSize,
+			labelFormat: labelFormat || 'pdf',
+			printAgentUrl: printAgentUrl || '',
 			country: storeOptions.origin_country,
 		};
 	},
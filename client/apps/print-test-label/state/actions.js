@@ -6,10 +6,14 @@ import { translate as __ } from 'i18n-calypso';
 /**
  * Internal dependencies
  */
-import { getPreviewURL } from 'lib/pdf-label-utils';
+import * as api from 'api';
+import { getPreviewURL, getRawPreviewPath } from 'lib/pdf-label-utils';
 import printDocument from 'lib/utils/print-document';
+import sendToPrintAgent from 'woocommerce/woocommerce-services/lib/utils/print-agent';
 
 export const UPDATE_PAPER_SIZE = 'UPDATE_PAPER_SIZE';
+export const UPDATE_LABEL_FORMAT = 'UPDATE_LABEL_FORMAT';
+export const UPDATE_PRINT_AGENT_URL = 'UPDATE_PRINT_AGENT_URL';
 export const PRINTING_IN_PROGRESS = 'PRINTING_IN_PROGRESS';
 export const PRINTING_ERROR = 'PRINTING_ERROR';
 
@@ -17,18 +21,31 @@ export const updatePaperSize = ( paperSize ) => {
 	return { type: UPDATE_PAPER_SIZE, paperSize };
 };
 
+export const updateLabelFormat = ( labelFormat ) => {
+	return { type: UPDATE_LABEL_FORMAT, labelFormat };
+};
+
+export const updatePrintAgentUrl = ( printAgentUrl ) => {
+	return { type: UPDATE_PRINT_AGENT_URL, printAgentUrl };
+};
+
 export const print = () => ( dispatch, getState ) => {
 	dispatch( { type: PRINTING_IN_PROGRESS, inProgress: true } );
-	const { paperSize } = getState();
+	const { paperSize, labelFormat, printAgentUrl } = getState();
 
 	const labelData = [
 		{ caption: __( 'TEST LABEL 1' ) },
 	];
-	if ( 'label' !== paperSize ) {
+	if ( 'pdf' === labelFormat && 'label' !== paperSize ) {
 		labelData.push( { caption: __( 'TEST LABEL 2' ) } );
 	}
 
-	printDocument( getPreviewURL( paperSize, labelData ) )
+	const printPromise = 'pdf' === labelFormat
+		? printDocument( getPreviewURL( paperSize, labelData ) )
+		: api.get( getRawPreviewPath( labelFormat, labelData ) )
+			.then( ( fileData ) => sendToPrintAgent( printAgentUrl, fileData ) );
+
+	printPromise
 		.then( () => {
 			dispatch( { type: PRINTING_IN_PROGRESS, inProgress: false } );
 		} )
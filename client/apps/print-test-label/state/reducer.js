@@ -1,7 +1,13 @@
 /**
  * Internal dependencies
  */
-import { UPDATE_PAPER_SIZE, PRINTING_IN_PROGRESS, PRINTING_ERROR } from './actions';
+import {
+	UPDATE_PAPER_SIZE,
+	UPDATE_LABEL_FORMAT,
+	UPDATE_PRINT_AGENT_URL,
+	PRINTING_IN_PROGRESS,
+	PRINTING_ERROR,
+} from './actions';
 
 const reducers = {};
 
@@ -9,6 +15,14 @@ reducers[ UPDATE_PAPER_SIZE ] = ( state, { paperSize } ) => {
 	return { ...state, paperSize };
 };
 
+reducers[ UPDATE_LABEL_FORMAT ] = ( state, { labelFormat } ) => {
+	return { ...state, labelFormat };
+};
+
+reducers[ UPDATE_PRINT_AGENT_URL ] = ( state, { printAgentUrl } ) => {
+	return { ...state, printAgentUrl };
+};
+
 reducers[ PRINTING_IN_PROGRESS ] = ( state, { inProgress } ) => {
 	const newState = { ...state,
 		printingInProgress: inProgress,
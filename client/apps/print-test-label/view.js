@@ -6,11 +6,12 @@ import PropTypes from 'prop-types';
 import { translate as __ } from 'i18n-calypso';
 import { bindActionCreators } from 'redux';
 import { connect } from 'react-redux';
+import { TextControl } from '@wordpress/components';
 
 /**
  * Internal dependencies
  */
-import { getPaperSizes } from 'lib/pdf-label-utils';
+import { getLabelFormats, getPaperSizes } from 'lib/pdf-label-utils';
 import * as PrintTestLabelActions from './state/actions';
 import ErrorNotice from 'components/error-notice';
 import FormButton from 'wcs-client/components/forms/form-button';
@@ -22,37 +23,78 @@ import SettingsGroupCard from 'woocommerce/woocommerce-services/components/setti
 class PrintTestLabelView extends Component {
 	static propTypes = {
 		paperSize: PropTypes.string.isRequired,
+		labelFormat: PropTypes.string.isRequired,
+		printAgentUrl: PropTypes.string,
 		country: PropTypes.string.isRequired,
 		printingInProgress: PropTypes.bool,
 		error: PropTypes.string,
 		updatePaperSize: PropTypes.func.isRequired,
+		updateLabelFormat: PropTypes.func.isRequired,
+		updatePrintAgentUrl: PropTypes.func.isRequired,
 		print: PropTypes.func.isRequired,
 	};
 
 	onPaperSizeChange = ( event ) => this.props.updatePaperSize( event.target.value );
 
-	render() {
-		const { paperSize, country, printingInProgress, error, print } = this.props;
+	onLabelFormatChange = ( event ) => this.props.updateLabelFormat( event.target.value );
+
+	renderPaperSize() {
+		const { paperSize, country } = this.props;
 		const paperSizes = getPaperSizes( country );
 
+		return (
+			<FormSelect
+				className="print-test-label__paper-size"
+				value={ paperSize }
+				onChange={ this.onPaperSizeChange } >
+				{ Object.keys( paperSizes ).map( key =>
+					<option key={ key } value={ key }>
+						{ paperSizes[ key ] }
+					</option>
+				) }
+			</FormSelect>
+		);
+	}
+
+	renderPrintAgentUrl() {
+		const { printAgentUrl, updatePrintAgentUrl } = this.props;
+
+		return (
+			<TextControl
+				className="print-test-label__print-agent-url"
+				placeholder="http://localhost:9100/print"
+				value={ printAgentUrl }
+				onChange={ updatePrintAgentUrl } />
+		);
+	}
+
+	render() {
+		const { labelFormat, printingInProgress, error, print } = this.props;
+		const labelFormats = getLabelFormats();
+		const isRawFormat = 'pdf' !== labelFormat;
+
 		return (
 			<SettingsGroupCard heading={ __( 'Print' ) } >
 				{ error && <ErrorNotice>{ error }</ErrorNotice> }
 				<FormLegend>{ __( 'Having trouble configuring your printer?' ) }</FormLegend>
-				<p>{ __( 'You can run a test print for shipping labels by selecting the paper size, then print.' ) }</p>
+				<p>{ __( 'You can run a test print for shipping labels by selecting the label format and paper size, then print.' ) }</p>
+				<FormFieldset>
+					<FormLegend>{ __( 'Label format' ) }</FormLegend>
+					<FormSelect
+						className="print-test-label__label-format"
+						value={ labelFormat }
+						onChange={ this.onLabelFormatChange } >
+						{ Object.keys( labelFormats ).map( key =>
+							<option key={ key } value={ key }>
+								{ labelFormats[ key ] }
+							</option>
+						) }
+					</FormSelect>
+				</FormFieldset>
 				<FormFieldset>
-					<FormLegend>{ __( 'Paper size' ) }</FormLegend>
+					<FormLegend>{ isRawFormat ? __( 'Print agent URL' ) : __( 'Paper size' ) }</FormLegend>
 					<div className="print-test-label__form-container">
-						<FormSelect
-							className="print-test-label__paper-size"
-							value={ paperSize }
-							onChange={ this.onPaperSizeChange } >
-							{ Object.keys( paperSizes ).map( key =>
-								<option key={ key } value={ key }>
-									{ paperSizes[ key ] }
-								</option>
-							) }
-						</FormSelect>
+						{ isRawFormat ? this.renderPrintAgentUrl() : this.renderPaperSize() }
 						<FormButton
 							type="button"
 							disabled={ Boolean( printingInProgress ) }
@@ -0,0 +1,137 @@
+/**
+ * Internal dependencies
+ */
+import {
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_ITEMS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_MOVE_ITEM,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_PACKAGE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_PACKAGES,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_NORMALIZED_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ABANDON_ON_NON_DELIVERY,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CONTENTS_EXPLANATION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CONTENTS_TYPE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_DESCRIPTION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_TARIFF_NUMBER,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_VALUE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_WEIGHT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ITN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RESTRICTION_COMMENTS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RESTRICTION_TYPE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE,
+} from '../../extensions/woocommerce/woocommerce-services/state/action-types';
+import { getShippingLabel } from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/selectors';
+import { offerLabelDraft } from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	loadLabelDraft,
+	removeLabelDraft,
+	saveLabelDraft,
+} from '../../extensions/woocommerce/woocommerce-services/lib/label-drafts';
+
+// Only the changes made by the user are worth a draft, not the ones done when the form is opened
+const EDIT_ACTIONS = [
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_ITEMS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_MOVE_ITEM,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_PACKAGE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_PACKAGES,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_NORMALIZED_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ABANDON_ON_NON_DELIVERY,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CONTENTS_EXPLANATION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CONTENTS_TYPE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_DESCRIPTION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_TARIFF_NUMBER,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_VALUE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_WEIGHT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ITN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RESTRICTION_COMMENTS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RESTRICTION_TYPE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE,
+];
+
+/**
+ * Keeps a draft of the label purchase form in the local storage, so a page reload doesn't lose the user's work.
+ * The draft is offered back the next time the form is opened, and discarded once a label is purchased.
+ */
+export default ( { dispatch, getState } ) => ( next ) => ( action ) => {
+	const result = next( action );
+	const { orderId, siteId } = action;
+	if ( ! orderId ) {
+		return result;
+	}
+
+	const shippingLabel = getShippingLabel( getState(), orderId, siteId );
+	if ( ! shippingLabel ) {
+		return result;
+	}
+
+	switch ( action.type ) {
+		case WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW: {
+			const draft = ! shippingLabel.draft && loadLabelDraft( orderId, shippingLabel );
+			if ( draft ) {
+				dispatch( offerLabelDraft( orderId, siteId, draft ) );
+			}
+			break;
+		}
+
+		case WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT:
+		case WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING:
+			removeLabelDraft( orderId );
+			break;
+
+		case WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE:
+			if ( ! action.error ) {
+				removeLabelDraft( orderId );
+			}
+			break;
+
+		default:
+			// Don't overwrite the draft that is still being offered to the user, and don't keep return labels
+			if (
+				-1 !== EDIT_ACTIONS.indexOf( action.type ) &&
+				shippingLabel.form &&
+				! shippingLabel.form.returnLabel &&
+				! shippingLabel.draft
+			) {
+				saveLabelDraft( orderId, shippingLabel );
+			}
+	}
+
+	return result;
+};
@@ -10,7 +10,9 @@ import React, {Suspense} from 'react';
 import ShippingLabelViewWrapper from './view-wrapper-label';
 // Lazy load ShipmentTrackingViewWrapper so shipping label will render faster.
 const ShipmentTrackingViewWrapper = React.lazy(() => import('./view-wrapper-tracking'));
+const LabelPurchasePageViewWrapper = React.lazy(() => import('./view-wrapper-purchase-page'));
 import reduxMiddleware from './redux-middleware';
+import draftMiddleware from './draft-middleware';
 // from calypso
 import notices from 'state/notices/reducer';
 import reducer from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/reducer';
@@ -29,7 +31,7 @@ import { mergeHandlers } from 'state/action-watchers/utils';
 import initializeLabelsState from 'woocommerce/woocommerce-services/lib/initialize-labels-state';
 import './style.scss';
 
-export default ( { order, accountSettings, packagesSettings, shippingLabelData, continents, context, items } ) => {
+export default ( { order, accountSettings, packagesSettings, shippingLabelData, continents, context, items, returnLabelId } ) => {
 	const orderId = order ? order.id : null;
 	const isPreloaded = ( undefined !== accountSettings );
 
@@ -137,7 +139,7 @@ export default ( { order, accountSettings, packagesSettings, shippingLabelData,
 		},
 
 		getStateForPersisting() {
-			return null; //do not persist any state for labels
+			return null; //do not persist any state for labels, the in-progress form is kept as a draft by draftMiddleware
 		},
 
 		getStateKey() {
@@ -145,16 +147,25 @@ export default ( { order, accountSettings, packagesSettings, shippingLabelData,
 		},
 
 		getMiddlewares() {
-			return [ reduxMiddleware, rawWpcomApiMiddleware( mergeHandlers( wcsUiDataLayer, actionList, orders, notes, locations ) ) ];
+			return [ reduxMiddleware, draftMiddleware, rawWpcomApiMiddleware( mergeHandlers( wcsUiDataLayer, actionList, orders, notes, locations ) ) ];
 		},
 
-		View: () => (
-			( 'shipment_tracking' === context ) ?
-				<Suspense fallback={ <div /> }>
-					<ShipmentTrackingViewWrapper orderId={ orderId } />
-				</Suspense>
-			:
-				<ShippingLabelViewWrapper orderId={ orderId } items={ items } />
-		),
+		View: () => {
+			if ( 'shipment_tracking' === context ) {
+				return (
+					<Suspense fallback={ <div /> }>
+						<ShipmentTrackingViewWrapper orderId={ orderId } />
+					</Suspense>
+				);
+			}
+			if ( 'label_purchase_page' === context ) {
+				return (
+					<Suspense fallback={ <div /> }>
+						<LabelPurchasePageViewWrapper orderId={ orderId } returnLabelId={ returnLabelId } />
+					</Suspense>
+				);
+			}
+			return <ShippingLabelViewWrapper orderId={ orderId } items={ items } />;
+		},
 	};
 };
@@ -0,0 +1,93 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+/**
+ * Internal dependencies
+ */
+import draftMiddleware from '../draft-middleware';
+import {
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATES,
+} from '../../../extensions/woocommerce/woocommerce-services/state/action-types';
+
+const mockSaveLabelDraft = sinon.spy();
+jest.mock( '../../../extensions/woocommerce/woocommerce-services/lib/label-drafts', () => ( {
+	loadLabelDraft: () => null,
+	removeLabelDraft: () => {},
+	saveLabelDraft: ( ...args ) => mockSaveLabelDraft( ...args ),
+} ) );
+
+const orderId = 1000;
+const siteId = 10;
+
+const createStore = labelState => {
+	const state = {
+		extensions: {
+			woocommerce: {
+				woocommerceServices: { [ siteId ]: { shippingLabel: { [ orderId ]: labelState } } },
+			},
+		},
+	};
+	return { dispatch: sinon.spy(), getState: () => state };
+};
+
+const shippingLabel = {
+	form: { origin: { addressId: 'warehouse' } },
+	labels: [],
+	draft: null,
+};
+
+const selectOriginAddress = {
+	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+	orderId,
+	siteId,
+	originAddress: { id: 'warehouse', address: {} },
+};
+
+describe( 'Label draft middleware', () => {
+	beforeEach( () => {
+		mockSaveLabelDraft.resetHistory();
+	} );
+
+	it( 'saves a draft when an origin address is picked', () => {
+		const next = sinon.spy();
+		draftMiddleware( createStore( shippingLabel ) )( next )( selectOriginAddress );
+
+		expect( next ).to.have.been.calledWith( selectOriginAddress );
+		expect( mockSaveLabelDraft ).to.have.been.calledOnce;
+		expect( mockSaveLabelDraft ).to.have.been.calledWith( orderId, shippingLabel );
+	} );
+
+	it( 'saves a draft when the codes scanned at the packing station are cleared', () => {
+		draftMiddleware( createStore( shippingLabel ) )( sinon.spy() )( {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
+			orderId,
+			siteId,
+		} );
+
+		expect( mockSaveLabelDraft ).to.have.been.calledOnce;
+	} );
+
+	it( 'does not save a draft for the changes done when the form is opened', () => {
+		draftMiddleware( createStore( shippingLabel ) )( sinon.spy() )( {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATES,
+			orderId,
+			siteId,
+		} );
+
+		expect( mockSaveLabelDraft ).to.not.have.been.called;
+	} );
+
+	it( 'does not overwrite the draft still offered to the user', () => {
+		const store = createStore( { ...shippingLabel, draft: { form: {} } } );
+		draftMiddleware( store )( sinon.spy() )( selectOriginAddress );
+
+		expect( mockSaveLabelDraft ).to.not.have.been.called;
+	} );
+} );
@@ -30,6 +30,7 @@ import {
 } from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/selectors';
 import {
 	areLabelsEnabled,
+	getLabelPurchaseView,
 } from '../../extensions/woocommerce/woocommerce-services/state/label-settings/selectors';
 import {
 	getActivityLogEvents,
@@ -40,6 +41,7 @@ import {
 	isOrderLoading
  } from '../../extensions/woocommerce/state/sites/orders/selectors';
 import { withLocalizedMoment } from 'components/localized-moment';
+import { getLabelPurchasePageUrl } from '../../extensions/woocommerce/woocommerce-services/views/shipping-label/label-purchase-page/url';
 
 export class ShippingLabelViewWrapper extends Component {
 	static propTypes = {
@@ -168,7 +170,13 @@ export class ShippingLabelViewWrapper extends Component {
 		const {
 			orderId,
 			siteId,
+			labelPurchaseView,
 		} = this.props;
+
+		if ( 'page' === labelPurchaseView ) {
+			window.location.assign( getLabelPurchasePageUrl( orderId ) );
+			return;
+		}
 		this.props.openPrintingFlow( orderId, siteId );
 	};
 
@@ -268,6 +276,7 @@ export default connect(
 			orderLoading,
 			orderLoaded,
 			labelsEnabled: areLabelsEnabled( state, siteId ),
+			labelPurchaseView: getLabelPurchaseView( state, siteId ),
 		};
 	},
 	( dispatch ) => ( {
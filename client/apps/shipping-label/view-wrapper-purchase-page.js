@@ -0,0 +1,99 @@
+/**
+ * External dependencies
+ */
+import React, { Component, Suspense } from 'react';
+import PropTypes from 'prop-types';
+import { bindActionCreators } from 'redux';
+import { connect } from 'react-redux';
+import { localize } from 'i18n-calypso';
+
+/**
+ * Internal dependencies
+ */
+// from calypso
+import GlobalNotices from 'components/global-notices';
+import notices from 'notices';
+import { getSelectedSiteId } from 'state/ui/selectors';
+const LabelPurchasePage = React.lazy( () => import( '../../extensions/woocommerce/woocommerce-services/views/shipping-label/label-purchase-page' ) );
+import { getOrderUrl } from '../../extensions/woocommerce/woocommerce-services/views/shipping-label/label-purchase-page/url';
+import {
+	openPrintingFlow,
+	openReturnLabelFlow,
+} from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	getLabels,
+	getShippingLabel,
+	isLoaded,
+} from '../../extensions/woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export class LabelPurchasePageViewWrapper extends Component {
+	static propTypes = {
+		orderId: PropTypes.number.isRequired,
+		returnLabelId: PropTypes.number,
+	};
+
+	componentDidMount() {
+		const { orderId, siteId, returnLabelId, loaded } = this.props;
+
+		this.initialLabelsCount = this.props.labelsCount;
+		if ( ! loaded ) {
+			return;
+		}
+		if ( returnLabelId ) {
+			this.props.openReturnLabelFlow( orderId, siteId, returnLabelId );
+		} else {
+			this.props.openPrintingFlow( orderId, siteId );
+		}
+	}
+
+	componentDidUpdate( prevProps ) {
+		const { orderId, showPurchaseDialog, labelsCount } = this.props;
+
+		// Closing the page without buying goes straight back to the order, after a purchase the notices
+		// and the order note are still being saved, so the way back is left to the merchant
+		if ( prevProps.showPurchaseDialog && ! showPurchaseDialog && labelsCount === this.initialLabelsCount ) {
+			window.location.assign( getOrderUrl( orderId ) );
+		}
+	}
+
+	render() {
+		const { orderId, siteId, showPurchaseDialog, translate } = this.props;
+
+		return (
+			// eslint-disable-next-line wpcalypso/jsx-classname-namespace
+			<div className="label-purchase-page__container">
+				<GlobalNotices notices={ notices.list } />
+				<Suspense fallback={ <div /> }>
+					<LabelPurchasePage orderId={ orderId } siteId={ siteId } />
+				</Suspense>
+				{ ! showPurchaseDialog && (
+					// eslint-disable-next-line wpcalypso/jsx-classname-namespace
+					<a className="label-purchase-page__back" href={ getOrderUrl( orderId ) }>
+						{ translate( 'Back to order #%(orderId)s', { args: { orderId } } ) }
+					</a>
+				) }
+			</div>
+		);
+	}
+}
+
+export default connect(
+	( state, { orderId } ) => {
+		const siteId = getSelectedSiteId( state );
+		const loaded = isLoaded( state, orderId, siteId );
+		const shippingLabel = getShippingLabel( state, orderId, siteId );
+
+		return {
+			siteId,
+			loaded,
+			showPurchaseDialog: Boolean( shippingLabel && shippingLabel.showPurchaseDialog ),
+			labelsCount: loaded ? getLabels( state, orderId, siteId ).length : 0,
+		};
+	},
+	( dispatch ) => ( {
+		...bindActionCreators( {
+			openPrintingFlow,
+			openReturnLabelFlow,
+		}, dispatch ),
+	} ),
+)( localize( LabelPurchasePageViewWrapper ) );
@@ -1,7 +1,7 @@
 /**
  * External dependencies
  */
-import React, { Component } from 'react';
+import React, { Component, Suspense } from 'react';
 import PropTypes from 'prop-types';
 import { bindActionCreators } from 'redux';
 import { connect } from 'react-redux';
@@ -16,6 +16,10 @@ import GlobalNotices from 'components/global-notices';
 import notices from 'notices';
 import { getSelectedSiteId } from 'state/ui/selectors';
 import ActivityLog from '../../extensions/woocommerce/app/order/order-activity-log/events';
+import LabelBulkRefundDialog from '../../extensions/woocommerce/woocommerce-services/views/shipping-label/label-bulk-refund-modal';
+import ShipmentProgress from '../../extensions/woocommerce/woocommerce-services/views/shipping-label/shipment-progress';
+// The return labels created from the activity log are bought in the regular purchase modal
+const LabelPurchaseModal = React.lazy( () => import( '../../extensions/woocommerce/woocommerce-services/views/shipping-label/label-purchase-modal' ) );
 import {
 	getActivityLogEvents,
 } from '../../extensions/woocommerce/state/sites/orders/activity-log/selectors';
@@ -53,7 +57,12 @@ class ShipmentTrackingViewWrapper extends Component {
 		return (
 			// eslint-disable-next-line wpcalypso/jsx-classname-namespace
 			<div className="shipment-tracking__dummy-class order-activity-log">
+				<ShipmentProgress orderId={ orderId } siteId={ siteId } />
+				<LabelBulkRefundDialog orderId={ orderId } siteId={ siteId } />
 				<ActivityLog orderId={ orderId } siteId={ siteId } />
+				<Suspense fallback={ <div /> }>
+					<LabelPurchaseModal orderId={ orderId } siteId={ siteId } />
+				</Suspense>
 			</div>
 		);
 	};
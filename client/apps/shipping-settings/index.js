@@ -2,6 +2,7 @@
  * External dependencies
  */
 import React from 'react';
+import { unset } from 'lodash';
 
 /**
  * Internal dependencies
@@ -10,6 +11,9 @@ import ViewWrapper from './view-wrapper';
 // from calypso
 import labelSettingsReducer from '../../extensions/woocommerce/woocommerce-services/state/label-settings/reducer';
 import packagesReducer from '../../extensions/woocommerce/woocommerce-services/state/packages/reducer';
+import manifestReducer from '../../extensions/woocommerce/woocommerce-services/state/manifest/reducer';
+import productCustomsReducer from '../../extensions/woocommerce/woocommerce-services/state/product-customs/reducer';
+import labelReportsReducer from '../../extensions/woocommerce/woocommerce-services/state/label-reports/reducer';
 import notices from 'state/notices/reducer';
 import actionList from '../../extensions/woocommerce/state/data-layer/action-list';
 import wcsUiDataLayer from '../../extensions/woocommerce/state/data-layer/ui/woocommerce-services';
@@ -27,6 +31,9 @@ export default ( { order_id: orderId, order_href: orderHref, carrier, continents
 						1: combineReducers( {
 							packages: packagesReducer,
 							labelSettings: labelSettingsReducer,
+							manifest: manifestReducer,
+							productCustoms: productCustomsReducer,
+							labelReports: labelReportsReducer,
 						} ),
 					} ),
 					sites: combineReducers( {
@@ -63,6 +70,10 @@ export default ( { order_id: orderId, order_href: orderHref, carrier, continents
 
 	getStateForPersisting( state ) {
 		delete state.notices;
+		// The labels waiting for a manifest change with every purchase, always load them fresh
+		unset( state, [ 'extensions', 'woocommerce', 'woocommerceServices', 1, 'manifest' ] );
+		unset( state, [ 'extensions', 'woocommerce', 'woocommerceServices', 1, 'productCustoms' ] );
+		unset( state, [ 'extensions', 'woocommerce', 'woocommerceServices', 1, 'labelReports' ] );
 		return state;
 	},
 
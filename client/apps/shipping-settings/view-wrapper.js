@@ -16,7 +16,12 @@ import GlobalNotices from 'components/global-notices';
 import LabelSettings from '../../extensions/woocommerce/woocommerce-services/views/label-settings';
 import notices from 'notices';
 import Packages from '../../extensions/woocommerce/woocommerce-services/views/packages';
+import OriginAddresses from '../../extensions/woocommerce/woocommerce-services/views/origin-addresses';
+import ShippingRules from '../../extensions/woocommerce/woocommerce-services/views/shipping-rules';
+import ProductCustoms from '../../extensions/woocommerce/woocommerce-services/views/product-customs';
 import CarrierAccounts from '../../extensions/woocommerce/woocommerce-services/views/carrier-accounts';
+import Manifest from '../../extensions/woocommerce/woocommerce-services/views/manifest';
+import LabelReports from '../../extensions/woocommerce/woocommerce-services/views/label-reports';
 import LiveRatesCarriersList from '../../extensions/woocommerce/woocommerce-services/views/live-rates-carriers-list';
 import SubscriptionsUsage from '../../extensions/woocommerce/woocommerce-services/views/subscriptions-usage';
 import UpsSettingsForm from '../../extensions/woocommerce/woocommerce-services/views/carrier-accounts/ups-settings-form';
@@ -71,8 +76,13 @@ class LabelSettingsWrapper extends Component {
 					<GlobalNotices id="notices" notices={ notices.list } />
 					<LabelSettings onChange={ this.onChange } />
 					<Packages onChange={ this.onChange } />
+					<OriginAddresses onChange={ this.onChange } />
+					<ShippingRules onChange={ this.onChange } />
+					<ProductCustoms />
 					<LiveRatesCarriersList carrierIds={ liveRatesTypes } />
 					<CarrierAccounts accounts={ carrierAccounts } />
+					<Manifest />
+					<LabelReports />
 					<SubscriptionsUsage subscriptions={ subscriptions } />
 					<Button
 						isPrimary
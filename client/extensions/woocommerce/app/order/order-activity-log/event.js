@@ -74,6 +74,15 @@ class OrderEvent extends Component {
 			};
 		},
 
+		[ EVENT_TYPES.LABEL_RETURN_PURCHASED ]: event => {
+			return {
+				icon: 'undo',
+				content: (
+					<LabelItem label={ event } orderId={ this.props.orderId } siteId={ this.props.siteId } isModal={ this.props.isModal } />
+				),
+			};
+		},
+
 		[ EVENT_TYPES.LABEL_REFUND_REQUESTED ]: event => {
 			const { translate } = this.props;
 			return {
@@ -17,6 +17,7 @@ import {
 	isFetching as areShippingLabelsLoading,
 	getLabels,
 } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+import { isTrackingActive } from 'woocommerce/woocommerce-services/lib/label-tracking';
 import * as plugins from 'woocommerce/state/selectors/plugins';
 
 /*
@@ -43,6 +44,11 @@ export const EVENT_TYPES = {
 	 */
 	LABEL_PURCHASED: 'LABEL_PURCHASED',
 
+	/**
+	 * "Return label purchased" event, for labels that ship the order back to the store
+	 */
+	LABEL_RETURN_PURCHASED: 'LABEL_RETURN_PURCHASED',
+
 	/**
 	 * Logged when a refund was requested for a shipping label. Will be omitted if the refund was completed or rejected
 	 */
@@ -199,7 +205,7 @@ export const getActivityLogEvents = ( state, orderId, siteId = getSelectedSiteId
 
 			events.push( {
 				key: label.label_id,
-				type: EVENT_TYPES.LABEL_PURCHASED,
+				type: label.is_return ? EVENT_TYPES.LABEL_RETURN_PURCHASED : EVENT_TYPES.LABEL_PURCHASED,
 				timestamp: label.created_date,
 				createdDate: label.created_date,
 				usedDate: label.used_date,
@@ -213,6 +219,8 @@ export const getActivityLogEvents = ( state, orderId, siteId = getSelectedSiteId
 				receiptId: label.main_receipt_id,
 				serviceName: label.service_name,
 				tracking: label.tracking,
+				trackingStatus: label.tracking_status,
+				isTrackingActive: isTrackingActive( label ),
 				carrierId: label.carrier_id,
 				amount: label.rate,
 				refundableAmount: label.refundable_amount,
@@ -223,6 +231,9 @@ export const getActivityLogEvents = ( state, orderId, siteId = getSelectedSiteId
 					! label.refund || 'rejected' === label.refund.status || 'unknown' === label.refund.status,
 				commercialInvoiceUrl: label.commercial_invoice_url,
 				isCommercialInvoiceSubmittedElectronically: label.is_commercial_invoice_submitted_electronically,
+				isReturn: Boolean( label.is_return ),
+				payOnScan: Boolean( label.pay_on_scan ),
+				pickup: label.pickup,
 			} );
 		} );
 	}
@@ -5,7 +5,15 @@ export const orderLabels = ( orderId ) => `connect/label/${ orderId }`;
 export const getLabelRates = ( orderId ) => `connect/label/${ orderId }/rates`;
 export const labelsStatus = ( orderId, labelIds ) => `connect/label/${ orderId }/${ labelIds.join() }`;
 export const labelRefund = ( orderId, labelId ) => `connect/label/${ orderId }/${ labelId }/refund`;
+export const labelTracking = ( orderId, labelId ) => `connect/label/${ orderId }/${ labelId }/tracking`;
+export const shipmentNotification = ( orderId ) => `connect/label/${ orderId }/notify`;
+export const labelPickup = () => 'connect/label/pickup';
+export const labelPickupCancel = () => 'connect/label/pickup/cancel';
+export const pickupEligibleLabels = ( carrierId ) => `connect/label/pickup?carrier_id=${ carrierId }`;
+export const labelManifest = () => 'connect/label/manifest';
 export const labelsPrint = () => 'connect/label/print';
+export const labelReports = ( query ) => `connect/label/reports?${ query }`;
+export const productCustoms = ( page ) => ( page ? `connect/products/customs?page=${ page }` : 'connect/products/customs' );
 export const labelTestPrint = () => 'connect/label/preview';
 export const addressNormalization = () => 'connect/normalize-address';
 export const serviceSettings = ( methodId, instanceId = 0 ) => `connect/services/${ methodId }/${ instanceId }`;
@@ -9,17 +9,7 @@ import PropTypes from 'prop-types';
 /**
  * Internal dependencies
  */
-import upsLogo from './logos/ups.png';
-import uspsLogo from './logos/usps.png';
-import dhlLogo from './logos/dhlExpress.png';
-
-const carrierLogos = {
-	"ups": upsLogo,
-	"usps": uspsLogo,
-	"dhlexpress": dhlLogo,
-	"dhlecommerce": dhlLogo,
-	"dhlecommerceasia": dhlLogo,
-};
+import { getCarrier } from 'woocommerce/woocommerce-services/lib/carriers';
 
 const sizeToPixels = ( size ) => {
 	switch( size ) {
@@ -34,17 +24,18 @@ const sizeToPixels = ( size ) => {
 }
 
 const CarrierIcon = ( { carrier, size } ) => {
-	if (  ! carrier || ! carrierLogos[ carrier.toLowerCase() ] ) {
+	const carrierData = getCarrier( carrier );
+	if ( ! carrierData || ! carrierData.icon ) {
 		return <span/>;
 	}
 	const pixels = `${sizeToPixels( size )}px`;
 	return <div style={{ width: pixels }} className="carrier-icon">
-			<img src={ carrierLogos[ carrier.toLowerCase() ] } alt={ carrier } className="carrier-icon__logo" />
+			<img src={ carrierData.icon } alt={ carrierData.name } className="carrier-icon__logo" />
 	</div>;
 };
 
 CarrierIcon.propTypes = {
-	carrier: PropTypes.string.isRequired,
+	carrier: PropTypes.string,
 	size: PropTypes.number,
 };
 
@@ -0,0 +1,129 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { localize } from 'i18n-calypso';
+import { Button, Popover, TextControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import TextField from '../text-field';
+import {
+	getHSCode,
+	isValidHSCode,
+	searchHSCodes,
+	suggestHSCodes,
+} from 'woocommerce/woocommerce-services/lib/hs-codes';
+
+const HSCodePicker = ( {
+	id,
+	className,
+	title,
+	value,
+	error,
+	updateValue,
+	productName,
+	categories,
+	translate,
+} ) => {
+	const [ isSearchVisible, setIsSearchVisible ] = useState( false );
+	const [ query, setQuery ] = useState( '' );
+
+	const hsCode = value ? getHSCode( value ) : null;
+	// Forms that don't report their own errors still learn why an unlisted code isn't accepted
+	const getDescription = () => {
+		if ( hsCode ) {
+			return hsCode.description;
+		}
+		if ( ! error && isValidHSCode( value ) ) {
+			return translate( 'This tariff number is not a known HS code' );
+		}
+		return null;
+	};
+	// Before the merchant types anything, offer the codes that fit the product
+	const results = query ? searchHSCodes( query ) : suggestHSCodes( productName, categories );
+
+	const toggleSearch = () => setIsSearchVisible( isVisible => ! isVisible );
+	const onPick = code => {
+		updateValue( code );
+		setIsSearchVisible( false );
+		setQuery( '' );
+	};
+
+	const renderEmpty = () => (
+		<p className="hs-code-picker__hint">
+			{ query
+				? translate( 'No HS codes match your search.' )
+				: translate( 'Search by what the product is made of or used for, or by the first digits of the code.' ) }
+		</p>
+	);
+
+	return (
+		<div className={ classNames( 'hs-code-picker', className ) }>
+			<TextField
+				id={ id }
+				title={ title }
+				placeholder={ translate( 'Optional' ) }
+				value={ value }
+				updateValue={ updateValue }
+				error={ error }
+				description={ getDescription() }
+			/>
+			<Button isLink className="hs-code-picker__toggle" onClick={ toggleSearch }>
+				{ translate( 'Find a code' ) }
+			</Button>
+			<span className="popover-container">
+				{ isSearchVisible && (
+					<Popover className="hs-code-picker__popover" onFocusOutside={ toggleSearch }>
+						<TextControl
+							label={ translate( 'Search HS codes' ) }
+							value={ query }
+							onChange={ setQuery }
+						/>
+						{ ! query && 0 < results.length && (
+							<p className="hs-code-picker__hint">{ translate( 'Suggested for this product' ) }</p>
+						) }
+						{ results.length ? (
+							<ul className="hs-code-picker__results">
+								{ results.map( result => (
+									<li key={ result.code }>
+										<Button className="hs-code-picker__result" onClick={ () => onPick( result.code ) }>
+											<strong>{ result.code }</strong>
+											<span>{ result.description }</span>
+										</Button>
+									</li>
+								) ) }
+							</ul>
+						) : (
+							renderEmpty()
+						) }
+					</Popover>
+				) }
+			</span>
+		</div>
+	);
+};
+
+HSCodePicker.propTypes = {
+	id: PropTypes.string.isRequired,
+	className: PropTypes.string,
+	title: PropTypes.node,
+	value: PropTypes.string.isRequired,
+	error: PropTypes.oneOfType( [ PropTypes.string, PropTypes.bool ] ),
+	updateValue: PropTypes.func.isRequired,
+	productName: PropTypes.string,
+	categories: PropTypes.array,
+};
+
+HSCodePicker.defaultProps = {
+	productName: '',
+	categories: [],
+};
+
+export default localize( HSCodePicker );
@@ -0,0 +1,167 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+import { findKey, get, keys, mapValues, pickBy, sortBy, startsWith } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import upsLogo from 'woocommerce/woocommerce-services/components/carrier-icon/logos/ups.png';
+import uspsLogo from 'woocommerce/woocommerce-services/components/carrier-icon/logos/usps.png';
+import dhlLogo from 'woocommerce/woocommerce-services/components/carrier-icon/logos/dhlExpress.png';
+
+/**
+ * Filter third-party plugins hook into, through `wp.hooks`, to add carriers or change the ones listed here.
+ * It gets the carriers keyed by carrier ID and returns them, for example:
+ * `wp.hooks.addFilter( 'woocommerce_services_carriers', 'my-plugin', carriers => ( { ...carriers, mycarrier: { ... } } ) )`
+ */
+export const CARRIERS_FILTER = 'woocommerce_services_carriers';
+
+/**
+ * Every carrier has a `name`, shown as is because carrier names are brands. The rest is optional:
+ * - `icon`: URL of the carrier logo
+ * - `trackingUrl`: tracking page, where `{tracking}` stands for the tracking number
+ * - `pickupUrl`: page where the carrier books pickups, for carriers whose pickups can't be scheduled here
+ * - `accountType`: type of the carrier accounts that can be connected in the settings
+ * - `shippingMethodId`: ID of the shipping method with live rates for the carrier
+ * - `description`: function returning what the carrier is good at, shown in the live rates carriers list
+ * - `productNamePrefix`: how the names of the carrier subscriptions start, the carrier name if left out
+ * - `features`: `labels` if labels can be bought, `pickup` if pickups can be scheduled from the label menu
+ *   and `payOnScanReturns` if return labels can be paid for only once they're used
+ */
+const registeredCarriers = {};
+
+/**
+ * Adds a carrier, or replaces one with the same ID
+ * @param {String} carrierId carrier ID, as used in the labels and the rates
+ * @param {Object} carrier carrier details
+ */
+export const registerCarrier = ( carrierId, carrier ) => {
+	registeredCarriers[ carrierId ] = carrier;
+};
+
+registerCarrier( 'usps', {
+	name: 'USPS',
+	icon: uspsLogo,
+	trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction.action?tLabels={tracking}',
+	pickupUrl: 'https://tools.usps.com/schedule-pickup-steps.htm',
+	shippingMethodId: 'wc_services_usps',
+	description: () => translate( 'Ship with the largest delivery network in the United States' ),
+	features: { labels: true, pickup: true, payOnScanReturns: true },
+} );
+
+registerCarrier( 'fedex', {
+	name: 'FedEx',
+	trackingUrl: 'https://www.fedex.com/apps/fedextrack/?action=track&tracknumbers={tracking}',
+	pickupUrl: 'https://www.fedex.com/en-us/shipping/schedule-manage-pickups.html',
+	features: { labels: true, pickup: true },
+} );
+
+registerCarrier( 'ups', {
+	name: 'UPS',
+	icon: upsLogo,
+	trackingUrl: 'https://www.ups.com/track?loc=en_US&tracknum={tracking}',
+	pickupUrl: 'https://wwwapps.ups.com/pickup/request',
+	accountType: 'UpsAccount',
+	features: { labels: true, pickup: true },
+} );
+
+registerCarrier( 'dhlexpress', {
+	name: 'DHL Express',
+	icon: dhlLogo,
+	trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB={tracking}&brand=DHL',
+	pickupUrl: 'https://mydhl.express.dhl/us/en/schedule-pickup.html#/schedule-pickup#label-reference',
+	accountType: 'DhlExpressAccount',
+	shippingMethodId: 'wc_services_dhlexpress',
+	description: () => translate( 'Express delivery from the experts in international shipping' ),
+	productNamePrefix: 'DHL',
+	features: { labels: true, pickup: true },
+} );
+
+registerCarrier( 'dhlecommerce', {
+	name: 'DHL eCommerce',
+	icon: dhlLogo,
+	trackingUrl: 'https://www.dhl.com/us-en/home/tracking/tracking-ecommerce.html?tracking-id={tracking}',
+	accountType: 'DhlEcsAccount',
+} );
+
+registerCarrier( 'dhlecommerceasia', {
+	name: 'DHL eCommerce Asia',
+	icon: dhlLogo,
+	trackingUrl: 'https://www.dhl.com/global-en/home/tracking/tracking-ecommerce.html?tracking-id={tracking}',
+	accountType: 'DhlEcommerceAsiaAccount',
+} );
+
+registerCarrier( 'canadapost', {
+	name: 'Canada Post',
+	trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperez/en#/details/{tracking}',
+} );
+
+/**
+ * Lists every carrier, the registered ones and the ones third-party plugins added through the filter
+ * @returns {Object} carriers keyed by carrier ID
+ */
+export const getCarriers = () => {
+	const hooks = get( global, [ 'wp', 'hooks' ] );
+	const carriers = hooks ? hooks.applyFilters( CARRIERS_FILTER, { ...registeredCarriers } ) : registeredCarriers;
+	return mapValues( carriers, carrier => ( { ...carrier, features: carrier.features || {} } ) );
+};
+
+/**
+ * @param {String} carrierId carrier ID, in any case
+ * @returns {Object|null} the carrier, null for unknown carriers
+ */
+export const getCarrier = carrierId => ( carrierId && getCarriers()[ carrierId.toLowerCase() ] ) || null;
+
+/**
+ * @param {String} carrierId carrier ID
+ * @returns {String} name of the carrier, or its ID for unknown carriers
+ */
+export const getCarrierName = carrierId => {
+	const carrier = getCarrier( carrierId );
+	return carrier ? carrier.name : carrierId;
+};
+
+/**
+ * @param {String} feature only list the carriers with this feature, see `registerCarrier`
+ * @returns {Object} carrier names keyed by carrier ID
+ */
+export const getCarrierNames = feature =>
+	mapValues( pickBy( getCarriers(), carrier => ! feature || carrier.features[ feature ] ), 'name' );
+
+export const hasCarrierFeature = ( carrierId, feature ) => Boolean( get( getCarrier( carrierId ), [ 'features', feature ] ) );
+
+/**
+ * @param {String} carrierId carrier ID
+ * @param {String} tracking tracking number
+ * @returns {String|null} the page where the package can be tracked, null if the carrier has none
+ */
+export const getTrackingUrl = ( carrierId, tracking ) => {
+	const carrier = getCarrier( carrierId );
+	if ( ! carrier || ! carrier.trackingUrl || ! tracking ) {
+		return null;
+	}
+	return carrier.trackingUrl.replace( '{tracking}', encodeURIComponent( tracking ) );
+};
+
+export const getCarrierIdByAccountType = accountType =>
+	findKey( getCarriers(), carrier => accountType && accountType === carrier.accountType ) || null;
+
+export const getCarrierIdByShippingMethod = shippingMethodId =>
+	findKey( getCarriers(), carrier => shippingMethodId && shippingMethodId === carrier.shippingMethodId ) || null;
+
+/**
+ * Finds the carrier a WooCommerce.com subscription is for. The longest matching prefix wins, so
+ * "DHL eCommerce" subscriptions aren't taken for DHL Express ones
+ * @param {String} productName name of the subscription
+ * @returns {String|null} carrier ID, null if no carrier matches
+ */
+export const getCarrierIdByProductName = productName => {
+	const carriers = getCarriers();
+	const prefixes = mapValues( carriers, carrier => carrier.productNamePrefix || carrier.name );
+	const carrierIds = sortBy( keys( prefixes ), carrierId => -prefixes[ carrierId ].length );
+	return carrierIds.find( carrierId => startsWith( productName, prefixes[ carrierId ] ) ) || null;
+};
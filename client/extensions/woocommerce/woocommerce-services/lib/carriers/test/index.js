@@ -0,0 +1,90 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import {
+	CARRIERS_FILTER,
+	getCarrier,
+	getCarrierIdByAccountType,
+	getCarrierIdByProductName,
+	getCarrierIdByShippingMethod,
+	getCarrierName,
+	getCarrierNames,
+	getTrackingUrl,
+	hasCarrierFeature,
+} from '..';
+
+describe( 'Carrier registry', () => {
+	it( 'finds carriers whatever the case of their ID', () => {
+		expect( getCarrier( 'USPS' ).name ).to.equal( 'USPS' );
+		expect( getCarrier( 'unknown' ) ).to.be.null;
+		expect( getCarrier( undefined ) ).to.be.null;
+	} );
+
+	it( 'falls back to the carrier ID for unknown carriers', () => {
+		expect( getCarrierName( 'dhlexpress' ) ).to.equal( 'DHL Express' );
+		expect( getCarrierName( 'acme' ) ).to.equal( 'acme' );
+	} );
+
+	it( 'lists the carriers labels can be bought for', () => {
+		expect( getCarrierNames( 'labels' ) ).to.eql( {
+			usps: 'USPS',
+			fedex: 'FedEx',
+			ups: 'UPS',
+			dhlexpress: 'DHL Express',
+		} );
+	} );
+
+	it( 'tells which carriers have a feature', () => {
+		expect( hasCarrierFeature( 'usps', 'payOnScanReturns' ) ).to.be.true;
+		expect( hasCarrierFeature( 'canadapost', 'pickup' ) ).to.be.false;
+		expect( hasCarrierFeature( 'acme', 'pickup' ) ).to.be.false;
+	} );
+
+	it( 'builds the tracking URL from the template', () => {
+		expect( getTrackingUrl( 'ups', '1Z999' ) ).to.equal( 'https://www.ups.com/track?loc=en_US&tracknum=1Z999' );
+		expect( getTrackingUrl( 'acme', '1Z999' ) ).to.be.null;
+		expect( getTrackingUrl( 'ups', '' ) ).to.be.null;
+	} );
+
+	it( 'finds the carrier of accounts, shipping methods and subscriptions', () => {
+		expect( getCarrierIdByAccountType( 'DhlEcsAccount' ) ).to.equal( 'dhlecommerce' );
+		expect( getCarrierIdByAccountType( 'AcmeAccount' ) ).to.be.null;
+		expect( getCarrierIdByShippingMethod( 'wc_services_usps' ) ).to.equal( 'usps' );
+		expect( getCarrierIdByShippingMethod( 'wc_services_fedex' ) ).to.be.null;
+		expect( getCarrierIdByProductName( 'DHL Express rates' ) ).to.equal( 'dhlexpress' );
+		expect( getCarrierIdByProductName( 'DHL eCommerce Asia labels' ) ).to.equal( 'dhlecommerceasia' );
+		expect( getCarrierIdByProductName( 'USPS labels' ) ).to.equal( 'usps' );
+		expect( getCarrierIdByProductName( 'Shipping rates' ) ).to.be.null;
+	} );
+
+	describe( 'third-party carriers', () => {
+		beforeEach( () => {
+			global.wp = {
+				hooks: {
+					applyFilters: ( name, carriers ) =>
+						CARRIERS_FILTER === name
+							? { ...carriers, acme: { name: 'Acme Post', trackingUrl: 'https://acme.test/{tracking}' } }
+							: carriers,
+				},
+			};
+		} );
+
+		afterEach( () => {
+			delete global.wp;
+		} );
+
+		it( 'adds the carriers registered through the filter', () => {
+			expect( getCarrierName( 'acme' ) ).to.equal( 'Acme Post' );
+			expect( getTrackingUrl( 'acme', 'A 1' ) ).to.equal( 'https://acme.test/A%201' );
+			expect( getCarrier( 'acme' ).features ).to.eql( {} );
+			expect( getCarrierNames( 'labels' ) ).not.to.have.property( 'acme' );
+		} );
+	} );
+} );
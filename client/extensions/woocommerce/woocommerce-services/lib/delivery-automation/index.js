@@ -0,0 +1,18 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+
+export const DEFAULT_DELIVERY_AUTOMATION = {
+	enabled: false,
+	interval: 60,
+	statuses: { first_scan: '', delivered: '', exception: '' },
+};
+
+export const getDeliveryEventNames = () => ( {
+	first_scan: translate( 'When the carrier scans the first package' ),
+	delivered: translate( 'When every package is delivered' ),
+	exception: translate( 'When the carrier reports a delivery exception' ),
+} );
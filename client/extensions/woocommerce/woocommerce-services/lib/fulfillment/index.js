@@ -0,0 +1,81 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { countBy, filter, flatMap, forEach, isEmpty, round, sumBy, uniqBy } from 'lodash';
+
+/**
+ * Tells whether the items of a label count as shipped. Return labels bring items back to the store, and
+ * the items of labels that failed or were refunded have to go out again
+ * @param {Object} label label, as the server sends it
+ * @returns {Boolean} true if the label ships its items
+ */
+export const isShipmentLabel = label =>
+	! label.is_return &&
+	'PURCHASE_ERROR' !== label.status &&
+	( ! label.refund || 'rejected' === label.refund.status );
+
+/**
+ * Counts the units of each product the labels of an order already ship. Labels list one product ID per unit
+ * @param {Array} labels labels of the order
+ * @returns {Object} number of units shipped, keyed by product ID
+ */
+export const getShippedQuantities = labels =>
+	countBy( flatMap( filter( labels, isShipmentLabel ), label => label.product_ids || [] ) );
+
+/**
+ * Lists the products of an order with how many of their units were shipped
+ * @param {Array} orderItems every unit of the order, as found in the packages sent with the order
+ * @param {Array} labels labels of the order
+ * @returns {Array} `productId`, `name`, `shipped` and `total` units of each product, in the order's order
+ */
+export const getItemsFulfillment = ( orderItems, labels ) => {
+	const shipped = getShippedQuantities( labels );
+	const totals = countBy( orderItems, 'product_id' );
+
+	return uniqBy( orderItems, 'product_id' ).map( ( { product_id, name } ) => ( {
+		productId: product_id,
+		name,
+		shipped: Math.min( shipped[ product_id ] || 0, totals[ product_id ] ),
+		total: totals[ product_id ],
+	} ) );
+};
+
+/**
+ * Takes the units the labels already ship out of the packages of the order. Packages left without items
+ * are dropped, and the weight of the others goes down by the weight of the units taken out
+ * @param {Object} orderPackages packages sent with the order, keyed by package ID
+ * @param {Array} labels labels of the order
+ * @returns {Object} packages to prefill the label form with. Once everything is shipped, it's all the
+ * packages of the order, as a new label is then a replacement for the whole shipment
+ */
+export const getUnshippedPackages = ( orderPackages, labels ) => {
+	const shipped = getShippedQuantities( labels );
+	const unshipped = {};
+
+	forEach( orderPackages, ( pckg, packageId ) => {
+		const shippedItems = [];
+		const items = filter( pckg.items, item => {
+			if ( ! shipped[ item.product_id ] ) {
+				return true;
+			}
+			shipped[ item.product_id ]--;
+			shippedItems.push( item );
+			return false;
+		} );
+
+		if ( ! items.length ) {
+			return;
+		}
+		unshipped[ packageId ] = shippedItems.length
+			? {
+					...pckg,
+					items,
+					weight: Math.max( 0, round( pckg.weight - sumBy( shippedItems, 'weight' ), 8 ) ),
+			  }
+			: pckg;
+	} );
+
+	return isEmpty( unshipped ) ? orderPackages : unshipped;
+};
@@ -0,0 +1,74 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { getItemsFulfillment, getShippedQuantities, getUnshippedPackages } from '..';
+
+const shirt = { product_id: 1, name: 'Shirt', weight: 0.5 };
+const mug = { product_id: 2, name: 'Mug', weight: 1 };
+
+describe( 'Fulfillment', () => {
+	describe( 'getShippedQuantities', () => {
+		it( 'counts the units of the labels that ship their items', () => {
+			const labels = [
+				{ label_id: 1, product_ids: [ 1, 1, 2 ] },
+				{ label_id: 2, product_ids: [ 2 ], is_return: true },
+				{ label_id: 3, product_ids: [ 2 ], refund: { status: 'pending' } },
+				{ label_id: 4, product_ids: [ 2 ], refund: { status: 'rejected' } },
+				{ label_id: 5, product_ids: [ 1 ], status: 'PURCHASE_ERROR' },
+			];
+
+			expect( getShippedQuantities( labels ) ).to.eql( { 1: 2, 2: 2 } );
+		} );
+	} );
+
+	describe( 'getItemsFulfillment', () => {
+		it( 'tells how many units of each product were shipped', () => {
+			const orderItems = [ shirt, mug, shirt, shirt ];
+			const labels = [ { label_id: 1, product_ids: [ 1, 1 ] } ];
+
+			expect( getItemsFulfillment( orderItems, labels ) ).to.eql( [
+				{ productId: 1, name: 'Shirt', shipped: 2, total: 3 },
+				{ productId: 2, name: 'Mug', shipped: 0, total: 1 },
+			] );
+		} );
+
+		it( 'never counts more units than the order has', () => {
+			const labels = [ { label_id: 1, product_ids: [ 2 ] }, { label_id: 2, product_ids: [ 2 ] } ];
+
+			expect( getItemsFulfillment( [ mug ], labels )[ 0 ].shipped ).to.equal( 1 );
+		} );
+	} );
+
+	describe( 'getUnshippedPackages', () => {
+		const orderPackages = {
+			box_1: { id: 'box_1', weight: 2.5, items: [ shirt, mug ] },
+			box_2: { id: 'box_2', weight: 1, items: [ shirt ] },
+		};
+
+		it( 'takes the shipped units out and lowers the package weight', () => {
+			const packages = getUnshippedPackages( orderPackages, [ { label_id: 1, product_ids: [ 1 ] } ] );
+
+			expect( packages.box_1 ).to.eql( { id: 'box_1', weight: 2, items: [ mug ] } );
+			expect( packages.box_2 ).to.equal( orderPackages.box_2 );
+		} );
+
+		it( 'drops the packages left without items', () => {
+			const packages = getUnshippedPackages( orderPackages, [ { label_id: 1, product_ids: [ 1, 2 ] } ] );
+
+			expect( packages ).to.have.all.keys( 'box_2' );
+		} );
+
+		it( 'keeps every package once the whole order is shipped', () => {
+			const labels = [ { label_id: 1, product_ids: [ 1, 1, 2 ] } ];
+
+			expect( getUnshippedPackages( orderPackages, labels ) ).to.equal( orderPackages );
+		} );
+	} );
+} );
@@ -0,0 +1,574 @@
+/** @format */
+
+/**
+ * Harmonized System (HS 2022) nomenclature used by the customs step. All the chapters are listed,
+ * headings and subheadings cover the goods that stores usually ship by mail.
+ * Descriptions are shortened versions of the official ones.
+ */
+
+export const chapters = {
+	'01': 'Live animals',
+	'02': 'Meat and edible meat offal',
+	'03': 'Fish and crustaceans, molluscs and other aquatic invertebrates',
+	'04': "Dairy produce; birds' eggs; natural honey; edible products of animal origin",
+	'05': 'Products of animal origin, not elsewhere specified or included',
+	'06': 'Live trees and other plants; bulbs, roots; cut flowers and ornamental foliage',
+	'07': 'Edible vegetables and certain roots and tubers',
+	'08': 'Edible fruit and nuts; peel of citrus fruit or melons',
+	'09': 'Coffee, tea, maté and spices',
+	'10': 'Cereals',
+	'11': 'Products of the milling industry; malt; starches; inulin; wheat gluten',
+	'12': 'Oil seeds and oleaginous fruits; miscellaneous grains, seeds and fruit; industrial or medicinal plants',
+	'13': 'Lac; gums, resins and other vegetable saps and extracts',
+	'14': 'Vegetable plaiting materials; vegetable products not elsewhere specified or included',
+	'15': 'Animal, vegetable or microbial fats and oils; prepared edible fats; animal or vegetable waxes',
+	'16': 'Preparations of meat, of fish, of crustaceans, molluscs or other aquatic invertebrates, or of insects',
+	'17': 'Sugars and sugar confectionery',
+	'18': 'Cocoa and cocoa preparations',
+	'19': "Preparations of cereals, flour, starch or milk; pastrycooks' products",
+	'20': 'Preparations of vegetables, fruit, nuts or other parts of plants',
+	'21': 'Miscellaneous edible preparations',
+	'22': 'Beverages, spirits and vinegar',
+	'23': 'Residues and waste from the food industries; prepared animal fodder',
+	'24': 'Tobacco and manufactured tobacco substitutes; products intended for inhalation without combustion',
+	'25': 'Salt; sulphur; earths and stone; plastering materials, lime and cement',
+	'26': 'Ores, slag and ash',
+	'27': 'Mineral fuels, mineral oils and products of their distillation; bituminous substances; mineral waxes',
+	'28': 'Inorganic chemicals; compounds of precious metals, of rare-earth metals, of radioactive elements',
+	'29': 'Organic chemicals',
+	'30': 'Pharmaceutical products',
+	'31': 'Fertilisers',
+	'32': 'Tanning or dyeing extracts; dyes, pigments; paints and varnishes; putty and other mastics; inks',
+	'33': 'Essential oils and resinoids; perfumery, cosmetic or toilet preparations',
+	'34': 'Soap, washing preparations, lubricating preparations, waxes, polishing preparations, candles, modelling pastes',
+	'35': 'Albuminoidal substances; modified starches; glues; enzymes',
+	'36': 'Explosives; pyrotechnic products; matches; pyrophoric alloys; certain combustible preparations',
+	'37': 'Photographic or cinematographic goods',
+	'38': 'Miscellaneous chemical products',
+	'39': 'Plastics and articles thereof',
+	'40': 'Rubber and articles thereof',
+	'41': 'Raw hides and skins (other than furskins) and leather',
+	'42': 'Articles of leather; saddlery and harness; travel goods, handbags and similar containers',
+	'43': 'Furskins and artificial fur; manufactures thereof',
+	'44': 'Wood and articles of wood; wood charcoal',
+	'45': 'Cork and articles of cork',
+	'46': 'Manufactures of straw, of esparto or of other plaiting materials; basketware and wickerwork',
+	'47': 'Pulp of wood or of other fibrous cellulosic material; recovered paper or paperboard',
+	'48': 'Paper and paperboard; articles of paper pulp, of paper or of paperboard',
+	'49': 'Printed books, newspapers, pictures and other products of the printing industry',
+	'50': 'Silk',
+	'51': 'Wool, fine or coarse animal hair; horsehair yarn and woven fabric',
+	'52': 'Cotton',
+	'53': 'Other vegetable textile fibres; paper yarn and woven fabrics of paper yarn',
+	'54': 'Man-made filaments; strip and the like of man-made textile materials',
+	'55': 'Man-made staple fibres',
+	'56': 'Wadding, felt and nonwovens; special yarns; twine, cordage, ropes and cables and articles thereof',
+	'57': 'Carpets and other textile floor coverings',
+	'58': 'Special woven fabrics; tufted textile fabrics; lace; tapestries; trimmings; embroidery',
+	'59': 'Impregnated, coated, covered or laminated textile fabrics; textile articles for industrial use',
+	'60': 'Knitted or crocheted fabrics',
+	'61': 'Articles of apparel and clothing accessories, knitted or crocheted',
+	'62': 'Articles of apparel and clothing accessories, not knitted or crocheted',
+	'63': 'Other made up textile articles; sets; worn clothing and worn textile articles; rags',
+	'64': 'Footwear, gaiters and the like; parts of such articles',
+	'65': 'Headgear and parts thereof',
+	'66': 'Umbrellas, sun umbrellas, walking-sticks, seat-sticks, whips, riding-crops and parts thereof',
+	'67': 'Prepared feathers and down; artificial flowers; articles of human hair',
+	'68': 'Articles of stone, plaster, cement, asbestos, mica or similar materials',
+	'69': 'Ceramic products',
+	'70': 'Glass and glassware',
+	'71': 'Pearls, precious or semi-precious stones, precious metals and articles thereof; imitation jewellery; coin',
+	'72': 'Iron and steel',
+	'73': 'Articles of iron or steel',
+	'74': 'Copper and articles thereof',
+	'75': 'Nickel and articles thereof',
+	'76': 'Aluminium and articles thereof',
+	'78': 'Lead and articles thereof',
+	'79': 'Zinc and articles thereof',
+	'80': 'Tin and articles thereof',
+	'81': 'Other base metals; cermets; articles thereof',
+	'82': 'Tools, implements, cutlery, spoons and forks, of base metal; parts thereof',
+	'83': 'Miscellaneous articles of base metal',
+	'84': 'Nuclear reactors, boilers, machinery and mechanical appliances; parts thereof',
+	'85': 'Electrical machinery and equipment; sound and television recorders and reproducers; parts and accessories',
+	'86': 'Railway or tramway locomotives, rolling-stock and parts thereof; traffic signalling equipment',
+	'87': 'Vehicles other than railway or tramway rolling-stock, and parts and accessories thereof',
+	'88': 'Aircraft, spacecraft, and parts thereof',
+	'89': 'Ships, boats and floating structures',
+	'90': 'Optical, photographic, measuring, checking, precision, medical or surgical instruments and apparatus',
+	'91': 'Clocks and watches and parts thereof',
+	'92': 'Musical instruments; parts and accessories of such articles',
+	'93': 'Arms and ammunition; parts and accessories thereof',
+	'94': 'Furniture; bedding, mattresses, cushions; luminaires and lighting fittings; illuminated signs; prefabricated buildings',
+	'95': 'Toys, games and sports requisites; parts and accessories thereof',
+	'96': 'Miscellaneous manufactured articles',
+	'97': "Works of art, collectors' pieces and antiques",
+};
+
+export const headings = {
+	'0409': 'Natural honey',
+	'0901': 'Coffee, whether or not roasted or decaffeinated; coffee husks and skins',
+	'0902': 'Tea, whether or not flavoured',
+	'0904': 'Pepper; dried or crushed or ground fruits of the genus Capsicum or Pimenta',
+	'0910': 'Ginger, saffron, turmeric, thyme, bay leaves, curry and other spices',
+	'1704': 'Sugar confectionery (including white chocolate), not containing cocoa',
+	'1806': 'Chocolate and other food preparations containing cocoa',
+	'1905': "Bread, pastry, cakes, biscuits and other bakers' wares",
+	'2101': 'Extracts, essences and concentrates of coffee, tea or maté',
+	'2106': 'Food preparations not elsewhere specified or included',
+	'2204': 'Wine of fresh grapes',
+	'2208': 'Spirits, liqueurs and other spirituous beverages',
+	'2309': 'Preparations of a kind used in animal feeding',
+	'3004': 'Medicaments put up in measured doses or for retail sale',
+	'3213': "Artists', students' or signboard painters' colours",
+	'3215': 'Printing ink, writing or drawing ink and other inks',
+	'3303': 'Perfumes and toilet waters',
+	'3304': 'Beauty or make-up preparations and preparations for the care of the skin',
+	'3305': 'Preparations for use on the hair',
+	'3306': 'Preparations for oral or dental hygiene',
+	'3307': 'Shaving preparations, personal deodorants, bath preparations and room perfuming preparations',
+	'3401': 'Soap; organic surface-active products for washing the skin',
+	'3406': 'Candles, tapers and the like',
+	'3506': 'Prepared glues and other prepared adhesives',
+	'3923': 'Articles for the conveyance or packing of goods, of plastics',
+	'3924': 'Tableware, kitchenware, other household articles and toilet articles, of plastics',
+	'3926': 'Other articles of plastics',
+	'4201': 'Saddlery and harness for any animal (including leashes, collars and the like)',
+	'4202': 'Trunks, suitcases, handbags, wallets, backpacks and similar containers',
+	'4203': 'Articles of apparel and clothing accessories, of leather',
+	'4414': 'Wooden frames for paintings, photographs, mirrors or similar objects',
+	'4419': 'Tableware and kitchenware, of wood',
+	'4420': 'Wood marquetry; caskets and cases for jewellery or cutlery; statuettes and other ornaments, of wood',
+	'4602': 'Basketwork, wickerwork and other articles made from plaiting materials',
+	'4817': 'Envelopes, letter cards, plain postcards and correspondence cards',
+	'4818': 'Toilet paper, handkerchiefs, cleansing tissues, towels and similar articles of paper',
+	'4819': 'Cartons, boxes, cases, bags and other packing containers, of paper',
+	'4820': 'Registers, account books, notebooks, diaries, exercise books and similar articles, of paper',
+	'4901': 'Printed books, brochures, leaflets and similar printed matter',
+	'4903': "Children's picture, drawing or colouring books",
+	'4905': 'Maps and hydrographic or similar charts of all kinds, including atlases and globes, printed',
+	'4909': 'Printed or illustrated postcards; printed cards bearing personal greetings or messages',
+	'4910': 'Calendars of any kind, printed',
+	'4911': 'Other printed matter, including printed pictures and photographs',
+	'5109': 'Yarn of wool or of fine animal hair, put up for retail sale',
+	'5207': 'Cotton yarn, put up for retail sale',
+	'5609': 'Articles of yarn, strip, twine, cordage, rope or cables',
+	'5705': 'Other carpets and other textile floor coverings',
+	'5807': 'Labels, badges and similar articles of textile materials, not embroidered',
+	'6104': "Women's or girls' suits, jackets, dresses, skirts, trousers and shorts, knitted or crocheted",
+	'6105': "Men's or boys' shirts, knitted or crocheted",
+	'6106': "Women's or girls' blouses and shirts, knitted or crocheted",
+	'6109': 'T-shirts, singlets and other vests, knitted or crocheted',
+	'6110': 'Jerseys, pullovers, cardigans, sweatshirts and similar articles, knitted or crocheted',
+	'6111': "Babies' garments and clothing accessories, knitted or crocheted",
+	'6112': 'Track suits, ski suits and swimwear, knitted or crocheted',
+	'6115': 'Pantyhose, tights, stockings, socks and other hosiery, knitted or crocheted',
+	'6117': 'Other made up clothing accessories, knitted or crocheted',
+	'6203': "Men's or boys' suits, jackets, trousers and shorts, not knitted",
+	'6204': "Women's or girls' suits, jackets, dresses, skirts, trousers and shorts, not knitted",
+	'6205': "Men's or boys' shirts, not knitted",
+	'6206': "Women's or girls' blouses and shirts, not knitted",
+	'6214': 'Shawls, scarves, mufflers, mantillas, veils and the like, not knitted',
+	'6301': 'Blankets and travelling rugs',
+	'6302': 'Bed linen, table linen, toilet linen and kitchen linen',
+	'6304': 'Other furnishing articles (bedspreads, cushion covers and the like)',
+	'6307': 'Other made up textile articles, including dress patterns and face masks',
+	'6402': 'Other footwear with outer soles and uppers of rubber or plastics',
+	'6403': 'Footwear with uppers of leather',
+	'6404': 'Footwear with uppers of textile materials',
+	'6505': 'Hats and other headgear, knitted or crocheted, or made up from textile fabric',
+	'6506': 'Other headgear, including helmets',
+	'6601': 'Umbrellas and sun umbrellas',
+	'6702': 'Artificial flowers, foliage and fruit and parts thereof',
+	'6704': 'Wigs, false beards, eyebrows and eyelashes, of human or animal hair or of textile materials',
+	'6911': 'Tableware, kitchenware and other household articles, of porcelain or china',
+	'6912': 'Ceramic tableware, kitchenware and other household articles, other than of porcelain',
+	'6913': 'Statuettes and other ornamental ceramic articles',
+	'7013': 'Glassware for table, kitchen, toilet, office or indoor decoration',
+	'7018': 'Glass beads, imitation pearls and imitation precious or semi-precious stones',
+	'7113': 'Articles of jewellery and parts thereof, of precious metal',
+	'7116': 'Articles of natural or cultured pearls, precious or semi-precious stones',
+	'7117': 'Imitation jewellery',
+	'7319': 'Sewing needles, knitting needles, crochet hooks, safety pins and other pins, of iron or steel',
+	'7323': 'Table, kitchen or other household articles, of iron or steel',
+	'7326': 'Other articles of iron or steel',
+	'7615': 'Table, kitchen or other household articles, of aluminium',
+	'8203': 'Files, pliers, pincers, tweezers, metal cutting shears and similar hand tools',
+	'8205': 'Hand tools not elsewhere specified or included',
+	'8211': 'Knives with cutting blades, serrated or not',
+	'8214': 'Other articles of cutlery, including hair clippers and manicure or pedicure sets',
+	'8215': 'Spoons, forks, ladles, skimmers, cake-servers, fish-knives, butter-knives and similar kitchen or tableware',
+	'8301': 'Padlocks and locks, of base metal',
+	'8306': 'Bells, statuettes and other ornaments, photograph and picture frames and mirrors, of base metal',
+	'8308': 'Clasps, buckles, hooks, eyelets, beads and spangles, of base metal',
+	'8414': 'Air or vacuum pumps, compressors and fans',
+	'8423': 'Weighing machinery, including household scales',
+	'8443': 'Printing machinery; printers, copying machines and facsimile machines; parts and accessories',
+	'8467': 'Tools for working in the hand, with self-contained electric or non-electric motor',
+	'8471': 'Automatic data processing machines (computers) and units thereof',
+	'8473': 'Parts and accessories of office machines and computers',
+	'8504': 'Electrical transformers, static converters (for example, rectifiers) and inductors',
+	'8507': 'Electric accumulators (batteries)',
+	'8508': 'Vacuum cleaners',
+	'8509': 'Electro-mechanical domestic appliances, with self-contained electric motor',
+	'8510': 'Shavers, hair clippers and hair-removing appliances, with self-contained electric motor',
+	'8513': 'Portable electric lamps designed to function by their own source of energy',
+	'8516': 'Electric water heaters, hair dryers, smoothing irons and other electro-thermic domestic appliances',
+	'8517': 'Telephone sets, including smartphones; apparatus for the transmission or reception of voice or data',
+	'8518': 'Microphones, loudspeakers, headphones and earphones, audio-frequency amplifiers',
+	'8519': 'Sound recording or reproducing apparatus',
+	'8523': 'Discs, tapes, solid-state storage devices, smart cards and other recording media',
+	'8525': 'Transmission apparatus for radio-broadcasting or television; television cameras, digital cameras',
+	'8528': 'Monitors and projectors; television receivers',
+	'8539': 'Electric filament or discharge lamps; light-emitting diode (LED) lamps',
+	'8544': 'Insulated wire, cable and other insulated electric conductors',
+	'8712': 'Bicycles and other cycles, not motorised',
+	'8714': 'Parts and accessories of motorcycles, bicycles and wheelchairs',
+	'8715': 'Baby carriages and parts thereof',
+	'9001': 'Optical fibres; contact lenses; spectacle lenses and other lenses, unmounted',
+	'9002': 'Lenses, prisms, mirrors and other optical elements, mounted',
+	'9004': 'Spectacles, goggles and the like, corrective, protective or other',
+	'9005': 'Binoculars, monoculars, other optical telescopes',
+	'9019': 'Mechano-therapy appliances; massage apparatus',
+	'9025': 'Hydrometers, thermometers, pyrometers, barometers and hygrometers',
+	'9102': 'Wrist-watches, pocket-watches and other watches, other than with case of precious metal',
+	'9105': 'Other clocks',
+	'9113': 'Watch straps, watch bands and watch bracelets',
+	'9202': 'Other string musical instruments (for example, guitars, violins, harps)',
+	'9205': 'Wind musical instruments',
+	'9207': 'Musical instruments, the sound of which is produced, or must be amplified, electrically',
+	'9209': 'Parts and accessories of musical instruments',
+	'9401': 'Seats, whether or not convertible into beds, and parts thereof',
+	'9403': 'Other furniture and parts thereof',
+	'9404': 'Mattress supports; articles of bedding and similar furnishing (mattresses, quilts, cushions, pillows)',
+	'9405': 'Luminaires and lighting fittings, including searchlights and spotlights',
+	'9503': 'Tricycles, scooters, pedal cars and similar wheeled toys; dolls; other toys; puzzles',
+	'9504': 'Video game consoles and machines, table or parlour games, playing cards',
+	'9505': 'Festive, carnival or other entertainment articles, including conjuring tricks',
+	'9506': 'Articles and equipment for general physical exercise, gymnastics, athletics, other sports or outdoor games',
+	'9507': 'Fishing rods, fish-hooks and other line fishing tackle',
+	'9603': 'Brooms, brushes (including make-up brushes), mops and feather dusters',
+	'9606': 'Buttons, press-fasteners, snap-fasteners and press-studs',
+	'9607': 'Slide fasteners (zippers) and parts thereof',
+	'9608': 'Ball point pens; felt tipped and other porous-tipped pens and markers; fountain pens',
+	'9609': 'Pencils, crayons, pencil leads, pastels, drawing charcoals, writing or drawing chalks',
+	'9615': 'Combs, hair-slides and the like; hairpins, curling pins and curling grips',
+	'9616': 'Scent sprays and similar toilet sprays; powder-puffs and pads',
+	'9617': 'Vacuum flasks and other vacuum vessels',
+	'9619': "Sanitary towels (pads) and tampons, napkins (diapers) and napkin liners for babies",
+	'9620': 'Monopods, bipods, tripods and similar articles',
+	'9701': 'Paintings, drawings and pastels, executed entirely by hand; collages and mosaics',
+	'9702': 'Original engravings, prints and lithographs',
+	'9703': 'Original sculptures and statuary, in any material',
+	'9704': 'Postage or revenue stamps, first-day covers and the like, used or unused',
+	'9706': 'Antiques of an age exceeding 100 years',
+};
+
+export const subheadings = {
+	'040900': 'Natural honey',
+	'090111': 'Coffee, not roasted, not decaffeinated',
+	'090112': 'Coffee, not roasted, decaffeinated',
+	'090121': 'Coffee, roasted, not decaffeinated',
+	'090122': 'Coffee, roasted, decaffeinated',
+	'090190': 'Coffee husks and skins; coffee substitutes containing coffee',
+	'090210': 'Green tea (not fermented), in immediate packings of a content not exceeding 3 kg',
+	'090220': 'Other green tea (not fermented)',
+	'090230': 'Black tea (fermented) and partly fermented tea, in immediate packings not exceeding 3 kg',
+	'090240': 'Other black tea (fermented) and other partly fermented tea',
+	'090411': 'Pepper, neither crushed nor ground',
+	'090412': 'Pepper, crushed or ground',
+	'091091': 'Mixtures of spices',
+	'091099': 'Other spices',
+	'170410': 'Chewing gum, whether or not sugar-coated',
+	'170490': 'Other sugar confectionery (candy), not containing cocoa',
+	'180631': 'Chocolate in blocks, slabs or bars, filled',
+	'180632': 'Chocolate in blocks, slabs or bars, not filled',
+	'180690': 'Other chocolate and food preparations containing cocoa',
+	'190531': 'Sweet biscuits (cookies)',
+	'190590': "Other bread, pastry, cakes and bakers' wares",
+	'210111': 'Extracts, essences and concentrates of coffee (instant coffee)',
+	'210690': 'Other food preparations, including dietary supplements',
+	'220421': 'Wine, in containers holding 2 litres or less',
+	'220830': 'Whiskies',
+	'230910': 'Dog or cat food, put up for retail sale',
+	'300490': 'Other medicaments put up in measured doses or for retail sale',
+	'321310': "Artists' colours (paints) in sets",
+	'321390': "Other artists', students' or signboard painters' colours",
+	'321590': 'Writing, drawing and other inks',
+	'330300': 'Perfumes and toilet waters',
+	'330410': 'Lip make-up preparations (lipstick)',
+	'330420': 'Eye make-up preparations',
+	'330430': 'Manicure or pedicure preparations (nail polish)',
+	'330491': 'Powders, whether or not compressed',
+	'330499': 'Other beauty, make-up or skin care preparations (creams, lotions, sunscreen)',
+	'330510': 'Shampoos',
+	'330530': 'Hair lacquers (hair spray)',
+	'330590': 'Other preparations for use on the hair (conditioners, hair oils)',
+	'330610': 'Dentifrices (toothpaste)',
+	'330620': 'Yarn used to clean between the teeth (dental floss)',
+	'330710': 'Pre-shave, shaving or after-shave preparations',
+	'330720': 'Personal deodorants and antiperspirants',
+	'330730': 'Perfumed bath salts and other bath preparations (bath bombs)',
+	'330741': 'Incense and other odoriferous preparations which operate by burning',
+	'330749': 'Other preparations for perfuming or deodorising rooms (diffusers, room sprays)',
+	'340111': 'Soap for toilet use, in bars, cakes or moulded pieces',
+	'340130': 'Liquid or cream products for washing the skin (liquid soap)',
+	'340600': 'Candles, tapers and the like',
+	'350610': 'Glues or adhesives put up for retail sale, not exceeding 1 kg',
+	'392310': 'Boxes, cases, crates and similar articles, of plastics',
+	'392321': 'Sacks and bags, of polymers of ethylene',
+	'392330': 'Carboys, bottles, flasks and similar articles, of plastics',
+	'392410': 'Tableware and kitchenware, of plastics',
+	'392490': 'Other household articles and toilet articles, of plastics',
+	'392610': 'Office or school supplies, of plastics',
+	'392620': 'Articles of apparel and clothing accessories, of plastics',
+	'392640': 'Statuettes and other ornamental articles, of plastics',
+	'392690': 'Other articles of plastics (including phone cases)',
+	'420100': 'Saddlery and harness for any animal, including leashes and collars',
+	'420211': 'Trunks, suitcases and similar, with outer surface of leather',
+	'420212': 'Trunks, suitcases and similar, with outer surface of plastics or textile materials',
+	'420221': 'Handbags, with outer surface of leather',
+	'420222': 'Handbags, with outer surface of plastic sheeting or textile materials',
+	'420229': 'Other handbags',
+	'420231': 'Wallets, purses and articles carried in the pocket or handbag, of leather',
+	'420232': 'Wallets, purses and articles carried in the pocket or handbag, of plastic sheeting or textile materials',
+	'420239': 'Other articles carried in the pocket or handbag',
+	'420291': 'Other bags and cases (backpacks, tote bags, sports bags), of leather',
+	'420292': 'Other bags and cases (backpacks, tote bags, sports bags), of plastic sheeting or textile materials',
+	'420299': 'Other bags and cases',
+	'420310': 'Articles of apparel, of leather',
+	'420321': 'Gloves specially designed for use in sports, of leather',
+	'420329': 'Other gloves, mittens and mitts, of leather',
+	'420330': 'Belts and bandoliers, of leather',
+	'420340': 'Other clothing accessories, of leather',
+	'441490': 'Wooden frames for paintings, photographs, mirrors, other than of tropical wood',
+	'441990': 'Tableware and kitchenware (cutting boards, utensils), of wood other than bamboo or tropical wood',
+	'442019': 'Statuettes and other ornaments, of wood other than tropical wood',
+	'442090': 'Caskets and cases for jewellery or cutlery and other articles of wood',
+	'460211': 'Basketwork and wickerwork, of bamboo',
+	'460219': 'Basketwork and wickerwork, of other vegetable materials',
+	'481710': 'Envelopes',
+	'481810': 'Toilet paper',
+	'481820': 'Handkerchiefs, cleansing or facial tissues and towels, of paper',
+	'481910': 'Cartons, boxes and cases, of corrugated paper or paperboard',
+	'482010': 'Notebooks, diaries, letter pads, memorandum pads, planners and similar articles',
+	'482020': 'Exercise books',
+	'490110': 'Printed books, brochures and leaflets, in single sheets',
+	'490191': 'Dictionaries and encyclopaedias',
+	'490199': 'Other printed books, brochures and similar printed matter',
+	'490300': "Children's picture, drawing or colouring books",
+	'490599': 'Other maps and charts, printed, not in book form',
+	'490900': 'Printed or illustrated postcards; greeting cards',
+	'491000': 'Calendars of any kind, printed',
+	'491191': 'Pictures, designs and photographs (art prints, posters)',
+	'491199': 'Other printed matter (stickers, printed labels)',
+	'510910': 'Yarn containing 85% or more of wool or fine animal hair, for retail sale',
+	'520710': 'Cotton yarn containing 85% or more of cotton, for retail sale',
+	'560900': 'Articles of yarn, twine, cordage, rope or cables (macramé, cords)',
+	'570500': 'Other carpets and textile floor coverings (rugs)',
+	'580710': 'Woven labels, badges and similar articles of textile materials',
+	'610442': "Women's or girls' dresses, of cotton, knitted",
+	'610443': "Women's or girls' dresses, of synthetic fibres, knitted",
+	'610462': "Women's or girls' trousers and shorts, of cotton, knitted (leggings)",
+	'610510': "Men's or boys' shirts, of cotton, knitted (polo shirts)",
+	'610610': "Women's or girls' blouses and shirts, of cotton, knitted",
+	'610910': 'T-shirts, singlets and other vests, of cotton, knitted',
+	'610990': 'T-shirts, singlets and other vests, of other textile materials, knitted',
+	'611011': 'Jerseys, pullovers, cardigans and sweaters, of wool, knitted',
+	'611020': 'Jerseys, pullovers, cardigans, sweatshirts and hoodies, of cotton, knitted',
+	'611030': 'Jerseys, pullovers, cardigans, sweatshirts and hoodies, of man-made fibres, knitted',
+	'611120': "Babies' garments and clothing accessories, of cotton, knitted",
+	'611231': "Men's or boys' swimwear, of synthetic fibres, knitted",
+	'611241': "Women's or girls' swimwear, of synthetic fibres, knitted",
+	'611595': 'Socks and other hosiery, of cotton, knitted',
+	'611596': 'Socks and other hosiery, of synthetic fibres, knitted',
+	'611710': 'Shawls, scarves, mufflers and veils, knitted',
+	'620342': "Men's or boys' trousers and shorts, of cotton, not knitted (jeans)",
+	'620343': "Men's or boys' trousers and shorts, of synthetic fibres, not knitted",
+	'620442': "Women's or girls' dresses, of cotton, not knitted",
+	'620443': "Women's or girls' dresses, of synthetic fibres, not knitted",
+	'620444': "Women's or girls' dresses, of artificial fibres, not knitted",
+	'620452': "Women's or girls' skirts, of cotton, not knitted",
+	'620462': "Women's or girls' trousers and shorts, of cotton, not knitted (jeans)",
+	'620520': "Men's or boys' shirts, of cotton, not knitted",
+	'620630': "Women's or girls' blouses and shirts, of cotton, not knitted",
+	'620640': "Women's or girls' blouses and shirts, of man-made fibres, not knitted",
+	'621410': 'Shawls, scarves and mufflers, of silk, not knitted',
+	'621420': 'Shawls, scarves and mufflers, of wool, not knitted',
+	'621430': 'Shawls, scarves and mufflers, of synthetic fibres, not knitted',
+	'630130': 'Blankets and travelling rugs, of cotton',
+	'630140': 'Blankets and travelling rugs, of synthetic fibres',
+	'630221': 'Bed linen, printed, of cotton',
+	'630231': 'Other bed linen, of cotton',
+	'630251': 'Table linen, of cotton',
+	'630260': 'Toilet and kitchen linen (towels), of terry fabrics of cotton',
+	'630492': 'Other furnishing articles (cushion covers), of cotton, not knitted',
+	'630790': 'Other made up textile articles (including face masks)',
+	'640219': 'Sports footwear with outer soles and uppers of rubber or plastics',
+	'640299': 'Other footwear with outer soles and uppers of rubber or plastics (sandals, slippers)',
+	'640391': 'Footwear covering the ankle, with uppers of leather (boots)',
+	'640399': 'Other footwear with uppers of leather',
+	'640411': 'Sports footwear, tennis shoes, training shoes, with uppers of textile materials',
+	'640419': 'Other footwear with uppers of textile materials',
+	'650500': 'Hats and other headgear, knitted or made up from textile fabric (caps, beanies)',
+	'650610': 'Safety headgear (helmets)',
+	'650699': 'Other headgear, of other materials',
+	'660191': 'Umbrellas having a telescopic shaft',
+	'660199': 'Other umbrellas',
+	'670210': 'Artificial flowers, foliage and fruit, of plastics',
+	'670290': 'Artificial flowers, foliage and fruit, of other materials',
+	'670411': 'Complete wigs, of synthetic textile materials',
+	'670420': 'Wigs, false beards, eyelashes and the like, of human hair',
+	'691110': 'Tableware and kitchenware, of porcelain or china',
+	'691200': 'Ceramic tableware, kitchenware and household articles, other than porcelain (mugs, stoneware)',
+	'691310': 'Statuettes and other ornamental articles, of porcelain or china',
+	'691390': 'Other statuettes and ornamental ceramic articles',
+	'701328': 'Stemware drinking glasses, other than of glass-ceramics or lead crystal',
+	'701337': 'Other drinking glasses',
+	'701349': 'Other glassware for table or kitchen purposes',
+	'701399': 'Other glassware for toilet, office or indoor decoration',
+	'701810': 'Glass beads, imitation pearls and imitation precious or semi-precious stones',
+	'711311': 'Articles of jewellery, of silver',
+	'711319': 'Articles of jewellery, of other precious metal (gold, platinum)',
+	'711320': 'Articles of jewellery, of base metal clad with precious metal',
+	'711620': 'Articles of precious or semi-precious stones',
+	'711711': 'Cuff-links and studs, of base metal',
+	'711719': 'Other imitation jewellery, of base metal',
+	'711790': 'Other imitation jewellery',
+	'731990': 'Knitting needles, crochet hooks and similar articles, of iron or steel',
+	'732393': 'Table, kitchen or household articles, of stainless steel',
+	'732399': 'Other table, kitchen or household articles, of iron or steel',
+	'732690': 'Other articles of iron or steel',
+	'761510': 'Table, kitchen or household articles, of aluminium',
+	'820320': 'Pliers, pincers, tweezers and similar tools',
+	'820559': 'Other hand tools',
+	'821191': 'Table knives having fixed blades',
+	'821192': 'Other knives having fixed blades',
+	'821193': 'Knives having other than fixed blades (folding knives)',
+	'821420': 'Manicure or pedicure sets and instruments',
+	'821520': 'Sets of assorted spoons, forks and other kitchen or tableware',
+	'821599': 'Other spoons, forks, ladles and similar kitchen or tableware',
+	'830110': 'Padlocks',
+	'830629': 'Statuettes and other ornaments, of base metal',
+	'830630': 'Photograph, picture or similar frames; mirrors, of base metal',
+	'830810': 'Hooks, eyes and eyelets, of base metal',
+	'830890': 'Other clasps, buckles, beads and spangles, of base metal',
+	'841451': 'Table, floor, wall, window or ceiling fans, with an electric motor not exceeding 125 W',
+	'842310': 'Personal weighing machines, including baby scales; household scales',
+	'844332': 'Other printers, capable of connecting to a computer or to a network',
+	'844399': 'Parts and accessories of printers (ink cartridges, toner)',
+	'846721': 'Drills of all kinds, with self-contained electric motor',
+	'846722': 'Saws, with self-contained electric motor',
+	'847130': 'Portable computers (laptops, tablets) weighing not more than 10 kg',
+	'847141': 'Other computers comprising in the same housing a processing unit and input and output units',
+	'847160': 'Input or output units (keyboards, mice, scanners)',
+	'847170': 'Storage units (hard drives)',
+	'847330': 'Parts and accessories of computers',
+	'850440': 'Static converters (chargers, power adapters)',
+	'850760': 'Lithium-ion accumulators (batteries)',
+	'850811': 'Vacuum cleaners of a power not exceeding 1,500 W',
+	'850940': 'Food grinders, mixers and fruit or vegetable juice extractors',
+	'851010': 'Shavers',
+	'851020': 'Hair clippers',
+	'851030': 'Hair-removing appliances',
+	'851310': 'Portable electric lamps (flashlights)',
+	'851631': 'Hair dryers',
+	'851632': 'Other hair-dressing apparatus (hair straighteners, curling irons)',
+	'851640': 'Electric smoothing irons',
+	'851671': 'Coffee or tea makers',
+	'851672': 'Toasters',
+	'851713': 'Smartphones',
+	'851762': 'Machines for the reception, conversion and transmission of data (routers, modems)',
+	'851810': 'Microphones and stands therefor',
+	'851822': 'Multiple loudspeakers, mounted in the same enclosure (speakers)',
+	'851830': 'Headphones and earphones',
+	'851981': 'Sound reproducing apparatus using magnetic, optical or semiconductor media',
+	'852349': 'Optical media (CDs, DVDs, Blu-ray discs)',
+	'852351': 'Solid-state non-volatile storage devices (USB flash drives, memory cards)',
+	'852380': 'Other recording media (vinyl records)',
+	'852589': 'Television cameras, digital cameras and video camera recorders',
+	'852852': 'Monitors capable of connecting to a computer',
+	'852872': 'Other television receivers, colour',
+	'853952': 'Light-emitting diode (LED) lamps (light bulbs)',
+	'854442': 'Electric conductors for a voltage not exceeding 1,000 V, fitted with connectors (cables)',
+	'871200': 'Bicycles and other cycles, not motorised',
+	'871499': 'Other parts and accessories of bicycles',
+	'871500': 'Baby carriages (strollers) and parts thereof',
+	'900130': 'Contact lenses',
+	'900211': 'Objective lenses for cameras, projectors or photographic enlargers',
+	'900410': 'Sunglasses',
+	'900490': 'Other spectacles and goggles',
+	'900510': 'Binoculars',
+	'901910': 'Mechano-therapy appliances; massage apparatus',
+	'902519': 'Other thermometers, not combined with other instruments',
+	'910211': 'Wrist-watches, electrically operated, with mechanical display only',
+	'910212': 'Wrist-watches, electrically operated, with opto-electronic display only',
+	'910219': 'Other wrist-watches, electrically operated',
+	'910221': 'Wrist-watches with automatic winding',
+	'910229': 'Other wrist-watches',
+	'910511': 'Alarm clocks, electrically operated',
+	'910521': 'Wall clocks, electrically operated',
+	'911310': 'Watch straps, bands and bracelets, of precious metal',
+	'911320': 'Watch straps, bands and bracelets, of base metal',
+	'911390': 'Other watch straps, bands and bracelets (leather, textile)',
+	'920210': 'String musical instruments played with a bow (violins)',
+	'920290': 'Other string musical instruments (guitars, harps)',
+	'920510': 'Brass-wind instruments',
+	'920590': 'Other wind musical instruments',
+	'920710': 'Keyboard instruments, the sound of which is produced or amplified electrically',
+	'920790': 'Other electric musical instruments (electric guitars)',
+	'920930': 'Musical instrument strings',
+	'920999': 'Other parts and accessories of musical instruments',
+	'940161': 'Upholstered seats, with wooden frames',
+	'940171': 'Upholstered seats, with metal frames',
+	'940320': 'Other metal furniture',
+	'940360': 'Other wooden furniture',
+	'940370': 'Furniture of plastics',
+	'940421': 'Mattresses of cellular rubber or plastics',
+	'940490': 'Other articles of bedding (quilts, cushions, pillows)',
+	'940521': 'Electric table, desk, bedside or floor-standing lamps, designed for use solely with LED light sources',
+	'940529': 'Other electric table, desk, bedside or floor-standing lamps',
+	'940531': 'Lighting strings of a kind used for Christmas trees, designed for use solely with LED light sources',
+	'940550': 'Non-electrical luminaires and lighting fittings (lanterns)',
+	'950300': 'Toys, dolls, puzzles, scale models and similar recreational models',
+	'950440': 'Playing cards',
+	'950450': 'Video game consoles and machines',
+	'950490': 'Other table or parlour games (board games, chess)',
+	'950510': 'Articles for Christmas festivities (ornaments, decorations)',
+	'950590': 'Other festive, carnival or entertainment articles (party supplies)',
+	'950611': 'Skis',
+	'950631': 'Golf clubs, complete',
+	'950632': 'Golf balls',
+	'950640': 'Articles and equipment for table-tennis',
+	'950651': 'Lawn-tennis rackets',
+	'950662': 'Inflatable balls',
+	'950691': 'Articles and equipment for general physical exercise, gymnastics or athletics (yoga mats, weights)',
+	'950699': 'Other articles and equipment for sports or outdoor games',
+	'950710': 'Fishing rods',
+	'950790': 'Other line fishing tackle (fish-hooks, reels, lures)',
+	'960321': 'Tooth brushes',
+	'960329': 'Shaving brushes, hair brushes, nail brushes and other toilet brushes',
+	'960330': "Artists' brushes, writing brushes and similar brushes for cosmetics (make-up brushes)",
+	'960621': 'Buttons of plastics, not covered with textile material',
+	'960622': 'Buttons of base metal, not covered with textile material',
+	'960711': 'Slide fasteners (zippers) fitted with chain scoops of base metal',
+	'960719': 'Other slide fasteners (zippers)',
+	'960810': 'Ball point pens',
+	'960820': 'Felt tipped and other porous-tipped pens and markers',
+	'960910': 'Pencils and crayons, with leads encased in a sheath',
+	'961511': 'Combs, hair-slides and the like, of hard rubber or plastics',
+	'961590': 'Other combs, hair-slides, hairpins and curling grips',
+	'961610': 'Scent sprays and similar toilet sprays',
+	'961700': 'Vacuum flasks and other vacuum vessels (insulated bottles)',
+	'961900': 'Sanitary towels (pads), tampons, napkins (diapers) and similar articles',
+	'962000': 'Monopods, bipods, tripods and similar articles',
+	'970121': 'Paintings, drawings and pastels, of an age exceeding 100 years',
+	'970191': 'Paintings, drawings and pastels, executed entirely by hand',
+	'970210': 'Original engravings, prints and lithographs, of an age exceeding 100 years',
+	'970290': 'Original engravings, prints and lithographs',
+	'970310': 'Original sculptures and statuary, of an age exceeding 100 years',
+	'970390': 'Original sculptures and statuary',
+	'970400': 'Postage or revenue stamps, first-day covers and the like',
+	'970610': 'Antiques of an age exceeding 250 years',
+	'970690': 'Antiques of an age exceeding 100 years but not exceeding 250 years',
+};
@@ -0,0 +1,127 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { filter, flatMap, includes, map, memoize, orderBy, some, sumBy, uniq } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { chapters, headings, subheadings } from './data';
+
+// Words that show up in product names and HS descriptions alike without saying anything about the goods
+const STOP_WORDS = [ 'and', 'or', 'of', 'for', 'the', 'a', 'an', 'with', 'other', 'in', 'by', 'set', 'kind', 'used' ];
+
+// "Mugs", "dresses" and "watches" should match the singular forms in the descriptions
+const stem = word => word.replace( /(?:(ss|sh|ch|x)es|([^s])s)$/, '$1$2' );
+
+// Hyphenated words are kept whole as well as split, so "t-shirt" ranks T-shirts above other shirts
+const getKeywords = text => {
+	const allWords = flatMap( String( text || '' ).toLowerCase().split( /[^\w'-]+/ ), word =>
+		includes( word, '-' ) ? [ word, ...word.split( '-' ) ] : [ word ]
+	);
+	return uniq( map( filter( allWords, word => 1 < word.length && ! includes( STOP_WORDS, word ) ), stem ) );
+};
+
+const getIndex = memoize( () =>
+	map( subheadings, ( description, code ) => {
+		const heading = headings[ code.substr( 0, 4 ) ] || '';
+		const chapter = chapters[ code.substr( 0, 2 ) ] || '';
+		return {
+			code,
+			description,
+			keywords: [ getKeywords( description ), getKeywords( heading ), getKeywords( chapter ) ],
+		};
+	} )
+);
+
+// A keyword in the subheading itself is worth more than one that only shows up in its heading or chapter
+const WEIGHTS = [ 3, 2, 1 ];
+
+const scoreKeyword = ( entry, keyword ) => {
+	const index = entry.keywords.findIndex( list => some( list, word => 0 === word.indexOf( keyword ) ) );
+	return -1 === index ? 0 : WEIGHTS[ index ];
+};
+
+const toResults = ( scored, limit ) =>
+	map( orderBy( scored, [ 'score', 'code' ], [ 'desc', 'asc' ] ).slice( 0, limit ), ( { code, description } ) => ( {
+		code,
+		description,
+	} ) );
+
+/**
+ * Looks up a 6 digit HS code in the bundled dataset
+ * @param {String} code HS subheading
+ * @returns {Object|null} the code and its `description`, `heading` and `chapter` descriptions
+ */
+export const getHSCode = code => {
+	if ( ! subheadings[ code ] ) {
+		return null;
+	}
+	return {
+		code,
+		description: subheadings[ code ],
+		heading: headings[ code.substr( 0, 4 ) ],
+		chapter: chapters[ code.substr( 0, 2 ) ],
+	};
+};
+
+/**
+ * Only the format of a code can be checked, the bundled dataset lists the common subheadings, not all of them
+ * @param {String} code HS subheading
+ * @returns {Boolean} true if the code has 6 digits
+ */
+export const isValidHSCode = code => /^\d{6}$/.test( code );
+
+export const isKnownHSCode = code => Boolean( getHSCode( code ) );
+
+/**
+ * Searches the HS codes by keyword or by the first digits of the code
+ * @param {String} query keywords, all of them must match the subheading, its heading or its chapter
+ * @param {Number} limit maximum number of results
+ * @returns {Array} list of `code` and `description`, best matches first
+ */
+export const searchHSCodes = ( query, limit = 20 ) => {
+	const trimmedQuery = String( query || '' ).trim();
+	if ( /^\d+$/.test( trimmedQuery ) ) {
+		const matches = filter( getIndex(), entry => 0 === entry.code.indexOf( trimmedQuery ) );
+		return toResults( map( matches, entry => ( { ...entry, score: 0 } ) ), limit );
+	}
+
+	const keywords = getKeywords( trimmedQuery );
+	if ( ! keywords.length ) {
+		return [];
+	}
+
+	const scored = map( getIndex(), entry => {
+		const scores = map( keywords, keyword => scoreKeyword( entry, keyword ) );
+		return { ...entry, score: includes( scores, 0 ) ? 0 : sumBy( scores ) };
+	} );
+	return toResults( filter( scored, 'score' ), limit );
+};
+
+/**
+ * Suggests HS codes for a product. Unlike the search, not every word of the product name has to match,
+ * so brand names and adjectives don't hide the codes that fit
+ * @param {String} productName product name
+ * @param {Array} categories names of the product categories
+ * @param {Number} limit maximum number of suggestions
+ * @returns {Array} list of `code` and `description`, best matches first
+ */
+export const suggestHSCodes = ( productName, categories = [], limit = 5 ) => {
+	const nameKeywords = getKeywords( productName );
+	const categoryKeywords = getKeywords( categories.join( ' ' ) );
+	if ( ! nameKeywords.length && ! categoryKeywords.length ) {
+		return [];
+	}
+
+	const scored = map( getIndex(), entry => ( {
+		...entry,
+		// The product name describes the goods better than the categories it was filed under
+		score:
+			2 * sumBy( nameKeywords, keyword => scoreKeyword( entry, keyword ) ) +
+			sumBy( categoryKeywords, keyword => scoreKeyword( entry, keyword ) ),
+	} ) );
+	return toResults( filter( scored, 'score' ), limit );
+};
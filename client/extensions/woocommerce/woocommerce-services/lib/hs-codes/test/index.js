@@ -0,0 +1,70 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+import { map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getHSCode, isKnownHSCode, isValidHSCode, searchHSCodes, suggestHSCodes } from '../index';
+
+describe( 'HS codes', () => {
+	describe( '#getHSCode', () => {
+		it( 'returns the official descriptions of a subheading', () => {
+			const hsCode = getHSCode( '610910' );
+			expect( hsCode.description ).to.equal( 'T-shirts, singlets and other vests, of cotton, knitted' );
+			expect( hsCode.heading ).to.equal( 'T-shirts, singlets and other vests, knitted or crocheted' );
+			expect( hsCode.chapter ).to.equal( 'Articles of apparel and clothing accessories, knitted or crocheted' );
+		} );
+
+		it( 'only checks the format of a code', () => {
+			expect( isValidHSCode( '691200' ) ).to.be.true;
+			expect( isValidHSCode( '691201' ) ).to.be.true;
+			expect( isValidHSCode( '6912' ) ).to.be.false;
+			expect( isValidHSCode( '69120a' ) ).to.be.false;
+		} );
+
+		it( 'tells the codes of the dataset apart', () => {
+			expect( isKnownHSCode( '691200' ) ).to.be.true;
+			expect( isKnownHSCode( '691201' ) ).to.be.false;
+		} );
+	} );
+
+	describe( '#searchHSCodes', () => {
+		it( 'requires every keyword to match', () => {
+			const codes = map( searchHSCodes( 'roasted coffee' ), 'code' );
+			expect( codes ).to.include( '090121' );
+			expect( codes ).not.to.include( '210111' );
+		} );
+
+		it( 'matches plural descriptions with singular keywords', () => {
+			expect( map( searchHSCodes( 'sunglass' ), 'code' ) ).to.eql( [ '900410' ] );
+		} );
+
+		it( 'ranks the closest descriptions first', () => {
+			expect( searchHSCodes( 'cotton t-shirt' )[ 0 ].code ).to.equal( '610910' );
+		} );
+
+		it( 'searches by the first digits of the code', () => {
+			expect( map( searchHSCodes( '6109' ), 'code' ) ).to.eql( [ '610910', '610990' ] );
+		} );
+
+		it( 'finds nothing without keywords', () => {
+			expect( searchHSCodes( '' ) ).to.eql( [] );
+			expect( searchHSCodes( 'the of' ) ).to.eql( [] );
+		} );
+	} );
+
+	describe( '#suggestHSCodes', () => {
+		it( 'suggests codes from the product name and categories', () => {
+			expect( suggestHSCodes( 'Acme ceramic coffee mug', [ 'Kitchen' ] )[ 0 ].code ).to.equal( '691200' );
+		} );
+
+		it( 'suggests nothing when no word is known', () => {
+			expect( suggestHSCodes( 'Zzyzx', [] ) ).to.eql( [] );
+		} );
+	} );
+} );
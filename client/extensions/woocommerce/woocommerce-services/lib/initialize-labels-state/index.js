@@ -5,6 +5,11 @@
  */
 import { forEach, isEmpty, mapValues } from 'lodash';
 
+/**
+ * Internal dependencies
+ */
+import { getUnshippedPackages } from 'woocommerce/woocommerce-services/lib/fulfillment';
+
 /**
  * Checks the address object for the required fields
  * @param {Object} address the address object
@@ -42,6 +47,7 @@ export default data => {
 	const originNormalized = Boolean( formData.origin_normalized || formData.origin.phone );
 	const hasOriginAddress = addressFilled( formData.origin );
 	const hasDestinationAddress = addressFilled( formData.destination );
+	const selectedPackages = getUnshippedPackages( formData.selected_packages, labelsData );
 
 	const customsItemsData = {};
 	forEach( formData.selected_packages, ( { items } ) => {
@@ -55,6 +61,8 @@ export default data => {
 				value,
 				hs_tariff_number,
 				origin_country,
+				has_customs_info,
+				categories,
 			} ) => {
 				const attributesStr = attributes ? ' (' + attributes + ')' : '';
 				const defaultDescription = name.substring( name.indexOf( '-' ) + 1 ).trim() + attributesStr;
@@ -65,6 +73,9 @@ export default data => {
 					value,
 					tariffNumber: hs_tariff_number,
 					originCountry: origin_country || formData.origin.country,
+					// Products that already have defaults keep them in sync with what's used on the label
+					saveDefaults: Boolean( has_customs_info ),
+					categories: categories || [],
 				};
 			}
 		);
@@ -78,12 +89,16 @@ export default data => {
 		emailDetails: false,
 		refreshedLabelStatus: false,
 		labels: labelsData || [],
+		// Every item of the order, the form only starts with the ones no label ships yet
+		orderPackages: formData.selected_packages,
 		paperSize,
 		storeOptions,
 		form: {
 			orderId: formData.order_id,
 			origin: {
 				values: formData.origin,
+				// The address book entry the origin was picked from, if any
+				addressId: formData.origin_id || null,
 				isNormalized: originNormalized,
 				normalized: originNormalized ? formData.origin : null,
 				// If no origin address is stored, mark all fields as "ignore validation"
@@ -109,9 +124,14 @@ export default data => {
 			packages: {
 				all: formData.all_packages,
 				flatRateGroups: formData.flat_rate_groups,
-				selected: formData.selected_packages,
+				selected: selectedPackages,
 				isPacked: formData.is_packed,
 				saved: true,
+				// Scanning mode for packers with a barcode scanner, the units scanned are flagged with `isScanned`
+				packingStation: {
+					active: false,
+					extraScans: [],
+				},
 			},
 			customs: {
 				items: customsItemsData,
@@ -135,7 +155,15 @@ export default data => {
 				retrievalInProgress: false,
 			},
 			rateOptions: {},
+			// What the customer paid and picked at checkout, used to match the shipping rules
+			checkout: {
+				total: formData.order_total || 0,
+				shippingMethod: formData.shipping_method || '',
+			},
+			appliedRule: null,
+			// Rate shopping policy picked for this label, the one from the label settings is used until then
+			ratePolicy: null,
 		},
-		openedPackageId: Object.keys( formData.selected_packages )[ 0 ] || '',
+		openedPackageId: Object.keys( selectedPackages )[ 0 ] || '',
 	};
 };
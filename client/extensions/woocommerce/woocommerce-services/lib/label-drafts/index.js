@@ -0,0 +1,73 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { pick } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getWithExpiry, remove, setWithExpiry } from 'wcs-client/lib/utils/local-storage';
+
+// Drafts older than a week are most likely abandoned, and the order data they were based on may have changed
+const DRAFT_MAX_AGE = 7 * 86400000;
+
+const ADDRESS_DRAFT_FIELDS = [
+	'values',
+	'addressId',
+	'normalized',
+	'isNormalized',
+	'selectNormalized',
+	'ignoreValidation',
+];
+
+const getDraftKey = orderId => `wcs-label-draft-${ orderId }`;
+
+/**
+ * Extracts the parts of the label purchase form that the user can edit
+ * @param {Object} form label purchase form, as stored in the shippingLabel state
+ * @returns {Object} form draft
+ */
+export const getDraftableForm = form => ( {
+	origin: pick( form.origin, ADDRESS_DRAFT_FIELDS ),
+	destination: pick( form.destination, ADDRESS_DRAFT_FIELDS ),
+	packages: pick( form.packages, [ 'selected', 'saved', 'packingStation' ] ),
+	customs: form.customs,
+	rates: pick( form.rates, [ 'values' ] ),
+} );
+
+/**
+ * Saves the in-progress label purchase form of an order, so it survives a page reload
+ * @param {Number} orderId order ID
+ * @param {Object} shippingLabel shippingLabel state of the order
+ */
+export const saveLabelDraft = ( orderId, shippingLabel ) => {
+	setWithExpiry( getDraftKey( orderId ), {
+		form: getDraftableForm( shippingLabel.form ),
+		// A draft is only valid for the labels that existed when it was saved
+		labelsCount: shippingLabel.labels.length,
+	} );
+};
+
+/**
+ * Loads the saved draft of an order. Drafts saved before a label was purchased are discarded
+ * @param {Number} orderId order ID
+ * @param {Object} shippingLabel shippingLabel state of the order
+ * @returns {Object|null} draft, with the form in the `form` property
+ */
+export const loadLabelDraft = ( orderId, shippingLabel ) => {
+	const draft = getWithExpiry( getDraftKey( orderId ), DRAFT_MAX_AGE );
+	if ( ! draft ) {
+		return null;
+	}
+
+	if ( draft.labelsCount !== shippingLabel.labels.length ) {
+		removeLabelDraft( orderId );
+		return null;
+	}
+
+	return draft;
+};
+
+export const removeLabelDraft = orderId => remove( getDraftKey( orderId ) );
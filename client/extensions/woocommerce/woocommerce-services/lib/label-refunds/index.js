@@ -0,0 +1,50 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+
+/**
+ * Tells why a label can't be refunded
+ * @param {Object} label label details: `createdDate`, `usedDate`, `anonymized`, `carrierId` and `tracking`
+ * @param {Date} now current date
+ * @returns {String|null} `expired` for labels used, anonymized or older than 30 days, `untracked` for
+ * USPS labels without tracking, null if the label can be refunded
+ */
+export const getRefundIneligibility = ( label, now = new Date() ) => {
+	const { createdDate, usedDate, anonymized, carrierId, tracking } = label;
+	const thirtyDaysAgo = new Date( now.getTime() ).setDate( now.getDate() - 30 );
+
+	if ( anonymized || usedDate || ( createdDate && createdDate < thirtyDaysAgo ) ) {
+		return 'expired';
+	}
+	if ( 'usps' === carrierId && ! tracking ) {
+		return 'untracked';
+	}
+	return null;
+};
+
+export const getRefundIneligibilityMessage = reason => {
+	switch ( reason ) {
+		case 'expired':
+			return translate( 'Labels older than 30 days cannot be refunded.' );
+		case 'untracked':
+			return translate( 'USPS labels without tracking are not eligible for refund.' );
+		default:
+			return null;
+	}
+};
+
+/**
+ * Reads the refund eligibility details out of a label as the server sends it
+ * @param {Object} label label data
+ * @returns {Object} the details `getRefundIneligibility` takes
+ */
+export const getRefundEligibilityDetails = label => ( {
+	createdDate: label.created_date,
+	usedDate: label.used_date,
+	anonymized: 'ANONYMIZED' === label.status,
+	carrierId: label.carrier_id,
+	tracking: label.tracking,
+} );
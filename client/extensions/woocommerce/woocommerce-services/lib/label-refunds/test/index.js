@@ -0,0 +1,63 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { getRefundEligibilityDetails, getRefundIneligibility } from '..';
+
+describe( 'Label refunds', () => {
+	describe( 'getRefundIneligibility', () => {
+		const now = new Date( '2020-03-31T12:00:00' );
+		const label = {
+			createdDate: new Date( '2020-03-20T12:00:00' ).getTime(),
+			usedDate: null,
+			anonymized: false,
+			carrierId: 'usps',
+			tracking: '9400100000000000000000',
+		};
+
+		it( 'accepts recent, unused labels', () => {
+			expect( getRefundIneligibility( label, now ) ).to.be.null;
+		} );
+
+		it( 'rejects labels older than 30 days', () => {
+			const createdDate = new Date( '2020-02-28T12:00:00' ).getTime();
+			expect( getRefundIneligibility( { ...label, createdDate }, now ) ).to.equal( 'expired' );
+		} );
+
+		it( 'rejects used and anonymized labels', () => {
+			expect( getRefundIneligibility( { ...label, usedDate: label.createdDate }, now ) ).to.equal( 'expired' );
+			expect( getRefundIneligibility( { ...label, anonymized: true }, now ) ).to.equal( 'expired' );
+		} );
+
+		it( 'rejects USPS labels without tracking only', () => {
+			expect( getRefundIneligibility( { ...label, tracking: '' }, now ) ).to.equal( 'untracked' );
+			expect( getRefundIneligibility( { ...label, tracking: '', carrierId: 'dhlexpress' }, now ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'getRefundEligibilityDetails', () => {
+		it( 'reads the details out of the label data', () => {
+			const details = getRefundEligibilityDetails( {
+				created_date: 1000,
+				used_date: null,
+				status: 'ANONYMIZED',
+				carrier_id: 'ups',
+				tracking: '1Z',
+			} );
+
+			expect( details ).to.eql( {
+				createdDate: 1000,
+				usedDate: null,
+				anonymized: true,
+				carrierId: 'ups',
+				tracking: '1Z',
+			} );
+		} );
+	} );
+} );
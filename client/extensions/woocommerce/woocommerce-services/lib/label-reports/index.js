@@ -0,0 +1,99 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { moment, translate } from 'i18n-calypso';
+
+/**
+ * Internal dependencies
+ */
+import { getCarrierName } from 'woocommerce/woocommerce-services/lib/carriers';
+
+/**
+ * Range the report shows when it's opened: the last 30 days, today included
+ * @param {Object} now current date, as a moment
+ * @returns {Object} `start` and `end` dates, in the `YYYY-MM-DD` format the report endpoint takes
+ */
+export const getDefaultLabelReportRange = ( now = moment() ) => ( {
+	start: now.clone().subtract( 30, 'days' ).format( 'YYYY-MM-DD' ),
+	end: now.format( 'YYYY-MM-DD' ),
+} );
+
+export const getRefundStatusNames = () => ( {
+	none: translate( 'Not refunded' ),
+	requested: translate( 'Refund requested' ),
+	refunded: translate( 'Refunded' ),
+	rejected: translate( 'Refund rejected' ),
+} );
+
+export const getLabelReportHeadings = () => ( {
+	created: translate( 'Date' ),
+	order: translate( 'Order' ),
+	carrier: translate( 'Carrier' ),
+	service: translate( 'Service' ),
+	package: translate( 'Package' ),
+	cost: translate( 'Cost' ),
+	currency: translate( 'Currency' ),
+	refund: translate( 'Refund' ),
+	tracking: translate( 'Tracking number' ),
+} );
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const escapeCsvValue = value => {
+	if ( null == value ) {
+		return '';
+	}
+	if ( 'number' === typeof value ) {
+		return String( value );
+	}
+
+	const text = FORMULA_PREFIX.test( value ) ? `'${ value }` : String( value );
+	return /[",\r\n]/.test( text ) ? `"${ text.replace( /"/g, '""' ) }"` : text;
+};
+
+export const toCsv = rows => rows.map( row => row.map( escapeCsvValue ).join( ',' ) ).join( '\r\n' );
+
+/**
+ * Builds the CSV export of the report
+ * @param {Array} labels labels, as returned by the report endpoint
+ * @returns {String} CSV document
+ */
+export const getLabelReportCsv = labels => {
+	const headings = getLabelReportHeadings();
+	const refundStatusNames = getRefundStatusNames();
+	const columns = [ 'created', 'order', 'carrier', 'service', 'package', 'cost', 'currency', 'refund', 'tracking' ];
+	const rows = labels.map( label => [
+		moment( label.created ).format( 'YYYY-MM-DD HH:mm' ),
+		label.order_number,
+		getCarrierName( label.carrier_id ),
+		label.service_name,
+		label.package_name,
+		label.rate,
+		label.currency,
+		refundStatusNames[ label.refund_status ] || label.refund_status,
+		label.tracking,
+	] );
+	return toCsv( [ columns.map( column => headings[ column ] ), ...rows ] );
+};
+
+/**
+ * Has the browser save a file built in the page
+ * @param {String} fileName name the file is saved with
+ * @param {String} content file content
+ * @param {String} type MIME type
+ */
+export const downloadFile = ( fileName, content, type ) => {
+	// The byte order mark tells spreadsheet apps the file is in UTF-8
+	const blob = new Blob( [ '\ufeff', content ], { type } );
+	const url = URL.createObjectURL( blob );
+	const link = document.createElement( 'a' );
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild( link );
+	link.click();
+	document.body.removeChild( link );
+	URL.revokeObjectURL( url );
+};
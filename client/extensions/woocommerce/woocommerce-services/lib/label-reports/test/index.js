@@ -0,0 +1,58 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+import { moment } from 'i18n-calypso';
+
+/**
+ * Internal dependencies
+ */
+import { getDefaultLabelReportRange, getLabelReportCsv, toCsv } from '..';
+
+describe( 'Label reports', () => {
+	describe( 'getDefaultLabelReportRange', () => {
+		it( 'covers the last 30 days', () => {
+			expect( getDefaultLabelReportRange( moment( '2020-03-15T10:00:00' ) ) ).to.eql( {
+				start: '2020-02-14',
+				end: '2020-03-15',
+			} );
+		} );
+	} );
+
+	describe( 'toCsv', () => {
+		it( 'quotes values with commas, quotes and line breaks', () => {
+			expect( toCsv( [ [ 'a,b', 'say "hi"', 'two\nlines', 3.5, null ] ] ) ).to.equal(
+				'"a,b","say ""hi""","two\nlines",3.5,'
+			);
+		} );
+
+		it( 'keeps spreadsheet apps from running text as a formula', () => {
+			expect( toCsv( [ [ '=HYPERLINK("x")', -2 ] ] ) ).to.equal( '"\'=HYPERLINK(""x"")",-2' );
+		} );
+	} );
+
+	describe( 'getLabelReportCsv', () => {
+		it( 'lists a row per label under the headings', () => {
+			const labels = [
+				{
+					created: moment( '2020-03-01T09:30:00' ).valueOf(),
+					order_number: '1001',
+					carrier_id: 'usps',
+					service_name: 'Priority Mail',
+					package_name: 'Small box',
+					rate: 7.5,
+					currency: 'USD',
+					refund_status: 'requested',
+					tracking: '9400100000000000000000',
+				},
+			];
+
+			expect( getLabelReportCsv( labels ) ).to.equal(
+				'Date,Order,Carrier,Service,Package,Cost,Currency,Refund,Tracking number\r\n' +
+					'2020-03-01 09:30,1001,USPS,Priority Mail,Small box,7.5,USD,Refund requested,9400100000000000000000'
+			);
+		} );
+	} );
+} );
@@ -0,0 +1,206 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { every, find, flatMap, forEach, groupBy, isString, map, noop, uniq, unionBy, without } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import request from 'woocommerce/state/sites/request';
+import * as url from 'woocommerce/woocommerce-services/api/url';
+import { getWithExpiry, setWithExpiry } from 'wcs-client/lib/utils/local-storage';
+
+export const POLLER_OPTIONS = {
+	// Delay before the first status request
+	initialDelay: 1000,
+	backoffFactor: 2,
+	// Ceiling for the delay between two status requests
+	maxDelay: 15000,
+	// Consecutive transient errors tolerated before a purchase is reported as failed
+	maxRetries: 3,
+	// After this long, the purchase is reported as "still processing" and keeps being polled in the background
+	stillProcessingAfter: 60000,
+};
+
+let watches = [];
+let attempt = 0;
+let timer = null;
+let isPolling = false;
+
+/**
+ * @param {Number} retry number of status requests already made since the last reset
+ * @param {Object} pollerOptions polling options
+ * @returns {Number} milliseconds to wait before the next status request
+ */
+export const getBackoffDelay = ( retry, pollerOptions = POLLER_OPTIONS ) =>
+	Math.min(
+		pollerOptions.initialDelay * Math.pow( pollerOptions.backoffFactor, retry ),
+		pollerOptions.maxDelay
+	);
+
+/**
+ * Tells whether a failed status request is worth retrying: network failures, server errors (which include
+ * the connection server timing out) and responses that aren't JSON, like the error pages of a proxy.
+ * @param {*} error rejection value of the status request
+ * @returns {Boolean} true if the request should be retried
+ */
+export const isTransientError = error =>
+	error instanceof Error || isString( error ) || Boolean( error && 500 <= error.status );
+
+const getErrorMessage = error => ( error && ( error.message || ( error.data && error.data.message ) ) ) || error;
+
+const getPendingLabelIds = watch =>
+	watch.labels.filter( label => 'PURCHASED' !== label.status ).map( label => label.label_id );
+
+/*
+ * The statuses each tab gets are shared with the other tabs of the store through the local storage, so
+ * the same labels aren't polled once per open tab: a tab skips the request while another one polled
+ * recently enough, and picks up the statuses the others store as soon as they arrive
+ */
+const tabId = Math.random().toString( 36 ).slice( 2 );
+
+const getSharedStatusKey = ( siteId, orderId ) => `wcs-label-status-${ siteId }-${ orderId }`;
+
+const getSharedLabels = ( siteId, orderId, maxAge, fromOtherTabs = false ) => {
+	const shared = getWithExpiry( getSharedStatusKey( siteId, orderId ), maxAge );
+	return shared && ! ( fromOtherTabs && tabId === shared.tabId ) ? shared.labels : [];
+};
+
+const shareLabels = ( siteId, orderId, labels ) => {
+	const sharedLabels = getSharedLabels( siteId, orderId, POLLER_OPTIONS.stillProcessingAfter );
+	setWithExpiry( getSharedStatusKey( siteId, orderId ), {
+		tabId,
+		labels: unionBy( labels, sharedLabels, 'label_id' ),
+	} );
+};
+
+const stopWatching = watch => {
+	watches = without( watches, watch );
+};
+
+const settleWatch = watch => {
+	const errorLabel = find( watch.labels, { status: 'PURCHASE_ERROR' } );
+	if ( errorLabel ) {
+		stopWatching( watch );
+		watch.reject( errorLabel.error );
+	} else if ( every( watch.labels, { status: 'PURCHASED' } ) ) {
+		stopWatching( watch );
+		watch.resolve( watch.labels );
+	}
+};
+
+const updateWatch = ( watch, polledLabels ) => {
+	watch.failures = 0;
+	watch.labels = watch.labels.map( label => find( polledLabels, { label_id: label.label_id } ) || label );
+	settleWatch( watch );
+};
+
+const failWatch = ( watch, error ) => {
+	watch.failures++;
+	if ( ! isTransientError( error ) || watch.failures > POLLER_OPTIONS.maxRetries ) {
+		stopWatching( watch );
+		watch.reject( getErrorMessage( error ) );
+	}
+};
+
+// One request per order, with the labels of every purchase of that order that is still in progress
+const pollOrder = orderWatches => {
+	const { siteId, orderId } = orderWatches[ 0 ];
+	const labelIds = uniq( flatMap( orderWatches, getPendingLabelIds ) );
+
+	// What another tab got since this tab's previous request is news
+	const sharedLabels = getSharedLabels( siteId, orderId, getBackoffDelay( Math.max( 0, attempt - 1 ) ), true );
+	if ( sharedLabels.length && every( labelIds, labelId => find( sharedLabels, { label_id: labelId } ) ) ) {
+		forEach( orderWatches, watch => updateWatch( watch, sharedLabels ) );
+		return Promise.resolve();
+	}
+
+	return request( siteId )
+		.get( url.labelsStatus( orderId, labelIds ), 'wc/v1' )
+		.then( response => {
+			shareLabels( siteId, orderId, response.labels );
+			forEach( orderWatches, watch => updateWatch( watch, response.labels ) );
+		} )
+		.catch( error => forEach( orderWatches, watch => failWatch( watch, error ) ) );
+};
+
+const onSharedStatusChange = event => {
+	forEach( watches, watch => {
+		if ( event.key === getSharedStatusKey( watch.siteId, watch.orderId ) ) {
+			updateWatch( watch, getSharedLabels( watch.siteId, watch.orderId, POLLER_OPTIONS.stillProcessingAfter ) );
+		}
+	} );
+};
+
+if ( 'undefined' !== typeof window ) {
+	window.addEventListener( 'storage', onSharedStatusChange );
+}
+
+const notifyStillProcessing = () => {
+	const now = Date.now();
+	forEach( watches, watch => {
+		if ( ! watch.isStillProcessing && now - watch.startedAt >= POLLER_OPTIONS.stillProcessingAfter ) {
+			watch.isStillProcessing = true;
+			watch.onStillProcessing( watch.labels );
+		}
+	} );
+};
+
+const scheduleNextPoll = () => {
+	isPolling = false;
+	clearTimeout( timer );
+	timer = null;
+	if ( ! watches.length ) {
+		attempt = 0;
+		return;
+	}
+
+	timer = setTimeout( pollWatches, getBackoffDelay( attempt ) );
+	attempt++;
+};
+
+function pollWatches() {
+	isPolling = true;
+	const orders = groupBy( watches, ( { siteId, orderId } ) => `${ siteId }:${ orderId }` );
+
+	Promise.all( map( orders, pollOrder ) )
+		.then( notifyStillProcessing )
+		.then( scheduleNextPoll, scheduleNextPoll );
+}
+
+/**
+ * Waits until every label of a purchase has been bought. All the purchases being watched in the page share
+ * a single polling loop that backs off exponentially, and the tabs share the statuses they get, so having
+ * many purchases in progress or many tabs open doesn't multiply the requests.
+ * @param {Number} siteId site ID
+ * @param {Number} orderId order ID
+ * @param {Array} labels labels as returned by the purchase endpoint
+ * @param {Function} [onStillProcessing] called with the labels once the purchase has taken longer than
+ * the `stillProcessingAfter` option. Polling continues in the background after that
+ * @returns {Promise} resolves with the purchased labels, rejects with the purchase or request error
+ */
+export const watchLabelsPurchase = ( siteId, orderId, labels, onStillProcessing = noop ) => {
+	return new Promise( ( resolve, reject ) => {
+		const watch = {
+			siteId,
+			orderId,
+			labels,
+			resolve,
+			reject,
+			onStillProcessing,
+			startedAt: Date.now(),
+			failures: 0,
+			isStillProcessing: false,
+		};
+		watches = [ ...watches, watch ];
+		settleWatch( watch );
+
+		// A new purchase is likely to finish soon, so don't keep it waiting for the backed-off delay
+		attempt = 0;
+		if ( ! isPolling ) {
+			scheduleNextPoll();
+		}
+	} );
+};
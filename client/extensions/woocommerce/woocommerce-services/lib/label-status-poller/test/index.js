@@ -0,0 +1,171 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+/**
+ * Internal dependencies
+ */
+import { POLLER_OPTIONS, getBackoffDelay, isTransientError } from '../index';
+
+const mockGet = sinon.stub();
+jest.mock( 'woocommerce/state/sites/request', () => () => ( { get: mockGet } ) );
+
+const siteId = 123;
+const orderId = 456;
+
+const flushPromises = async () => {
+	for ( let i = 0; i < 10; i++ ) {
+		await Promise.resolve();
+	}
+};
+
+let clock;
+
+// Runs the next poll, and lets the status request answer
+const tick = async () => {
+	clock.next();
+	await flushPromises();
+};
+
+const label = ( labelId, status ) => ( { label_id: labelId, status } );
+
+describe( 'Label status poller', () => {
+	describe( '#getBackoffDelay', () => {
+		const pollerOptions = { ...POLLER_OPTIONS, initialDelay: 1000, backoffFactor: 2, maxDelay: 5000 };
+
+		it( 'starts with the initial delay', () => {
+			expect( getBackoffDelay( 0, pollerOptions ) ).to.eql( 1000 );
+		} );
+
+		it( 'grows exponentially', () => {
+			expect( getBackoffDelay( 1, pollerOptions ) ).to.eql( 2000 );
+			expect( getBackoffDelay( 2, pollerOptions ) ).to.eql( 4000 );
+		} );
+
+		it( 'never goes over the ceiling', () => {
+			expect( getBackoffDelay( 3, pollerOptions ) ).to.eql( 5000 );
+			expect( getBackoffDelay( 20, pollerOptions ) ).to.eql( 5000 );
+		} );
+	} );
+
+	describe( '#isTransientError', () => {
+		it( 'retries network failures', () => {
+			expect( isTransientError( new TypeError( 'Failed to fetch' ) ) ).to.be.true;
+		} );
+
+		it( 'retries server errors and unparseable responses', () => {
+			expect( isTransientError( { status: 500, message: 'cURL error 28: Operation timed out' } ) ).to.be.true;
+			expect( isTransientError( { status: 503, code: 'unavailable' } ) ).to.be.true;
+			expect( isTransientError( 'Unexpected server error.' ) ).to.be.true;
+		} );
+
+		it( 'does not retry rejected requests', () => {
+			expect( isTransientError( { status: 400, message: 'Invalid label ID' } ) ).to.be.false;
+			expect( isTransientError( { status: 403, code: 'rest_forbidden' } ) ).to.be.false;
+			expect( isTransientError( null ) ).to.be.false;
+		} );
+	} );
+
+	describe( '#watchLabelsPurchase', () => {
+		let poller;
+
+		beforeEach( () => {
+			clock = sinon.useFakeTimers();
+			jest.resetModules();
+			mockGet.reset();
+			localStorage.clear();
+			poller = require( '../index' );
+		} );
+
+		afterEach( () => {
+			clock.restore();
+		} );
+
+		it( 'polls the labels of every purchase of an order in a single request', async () => {
+			mockGet.returns( Promise.resolve( { labels: [ label( 1, 'PURCHASED' ), label( 2, 'PURCHASED' ) ] } ) );
+
+			const first = poller.watchLabelsPurchase( siteId, orderId, [ label( 1, 'PURCHASE_IN_PROGRESS' ) ] );
+			const second = poller.watchLabelsPurchase( siteId, orderId, [ label( 2, 'PURCHASE_IN_PROGRESS' ) ] );
+			await tick();
+
+			expect( mockGet ).to.have.been.calledOnce;
+			expect( mockGet ).to.have.been.calledWith( `connect/label/${ orderId }/1,2` );
+			expect( await first ).to.eql( [ label( 1, 'PURCHASED' ) ] );
+			expect( await second ).to.eql( [ label( 2, 'PURCHASED' ) ] );
+		} );
+
+		it( 'keeps polling the labels that finish after the purchase is reported as still processing', async () => {
+			mockGet
+				.onCall( 0 )
+				.returns( Promise.resolve( { labels: [ label( 1, 'PURCHASED' ), label( 2, 'PURCHASE_IN_PROGRESS' ) ] } ) );
+			mockGet.onCall( 1 ).returns( Promise.resolve( { labels: [ label( 2, 'PURCHASE_IN_PROGRESS' ) ] } ) );
+			mockGet.onCall( 2 ).returns( Promise.resolve( { labels: [ label( 2, 'PURCHASED' ) ] } ) );
+			const onStillProcessing = sinon.spy();
+			const onPurchased = sinon.spy();
+
+			poller
+				.watchLabelsPurchase(
+					siteId,
+					orderId,
+					[ label( 1, 'PURCHASE_IN_PROGRESS' ), label( 2, 'PURCHASE_IN_PROGRESS' ) ],
+					onStillProcessing
+				)
+				.then( onPurchased );
+			await tick();
+
+			expect( onStillProcessing ).to.not.have.been.called;
+
+			// The purchase has been going on for too long by the next poll
+			clock.setSystemTime( POLLER_OPTIONS.stillProcessingAfter );
+			await tick();
+
+			expect( onStillProcessing ).to.have.been.calledOnce;
+			expect( onPurchased ).to.not.have.been.called;
+
+			await tick();
+
+			expect( mockGet.args.map( args => args[ 0 ] ) ).to.eql( [
+				`connect/label/${ orderId }/1,2`,
+				`connect/label/${ orderId }/2`,
+				`connect/label/${ orderId }/2`,
+			] );
+			expect( onPurchased ).to.have.been.calledWith( [ label( 1, 'PURCHASED' ), label( 2, 'PURCHASED' ) ] );
+		} );
+
+		it( 'reports the failed labels without retrying them', async () => {
+			mockGet.returns(
+				Promise.resolve( { labels: [ { ...label( 1, 'PURCHASE_ERROR' ), error: 'Card declined' } ] } )
+			);
+
+			const purchase = poller.watchLabelsPurchase( siteId, orderId, [ label( 1, 'PURCHASE_IN_PROGRESS' ) ] );
+			await tick();
+
+			let error;
+			await purchase.catch( e => ( error = e ) );
+			expect( error ).to.equal( 'Card declined' );
+
+			await tick();
+			expect( mockGet ).to.have.been.calledOnce;
+		} );
+
+		it( 'uses the statuses another tab just got instead of polling again', async () => {
+			mockGet.returns( Promise.resolve( { labels: [ label( 1, 'PURCHASED' ) ] } ) );
+			poller.watchLabelsPurchase( siteId, orderId, [ label( 1, 'PURCHASE_IN_PROGRESS' ) ] );
+
+			// A second tab, which starts watching the same purchase a bit later
+			clock.tick( POLLER_OPTIONS.initialDelay / 2 );
+			jest.resetModules();
+			const otherTab = require( '../index' );
+			const purchase = otherTab.watchLabelsPurchase( siteId, orderId, [ label( 1, 'PURCHASE_IN_PROGRESS' ) ] );
+			await tick();
+			await tick();
+
+			expect( mockGet ).to.have.been.calledOnce;
+			expect( await purchase ).to.eql( [ label( 1, 'PURCHASED' ) ] );
+		} );
+	} );
+} );
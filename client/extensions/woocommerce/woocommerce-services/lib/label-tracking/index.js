@@ -0,0 +1,48 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+import { includes } from 'lodash';
+
+export const getTrackingStatusName = status => {
+	switch ( status ) {
+		case 'pre_transit':
+			return translate( 'Label created' );
+		case 'in_transit':
+			return translate( 'In transit' );
+		case 'out_for_delivery':
+			return translate( 'Out for delivery' );
+		case 'delivered':
+			return translate( 'Delivered' );
+		case 'exception':
+			return translate( 'Exception' );
+		default:
+			return translate( 'Unknown' );
+	}
+};
+
+/**
+ * Picks the badge shown next to a label in the activity log. Packages out for delivery are still in transit,
+ * and labels the carrier hasn't scanned yet don't get a badge
+ * @param {String} status tracking status, as stored in the label
+ * @returns {Object|null} the `status` the badge is styled after and its `text`
+ */
+export const getTrackingBadge = status => {
+	if ( includes( [ 'in_transit', 'out_for_delivery' ], status ) ) {
+		return { status: 'in_transit', text: getTrackingStatusName( 'in_transit' ) };
+	}
+	if ( includes( [ 'delivered', 'exception' ], status ) ) {
+		return { status, text: getTrackingStatusName( status ) };
+	}
+	return null;
+};
+
+/**
+ * Tells whether the carrier may still have news about a label
+ * @param {Object} label label, as the server sends it
+ * @returns {Boolean} true for labels with a tracking number that weren't delivered or refunded
+ */
+export const isTrackingActive = label =>
+	Boolean( label.tracking ) && 'delivered' !== label.tracking_status && ! label.refund;
@@ -0,0 +1,41 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { getTrackingBadge, isTrackingActive } from '..';
+
+describe( 'Label tracking', () => {
+	describe( 'getTrackingBadge', () => {
+		it( 'shows packages out for delivery as in transit', () => {
+			expect( getTrackingBadge( 'out_for_delivery' ) ).to.eql( { status: 'in_transit', text: 'In transit' } );
+		} );
+
+		it( 'shows delivered packages and exceptions', () => {
+			expect( getTrackingBadge( 'delivered' ).text ).to.equal( 'Delivered' );
+			expect( getTrackingBadge( 'exception' ).text ).to.equal( 'Exception' );
+		} );
+
+		it( 'has no badge for packages the carrier has not scanned yet', () => {
+			expect( getTrackingBadge( 'pre_transit' ) ).to.be.null;
+			expect( getTrackingBadge( undefined ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'isTrackingActive', () => {
+		it( 'stops once the package is delivered', () => {
+			expect( isTrackingActive( { tracking: '1Z999', tracking_status: 'in_transit' } ) ).to.be.true;
+			expect( isTrackingActive( { tracking: '1Z999', tracking_status: 'delivered' } ) ).to.be.false;
+		} );
+
+		it( 'skips labels without tracking or with a refund', () => {
+			expect( isTrackingActive( { tracking: '' } ) ).to.be.false;
+			expect( isTrackingActive( { tracking: '1Z999', refund: { status: 'pending' } } ) ).to.be.false;
+		} );
+	} );
+} );
@@ -0,0 +1,66 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { findKey, flatMap, map, sortBy } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { convertWeight } from '../scales';
+
+/**
+ * Reads the weight out of what a scale typed in. A reading needs a decimal point or a unit,
+ * otherwise it can't be told apart from a numeric barcode
+ * @param {String} text scanned text, for example "1.25", "1.25 lb" or "600g"
+ * @param {String} weightUnit weight unit of the store
+ * @returns {Number|null} weight in the store unit, or null if the text isn't a weight
+ */
+export const parseScaleReading = ( text, weightUnit ) => {
+	const match = String( text ).trim().toLowerCase().match( /^(\d*\.\d+|\d+\.?)\s*(g|kg|oz|lbs?)?$/ );
+	if ( ! match || ( ! match[ 2 ] && -1 === match[ 1 ].indexOf( '.' ) ) ) {
+		return null;
+	}
+
+	// Scales print the unit they weigh in, which isn't always the one the store uses
+	const value = parseFloat( match[ 1 ] );
+	return match[ 2 ] ? convertWeight( value, match[ 2 ], weightUnit ) : value;
+};
+
+/**
+ * Finds the box a barcode is printed on. Box barcodes hold the box ID or its name
+ * @param {Object} boxes all the package definitions, by box ID
+ * @param {String} code scanned barcode
+ * @returns {String|undefined} box ID
+ */
+export const findBoxByBarcode = ( boxes, code ) => {
+	const needle = String( code ).trim().toLowerCase();
+	return findKey(
+		boxes,
+		( box, boxId ) => boxId.toLowerCase() === needle || String( box.name || '' ).toLowerCase() === needle
+	);
+};
+
+/**
+ * Finds the next unit of a product that hasn't been scanned yet
+ * @param {Object} packages packages of the label, by package ID
+ * @param {String} sku scanned SKU
+ * @param {String} openedPackageId package being packed, its own units are picked first so nothing moves needlessly
+ * @returns {Object|null} `packageId` and `itemIndex` of the unit
+ */
+export const findUnscannedUnit = ( packages, sku, openedPackageId ) => {
+	const needle = String( sku ).trim().toLowerCase();
+	const units = flatMap( packages, ( pckg, packageId ) =>
+		map( pckg.items, ( item, itemIndex ) => ( { packageId, itemIndex, item } ) )
+	);
+	const matches = units.filter(
+		( { item } ) => ! item.isScanned && item.sku && item.sku.toLowerCase() === needle
+	);
+	if ( ! matches.length ) {
+		return null;
+	}
+
+	const { packageId, itemIndex } = sortBy( matches, ( { packageId: id } ) => ( id === openedPackageId ? 0 : 1 ) )[ 0 ];
+	return { packageId, itemIndex };
+};
@@ -0,0 +1,71 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { findBoxByBarcode, findUnscannedUnit, parseScaleReading } from '..';
+
+describe( 'Packing station', () => {
+	describe( 'parseScaleReading', () => {
+		it( 'reads decimal numbers in the store unit', () => {
+			expect( parseScaleReading( '1.25', 'lbs' ) ).to.equal( 1.25 );
+			expect( parseScaleReading( ' .5 ', 'kg' ) ).to.equal( 0.5 );
+		} );
+
+		it( 'converts readings in another unit', () => {
+			expect( parseScaleReading( '600g', 'kg' ) ).to.equal( 0.6 );
+			expect( parseScaleReading( '1 lb', 'oz' ) ).to.equal( 16 );
+			expect( parseScaleReading( '2 KG', 'kg' ) ).to.equal( 2 );
+		} );
+
+		it( "doesn't take whole numbers without a unit for a weight", () => {
+			expect( parseScaleReading( '4006381333931', 'kg' ) ).to.be.null;
+			expect( parseScaleReading( 'SKU-12', 'kg' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'findBoxByBarcode', () => {
+		const boxes = {
+			small_flat_box: { name: 'Small Flat Rate Box' },
+			'Shoe box': { name: 'Shoe box' },
+		};
+
+		it( 'matches the box ID or the box name, ignoring the case', () => {
+			expect( findBoxByBarcode( boxes, 'SMALL_FLAT_BOX' ) ).to.equal( 'small_flat_box' );
+			expect( findBoxByBarcode( boxes, 'small flat rate box' ) ).to.equal( 'small_flat_box' );
+			expect( findBoxByBarcode( boxes, 'shoe box' ) ).to.equal( 'Shoe box' );
+		} );
+
+		it( 'returns nothing for unknown barcodes', () => {
+			expect( findBoxByBarcode( boxes, 'crate' ) ).to.be.undefined;
+		} );
+	} );
+
+	describe( 'findUnscannedUnit', () => {
+		const packages = {
+			box1: { items: [ { sku: 'MUG', isScanned: true }, { sku: 'TEE' } ] },
+			box2: { items: [ { sku: 'MUG' }, { sku: 'mug' } ] },
+		};
+
+		it( 'skips the units that were already scanned', () => {
+			expect( findUnscannedUnit( packages, 'mug', 'box1' ) ).to.eql( { packageId: 'box2', itemIndex: 0 } );
+		} );
+
+		it( 'prefers the units in the opened package', () => {
+			expect( findUnscannedUnit( packages, 'TEE', 'box2' ) ).to.eql( { packageId: 'box1', itemIndex: 1 } );
+			expect( findUnscannedUnit( { ...packages, box3: { items: [ { sku: 'MUG' } ] } }, 'MUG', 'box3' ) ).to.eql( {
+				packageId: 'box3',
+				itemIndex: 0,
+			} );
+		} );
+
+		it( 'returns null when every unit of the product is scanned', () => {
+			expect( findUnscannedUnit( { box1: packages.box1 }, 'MUG', 'box1' ) ).to.be.null;
+		} );
+	} );
+} );
@@ -0,0 +1,167 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { minBy, orderBy, round, sumBy } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import getBoxDimensions from 'woocommerce/woocommerce-services/lib/utils/get-box-dimensions';
+
+// Every extra box costs more than any amount of extra volume, so fewer boxes always win
+const COST_PER_BOX = 1e9;
+
+const parseDimensions = dimensions => {
+	const match = ( dimensions || '' ).match( /([-.0-9]+).+?([-.0-9]+).+?([-.0-9]+)/ );
+	return match ? match.slice( 1 ).map( Number ) : [ 0, 0, 0 ];
+};
+
+const sortedDimensions = ( { length, width, height } ) =>
+	[ length, width, height ].map( value => Number( value ) || 0 ).sort( ( a, b ) => b - a );
+
+const getVolume = ( [ a, b, c ] ) => a * b * c;
+
+/**
+ * Normalizes a box definition (custom or predefined) into what the packer needs
+ * @param {Object} definition box definition, as stored in the packages settings
+ * @param {String} boxId ID to use as the `box_id` of the packages packed in this box
+ * @returns {Object} box ready to be packed
+ */
+const toPackingBox = ( definition, boxId ) => {
+	const inner = parseDimensions( definition.inner_dimensions ).sort( ( a, b ) => b - a );
+	const outer = getBoxDimensions( definition );
+
+	return {
+		boxId,
+		definition,
+		inner,
+		innerVolume: getVolume( inner ),
+		outer,
+		outerVolume: outer.length * outer.width * outer.height,
+		boxWeight: Number( definition.box_weight ) || 0,
+		maxWeight: Number( definition.max_weight ) || 0,
+		isLetter: Boolean( definition.is_letter ),
+	};
+};
+
+const itemFitsBox = ( item, box ) => {
+	const dimensions = sortedDimensions( item );
+	return dimensions.every( ( value, index ) => value <= box.inner[ index ] );
+};
+
+const canAddItem = ( pckg, item ) => {
+	const { box } = pckg;
+	if ( ! itemFitsBox( item, box ) ) {
+		return false;
+	}
+	if ( pckg.usedVolume + getVolume( sortedDimensions( item ) ) > box.innerVolume ) {
+		return false;
+	}
+	return ! box.maxWeight || pckg.weight + item.weight <= box.maxWeight;
+};
+
+const openPackage = ( box, item ) => ( {
+	box,
+	items: [ item ],
+	usedVolume: getVolume( sortedDimensions( item ) ),
+	weight: box.boxWeight + item.weight,
+} );
+
+const smallestBoxFor = ( items, boxes ) => {
+	const candidates = boxes.filter( box => {
+		const pckg = { box, items: [], usedVolume: 0, weight: box.boxWeight };
+		return items.every( item => {
+			if ( ! canAddItem( pckg, item ) ) {
+				return false;
+			}
+			pckg.usedVolume += getVolume( sortedDimensions( item ) );
+			pckg.weight += item.weight;
+			return true;
+		} );
+	} );
+
+	return minBy( candidates, 'outerVolume' );
+};
+
+/**
+ * Packs the items with a first-fit-decreasing strategy that opens `preferredBox` whenever a new package
+ * is needed (or the smallest box that can hold the item if it doesn't fit in it), then shrinks every
+ * package down to the smallest box that still holds its contents.
+ * @param {Array} items items sorted by volume, biggest first
+ * @param {Array} boxes available boxes
+ * @param {Object} preferredBox box to try first when opening a package
+ * @returns {Object} { packages, individual }
+ */
+const packWithPreferredBox = ( items, boxes, preferredBox ) => {
+	const packages = [];
+	const individual = [];
+
+	items.forEach( item => {
+		const openedPackage = packages.find( pckg => canAddItem( pckg, item ) );
+		if ( openedPackage ) {
+			openedPackage.items.push( item );
+			openedPackage.usedVolume += getVolume( sortedDimensions( item ) );
+			openedPackage.weight += item.weight;
+			return;
+		}
+
+		const box = canAddItem( { box: preferredBox, usedVolume: 0, weight: preferredBox.boxWeight }, item )
+			? preferredBox
+			: smallestBoxFor( [ item ], boxes );
+
+		if ( box ) {
+			packages.push( openPackage( box, item ) );
+		} else {
+			individual.push( item );
+		}
+	} );
+
+	packages.forEach( pckg => {
+		const smallerBox = smallestBoxFor( pckg.items, boxes );
+		if ( smallerBox && smallerBox.outerVolume < pckg.box.outerVolume ) {
+			pckg.box = smallerBox;
+			pckg.weight = smallerBox.boxWeight + sumBy( pckg.items, 'weight' );
+		}
+	} );
+
+	return { packages, individual };
+};
+
+const getCost = ( { packages, individual } ) =>
+	( packages.length + individual.length ) * COST_PER_BOX +
+	sumBy( packages, pckg => pckg.box.outerVolume ) +
+	sumBy( individual, item => getVolume( sortedDimensions( item ) ) );
+
+/**
+ * Proposes how to pack a list of items into the available boxes, using as few boxes as possible and,
+ * among the proposals with the same number of boxes, the least total volume.
+ * Items that don't fit in any box are shipped in their own packaging.
+ * @param {Array} items items to pack, with `length`, `width`, `height` and `weight`. One entry per unit
+ * @param {Array} definitions list of { boxId, definition } with the boxes that can be used
+ * @returns {Object} { packages: [ { boxId, definition, items, weight, length, width, height, isLetter } ], individual: [ items ] }
+ */
+export const packItems = ( items, definitions ) => {
+	const boxes = definitions.map( ( { boxId, definition } ) => toPackingBox( definition, boxId ) );
+	const sortedItems = orderBy(
+		items.map( item => ( { ...item, weight: Number( item.weight ) || 0 } ) ),
+		[ item => getVolume( sortedDimensions( item ) ), 'weight' ],
+		[ 'desc', 'desc' ]
+	);
+
+	const attempts = boxes.map( box => packWithPreferredBox( sortedItems, boxes, box ) );
+	const best = minBy( attempts, getCost ) || { packages: [], individual: sortedItems };
+
+	return {
+		packages: best.packages.map( pckg => ( {
+			boxId: pckg.box.boxId,
+			definition: pckg.box.definition,
+			items: pckg.items,
+			weight: round( pckg.weight, 8 ),
+			...pckg.box.outer,
+			isLetter: pckg.box.isLetter,
+		} ) ),
+		individual: best.individual,
+	};
+};
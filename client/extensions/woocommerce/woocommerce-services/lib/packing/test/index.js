@@ -0,0 +1,87 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { packItems } from '../index';
+
+const item = ( productId, length, width, height, weight ) => ( {
+	product_id: productId,
+	length,
+	width,
+	height,
+	weight,
+	quantity: 1,
+} );
+
+const box = ( name, innerDimensions, maxWeight = 0, extra = {} ) => ( {
+	boxId: name,
+	definition: {
+		name,
+		inner_dimensions: innerDimensions,
+		box_weight: 0,
+		max_weight: maxWeight,
+		is_letter: false,
+		...extra,
+	},
+} );
+
+describe( 'packItems', () => {
+	const small = box( 'Small', '5 x 5 x 5' );
+	const large = box( 'Large', '10 x 10 x 10' );
+
+	it( 'uses as few boxes as possible', () => {
+		const items = [ 1, 2, 3 ].map( id => item( id, 4, 4, 4, 1 ) );
+		const result = packItems( items, [ small, large ] );
+
+		expect( result.packages ).to.have.length( 1 );
+		expect( result.packages[ 0 ].boxId ).to.eql( 'Large' );
+		expect( result.packages[ 0 ].items ).to.have.length( 3 );
+		expect( result.individual ).to.be.empty;
+	} );
+
+	it( 'downsizes a package to the smallest box that holds its contents', () => {
+		const result = packItems( [ item( 1, 3, 3, 3, 1 ) ], [ large, small ] );
+
+		expect( result.packages ).to.have.length( 1 );
+		expect( result.packages[ 0 ].boxId ).to.eql( 'Small' );
+		expect( result.packages[ 0 ] ).to.include( { length: 5, width: 5, height: 5, weight: 1 } );
+	} );
+
+	it( 'respects the maximum weight of a box', () => {
+		const limited = box( 'Limited', '10 x 10 x 10', 3 );
+		const items = [ 1, 2 ].map( id => item( id, 2, 2, 2, 2 ) );
+		const result = packItems( items, [ limited ] );
+
+		expect( result.packages ).to.have.length( 2 );
+	} );
+
+	it( 'ships items that fit no box in their own packaging', () => {
+		const oversized = item( 2, 20, 1, 1, 1 );
+		const result = packItems( [ item( 1, 2, 2, 2, 1 ), oversized ], [ small ] );
+
+		expect( result.packages ).to.have.length( 1 );
+		expect( result.individual ).to.eql( [ oversized ] );
+	} );
+
+	it( 'fits flat items into envelopes regardless of their orientation', () => {
+		const envelope = box( 'Envelope', '12 x 9 x 0.5', 0, { is_letter: true } );
+		const result = packItems( [ item( 1, 0.2, 8, 11, 0.3 ) ], [ large, envelope ] );
+
+		expect( result.packages[ 0 ].boxId ).to.eql( 'Envelope' );
+		expect( result.packages[ 0 ].isLetter ).to.be.true;
+	} );
+
+	it( 'ships everything individually when there are no boxes', () => {
+		const items = [ item( 1, 1, 1, 1, 1 ) ];
+		const result = packItems( items, [] );
+
+		expect( result.packages ).to.be.empty;
+		expect( result.individual ).to.have.length( 1 );
+	} );
+} );
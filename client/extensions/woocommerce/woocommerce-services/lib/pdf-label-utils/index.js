@@ -6,7 +6,7 @@
 
 import { translate } from 'i18n-calypso';
 import { stringify } from 'qs';
-import { includes, reduce, filter, map } from 'lodash';
+import { includes, reduce, filter, map, mapValues } from 'lodash';
 
 /**
  * Internal dependencies
@@ -29,6 +29,31 @@ const PAPER_SIZES = {
 	},
 };
 
+const LABEL_FORMATS = {
+	pdf: {
+		name: translate( 'PDF' ),
+	},
+	zpl: {
+		name: translate( 'ZPL (Zebra thermal printers)' ),
+		isRaw: true,
+	},
+	epl: {
+		name: translate( 'EPL (Eltron and Zebra thermal printers)' ),
+		isRaw: true,
+	},
+};
+
+export const getLabelFormats = () => mapValues( LABEL_FORMATS, 'name' );
+
+/**
+ * Raw formats are printer commands rather than a document: they can't be shown in the browser print dialog,
+ * they have to be sent to a print agent that forwards them to the printer.
+ * @param {String} labelFormat label format
+ * @returns {Boolean} true if the format is a raw printer format (ZPL, EPL)
+ */
+export const isRawLabelFormat = labelFormat =>
+	Boolean( LABEL_FORMATS[ labelFormat ] && LABEL_FORMATS[ labelFormat ].isRaw );
+
 export const getPaperSizes = country =>
 	reduce(
 		PAPER_SIZES,
@@ -41,12 +66,16 @@ export const getPaperSizes = country =>
 		{}
 	);
 
-const _getPDFURL = ( paperSize, labels, baseUrl ) => {
+const _getPDFURL = ( paperSize, labels, baseUrl, labelFormat = 'pdf' ) => {
 	if ( ! PAPER_SIZES[ paperSize ] ) {
 		throw new Error( `Invalid paper size: ${ paperSize }` );
 	}
+	if ( ! LABEL_FORMATS[ labelFormat ] ) {
+		throw new Error( `Invalid label format: ${ labelFormat }` );
+	}
 	const params = {
-		paper_size: paperSize,
+		// thermal printers only take 4"x6" labels
+		paper_size: isRawLabelFormat( labelFormat ) ? 'label' : paperSize,
 		// send params as a CSV to avoid conflicts with some plugins out there (woocommerce-services #1111)
 		label_id_csv: filter( map( labels, 'labelId' ) ).join( ',' ),
 		caption_csv: filter(
@@ -54,14 +83,17 @@ const _getPDFURL = ( paperSize, labels, baseUrl ) => {
 		).join( ',' ),
 		json: true,
 	};
+	if ( 'pdf' !== labelFormat ) {
+		params.label_format = labelFormat;
+	}
 
 	return baseUrl + '?' + stringify( params );
 };
 
-export const getPrintURL = ( paperSize, labels ) => {
-	return _getPDFURL( paperSize, labels, api.url.labelsPrint() );
+export const getPrintURL = ( paperSize, labels, labelFormat ) => {
+	return _getPDFURL( paperSize, labels, api.url.labelsPrint(), labelFormat );
 };
 
-export const getPreviewURL = ( paperSize, labels ) => {
-	return _getPDFURL( paperSize, labels, api.url.labelTestPrint() );
+export const getPreviewURL = ( paperSize, labels, labelFormat ) => {
+	return _getPDFURL( paperSize, labels, api.url.labelTestPrint(), labelFormat );
 };
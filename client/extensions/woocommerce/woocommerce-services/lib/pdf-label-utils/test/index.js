@@ -0,0 +1,46 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+import { parse } from 'qs';
+
+/**
+ * Internal dependencies
+ */
+import { getPrintURL, isRawLabelFormat } from '../index';
+
+const getParams = url => parse( url.split( '?' )[ 1 ] );
+
+describe( 'getPrintURL', () => {
+	const labels = [ { labelId: 1 }, { labelId: 2 } ];
+
+	it( 'requests a PDF in the given paper size by default', () => {
+		const params = getParams( getPrintURL( 'letter', labels ) );
+
+		expect( params.paper_size ).to.eql( 'letter' );
+		expect( params.label_id_csv ).to.eql( '1,2' );
+		expect( params ).to.not.have.property( 'label_format' );
+	} );
+
+	it( 'requests thermal printer formats in the 4"x6" label size', () => {
+		const params = getParams( getPrintURL( 'letter', labels, 'zpl' ) );
+
+		expect( params.paper_size ).to.eql( 'label' );
+		expect( params.label_format ).to.eql( 'zpl' );
+	} );
+
+	it( 'rejects unknown label formats', () => {
+		expect( () => getPrintURL( 'label', labels, 'png' ) ).to.throw( 'Invalid label format: png' );
+	} );
+} );
+
+describe( 'isRawLabelFormat', () => {
+	it( 'only flags thermal printer formats', () => {
+		expect( isRawLabelFormat( 'zpl' ) ).to.be.true;
+		expect( isRawLabelFormat( 'epl' ) ).to.be.true;
+		expect( isRawLabelFormat( 'pdf' ) ).to.be.false;
+		expect( isRawLabelFormat( undefined ) ).to.be.false;
+	} );
+} );
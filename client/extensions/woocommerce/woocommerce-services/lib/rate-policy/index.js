@@ -0,0 +1,49 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+import { filter, includes, isEmpty, sortBy } from 'lodash';
+
+export const DEFAULT_RATE_POLICY = { type: 'manual', max_days: 3, carriers: [] };
+
+export const getRatePolicyNames = () => ( {
+	manual: translate( 'Pick rates manually' ),
+	cheapest: translate( 'Cheapest rate' ),
+	fastest: translate( 'Fastest delivery' ),
+	cheapest_within_days: translate( 'Cheapest rate arriving within a number of business days' ),
+	cheapest_preferred: translate( 'Cheapest rate from preferred carriers' ),
+} );
+
+export const isRatePolicyActive = policy => Boolean( policy && policy.type && 'manual' !== policy.type );
+
+// The insurance cost is only returned for packages with a declared value, and it's part of what the merchant pays
+const getCost = rate => rate.rate + ( rate.insurance_cost || 0 );
+
+// Rates that don't estimate a delivery time are never considered fast
+const getDays = rate => rate.delivery_days || Infinity;
+
+/**
+ * Picks the rate that best fits a rate shopping policy
+ * @param {Array} rates rates available for a package
+ * @param {Object} policy rate shopping policy: `type`, `max_days` and `carriers`
+ * @returns {Object|undefined} the picked rate, if any fits the policy
+ */
+export const pickRate = ( rates, policy ) => {
+	if ( ! isRatePolicyActive( policy ) || isEmpty( rates ) ) {
+		return;
+	}
+
+	switch ( policy.type ) {
+		case 'fastest':
+			// Between rates arriving on the same day, a guaranteed date wins over an estimate
+			return sortBy( rates, [ getDays, rate => ! rate.delivery_date_guaranteed, getCost ] )[ 0 ];
+		case 'cheapest_within_days':
+			return sortBy( filter( rates, rate => getDays( rate ) <= policy.max_days ), [ getCost, getDays ] )[ 0 ];
+		case 'cheapest_preferred':
+			return sortBy( filter( rates, rate => includes( policy.carriers, rate.carrier_id ) ), [ getCost, getDays ] )[ 0 ];
+		default:
+			return sortBy( rates, [ getCost, getDays ] )[ 0 ];
+	}
+};
@@ -0,0 +1,70 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { isRatePolicyActive, pickRate } from '../index';
+
+const rate = ( service_id, carrier_id, cost, delivery_days, extra = {} ) => ( {
+	service_id,
+	carrier_id,
+	rate: cost,
+	delivery_days,
+	...extra,
+} );
+
+const rates = [
+	rate( 'ground', 'ups', 9.5, 5 ),
+	rate( 'priority', 'usps', 8.2, 3 ),
+	rate( 'express', 'usps', 30, 1 ),
+	rate( 'overnight', 'fedex', 32, 1, { delivery_date_guaranteed: true } ),
+	rate( 'media', 'usps', 4.1, null ),
+];
+
+describe( 'Rate policy', () => {
+	describe( '#isRatePolicyActive', () => {
+		it( 'is only active when a policy other than manual is picked', () => {
+			expect( isRatePolicyActive( { type: 'cheapest' } ) ).to.be.true;
+			expect( isRatePolicyActive( { type: 'manual' } ) ).to.be.false;
+			expect( isRatePolicyActive( null ) ).to.be.false;
+		} );
+	} );
+
+	describe( '#pickRate', () => {
+		it( 'picks the cheapest rate', () => {
+			expect( pickRate( rates, { type: 'cheapest' } ).service_id ).to.equal( 'media' );
+		} );
+
+		it( 'counts the insurance cost as part of the rate', () => {
+			const insuredRates = [
+				rate( 'priority', 'usps', 8.2, 3, { insurance_cost: 3 } ),
+				rate( 'ground', 'ups', 9.5, 5, { insurance_cost: 1 } ),
+			];
+			expect( pickRate( insuredRates, { type: 'cheapest' } ).service_id ).to.equal( 'ground' );
+		} );
+
+		it( 'picks the fastest rate, preferring a guaranteed delivery date', () => {
+			expect( pickRate( rates, { type: 'fastest' } ).service_id ).to.equal( 'overnight' );
+		} );
+
+		it( 'picks the cheapest rate that arrives in time', () => {
+			expect( pickRate( rates, { type: 'cheapest_within_days', max_days: 3 } ).service_id ).to.equal( 'priority' );
+			expect( pickRate( rates, { type: 'cheapest_within_days', max_days: 0 } ) ).to.be.undefined;
+		} );
+
+		it( 'picks the cheapest rate of the preferred carriers', () => {
+			const policy = { type: 'cheapest_preferred', carriers: [ 'ups', 'fedex' ] };
+			expect( pickRate( rates, policy ).service_id ).to.equal( 'ground' );
+			expect( pickRate( rates, { ...policy, carriers: [ 'dhlexpress' ] } ) ).to.be.undefined;
+		} );
+
+		it( 'picks nothing when the rates are picked by hand', () => {
+			expect( pickRate( rates, { type: 'manual' } ) ).to.be.undefined;
+		} );
+	} );
+} );
@@ -0,0 +1,211 @@
+/** @format */
+
+/**
+ * Internal dependencies
+ */
+import { getScaleParser, splitSerialLines } from './index';
+import { getWithExpiry, setWithExpiry } from 'wcs-client/lib/utils/local-storage';
+
+const PREFERENCES_KEY = 'wcs-scale-preferences';
+const PREFERENCES_MAX_AGE = 365 * 86400000;
+
+// How long to wait for the scale to settle before giving up on a reading
+const READ_TIMEOUT = 5000;
+
+let connection = null;
+let listeners = [];
+
+/**
+ * Tells which scale transports the browser offers. Both are only available to Chromium based browsers, on HTTPS pages
+ * @returns {Object} `hid` and `serial` flags
+ */
+export const getSupportedTransports = () => ( {
+	hid: 'undefined' !== typeof navigator && Boolean( navigator.hid ),
+	serial: 'undefined' !== typeof navigator && Boolean( navigator.serial ),
+} );
+
+export const isScaleSupported = () => {
+	const { hid, serial } = getSupportedTransports();
+	return hid || serial;
+};
+
+/**
+ * The protocol of the last scale the user connected and whether readings should fill the weight on their own,
+ * remembered on this computer since that's where the scale is plugged in
+ * @returns {Object} `parserId` and `autoRead`
+ */
+export const getScalePreferences = () => ( {
+	parserId: null,
+	autoRead: false,
+	...getWithExpiry( PREFERENCES_KEY, PREFERENCES_MAX_AGE ),
+} );
+
+export const setScalePreferences = preferences =>
+	setWithExpiry( PREFERENCES_KEY, { ...getScalePreferences(), ...preferences } );
+
+export const isScaleConnected = () => Boolean( connection );
+
+export const getConnectedScaleParser = () => ( connection ? connection.parser : null );
+
+const emit = reading => {
+	if ( ! reading || ! connection ) {
+		return;
+	}
+	connection.lastReading = reading;
+	listeners.forEach( listener => listener( reading ) );
+};
+
+/**
+ * Subscribes to every weight the scale reports, settled or not
+ * @param {Function} listener called with the `weight`, `unit` and `isStable` of each reading
+ * @returns {Function} unsubscribes the listener
+ */
+export const onScaleReading = listener => {
+	listeners = [ ...listeners, listener ];
+	return () => {
+		listeners = listeners.filter( item => item !== listener );
+	};
+};
+
+const readSerialPort = async () => {
+	const { port, parser } = connection;
+	let buffer = '';
+	// A parity or framing error replaces `port.readable`, so reading goes on with the new stream
+	while ( connection && connection.port === port && port.readable ) {
+		const reader = port.readable.getReader();
+		connection.reader = reader;
+		try {
+			for ( ;; ) {
+				const { value, done } = await reader.read();
+				if ( done ) {
+					return;
+				}
+				const result = splitSerialLines( buffer, value );
+				buffer = result.buffer;
+				result.lines.forEach( line => emit( parser.parse( line ) ) );
+			}
+		} catch ( error ) {
+			buffer = '';
+		} finally {
+			reader.releaseLock();
+		}
+	}
+};
+
+const writeSerialPort = async text => {
+	const writer = connection.port.writable.getWriter();
+	try {
+		await writer.write( Uint8Array.from( text, character => character.charCodeAt( 0 ) ) );
+	} finally {
+		writer.releaseLock();
+	}
+};
+
+const openHidScale = async parser => {
+	const [ device ] = await navigator.hid.requestDevice( { filters: parser.filters } );
+	if ( ! device ) {
+		return null;
+	}
+	if ( ! device.opened ) {
+		await device.open();
+	}
+	device.addEventListener( 'inputreport', event => {
+		const { buffer, byteOffset, byteLength } = event.data;
+		emit( parser.parse( new Uint8Array( buffer, byteOffset, byteLength ) ) );
+	} );
+	return { parser, device };
+};
+
+const openSerialScale = async parser => {
+	const port = await navigator.serial.requestPort();
+	await port.open( parser.serialOptions );
+	return { parser, port };
+};
+
+/**
+ * Asks the user to pick their scale and starts listening to it. Has to be called from a click,
+ * browsers don't show the device picker otherwise
+ * @param {String} parserId protocol the scale speaks
+ * @returns {Promise} resolves to true once connected, false if the user closed the picker without choosing a scale
+ */
+export const connectScale = async parserId => {
+	const parser = getScaleParser( parserId );
+	if ( ! parser ) {
+		throw new Error( `Unknown scale protocol: ${ parserId }` );
+	}
+	await disconnectScale();
+
+	try {
+		connection = await ( 'hid' === parser.transport ? openHidScale( parser ) : openSerialScale( parser ) );
+	} catch ( error ) {
+		// Closing the serial port picker rejects instead of resolving with nothing like the HID one does
+		if ( 'NotFoundError' === error.name ) {
+			return false;
+		}
+		throw error;
+	}
+	if ( ! connection ) {
+		return false;
+	}
+
+	setScalePreferences( { parserId } );
+	if ( connection.port ) {
+		readSerialPort();
+	}
+	return true;
+};
+
+export const disconnectScale = async () => {
+	if ( ! connection ) {
+		return;
+	}
+	const { device, port, reader } = connection;
+	connection = null;
+	if ( device ) {
+		await device.close();
+	}
+	if ( port ) {
+		if ( reader ) {
+			await reader.cancel();
+		}
+		await port.close();
+	}
+};
+
+/**
+ * Waits for the scale to settle and returns the weight it shows. Scales that only answer when asked get
+ * asked, the others report on their own and their latest settled weight is used
+ * @returns {Promise} resolves to the `weight` and `unit`, rejects if the scale doesn't settle in time
+ */
+export const readScale = () => {
+	if ( ! connection ) {
+		return Promise.reject( new Error( 'No scale is connected' ) );
+	}
+
+	const { parser, lastReading } = connection;
+	if ( ! parser.request && lastReading && lastReading.isStable ) {
+		return Promise.resolve( lastReading );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const unsubscribe = onScaleReading( reading => {
+			if ( reading.isStable ) {
+				clearTimeout( timeout );
+				unsubscribe();
+				resolve( reading );
+			}
+		} );
+		const timeout = setTimeout( () => {
+			unsubscribe();
+			reject( new Error( 'The scale did not settle' ) );
+		}, READ_TIMEOUT );
+
+		if ( parser.request ) {
+			writeSerialPort( parser.request ).catch( error => {
+				clearTimeout( timeout );
+				unsubscribe();
+				reject( error );
+			} );
+		}
+	} );
+};
@@ -0,0 +1,70 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { find, reject, round } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import builtInParsers from './parsers';
+
+const GRAMS_PER_UNIT = {
+	g: 1,
+	kg: 1000,
+	oz: 28.349523125,
+	lb: 453.59237,
+	lbs: 453.59237,
+};
+
+/**
+ * Converts a weight between the units scales and stores use
+ * @param {Number} value weight
+ * @param {String} fromUnit unit of the weight: `g`, `kg`, `oz`, `lb` or `lbs`
+ * @param {String} toUnit unit to convert to
+ * @returns {Number} converted weight, rounded to 3 decimals
+ */
+export const convertWeight = ( value, fromUnit, toUnit ) => {
+	if ( fromUnit === toUnit || ! GRAMS_PER_UNIT[ fromUnit ] || ! GRAMS_PER_UNIT[ toUnit ] ) {
+		return value;
+	}
+	return round( ( value * GRAMS_PER_UNIT[ fromUnit ] ) / GRAMS_PER_UNIT[ toUnit ], 3 );
+};
+
+let parsers = [ ...builtInParsers ];
+
+/**
+ * Adds support for another scale protocol. A parser is an object with:
+ * - `id` and `name`
+ * - `transport`: `hid` or `serial`
+ * - for HID scales, `filters` for `navigator.hid.requestDevice` and `parse( bytes )`, called with every input report
+ * - for serial scales, `serialOptions` for `port.open`, an optional `request` string sent to ask for the weight,
+ *   and `parse( line )`, called with every line the scale prints
+ * `parse` returns the `weight`, its `unit` and whether the scale `isStable`, or null if there's no weight in the data
+ * @param {Object} parser scale parser, replaces the one with the same ID
+ */
+export const registerScaleParser = parser => {
+	parsers = [ ...reject( parsers, { id: parser.id } ), parser ];
+};
+
+export const getScaleParsers = () => parsers;
+
+export const getScaleParser = id => find( parsers, { id } ) || null;
+
+/**
+ * Splits what a serial scale sent into lines. Readings often arrive in several chunks,
+ * so the incomplete line at the end is kept for the next call
+ * @param {String} buffer text left over from the previous chunks
+ * @param {Uint8Array} chunk bytes just read from the port
+ * @returns {Object} complete `lines` and the `buffer` to keep
+ */
+export const splitSerialLines = ( buffer, chunk ) => {
+	// Scales speak plain ASCII, control characters like STX and ETX only frame the readings
+	const text = buffer + String.fromCharCode( ...chunk ).replace( /[\x00-\x09\x0b\x0c\x0e-\x1f]/g, '' );
+	const parts = text.split( /\r\n|\r|\n/ );
+	return {
+		lines: parts.slice( 0, -1 ).filter( line => line.trim() ),
+		buffer: parts[ parts.length - 1 ],
+	};
+};
@@ -0,0 +1,118 @@
+/** @format */
+
+// Units of the HID point of sale scale usage page, by their code in the scale data report
+const HID_UNITS = {
+	2: 'g',
+	3: 'kg',
+	11: 'oz',
+	12: 'lb',
+};
+
+const HID_STATUS_ZERO = 2;
+const HID_STATUS_STABLE = 4;
+const HID_STATUS_IN_MOTION = 3;
+
+const normalizeUnit = unit => {
+	const lowerUnit = unit.toLowerCase();
+	return 'lbs' === lowerUnit ? 'lb' : lowerUnit;
+};
+
+/**
+ * USB scales following the HID point of sale spec, like the DYMO and Stamps.com ones. The scale data report is
+ * status, unit, exponent, then the weight as a little endian 16 bit integer
+ */
+export const hidPosScale = {
+	id: 'hid_pos',
+	name: 'USB HID scale (DYMO, Stamps.com, Mettler Toledo PS series)',
+	transport: 'hid',
+	filters: [ { usagePage: 0x8d } ],
+	parse: bytes => {
+		if ( bytes.length < 5 ) {
+			return null;
+		}
+		const [ status, unitCode, rawExponent, weightLow, weightHigh ] = bytes;
+		const unit = HID_UNITS[ unitCode ];
+		if ( ! unit || ! [ HID_STATUS_ZERO, HID_STATUS_STABLE, HID_STATUS_IN_MOTION ].includes( status ) ) {
+			return null;
+		}
+
+		const exponent = rawExponent > 127 ? rawExponent - 256 : rawExponent;
+		const weight = HID_STATUS_ZERO === status ? 0 : ( weightLow + weightHigh * 256 ) * Math.pow( 10, exponent );
+		return {
+			weight: Number( weight.toFixed( Math.max( 0, -exponent ) ) ),
+			unit,
+			isStable: HID_STATUS_IN_MOTION !== status,
+		};
+	},
+};
+
+/**
+ * Mettler Toledo serial scales speaking MT-SICS. `SI` asks for the current weight, answered like "S S     1.250 kg",
+ * where the second S means stable and D means the weight is still changing
+ */
+export const mettlerToledoSics = {
+	id: 'mt_sics',
+	name: 'Mettler Toledo MT-SICS (serial)',
+	transport: 'serial',
+	serialOptions: { baudRate: 9600 },
+	request: 'SI\r\n',
+	parse: line => {
+		const match = line.trim().match( /^S\s+([SD])\s+(-?[\d.]+)\s+(g|kg|oz|lb)$/i );
+		if ( ! match ) {
+			return null;
+		}
+		return {
+			weight: parseFloat( match[ 2 ] ),
+			unit: normalizeUnit( match[ 3 ] ),
+			isStable: 'S' === match[ 1 ].toUpperCase(),
+		};
+	},
+};
+
+/**
+ * Scales that print their readings continuously, like "ST,GS,+001.250kg" (A&D and many generic indicators).
+ * ST means stable, US unstable and OL overloaded
+ */
+export const continuousAscii = {
+	id: 'continuous_ascii',
+	name: 'Continuous output, ST/US,GS format (serial)',
+	transport: 'serial',
+	serialOptions: { baudRate: 9600 },
+	parse: line => {
+		const match = line.trim().match( /^(ST|US),(?:GS|NT|TR),\s*([+-])?\s*([\d.]+)\s*(g|kg|oz|lb)$/i );
+		if ( ! match ) {
+			return null;
+		}
+		const weight = parseFloat( match[ 3 ] );
+		return {
+			weight: '-' === match[ 2 ] ? -weight : weight,
+			unit: normalizeUnit( match[ 4 ] ),
+			isStable: 'ST' === match[ 1 ].toUpperCase(),
+		};
+	},
+};
+
+/**
+ * Shipping scales with the NCI standard protocol (Avery Weigh-Tronix, Brecknell, Salter). `W` asks for the weight,
+ * answered with a line like "  1.25LB" followed by a status line. Readings come only once the scale is settled
+ */
+export const nciStandard = {
+	id: 'nci',
+	name: 'NCI standard protocol (Avery Weigh-Tronix, Brecknell, serial)',
+	transport: 'serial',
+	serialOptions: { baudRate: 9600, dataBits: 7, parity: 'even' },
+	request: 'W\r',
+	parse: line => {
+		const match = line.trim().match( /^(-?[\d.]+)\s*(g|kg|oz|lb)$/i );
+		if ( ! match ) {
+			return null;
+		}
+		return {
+			weight: parseFloat( match[ 1 ] ),
+			unit: normalizeUnit( match[ 2 ] ),
+			isStable: true,
+		};
+	},
+};
+
+export default [ hidPosScale, mettlerToledoSics, continuousAscii, nciStandard ];
@@ -0,0 +1,49 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { convertWeight, getScaleParser, registerScaleParser, splitSerialLines } from '..';
+
+describe( 'Scales', () => {
+	describe( 'convertWeight', () => {
+		it( 'converts between metric and imperial units', () => {
+			expect( convertWeight( 1, 'lb', 'oz' ) ).to.equal( 16 );
+			expect( convertWeight( 600, 'g', 'kg' ) ).to.equal( 0.6 );
+			expect( convertWeight( 1, 'kg', 'lbs' ) ).to.equal( 2.205 );
+		} );
+
+		it( 'leaves the weight alone when a unit is unknown', () => {
+			expect( convertWeight( 3, 'st', 'kg' ) ).to.equal( 3 );
+		} );
+	} );
+
+	describe( 'splitSerialLines', () => {
+		it( 'keeps incomplete lines for the next chunk', () => {
+			const first = splitSerialLines( '', Uint8Array.from( [ 0x31, 0x2e, 0x35, 0x0d, 0x0a, 0x32 ] ) );
+			expect( first ).to.eql( { lines: [ '1.5' ], buffer: '2' } );
+
+			const second = splitSerialLines( first.buffer, Uint8Array.from( [ 0x2e, 0x35, 0x0d ] ) );
+			expect( second ).to.eql( { lines: [ '2.5' ], buffer: '' } );
+		} );
+
+		it( 'drops framing characters and empty lines', () => {
+			const result = splitSerialLines( '', Uint8Array.from( [ 0x02, 0x31, 0x03, 0x0d, 0x0a, 0x0d, 0x0a ] ) );
+			expect( result.lines ).to.eql( [ '1' ] );
+		} );
+	} );
+
+	describe( 'registerScaleParser', () => {
+		it( 'adds a protocol and replaces the one with the same ID', () => {
+			registerScaleParser( { id: 'custom', name: 'Custom', transport: 'serial', parse: () => null } );
+			registerScaleParser( { id: 'custom', name: 'Custom v2', transport: 'serial', parse: () => null } );
+			expect( getScaleParser( 'custom' ).name ).to.equal( 'Custom v2' );
+			expect( getScaleParser( 'hid_pos' ) ).to.exist;
+		} );
+	} );
+} );
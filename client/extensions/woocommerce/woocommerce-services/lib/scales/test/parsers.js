@@ -0,0 +1,105 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { continuousAscii, hidPosScale, mettlerToledoSics, nciStandard } from '../parsers';
+import { splitSerialLines } from '..';
+
+const fromHex = hex => Uint8Array.from( hex.split( ' ' ), byte => parseInt( byte, 16 ) );
+
+// Feeds a recorded serial stream to a parser the way the port delivers it, in arbitrary chunks
+const parseStream = ( parser, chunks ) => {
+	let buffer = '';
+	const readings = [];
+	chunks.forEach( chunk => {
+		const result = splitSerialLines( buffer, fromHex( chunk ) );
+		buffer = result.buffer;
+		result.lines.forEach( line => readings.push( parser.parse( line ) ) );
+	} );
+	return readings;
+};
+
+describe( 'Scale parsers', () => {
+	describe( 'HID point of sale scale', () => {
+		it( 'reads a stable weight', () => {
+			// DYMO M10 showing 0.452 kg: stable, kg, 10^-3, 452
+			expect( hidPosScale.parse( fromHex( '04 03 fd c4 01' ) ) ).to.eql( { weight: 0.452, unit: 'kg', isStable: true } );
+			// DYMO M25 showing 12.4 oz: stable, oz, 10^-1, 124
+			expect( hidPosScale.parse( fromHex( '04 0b ff 7c 00' ) ) ).to.eql( { weight: 12.4, unit: 'oz', isStable: true } );
+		} );
+
+		it( 'flags weights in motion as unstable', () => {
+			expect( hidPosScale.parse( fromHex( '03 0c ff 12 00' ) ) ).to.eql( { weight: 1.8, unit: 'lb', isStable: false } );
+		} );
+
+		it( 'reads zero when the platform is empty', () => {
+			expect( hidPosScale.parse( fromHex( '02 02 00 00 00' ) ) ).to.eql( { weight: 0, unit: 'g', isStable: true } );
+		} );
+
+		it( 'ignores overweight, negative and incomplete reports', () => {
+			expect( hidPosScale.parse( fromHex( '06 03 fd c4 01' ) ) ).to.be.null;
+			expect( hidPosScale.parse( fromHex( '05 03 fd 10 00' ) ) ).to.be.null;
+			expect( hidPosScale.parse( fromHex( '04 03 fd' ) ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'Mettler Toledo MT-SICS', () => {
+		it( 'reads the answers to weight requests, split across chunks', () => {
+			// "S D     1.1 kg\r\n" then "S S     1.250 kg\r\n"
+			const readings = parseStream( mettlerToledoSics, [
+				'53 20 44 20 20 20 20 20 31 2e 31',
+				'20 6b 67 0d 0a 53 20 53 20 20 20 20 20',
+				'31 2e 32 35 30 20 6b 67 0d 0a',
+			] );
+			expect( readings ).to.eql( [
+				{ weight: 1.1, unit: 'kg', isStable: false },
+				{ weight: 1.25, unit: 'kg', isStable: true },
+			] );
+		} );
+
+		it( 'ignores error answers', () => {
+			// "S I\r\n", the scale couldn't take a reading
+			expect( parseStream( mettlerToledoSics, [ '53 20 49 0d 0a' ] ) ).to.eql( [ null ] );
+		} );
+	} );
+
+	describe( 'Continuous ASCII output', () => {
+		it( 'reads stable and unstable readings', () => {
+			// "US,GS,+000.990kg\r\n" then "ST,GS,+001.002kg\r\n"
+			const readings = parseStream( continuousAscii, [
+				'55 53 2c 47 53 2c 2b 30 30 30 2e 39 39 30 6b 67 0d 0a',
+				'53 54 2c 47 53 2c 2b 30 30 31 2e 30 30 32 6b 67 0d 0a',
+			] );
+			expect( readings ).to.eql( [
+				{ weight: 0.99, unit: 'kg', isStable: false },
+				{ weight: 1.002, unit: 'kg', isStable: true },
+			] );
+		} );
+
+		it( 'reads negative weights and pounds', () => {
+			// "ST,NT,-  0.50 lb\r\n"
+			const readings = parseStream( continuousAscii, [ '53 54 2c 4e 54 2c 2d 20 20 30 2e 35 30 20 6c 62 0d 0a' ] );
+			expect( readings ).to.eql( [ { weight: -0.5, unit: 'lb', isStable: true } ] );
+		} );
+
+		it( 'ignores overload readings', () => {
+			// "OL,GS,+9999.99kg\r\n"
+			const readings = parseStream( continuousAscii, [ '4f 4c 2c 47 53 2c 2b 39 39 39 39 2e 39 39 6b 67 0d 0a' ] );
+			expect( readings ).to.eql( [ null ] );
+		} );
+	} );
+
+	describe( 'NCI standard protocol', () => {
+		it( 'reads the weight and skips the status line', () => {
+			// "\n  1.25LB\r\n" then "S00\r\x03", framed by LF and ETX
+			const readings = parseStream( nciStandard, [ '0a 20 20 31 2e 32 35 4c 42 0d 0a 53 30 30 0d 03' ] );
+			expect( readings ).to.eql( [ { weight: 1.25, unit: 'lb', isStable: true }, null ] );
+		} );
+	} );
+} );
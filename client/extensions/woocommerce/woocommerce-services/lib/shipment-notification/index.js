@@ -0,0 +1,141 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { moment, translate } from 'i18n-calypso';
+import { countBy, every, has, isEmpty, map, some } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getCarrierName, getTrackingUrl } from 'woocommerce/woocommerce-services/lib/carriers';
+
+/**
+ * An empty template stands for the default one, so the default follows the store language
+ */
+export const DEFAULT_SHIPMENT_NOTIFICATION = {
+	template: '',
+	delivery: 'note',
+};
+
+export const getDeliveryMethodNames = () => ( {
+	note: translate( 'Note to the customer on the order' ),
+	email: translate( 'Dedicated WooCommerce email' ),
+} );
+
+/**
+ * @returns {Object} description of the placeholders that change with each package, keyed by placeholder name
+ */
+export const getPlaceholderNames = () => ( {
+	tracking_number: translate( 'Tracking number' ),
+	carrier: translate( 'Carrier name' ),
+	tracking_url: translate( 'Page where the package can be tracked' ),
+	service: translate( 'Shipping service' ),
+	estimated_delivery: translate( 'Estimated delivery' ),
+	items: translate( 'Items in the package' ),
+} );
+
+export const getDefaultTemplate = () =>
+	translate(
+		'Your order has been shipped.\n\n' +
+			'{carrier} {service}, tracking number {tracking_number}\n' +
+			'Track it at {tracking_url}\n' +
+			'Items: {items}\n' +
+			'Estimated delivery: {estimated_delivery}'
+	);
+
+const PLACEHOLDER_PATTERN = /{(\w+)}/g;
+
+const getLinePlaceholders = line => map( line.match( PLACEHOLDER_PATTERN ), match => match.slice( 1, -1 ) );
+
+const isPackageLine = line => some( getLinePlaceholders( line ), name => has( getPlaceholderNames(), name ) );
+
+const getEstimatedDelivery = label => {
+	if ( label.delivery_date ) {
+		return moment( label.delivery_date ).format( 'LL' );
+	}
+	if ( label.delivery_days ) {
+		return translate( '%(deliveryDays)d business day', '%(deliveryDays)d business days', {
+			count: label.delivery_days,
+			args: { deliveryDays: label.delivery_days },
+		} );
+	}
+	return '';
+};
+
+// Labels list one product name per unit
+const getItems = label =>
+	map( countBy( label.product_names ), ( count, name ) => ( 1 < count ? `${ name } × ${ count }` : name ) ).join( ', ' );
+
+/**
+ * @param {Object} label label, as the server sends it
+ * @returns {Object} values of the placeholders for the label's package, empty when the label doesn't tell
+ */
+export const getPackageValues = label => ( {
+	tracking_number: label.tracking || '',
+	carrier: getCarrierName( label.carrier_id ) || '',
+	tracking_url: getTrackingUrl( label.carrier_id, label.tracking ) || '',
+	service: label.service_name || '',
+	estimated_delivery: getEstimatedDelivery( label ),
+	items: getItems( label ),
+} );
+
+const fillLine = ( line, values ) =>
+	line.replace( PLACEHOLDER_PATTERN, ( match, name ) => ( name in values ? values[ name ] : match ) );
+
+/**
+ * Writes the message customers get when their order ships. Lines with package placeholders are repeated
+ * for every package, consecutive ones together, and lines whose placeholders are all empty for a package
+ * are left out, so a carrier without tracking page doesn't leave a dangling "Track it at"
+ * @param {String} template notification template, the default one if empty
+ * @param {Array} labels labels of the shipped packages
+ * @returns {String} the message
+ */
+export const renderShipmentNotification = ( template, labels ) => {
+	const packagesValues = map( labels, getPackageValues );
+	const lines = ( template || getDefaultTemplate() ).split( '\n' );
+	const output = [];
+
+	for ( let index = 0; index < lines.length; ) {
+		if ( ! isPackageLine( lines[ index ] ) ) {
+			output.push( lines[ index++ ] );
+			continue;
+		}
+
+		const block = [];
+		while ( index < lines.length && isPackageLine( lines[ index ] ) ) {
+			block.push( lines[ index++ ] );
+		}
+
+		packagesValues.forEach( ( values, packageIndex ) => {
+			// Packages are set apart when each takes more than a line
+			if ( packageIndex && 1 < block.length ) {
+				output.push( '' );
+			}
+			block.forEach( line => {
+				const placeholders = getLinePlaceholders( line );
+				if ( ! every( placeholders, name => name in values && isEmpty( values[ name ] ) ) ) {
+					output.push( fillLine( line, values ) );
+				}
+			} );
+		} );
+	}
+
+	return output.join( '\n' ).trim();
+};
+
+/**
+ * Stand-in labels for the preview when no order has labels yet
+ * @returns {Array} labels
+ */
+export const getSampleLabels = () => [
+	{
+		label_id: 1,
+		tracking: '9405500000000000000000',
+		carrier_id: 'usps',
+		service_name: 'USPS - Priority Mail',
+		delivery_days: 2,
+		product_names: [ translate( 'Sample product' ), translate( 'Sample product' ) ],
+	},
+];
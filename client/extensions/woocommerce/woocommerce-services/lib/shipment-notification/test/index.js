@@ -0,0 +1,92 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { getPackageValues, renderShipmentNotification } from '..';
+
+const uspsLabel = {
+	label_id: 1,
+	tracking: '9405500000000000000001',
+	carrier_id: 'usps',
+	service_name: 'USPS - Priority Mail',
+	product_names: [ 'Shirt', 'Shirt', 'Mug' ],
+};
+
+const canadaPostLabel = {
+	label_id: 2,
+	tracking: 'CP002',
+	carrier_id: 'canadapost',
+	service_name: 'Canada Post - Expedited Parcel',
+	delivery_days: 3,
+	product_names: [ 'Hat' ],
+};
+
+describe( 'Shipment notification', () => {
+	describe( 'getPackageValues', () => {
+		it( 'fills the placeholders from the label', () => {
+			expect( getPackageValues( uspsLabel ) ).to.eql( {
+				tracking_number: '9405500000000000000001',
+				carrier: 'USPS',
+				tracking_url: 'https://tools.usps.com/go/TrackConfirmAction.action?tLabels=9405500000000000000001',
+				service: 'USPS - Priority Mail',
+				estimated_delivery: '',
+				items: 'Shirt × 2, Mug',
+			} );
+		} );
+
+		it( 'estimates the delivery from the business days of the rate', () => {
+			expect( getPackageValues( canadaPostLabel ).estimated_delivery ).to.equal( '3 business days' );
+		} );
+
+		it( 'leaves the tracking page empty for carriers without one', () => {
+			expect( getPackageValues( { ...uspsLabel, carrier_id: 'acme' } ) ).to.include( {
+				carrier: 'acme',
+				tracking_url: '',
+			} );
+		} );
+	} );
+
+	describe( 'renderShipmentNotification', () => {
+		it( 'repeats the package lines for every package', () => {
+			const template = 'Shipped!\n{carrier}: {tracking_number}\nThanks';
+
+			expect( renderShipmentNotification( template, [ uspsLabel, canadaPostLabel ] ) ).to.equal(
+				'Shipped!\nUSPS: 9405500000000000000001\nCanada Post: CP002\nThanks'
+			);
+		} );
+
+		it( 'keeps consecutive package lines together and sets the packages apart', () => {
+			const template = '{tracking_number}\n{items}';
+
+			expect( renderShipmentNotification( template, [ uspsLabel, canadaPostLabel ] ) ).to.equal(
+				'9405500000000000000001\nShirt × 2, Mug\n\nCP002\nHat'
+			);
+		} );
+
+		it( 'leaves out the lines with nothing to tell about a package', () => {
+			const template = '{tracking_number}\nArrives in {estimated_delivery}';
+
+			expect( renderShipmentNotification( template, [ uspsLabel, canadaPostLabel ] ) ).to.equal(
+				'9405500000000000000001\n\nCP002\nArrives in 3 business days'
+			);
+		} );
+
+		it( 'leaves unknown placeholders as they are', () => {
+			expect( renderShipmentNotification( 'Hi {first_name}', [ uspsLabel ] ) ).to.equal( 'Hi {first_name}' );
+		} );
+
+		it( 'uses the default template when none is set', () => {
+			const message = renderShipmentNotification( '', [ uspsLabel ] );
+
+			expect( message ).to.have.string( 'Your order has been shipped.' );
+			expect( message ).to.have.string( 'Track it at https://tools.usps.com/' );
+			expect( message ).not.to.have.string( 'Estimated delivery' );
+		} );
+	} );
+} );
@@ -0,0 +1,129 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import {
+	compact,
+	find,
+	flatMap,
+	intersection,
+	isEmpty,
+	isNil,
+	map,
+	mapValues,
+	pick,
+	split,
+	sumBy,
+	trim,
+	uniq,
+} from 'lodash';
+
+const LIST_CONDITIONS = [ 'countries', 'states', 'shipping_classes', 'product_ids', 'shipping_methods' ];
+const RANGE_CONDITIONS = [ 'min_total', 'max_total', 'min_weight', 'max_weight' ];
+const OUTCOME_FIELDS = [ 'box_id', 'carrier_id', 'service_id', 'signature', 'contents_type' ];
+
+/**
+ * Collects the order properties the shipping rules can match on
+ * @param {Object} form shipping label form state
+ * @returns {Object} facts about the order
+ */
+export const getShippingRuleFacts = form => {
+	const items = flatMap( form.packages.selected, 'items' );
+	const checkout = form.checkout || {};
+
+	return {
+		country: form.destination.values.country,
+		state: form.destination.values.state,
+		total: Number( checkout.total ) || 0,
+		weight: sumBy( map( form.packages.selected ), pckg => Number( pckg.weight ) || 0 ),
+		shippingClasses: uniq( compact( map( items, 'shipping_class' ) ) ),
+		productIds: uniq( map( items, 'product_id' ) ),
+		shippingMethod: checkout.shippingMethod || '',
+	};
+};
+
+const inRange = ( value, min, max ) =>
+	( isNil( min ) || value >= min ) && ( isNil( max ) || value <= max );
+
+const matchesList = ( list, value ) => isEmpty( list ) || list.indexOf( value ) !== -1;
+
+const matchesAny = ( list, values ) => isEmpty( list ) || intersection( list, values ).length > 0;
+
+/**
+ * Checks whether every condition of a rule holds for an order. Conditions that are left empty match any order
+ * @param {Object} rule shipping rule, as stored in the label settings
+ * @param {Object} facts order facts, see getShippingRuleFacts
+ * @returns {Boolean} true if the rule applies to the order
+ */
+export const ruleMatches = ( rule, facts ) => {
+	const conditions = rule.conditions || {};
+
+	return (
+		matchesList( conditions.countries, facts.country ) &&
+		matchesList( conditions.states, facts.state ) &&
+		inRange( facts.total, conditions.min_total, conditions.max_total ) &&
+		inRange( facts.weight, conditions.min_weight, conditions.max_weight ) &&
+		matchesAny( conditions.shipping_classes, facts.shippingClasses ) &&
+		matchesAny( conditions.product_ids, facts.productIds ) &&
+		matchesList( conditions.shipping_methods, facts.shippingMethod )
+	);
+};
+
+/**
+ * Finds the rule that applies to an order. Rules are checked in the order they are listed, so the first match wins
+ * @param {Array} rules shipping rules
+ * @param {Object} facts order facts, see getShippingRuleFacts
+ * @returns {Object|undefined} the matching rule
+ */
+export const findShippingRule = ( rules, facts ) =>
+	find( rules, rule => rule.enabled && ruleMatches( rule, facts ) );
+
+/**
+ * Flattens a rule into the values edited in the settings form. Lists are edited as comma-separated text
+ * @param {Object} rule shipping rule
+ * @returns {Object} form values
+ */
+export const ruleToFormValues = rule => {
+	const conditions = rule.conditions || {};
+	const outcome = rule.outcome || {};
+	const values = { name: rule.name || '', enabled: false !== rule.enabled };
+
+	LIST_CONDITIONS.forEach( key => ( values[ key ] = ( conditions[ key ] || [] ).join( ', ' ) ) );
+	RANGE_CONDITIONS.forEach( key => ( values[ key ] = isNil( conditions[ key ] ) ? '' : String( conditions[ key ] ) ) );
+	OUTCOME_FIELDS.forEach( key => ( values[ key ] = outcome[ key ] || '' ) );
+
+	return values;
+};
+
+const parseList = ( text, key ) => {
+	const list = compact( map( split( text, ',' ), item => trim( item ) ) );
+	if ( 'product_ids' === key ) {
+		return map( list, Number ).filter( Boolean );
+	}
+	// Country and state codes are always upper case
+	return 'countries' === key || 'states' === key ? map( list, item => item.toUpperCase() ) : list;
+};
+
+/**
+ * Builds a rule out of the values edited in the settings form
+ * @param {String} id rule ID
+ * @param {Object} values form values, see ruleToFormValues
+ * @returns {Object} shipping rule
+ */
+export const formValuesToRule = ( id, values ) => {
+	const conditions = {};
+	LIST_CONDITIONS.forEach( key => ( conditions[ key ] = parseList( values[ key ], key ) ) );
+	RANGE_CONDITIONS.forEach( key => {
+		const value = trim( values[ key ] );
+		conditions[ key ] = '' === value || isNaN( value ) ? null : Number( value );
+	} );
+
+	return {
+		id,
+		name: trim( values.name ),
+		enabled: Boolean( values.enabled ),
+		conditions,
+		outcome: mapValues( pick( values, OUTCOME_FIELDS ), value => value || '' ),
+	};
+};
@@ -0,0 +1,142 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import {
+	findShippingRule,
+	formValuesToRule,
+	getShippingRuleFacts,
+	ruleMatches,
+	ruleToFormValues,
+} from '../index';
+
+const form = {
+	destination: { values: { country: 'US', state: 'CA' } },
+	packages: {
+		selected: {
+			pckg1: {
+				weight: 2,
+				items: [
+					{ product_id: 10, shipping_class: 'fragile' },
+					{ product_id: 11, shipping_class: '' },
+				],
+			},
+			pckg2: { weight: 3.5, items: [ { product_id: 10, shipping_class: 'fragile' } ] },
+		},
+	},
+	checkout: { total: 120, shippingMethod: 'flat_rate' },
+};
+
+const rule = ( id, conditions, enabled = true ) => ( { id, name: id, enabled, conditions, outcome: {} } );
+
+describe( 'Shipping rules', () => {
+	const facts = getShippingRuleFacts( form );
+
+	describe( '#getShippingRuleFacts', () => {
+		it( 'collects the order facts from the label form', () => {
+			expect( facts ).to.eql( {
+				country: 'US',
+				state: 'CA',
+				total: 120,
+				weight: 5.5,
+				shippingClasses: [ 'fragile' ],
+				productIds: [ 10, 11 ],
+				shippingMethod: 'flat_rate',
+			} );
+		} );
+	} );
+
+	describe( '#ruleMatches', () => {
+		it( 'matches any order when no condition is set', () => {
+			expect( ruleMatches( rule( 'any', {} ), facts ) ).to.be.true;
+		} );
+
+		it( 'matches the destination', () => {
+			expect( ruleMatches( rule( 'r', { countries: [ 'US', 'CA' ], states: [ 'CA' ] } ), facts ) ).to.be.true;
+			expect( ruleMatches( rule( 'r', { countries: [ 'CA' ] } ), facts ) ).to.be.false;
+			expect( ruleMatches( rule( 'r', { states: [ 'NY' ] } ), facts ) ).to.be.false;
+		} );
+
+		it( 'matches the order total and weight ranges inclusively', () => {
+			expect( ruleMatches( rule( 'r', { min_total: 120, max_total: null } ), facts ) ).to.be.true;
+			expect( ruleMatches( rule( 'r', { max_total: 100 } ), facts ) ).to.be.false;
+			expect( ruleMatches( rule( 'r', { min_weight: 1, max_weight: 5.5 } ), facts ) ).to.be.true;
+			expect( ruleMatches( rule( 'r', { min_weight: 6 } ), facts ) ).to.be.false;
+		} );
+
+		it( 'matches when any item has one of the shipping classes or products', () => {
+			expect( ruleMatches( rule( 'r', { shipping_classes: [ 'bulky', 'fragile' ] } ), facts ) ).to.be.true;
+			expect( ruleMatches( rule( 'r', { shipping_classes: [ 'bulky' ] } ), facts ) ).to.be.false;
+			expect( ruleMatches( rule( 'r', { product_ids: [ 11 ] } ), facts ) ).to.be.true;
+			expect( ruleMatches( rule( 'r', { product_ids: [ 12 ] } ), facts ) ).to.be.false;
+		} );
+
+		it( 'matches the checkout shipping method', () => {
+			expect( ruleMatches( rule( 'r', { shipping_methods: [ 'flat_rate' ] } ), facts ) ).to.be.true;
+			expect( ruleMatches( rule( 'r', { shipping_methods: [ 'free_shipping' ] } ), facts ) ).to.be.false;
+		} );
+	} );
+
+	describe( '#findShippingRule', () => {
+		it( 'returns the first enabled rule that matches', () => {
+			const rules = [
+				rule( 'disabled', {}, false ),
+				rule( 'canada', { countries: [ 'CA' ] } ),
+				rule( 'heavy', { min_weight: 5 } ),
+				rule( 'any', {} ),
+			];
+
+			expect( findShippingRule( rules, facts ).id ).to.equal( 'heavy' );
+		} );
+
+		it( 'returns nothing when no rule matches', () => {
+			expect( findShippingRule( [ rule( 'canada', { countries: [ 'CA' ] } ) ], facts ) ).to.be.undefined;
+			expect( findShippingRule( [], facts ) ).to.be.undefined;
+		} );
+	} );
+
+	describe( '#formValuesToRule', () => {
+		it( 'parses the lists and ranges edited in the settings form', () => {
+			const values = {
+				...ruleToFormValues( { name: '', conditions: {}, outcome: {} } ),
+				name: ' Heavy to Canada ',
+				countries: 'ca, ',
+				product_ids: '12, abc,13',
+				min_weight: '10',
+				max_weight: 'heavy',
+				box_id: 'large_box',
+			};
+			const rule = formValuesToRule( 'rule_1', values );
+
+			expect( rule.name ).to.equal( 'Heavy to Canada' );
+			expect( rule.enabled ).to.be.true;
+			expect( rule.conditions.countries ).to.eql( [ 'CA' ] );
+			expect( rule.conditions.states ).to.eql( [] );
+			expect( rule.conditions.product_ids ).to.eql( [ 12, 13 ] );
+			expect( rule.conditions.min_weight ).to.equal( 10 );
+			expect( rule.conditions.max_weight ).to.be.null;
+			expect( rule.outcome.box_id ).to.equal( 'large_box' );
+			expect( rule.outcome.service_id ).to.equal( '' );
+		} );
+
+		it( 'round-trips a stored rule', () => {
+			const rule = formValuesToRule( 'rule_1', {
+				...ruleToFormValues( {} ),
+				name: 'Fragile',
+				shipping_classes: 'fragile, glass',
+				min_total: '50',
+				carrier_id: 'usps',
+				service_id: 'Priority',
+				signature: 'signature_required',
+			} );
+
+			expect( formValuesToRule( 'rule_1', ruleToFormValues( rule ) ) ).to.eql( rule );
+		} );
+	} );
+} );
@@ -0,0 +1,13 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import formatCurrency from '@automattic/format-currency';
+
+/**
+ * @param {array} subtotals List of { currency, total }, as returned by getTotalPriceBreakdown.
+ * @returns {string} Every subtotal formatted in its own currency, since amounts in different currencies can't be added.
+ */
+export default subtotals =>
+	subtotals.map( ( { currency, total } ) => formatCurrency( total, currency ) ).join( ', ' );
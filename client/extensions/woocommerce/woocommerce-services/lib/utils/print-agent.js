@@ -0,0 +1,45 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+
+/**
+ * Sends raw printer data (ZPL, EPL) to a print agent running on the packing station, which forwards it
+ * to the thermal printer. The browser print dialog can't be used for these formats.
+ * The data is sent as the plain-text body of a POST request to the configured URL.
+ * @param {String} agentUrl URL of the local print agent, for example "http://localhost:9100/print"
+ * @param {Object} fileData Object with the printer data. It needs to have at least this property:
+ * - {String} b64Content The printer commands, encoded in Base64
+ * @returns {Promise} Promise that resolves when the agent accepted the job, rejects otherwise.
+ */
+export default ( agentUrl, { b64Content } ) => {
+	if ( ! agentUrl ) {
+		return Promise.reject(
+			new Error( translate( 'Set up the URL of your print agent in the shipping label settings.' ) )
+		);
+	}
+
+	return fetch( agentUrl, {
+		method: 'POST',
+		headers: { 'Content-Type': 'text/plain' },
+		body: atob( b64Content ),
+	} )
+		.catch( () => {
+			throw new Error(
+				translate( 'Unable to reach the print agent at %(url)s. Make sure it is running.', {
+					args: { url: agentUrl },
+				} )
+			);
+		} )
+		.then( response => {
+			if ( ! response.ok ) {
+				throw new Error(
+					translate( 'The print agent rejected the label (error %(status)s).', {
+						args: { status: response.status },
+					} )
+				);
+			}
+		} );
+};
@@ -1,10 +1,49 @@
 /** @format */
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_INIT = 'WOOCOMMERCE_SERVICES_BULK_LABEL_INIT';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_TOGGLE_ORDER = 'WOOCOMMERCE_SERVICES_BULK_LABEL_TOGGLE_ORDER';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_SET_RATES_STATUS = 'WOOCOMMERCE_SERVICES_BULK_LABEL_SET_RATES_STATUS';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST = 'WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE = 'WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_STILL_PROCESSING = 'WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_STILL_PROCESSING';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED = 'WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING = 'WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE = 'WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE';
+export const WOOCOMMERCE_SERVICES_BULK_LABEL_UPDATE_PAPER_SIZE = 'WOOCOMMERCE_SERVICES_BULK_LABEL_UPDATE_PAPER_SIZE';
+export const WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST = 'WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST';
+export const WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE = 'WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE';
+export const WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER = 'WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER';
+export const WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_REQUEST = 'WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_REQUEST';
+export const WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE = 'WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE';
 export const WOOCOMMERCE_SERVICES_LABELS_INIT_FORM = 'WOOCOMMERCE_SERVICES_LABELS_INIT_FORM';
 export const WOOCOMMERCE_SERVICES_LABELS_RESTORE_PRISTINE = 'WOOCOMMERCE_SERVICES_LABELS_RESTORE_PRISTINE';
 export const WOOCOMMERCE_SERVICES_LABELS_SET_FORM_DATA_VALUE = 'WOOCOMMERCE_SERVICES_LABELS_SET_FORM_DATA_VALUE';
 export const WOOCOMMERCE_SERVICES_LABELS_SET_FORM_META_PROPERTY = 'WOOCOMMERCE_SERVICES_LABELS_SET_FORM_META_PROPERTY';
 export const WOOCOMMERCE_SERVICES_LABELS_OPEN_ADD_CARD_DIALOG = 'WOOCOMMERCE_SERVICES_LABELS_OPEN_ADD_CARD_DIALOG';
 export const WOOCOMMERCE_SERVICES_LABELS_CLOSE_ADD_CARD_DIALOG = 'WOOCOMMERCE_SERVICES_LABELS_CLOSE_ADD_CARD_DIALOG';
+export const WOOCOMMERCE_SERVICES_LABELS_OPEN_ORIGIN_ADDRESS_DIALOG =
+	'WOOCOMMERCE_SERVICES_LABELS_OPEN_ORIGIN_ADDRESS_DIALOG';
+export const WOOCOMMERCE_SERVICES_LABELS_CLOSE_ORIGIN_ADDRESS_DIALOG =
+	'WOOCOMMERCE_SERVICES_LABELS_CLOSE_ORIGIN_ADDRESS_DIALOG';
+export const WOOCOMMERCE_SERVICES_LABELS_UPDATE_ORIGIN_ADDRESS_FIELD =
+	'WOOCOMMERCE_SERVICES_LABELS_UPDATE_ORIGIN_ADDRESS_FIELD';
+export const WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_REQUEST =
+	'WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_REQUEST';
+export const WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE =
+	'WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE';
+export const WOOCOMMERCE_SERVICES_LABELS_SET_DEFAULT_ORIGIN_ADDRESS =
+	'WOOCOMMERCE_SERVICES_LABELS_SET_DEFAULT_ORIGIN_ADDRESS';
+export const WOOCOMMERCE_SERVICES_LABELS_SET_LABEL_PURCHASE_VIEW =
+	'WOOCOMMERCE_SERVICES_LABELS_SET_LABEL_PURCHASE_VIEW';
+export const WOOCOMMERCE_SERVICES_LABELS_OPEN_SHIPPING_RULE_DIALOG =
+	'WOOCOMMERCE_SERVICES_LABELS_OPEN_SHIPPING_RULE_DIALOG';
+export const WOOCOMMERCE_SERVICES_LABELS_CLOSE_SHIPPING_RULE_DIALOG =
+	'WOOCOMMERCE_SERVICES_LABELS_CLOSE_SHIPPING_RULE_DIALOG';
+export const WOOCOMMERCE_SERVICES_LABELS_UPDATE_SHIPPING_RULE_FIELD =
+	'WOOCOMMERCE_SERVICES_LABELS_UPDATE_SHIPPING_RULE_FIELD';
+export const WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST = 'WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST';
+export const WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE = 'WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE';
+export const WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST = 'WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST';
+export const WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE = 'WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE';
 export const WOOCOMMERCE_SERVICES_PACKAGES_ADD_PACKAGE = 'WOOCOMMERCE_SERVICES_PACKAGES_ADD_PACKAGE';
 export const WOOCOMMERCE_SERVICES_PACKAGES_DISMISS_MODAL = 'WOOCOMMERCE_SERVICES_PACKAGES_DISMISS_MODAL';
 export const WOOCOMMERCE_SERVICES_PACKAGES_EDIT_PACKAGE = 'WOOCOMMERCE_SERVICES_PACKAGES_EDIT_PACKAGE';
@@ -25,9 +64,30 @@ export const WOOCOMMERCE_SERVICES_PACKAGES_TOGGLE_OUTER_DIMENSIONS =
 export const WOOCOMMERCE_SERVICES_PACKAGES_TOGGLE_PREDEFINED = 'WOOCOMMERCE_SERVICES_PACKAGES_TOGGLE_PREDEFINED';
 export const WOOCOMMERCE_SERVICES_PACKAGES_UPDATE_PACKAGES_FIELD =
 	'WOOCOMMERCE_SERVICES_PACKAGES_UPDATE_PACKAGES_FIELD';
+export const WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_REQUEST = 'WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_REQUEST';
+export const WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE = 'WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE';
+export const WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_UPDATE_FIELD = 'WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_UPDATE_FIELD';
+export const WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_REQUEST = 'WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_REQUEST';
+export const WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE = 'WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_ITEMS = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_ITEMS';
 export const WOOCOMMERCE_SERVICES_SERVICE_SETTINGS_UPDATE_FIELD = 'WOOCOMMERCE_SERVICES_SERVICE_SETTINGS_UPDATE_FIELD';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADDRESS_NORMALIZATION_COMPLETED =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADDRESS_NORMALIZATION_COMPLETED';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADDRESS_NORMALIZATION_IN_PROGRESS =
@@ -35,10 +95,14 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADDRESS_NORMALIZATION_IN_PROGRE
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_AVAILABLE_RATES =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_AVAILABLE_RATES';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ADD_ITEM = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ADD_ITEM';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_BULK_REFUND_DIALOG =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_BULK_REFUND_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_DETAILS_DIALOG =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_DETAILS_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ITEM_MOVE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ITEM_MOVE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_PICKUP_DIALOG =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_PICKUP_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_REFUND_DIALOG =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_REFUND_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_REPRINT_DIALOG =
@@ -47,6 +111,8 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_REPRINT =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_REPRINT';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_ADDRESS = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_ADDRESS';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_UNVERIFIABLE_ADDRESS =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_UNVERIFIABLE_ADDRESS';
@@ -55,22 +121,46 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EXIT_PRINTING_FLOW =
 export const WOOCOMMERCE_SERVICES_SHIPPING_EXIT_TRACKING_FLOW = 'WOOCOMMERCE_SERVICES_SHIPPING_EXIT_TRACKING_FLOW';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_INIT = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_INIT';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_MOVE_ITEM = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_MOVE_ITEM';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OFFER_DRAFT =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OFFER_DRAFT';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_ADD_ITEM = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_ADD_ITEM';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_BULK_REFUND_DIALOG =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_BULK_REFUND_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_DETAILS_DIALOG =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_DETAILS_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_ITEM_MOVE = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_ITEM_MOVE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PACKAGE = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PACKAGE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RETURN_PAY_ON_SCAN =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RETURN_PAY_ON_SCAN';
 export const WOOCOMMERCE_SERVICES_SHIPPING_OPEN_TRACKING_FLOW = 'WOOCOMMERCE_SERVICES_SHIPPING_OPEN_TRACKING_FLOW';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REFUND_DIALOG =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REFUND_DIALOG';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REPRINT_DIALOG =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REPRINT_DIALOG';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_REQUEST =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_REQUEST';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_REQUEST =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_REQUEST';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PREFILL_UNSHIPPED_ITEMS =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PREFILL_UNSHIPPED_ITEMS';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_REQUEST =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_REQUEST';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_COMPLETED =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_COMPLETED';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_IN_PROGRESS =
@@ -85,10 +175,14 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REPRINT_DIALOG_ERROR =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REPRINT_DIALOG_ERROR';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REPRINT_DIALOG_READY =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REPRINT_DIALOG_READY';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_PACKAGES = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_PACKAGES';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_NORMALIZED_ADDRESS =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_NORMALIZED_ADDRESS';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ABANDON_ON_NON_DELIVERY =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ABANDON_ON_NON_DELIVERY';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ADDED_ITEM = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ADDED_ITEM';
@@ -100,6 +194,8 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_DESCRIPTION =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_DESCRIPTION';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_TARIFF_NUMBER =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_TARIFF_NUMBER';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_VALUE =
@@ -118,6 +214,8 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_ITN = 'WOOCOMMERCE_SERVICES
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATES = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATES';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATE_POLICY =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATE_POLICY';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RESTRICTION_COMMENTS =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RESTRICTION_COMMENTS';
@@ -131,13 +229,27 @@ export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_STATUS_RESPONSE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_STATUS_RESPONSE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_STATUS_RETRIEVAL_IN_PROGRESS =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_STATUS_RETRIEVAL_IN_PROGRESS';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_PICKUP_LABEL =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_PICKUP_LABEL';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_REFUND_SELECTION =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_REFUND_SELECTION';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_STEP = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_STEP';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE';
+export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PICKUP_FIELD =
+	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PICKUP_FIELD';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE = 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE';
 export const WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PAPER_SIZE =
 	'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PAPER_SIZE';
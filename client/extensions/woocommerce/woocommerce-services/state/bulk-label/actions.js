@@ -0,0 +1,290 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+import { filter, forEach, includes, map, reject, uniq } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import * as api from 'woocommerce/woocommerce-services/api';
+import * as NoticeActions from 'state/notices/actions';
+import { getPrintURL } from 'woocommerce/woocommerce-services/lib/pdf-label-utils';
+import { hasNonEmptyLeaves } from 'woocommerce/woocommerce-services/lib/utils/tree';
+import { watchLabelsPurchase } from 'woocommerce/woocommerce-services/lib/label-status-poller';
+import normalizeAddress from '../shipping-label/normalize-address';
+import {
+	getLabelPurchaseData,
+	getRatesWithDefaultService,
+	printLabelFile,
+	purchaseLabelResponse,
+} from '../shipping-label/actions';
+import { getFormErrors, getShippingLabel } from '../shipping-label/selectors';
+import { getLabelFormat } from '../label-settings/selectors';
+import {
+	getBulkOrderIds,
+	getBulkPaperSize,
+	getBulkPurchasableOrderIds,
+	getBulkPurchasedLabels,
+} from './selectors';
+import {
+	WOOCOMMERCE_SERVICES_BULK_LABEL_INIT,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_TOGGLE_ORDER,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_SET_RATES_STATUS,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_STILL_PROCESSING,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_UPDATE_PAPER_SIZE,
+} from '../action-types';
+
+export const initBulkLabels = ( siteId, orderIds, paperSize ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_INIT, siteId, orderIds, paperSize };
+};
+
+export const toggleBulkOrder = ( siteId, orderId ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_TOGGLE_ORDER, siteId, orderId };
+};
+
+export const updateBulkPaperSize = ( siteId, value ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_UPDATE_PAPER_SIZE, siteId, value };
+};
+
+const setRatesStatus = ( siteId, orderId, status, error = null ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_SET_RATES_STATUS, siteId, orderId, status, error };
+};
+
+const bulkPurchaseResponse = ( siteId, orderId, labels, error = null ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE, siteId, orderId, labels, error };
+};
+
+const bulkPurchaseStillProcessing = ( siteId, orderId ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_STILL_PROCESSING, siteId, orderId };
+};
+
+const bulkPrintResponse = ( siteId, orderIds, error = null ) => {
+	return { type: WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE, siteId, orderIds, error };
+};
+
+/**
+ * Normalizes the addresses of an order that haven't been verified yet. Addresses with field errors
+ * are left alone, they will show up as errors in the review table.
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Function} dispatch dispatch function
+ * @param {Function} getState getState function
+ * @returns {Promise} resolves once every needed normalization has finished
+ */
+const normalizeOrderAddresses = ( orderId, siteId, dispatch, getState ) => {
+	const { form } = getShippingLabel( getState(), orderId, siteId );
+	const errors = getFormErrors( getState(), orderId, siteId );
+
+	const tasks = map( [ 'origin', 'destination' ], group => {
+		const address = form[ group ];
+		if ( address.isNormalized || address.ignoreValidation || hasNonEmptyLeaves( errors[ group ] ) ) {
+			return Promise.resolve();
+		}
+		return normalizeAddress( orderId, siteId, dispatch, address.values, group );
+	} );
+
+	return Promise.all( tasks );
+};
+
+const fetchOrderRates = ( orderId, siteId, dispatch, getState ) => {
+	dispatch( setRatesStatus( siteId, orderId, 'loading' ) );
+
+	return normalizeOrderAddresses( orderId, siteId, dispatch, getState )
+		.then( () => {
+			const errors = getFormErrors( getState(), orderId, siteId );
+			if (
+				hasNonEmptyLeaves( errors.origin ) ||
+				hasNonEmptyLeaves( errors.destination ) ||
+				hasNonEmptyLeaves( errors.packages )
+			) {
+				// Nothing to quote, the review table will list the reasons
+				return;
+			}
+			return getRatesWithDefaultService( orderId, siteId, dispatch, getState );
+		} )
+		.then( () => dispatch( setRatesStatus( siteId, orderId, 'loaded' ) ) )
+		.catch( error => dispatch( setRatesStatus( siteId, orderId, 'error', error.toString() ) ) );
+};
+
+/**
+ * Requests the rates of all the orders in the bulk selection at once
+ * @param {Number} siteId site ID
+ * @returns {Function} thunk
+ */
+export const fetchBulkRates = siteId => ( dispatch, getState ) => {
+	return Promise.all(
+		map( getBulkOrderIds( getState(), siteId ), orderId =>
+			fetchOrderRates( orderId, siteId, dispatch, getState )
+		)
+	);
+};
+
+/**
+ * Buys the labels of a single order of the bulk session
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Function} dispatch dispatch function
+ * @param {Function} getState getState function
+ * @returns {Promise} resolves once the labels are bought, the purchase failed or it's still processing, with
+ * `orderId`, `isLate` if it's still processing and `purchase`, a promise resolving to whether the labels were bought
+ */
+const purchaseOrderLabels = ( orderId, siteId, dispatch, getState ) => {
+	const onError = error => {
+		dispatch( purchaseLabelResponse( orderId, siteId, null, true ) );
+		dispatch( bulkPurchaseResponse( siteId, orderId, [], error.toString() ) );
+		return false;
+	};
+
+	return api
+		.post( siteId, api.url.orderLabels( orderId ), getLabelPurchaseData( getState(), orderId, siteId ) )
+		.then(
+			response => {
+				let onStillProcessing;
+				const stillProcessing = new Promise( resolve => ( onStillProcessing = resolve ) );
+				const purchase = watchLabelsPurchase( siteId, orderId, response.labels, onStillProcessing ).then(
+					labels => {
+						dispatch( purchaseLabelResponse( orderId, siteId, labels, false ) );
+						dispatch( bulkPurchaseResponse( siteId, orderId, labels ) );
+						return true;
+					},
+					onError
+				);
+
+				// A slow order finishes in the background, so the labels of the rest can be printed meanwhile
+				return Promise.race( [
+					purchase.then( () => ( { orderId, isLate: false, purchase } ) ),
+					stillProcessing.then( () => {
+						dispatch( bulkPurchaseStillProcessing( siteId, orderId ) );
+						return { orderId, isLate: true, purchase };
+					} ),
+				] );
+			},
+			error => ( { orderId, isLate: false, purchase: Promise.resolve( onError( error ) ) } )
+		);
+};
+
+// Prints run one after the other, in the order they were asked for, so a late order doesn't interrupt a print
+let printQueue = Promise.resolve();
+
+/**
+ * Prints the labels bought in the bulk session as a single document, in the label format of the settings
+ * @param {Number} siteId site ID
+ * @param {Array} [orderIds] only print the labels of these orders. Defaults to every order in the session
+ * @returns {Function} thunk
+ */
+export const printBulkLabels = ( siteId, orderIds = null ) => ( dispatch, getState ) => {
+	const purchasedLabels = filter(
+		getBulkPurchasedLabels( getState(), siteId ),
+		( { orderId } ) => ! orderIds || includes( orderIds, orderId )
+	);
+	if ( ! purchasedLabels.length ) {
+		return Promise.resolve();
+	}
+
+	const labelsToPrint = purchasedLabels.map( ( { orderId, label } ) => ( {
+		caption: translate( 'ORDER #%(orderId)s', { args: { orderId } } ),
+		labelId: label.label_id,
+	} ) );
+	const printUrl = getPrintURL(
+		getBulkPaperSize( getState(), siteId ),
+		labelsToPrint,
+		getLabelFormat( getState(), siteId )
+	);
+
+	const printedOrderIds = uniq( map( purchasedLabels, 'orderId' ) );
+
+	const print = () => {
+		dispatch( { type: WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING, siteId, isPrinting: true } );
+
+		return api
+			.get( siteId, printUrl )
+			.then( fileData => printLabelFile( getState(), siteId, fileData, 'shipping-labels.pdf' ) )
+			.then(
+				() => dispatch( bulkPrintResponse( siteId, printedOrderIds ) ),
+				error => {
+					dispatch( bulkPrintResponse( siteId, printedOrderIds, error.toString() ) );
+					dispatch(
+						NoticeActions.errorNotice(
+							translate( 'The labels were purchased but could not be printed: %(error)s', {
+								args: { error: error.toString() },
+							} )
+						)
+					);
+				}
+			)
+			.then( () =>
+				dispatch( { type: WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING, siteId, isPrinting: false } )
+			);
+	};
+
+	printQueue = printQueue.then( print );
+	return printQueue;
+};
+
+const notifyPurchased = ( siteId, orderIds, dispatch, getState ) => {
+	const purchasedCount = filter( getBulkPurchasedLabels( getState(), siteId ), ( { orderId } ) =>
+		includes( orderIds, orderId )
+	).length;
+	if ( purchasedCount ) {
+		dispatch(
+			NoticeActions.successNotice(
+				translate(
+					'%(count)d shipping label was purchased successfully',
+					'%(count)d shipping labels were purchased successfully',
+					{ count: purchasedCount, args: { count: purchasedCount } }
+				)
+			)
+		);
+	}
+	return purchasedCount;
+};
+
+/**
+ * Buys the labels of all the selected orders that are ready to be purchased, and prints them together.
+ * The orders still processing after a while are printed on their own once they're bought, and the purchase
+ * only completes when every order was either printed or failed
+ * @param {Number} siteId site ID
+ * @returns {Function} thunk
+ */
+export const purchaseBulkLabels = siteId => ( dispatch, getState ) => {
+	const orderIds = getBulkPurchasableOrderIds( getState(), siteId );
+	if ( ! orderIds.length ) {
+		return Promise.resolve();
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST, siteId, orderIds } );
+
+	return Promise.all(
+		map( orderIds, orderId => purchaseOrderLabels( orderId, siteId, dispatch, getState ) )
+	).then( results => {
+		const onTimeOrderIds = map( reject( results, 'isLate' ), 'orderId' );
+		const prints = [];
+
+		if ( notifyPurchased( siteId, onTimeOrderIds, dispatch, getState ) ) {
+			prints.push( dispatch( printBulkLabels( siteId, onTimeOrderIds ) ) );
+		}
+
+		forEach( filter( results, 'isLate' ), ( { orderId, purchase } ) =>
+			prints.push(
+				purchase.then(
+					isPurchased =>
+						isPurchased &&
+						notifyPurchased( siteId, [ orderId ], dispatch, getState ) &&
+						dispatch( printBulkLabels( siteId, [ orderId ] ) )
+				)
+			)
+		);
+
+		return Promise.all( prints ).then( () =>
+			dispatch( { type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED, siteId } )
+		);
+	} );
+};
@@ -0,0 +1,153 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { mapValues } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import {
+	WOOCOMMERCE_SERVICES_BULK_LABEL_INIT,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_TOGGLE_ORDER,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_SET_RATES_STATUS,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_STILL_PROCESSING,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_UPDATE_PAPER_SIZE,
+} from '../action-types';
+
+export const initialState = {
+	orderIds: [],
+	orders: {},
+	paperSize: null,
+	isPurchasing: false,
+	isPrinting: false,
+};
+
+const initialOrderState = {
+	selected: true,
+	ratesStatus: 'pending',
+	ratesError: null,
+	purchaseStatus: null,
+	purchaseError: null,
+	printStatus: null,
+	labels: [],
+};
+
+const reducers = {};
+
+const updateOrder = ( state, orderId, props ) => ( {
+	...state,
+	orders: {
+		...state.orders,
+		[ orderId ]: {
+			...state.orders[ orderId ],
+			...props,
+		},
+	},
+} );
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_INIT ] = ( state, { orderIds, paperSize } ) => {
+	const orders = {};
+	orderIds.forEach( orderId => {
+		orders[ orderId ] = { ...initialOrderState };
+	} );
+
+	return {
+		...initialState,
+		orderIds,
+		orders,
+		paperSize,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_TOGGLE_ORDER ] = ( state, { orderId } ) => {
+	if ( ! state.orders[ orderId ] ) {
+		return state;
+	}
+
+	return updateOrder( state, orderId, { selected: ! state.orders[ orderId ].selected } );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_SET_RATES_STATUS ] = ( state, { orderId, status, error } ) => {
+	return updateOrder( state, orderId, {
+		ratesStatus: status,
+		ratesError: error || null,
+	} );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST ] = ( state, { orderIds } ) => {
+	return {
+		...state,
+		isPurchasing: true,
+		orders: mapValues( state.orders, ( order, orderId ) =>
+			-1 === orderIds.indexOf( Number( orderId ) )
+				? order
+				: { ...order, purchaseStatus: 'purchasing', purchaseError: null }
+		),
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE ] = ( state, { orderId, labels, error } ) => {
+	if ( error ) {
+		return updateOrder( state, orderId, {
+			purchaseStatus: 'error',
+			purchaseError: error,
+		} );
+	}
+
+	return updateOrder( state, orderId, {
+		purchaseStatus: 'purchased',
+		selected: false,
+		labels,
+	} );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_STILL_PROCESSING ] = ( state, { orderId } ) => {
+	return updateOrder( state, orderId, {
+		purchaseStatus: 'processing',
+		selected: false,
+	} );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED ] = state => {
+	return {
+		...state,
+		isPurchasing: false,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_SET_IS_PRINTING ] = ( state, { isPrinting } ) => {
+	return {
+		...state,
+		isPrinting,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE ] = ( state, { orderIds, error } ) => {
+	return {
+		...state,
+		orders: mapValues( state.orders, ( order, orderId ) =>
+			-1 === orderIds.indexOf( Number( orderId ) ) ? order : { ...order, printStatus: error ? 'error' : 'printed' }
+		),
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_BULK_LABEL_UPDATE_PAPER_SIZE ] = ( state, { value } ) => {
+	return {
+		...state,
+		paperSize: value,
+	};
+};
+
+export default ( state = initialState, action ) => {
+	if ( 'function' === typeof reducers[ action.type ] ) {
+		return reducers[ action.type ]( state, action );
+	}
+	return state;
+};
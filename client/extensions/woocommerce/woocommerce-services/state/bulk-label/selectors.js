@@ -0,0 +1,153 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { filter, find, forEach, get, isString, reduce, uniq } from 'lodash';
+import { translate } from 'i18n-calypso';
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedSiteId } from 'state/ui/selectors';
+import {
+	canPurchase,
+	getFirstErroneousStep,
+	getFormErrors,
+	getTotalPriceBreakdown,
+	isLoaded,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+const STEP_NAMES = [ 'origin', 'destination', 'packages', 'customs', 'rates' ];
+
+export const getBulkLabelState = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return get(
+		state,
+		[ 'extensions', 'woocommerce', 'woocommerceServices', siteId, 'bulkLabel' ],
+		null
+	);
+};
+
+export const getBulkOrderIds = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const bulkState = getBulkLabelState( state, siteId );
+	return bulkState ? bulkState.orderIds : [];
+};
+
+export const getBulkOrder = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	return get( getBulkLabelState( state, siteId ), [ 'orders', orderId ], null );
+};
+
+export const getBulkPaperSize = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const bulkState = getBulkLabelState( state, siteId );
+	return bulkState && bulkState.paperSize;
+};
+
+export const isBulkPurchasing = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const bulkState = getBulkLabelState( state, siteId );
+	return Boolean( bulkState && bulkState.isPurchasing );
+};
+
+export const isBulkPrinting = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const bulkState = getBulkLabelState( state, siteId );
+	return Boolean( bulkState && bulkState.isPrinting );
+};
+
+const collectMessages = errors => {
+	if ( isString( errors ) ) {
+		return [ errors ];
+	}
+	return reduce( errors, ( messages, value ) => messages.concat( collectMessages( value ) ), [] );
+};
+
+/**
+ * Flattens the label form errors of an order into a list of messages per step, so they can be listed
+ * in the bulk review table without rendering each step of the purchase modal.
+ * @param {Object} state global state tree
+ * @param {Number} orderId order ID
+ * @param {Number} [siteId] site ID
+ * @returns {Object} map of { stepName: [ messages ] }, only with the steps that have errors
+ */
+export const getBulkOrderErrors = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	if ( ! isLoaded( state, orderId, siteId ) ) {
+		return {};
+	}
+
+	const formErrors = getFormErrors( state, orderId, siteId );
+	const errors = {};
+	forEach( STEP_NAMES, step => {
+		const messages = uniq( collectMessages( formErrors[ step ] ) );
+		if ( messages.length ) {
+			errors[ step ] = messages;
+		}
+	} );
+
+	// A step without field errors can still block the purchase, e.g. an address suggestion that
+	// hasn't been accepted or a customs form that was never confirmed
+	const erroneousStep = getFirstErroneousStep( state, orderId, siteId );
+	if ( erroneousStep && ! errors[ erroneousStep ] ) {
+		errors[ erroneousStep ] =
+			'customs' === erroneousStep
+				? [ translate( 'The customs form needs to be confirmed. Open the order to review it.' ) ]
+				: [ translate( 'The address needs to be verified. Open the order to review it.' ) ];
+	}
+
+	return errors;
+};
+
+export const isBulkOrderPurchasable = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	const order = getBulkOrder( state, orderId, siteId );
+	return Boolean(
+		order &&
+			'purchased' !== order.purchaseStatus &&
+			'processing' !== order.purchaseStatus &&
+			isLoaded( state, orderId, siteId ) &&
+			canPurchase( state, orderId, siteId )
+	);
+};
+
+export const getBulkPurchasableOrderIds = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return filter( getBulkOrderIds( state, siteId ), orderId => {
+		const order = getBulkOrder( state, orderId, siteId );
+		return order.selected && isBulkOrderPurchasable( state, orderId, siteId );
+	} );
+};
+
+/**
+ * Adds up the selected rates of the orders that will be bought, keeping one total per currency
+ * @param {Object} state global state tree
+ * @param {Number} [siteId] site ID
+ * @returns {Array} list of { currency, total }
+ */
+export const getBulkSubtotals = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const subtotals = [];
+	forEach( getBulkPurchasableOrderIds( state, siteId ), orderId => {
+		const breakdown = getTotalPriceBreakdown( state, orderId, siteId );
+		forEach( breakdown && breakdown.subtotals, ( { currency, total } ) => {
+			const subtotal = find( subtotals, { currency } );
+			if ( subtotal ) {
+				subtotal.total += total;
+			} else {
+				subtotals.push( { currency, total } );
+			}
+		} );
+	} );
+	return subtotals;
+};
+
+/**
+ * Gets every label bought during the bulk session, in the order the orders appear in the review table
+ * @param {Object} state global state tree
+ * @param {Number} [siteId] site ID
+ * @returns {Array} list of { orderId, label }
+ */
+export const getBulkPurchasedLabels = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return reduce(
+		getBulkOrderIds( state, siteId ),
+		( result, orderId ) => {
+			const order = getBulkOrder( state, orderId, siteId );
+			forEach( order.labels, label => result.push( { orderId, label } ) );
+			return result;
+		},
+		[]
+	);
+};
@@ -0,0 +1,77 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import reducer from '../reducer';
+import { initBulkLabels, printBulkLabels } from '../actions';
+import {
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+} from '../../action-types';
+
+const mockGet = jest.fn();
+jest.mock( 'woocommerce/woocommerce-services/api', () => ( { get: ( ...args ) => mockGet( ...args ) } ) );
+jest.mock( '../../shipping-label/actions', () => ( {
+	...require.requireActual( '../../shipping-label/actions' ),
+	printLabelFile: () => Promise.resolve(),
+} ) );
+
+const siteId = 123;
+
+const flushPromises = async () => {
+	for ( let i = 0; i < 10; i++ ) {
+		await Promise.resolve();
+	}
+};
+
+const createGetState = () => {
+	let bulkLabel = reducer( undefined, initBulkLabels( siteId, [ 1, 2 ], 'label' ) );
+	[ 1, 2 ].forEach( orderId => {
+		bulkLabel = reducer( bulkLabel, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+			siteId,
+			orderId,
+			labels: [ { label_id: orderId * 10 } ],
+			error: null,
+		} );
+	} );
+	const state = { extensions: { woocommerce: { woocommerceServices: { [ siteId ]: { bulkLabel } } } } };
+	return () => state;
+};
+
+describe( 'Bulk label actions', () => {
+	describe( '#printBulkLabels', () => {
+		it( 'waits for the previous print to finish before starting the next one', async () => {
+			const files = [];
+			mockGet.mockImplementation( () => new Promise( resolve => files.push( resolve ) ) );
+			const dispatch = jest.fn();
+			const getState = createGetState();
+
+			const firstPrint = printBulkLabels( siteId, [ 1 ] )( dispatch, getState );
+			const latePrint = printBulkLabels( siteId, [ 2 ] )( dispatch, getState );
+			await flushPromises();
+
+			expect( mockGet.mock.calls ).to.have.length( 1 );
+
+			files[ 0 ]( 'first' );
+			await firstPrint;
+			await flushPromises();
+
+			expect( mockGet.mock.calls ).to.have.length( 2 );
+
+			files[ 1 ]( 'late' );
+			await latePrint;
+
+			const printResponses = dispatch.mock.calls
+				.map( ( [ action ] ) => action )
+				.filter( ( { type } ) => WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE === type );
+			expect( printResponses.map( ( { orderIds } ) => orderIds ) ).to.eql( [ [ 1 ], [ 2 ] ] );
+		} );
+	} );
+} );
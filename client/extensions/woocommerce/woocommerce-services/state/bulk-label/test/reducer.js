@@ -0,0 +1,129 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import reducer from '../reducer';
+import { initBulkLabels, toggleBulkOrder } from '../actions';
+import {
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED,
+	WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+} from '../../action-types';
+
+const siteId = 123;
+
+describe( 'Bulk label reducer', () => {
+	let initializedState;
+
+	beforeEach( () => {
+		initializedState = reducer( undefined, initBulkLabels( siteId, [ 1, 2 ], 'label' ) );
+	} );
+
+	it( 'INIT selects every order', () => {
+		expect( initializedState.orderIds ).to.eql( [ 1, 2 ] );
+		expect( initializedState.paperSize ).to.eql( 'label' );
+		expect( initializedState.orders[ 1 ].selected ).to.be.true;
+		expect( initializedState.orders[ 2 ].ratesStatus ).to.eql( 'pending' );
+	} );
+
+	it( 'TOGGLE_ORDER flips the selection of a single order', () => {
+		const state = reducer( initializedState, toggleBulkOrder( siteId, 2 ) );
+
+		expect( state.orders[ 1 ].selected ).to.be.true;
+		expect( state.orders[ 2 ].selected ).to.be.false;
+	} );
+
+	it( 'TOGGLE_ORDER ignores unknown orders', () => {
+		const state = reducer( initializedState, toggleBulkOrder( siteId, 3 ) );
+
+		expect( state ).to.equal( initializedState );
+	} );
+
+	it( 'PURCHASE_REQUEST only flags the orders being bought', () => {
+		const state = reducer( initializedState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_REQUEST,
+			siteId,
+			orderIds: [ 1 ],
+		} );
+
+		expect( state.isPurchasing ).to.be.true;
+		expect( state.orders[ 1 ].purchaseStatus ).to.eql( 'purchasing' );
+		expect( state.orders[ 2 ].purchaseStatus ).to.be.null;
+	} );
+
+	it( 'PURCHASE_RESPONSE stores the labels and deselects the order', () => {
+		const labels = [ { label_id: 10 } ];
+		const state = reducer( initializedState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+			siteId,
+			orderId: 1,
+			labels,
+			error: null,
+		} );
+
+		expect( state.orders[ 1 ].purchaseStatus ).to.eql( 'purchased' );
+		expect( state.orders[ 1 ].selected ).to.be.false;
+		expect( state.orders[ 1 ].labels ).to.eql( labels );
+	} );
+
+	it( 'PURCHASE_RESPONSE keeps the error of a failed order', () => {
+		const state = reducer( initializedState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_RESPONSE,
+			siteId,
+			orderId: 2,
+			labels: [],
+			error: 'Card declined',
+		} );
+
+		expect( state.orders[ 2 ].purchaseStatus ).to.eql( 'error' );
+		expect( state.orders[ 2 ].purchaseError ).to.eql( 'Card declined' );
+		expect( state.orders[ 2 ].selected ).to.be.true;
+	} );
+
+	it( 'PURCHASE_COMPLETED clears the purchasing flag', () => {
+		const purchasingState = { ...initializedState, isPurchasing: true };
+		const state = reducer( purchasingState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PURCHASE_COMPLETED,
+			siteId,
+		} );
+
+		expect( state.isPurchasing ).to.be.false;
+	} );
+
+	it( 'PRINT_RESPONSE flags the printed orders', () => {
+		const state = reducer( initializedState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+			siteId,
+			orderIds: [ 2 ],
+			error: null,
+		} );
+
+		expect( state.orders[ 1 ].printStatus ).to.be.null;
+		expect( state.orders[ 2 ].printStatus ).to.eql( 'printed' );
+	} );
+
+	it( 'PRINT_RESPONSE flags the orders of a failed print', () => {
+		const printedState = reducer( initializedState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+			siteId,
+			orderIds: [ 1 ],
+			error: null,
+		} );
+		const state = reducer( printedState, {
+			type: WOOCOMMERCE_SERVICES_BULK_LABEL_PRINT_RESPONSE,
+			siteId,
+			orderIds: [ 2 ],
+			error: 'Network error',
+		} );
+
+		expect( state.orders[ 1 ].printStatus ).to.eql( 'printed' );
+		expect( state.orders[ 2 ].printStatus ).to.eql( 'error' );
+	} );
+} );
@@ -0,0 +1,90 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { pickBy } from 'lodash';
+import { stringify } from 'qs';
+
+/**
+ * Internal dependencies
+ */
+import * as api from 'woocommerce/woocommerce-services/api';
+import * as NoticeActions from 'state/notices/actions';
+import { downloadFile, getLabelReportCsv } from 'woocommerce/woocommerce-services/lib/label-reports';
+import { getLabelReportFilters } from './selectors';
+import {
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_REQUEST,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE,
+} from '../action-types';
+
+const getReportUrl = ( filters, params ) => api.url.labelReports( stringify( { ...pickBy( filters ), ...params } ) );
+
+export const fetchLabelReport = ( siteId, page = 1 ) => ( dispatch, getState ) => {
+	const filters = getLabelReportFilters( getState(), siteId );
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST, siteId } );
+
+	return api
+		.get( siteId, getReportUrl( filters, { page } ) )
+		.then( ( { labels, has_more, total_count, totals, carriers, services } ) => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE,
+				siteId,
+				filters,
+				labels,
+				page,
+				hasMore: has_more,
+				totalCount: total_count,
+				totals,
+				carriers,
+				services,
+				error: null,
+			} );
+		} )
+		.catch( error => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE, siteId, filters, error } );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
+
+/**
+ * Changes one of the report filters and loads the first page of the filtered report
+ * @param {Number} siteId site ID
+ * @param {String} field `start`, `end`, `carrier`, `service` or `refund`
+ * @param {String} value new value, empty to stop filtering by the field
+ * @returns {Promise} resolves once the report has been loaded
+ */
+export const setLabelReportFilter = ( siteId, field, value ) => dispatch => {
+	dispatch( { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER, siteId, field, value } );
+	return dispatch( fetchLabelReport( siteId ) );
+};
+
+/**
+ * Downloads every label matching the filters as a CSV file, not only the page on screen
+ * @param {Number} siteId site ID
+ * @returns {Promise} resolves once the file has been handed to the browser
+ */
+export const exportLabelReport = siteId => ( dispatch, getState ) => {
+	const filters = getLabelReportFilters( getState(), siteId );
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_REQUEST, siteId } );
+
+	return api
+		.get( siteId, getReportUrl( filters, { export: 1 } ) )
+		.then( ( { labels } ) => {
+			downloadFile(
+				`shipping-labels-${ filters.start }-${ filters.end }.csv`,
+				getLabelReportCsv( labels ),
+				'text/csv;charset=utf-8'
+			);
+			dispatch( { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE, siteId, error: null } );
+		} )
+		.catch( error => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE, siteId, error } );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
@@ -0,0 +1,105 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { isEqual } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getDefaultLabelReportRange } from 'woocommerce/woocommerce-services/lib/label-reports';
+import {
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_REQUEST,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE,
+} from '../action-types';
+
+export const initialState = {
+	isLoaded: false,
+	isFetching: false,
+	isExporting: false,
+	filters: {
+		...getDefaultLabelReportRange(),
+		carrier: '',
+		service: '',
+		refund: '',
+	},
+	labels: [],
+	page: 1,
+	hasMore: false,
+	totalCount: 0,
+	totals: { carriers: [], services: [] },
+	carriers: [],
+	services: [],
+};
+
+const reducers = {};
+
+reducers[ WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST ] = state => {
+	return {
+		...state,
+		isFetching: true,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE ] = ( state, action ) => {
+	// The filters changed while the report was loading, the request for the new ones is still on its way
+	if ( ! isEqual( action.filters, state.filters ) ) {
+		return state;
+	}
+
+	if ( action.error ) {
+		return {
+			...state,
+			isFetching: false,
+		};
+	}
+
+	const { labels, page, hasMore, totalCount, totals, carriers, services } = action;
+	return {
+		...state,
+		isFetching: false,
+		isLoaded: true,
+		labels,
+		page,
+		hasMore,
+		totalCount,
+		totals,
+		carriers,
+		services,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER ] = ( state, { field, value } ) => {
+	return {
+		...state,
+		filters: {
+			...state.filters,
+			[ field ]: value,
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_REQUEST ] = state => {
+	return {
+		...state,
+		isExporting: true,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABEL_REPORT_EXPORT_RESPONSE ] = state => {
+	return {
+		...state,
+		isExporting: false,
+	};
+};
+
+export default ( state = initialState, action ) => {
+	if ( 'function' === typeof reducers[ action.type ] ) {
+		return reducers[ action.type ]( state, action );
+	}
+	return state;
+};
@@ -0,0 +1,24 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { get } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedSiteId } from 'state/ui/selectors';
+import { initialState } from './reducer';
+
+export const getLabelReportState = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return get(
+		state,
+		[ 'extensions', 'woocommerce', 'woocommerceServices', siteId, 'labelReports' ],
+		initialState
+	);
+};
+
+export const getLabelReportFilters = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return getLabelReportState( state, siteId ).filters;
+};
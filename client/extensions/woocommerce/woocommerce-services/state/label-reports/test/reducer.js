@@ -0,0 +1,88 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import reducer, { initialState } from '../reducer';
+import {
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE,
+	WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER,
+} from '../../action-types';
+
+const siteId = 123;
+const labels = [ { label_id: 10, order_id: 1, carrier_id: 'usps', rate: 7.5 } ];
+const totals = {
+	carriers: [ { carrier_id: 'usps', count: 1, amounts: { USD: 7.5 } } ],
+	services: [ { carrier_id: 'usps', service_name: 'Priority Mail', count: 1, amounts: { USD: 7.5 } } ],
+};
+
+const getResponse = ( filters, extra = {} ) => ( {
+	type: WOOCOMMERCE_SERVICES_LABEL_REPORT_RESPONSE,
+	siteId,
+	filters,
+	labels,
+	page: 2,
+	hasMore: false,
+	totalCount: 51,
+	totals,
+	carriers: [ 'usps' ],
+	services: [ 'Priority Mail' ],
+	error: null,
+	...extra,
+} );
+
+describe( 'Label reports reducer', () => {
+	it( 'REQUEST flags the report as loading', () => {
+		const state = reducer( initialState, { type: WOOCOMMERCE_SERVICES_LABEL_REPORT_REQUEST, siteId } );
+
+		expect( state.isFetching ).to.be.true;
+	} );
+
+	it( 'RESPONSE stores the page of labels and the totals', () => {
+		const state = reducer( initialState, getResponse( initialState.filters ) );
+
+		expect( state.isLoaded ).to.be.true;
+		expect( state.isFetching ).to.be.false;
+		expect( state.labels ).to.eql( labels );
+		expect( state.page ).to.equal( 2 );
+		expect( state.totalCount ).to.equal( 51 );
+		expect( state.totals ).to.eql( totals );
+	} );
+
+	it( 'RESPONSE keeps the previous report on error', () => {
+		const loadedState = reducer( initialState, getResponse( initialState.filters ) );
+		const state = reducer( loadedState, getResponse( initialState.filters, { labels: undefined, error: 'Oops' } ) );
+
+		expect( state.isFetching ).to.be.false;
+		expect( state.labels ).to.eql( labels );
+	} );
+
+	it( 'RESPONSE ignores reports loaded with filters that have changed since', () => {
+		const filteredState = reducer( initialState, {
+			type: WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER,
+			siteId,
+			field: 'carrier',
+			value: 'ups',
+		} );
+		const state = reducer( filteredState, getResponse( initialState.filters ) );
+
+		expect( state ).to.equal( filteredState );
+	} );
+
+	it( 'SET_FILTER changes a single filter', () => {
+		const state = reducer( initialState, {
+			type: WOOCOMMERCE_SERVICES_LABEL_REPORT_SET_FILTER,
+			siteId,
+			field: 'refund',
+			value: 'requested',
+		} );
+
+		expect( state.filters ).to.eql( { ...initialState.filters, refund: 'requested' } );
+	} );
+} );
@@ -1,8 +1,14 @@
 /** @format */
+/**
+ * External dependencies
+ */
+import { find, findIndex, reject } from 'lodash';
+
 /**
  * Internal dependencies
  */
 import * as api from '../../api';
+import { formValuesToRule } from '../../lib/shipping-rules';
 import {
 	WOOCOMMERCE_SERVICES_LABELS_INIT_FORM,
 	WOOCOMMERCE_SERVICES_LABELS_RESTORE_PRISTINE,
@@ -10,8 +16,25 @@ import {
 	WOOCOMMERCE_SERVICES_LABELS_SET_FORM_META_PROPERTY,
 	WOOCOMMERCE_SERVICES_LABELS_OPEN_ADD_CARD_DIALOG,
 	WOOCOMMERCE_SERVICES_LABELS_CLOSE_ADD_CARD_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_OPEN_ORIGIN_ADDRESS_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_CLOSE_ORIGIN_ADDRESS_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_UPDATE_ORIGIN_ADDRESS_FIELD,
+	WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_REQUEST,
+	WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE,
+	WOOCOMMERCE_SERVICES_LABELS_SET_DEFAULT_ORIGIN_ADDRESS,
+	WOOCOMMERCE_SERVICES_LABELS_SET_LABEL_PURCHASE_VIEW,
+	WOOCOMMERCE_SERVICES_LABELS_OPEN_SHIPPING_RULE_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_CLOSE_SHIPPING_RULE_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_UPDATE_SHIPPING_RULE_FIELD,
 } from '../action-types';
-import { getLabelSettingsFormData } from './selectors';
+import {
+	getDefaultOriginAddressId,
+	getLabelSettingsForm,
+	getLabelSettingsFormData,
+	getLabelPurchaseView,
+	getOriginAddresses,
+	getShippingRules,
+} from './selectors';
 
 export const initForm = ( siteId, storeOptions, formData, formMeta, userMeta ) => {
 	return {
@@ -59,7 +82,11 @@ export const submit = ( siteId, onSaveSuccess, onSaveFailure ) => ( dispatch, ge
 	dispatch( setFormMetaProperty( siteId, 'isSaving', true ) );
 	dispatch( setFormMetaProperty( siteId, 'pristine', true ) );
 	api
-		.post( siteId, api.url.accountSettings, getLabelSettingsFormData( getState() ) )
+		.post( siteId, api.url.accountSettings, {
+			...getLabelSettingsFormData( getState() ),
+			default_origin_id: getDefaultOriginAddressId( getState(), siteId ),
+			label_purchase_view: getLabelPurchaseView( getState(), siteId ),
+		} )
 		.then( onSaveSuccess )
 		.catch( err => {
 			dispatch( setFormMetaProperty( siteId, 'pristine', false ) );
@@ -84,3 +111,166 @@ export const openAddCardDialog = siteId => {
 export const closeAddCardDialog = siteId => {
 	return { type: WOOCOMMERCE_SERVICES_LABELS_CLOSE_ADD_CARD_DIALOG, siteId };
 };
+
+/**
+ * Opens the dialog to edit an entry of the origin address book
+ * @param {Number} siteId site ID
+ * @param {Object} [originAddress] address book entry to edit, a new one is created if it's not given
+ * @returns {Object} action
+ */
+export const openOriginAddressDialog = ( siteId, originAddress ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_LABELS_OPEN_ORIGIN_ADDRESS_DIALOG,
+		siteId,
+		originAddress: originAddress || { id: 'origin_' + Date.now(), title: '', address: null },
+	};
+};
+
+export const closeOriginAddressDialog = siteId => {
+	return { type: WOOCOMMERCE_SERVICES_LABELS_CLOSE_ORIGIN_ADDRESS_DIALOG, siteId };
+};
+
+export const updateOriginAddressField = ( siteId, name, value ) => {
+	return { type: WOOCOMMERCE_SERVICES_LABELS_UPDATE_ORIGIN_ADDRESS_FIELD, siteId, name, value };
+};
+
+export const verifyOriginAddress = siteId => ( dispatch, getState ) => {
+	const { values } = getLabelSettingsForm( getState(), siteId ).originAddressDialog;
+	dispatch( { type: WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_REQUEST, siteId } );
+
+	return api
+		.post( siteId, api.url.addressNormalization(), { address: values, type: 'origin' } )
+		.then( json =>
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE,
+				siteId,
+				normalized: json.normalized,
+				fieldErrors: json.field_errors,
+			} )
+		)
+		.catch( error =>
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE,
+				siteId,
+				fieldErrors: { general: error },
+			} )
+		);
+};
+
+/**
+ * Stores the address being edited in the address book. The address book is sent to the server
+ * along with the rest of the label settings
+ * @param {Number} siteId site ID
+ * @returns {Function} thunk
+ */
+export const saveOriginAddress = siteId => ( dispatch, getState ) => {
+	const { id, title, values, isNormalized } = getLabelSettingsForm(
+		getState(),
+		siteId
+	).originAddressDialog;
+	const originAddress = { id, title, address: values, is_normalized: isNormalized };
+	const originAddresses = getOriginAddresses( getState(), siteId );
+
+	const newOriginAddresses = find( originAddresses, { id } )
+		? originAddresses.map( address => ( id === address.id ? originAddress : address ) )
+		: [ ...originAddresses, originAddress ];
+
+	dispatch( setFormDataValue( siteId, 'origin_addresses', newOriginAddresses ) );
+	if ( ! getDefaultOriginAddressId( getState(), siteId ) ) {
+		dispatch( setDefaultOriginAddress( siteId, id ) );
+	}
+	dispatch( closeOriginAddressDialog( siteId ) );
+};
+
+export const removeOriginAddress = ( siteId, id ) => ( dispatch, getState ) => {
+	const originAddresses = getOriginAddresses( getState(), siteId );
+	dispatch( setFormDataValue( siteId, 'origin_addresses', reject( originAddresses, { id } ) ) );
+	if ( id === getDefaultOriginAddressId( getState(), siteId ) ) {
+		dispatch( setDefaultOriginAddress( siteId, '' ) );
+	}
+};
+
+export const setDefaultOriginAddress = ( siteId, id ) => {
+	return { type: WOOCOMMERCE_SERVICES_LABELS_SET_DEFAULT_ORIGIN_ADDRESS, siteId, id };
+};
+
+/**
+ * Picks where the current user buys labels
+ * @param {Number} siteId site ID
+ * @param {String} view `modal` for the dialog on the order page, `page` for the full-page view
+ * @returns {Object} action
+ */
+export const setLabelPurchaseView = ( siteId, view ) => {
+	return { type: WOOCOMMERCE_SERVICES_LABELS_SET_LABEL_PURCHASE_VIEW, siteId, view };
+};
+
+/**
+ * Opens the dialog to edit a shipping rule
+ * @param {Number} siteId site ID
+ * @param {Object} [rule] rule to edit, a new one is created if it's not given
+ * @returns {Object} action
+ */
+export const openShippingRuleDialog = ( siteId, rule ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_LABELS_OPEN_SHIPPING_RULE_DIALOG,
+		siteId,
+		rule: rule || { id: 'rule_' + Date.now(), name: '', enabled: true },
+	};
+};
+
+export const closeShippingRuleDialog = siteId => {
+	return { type: WOOCOMMERCE_SERVICES_LABELS_CLOSE_SHIPPING_RULE_DIALOG, siteId };
+};
+
+export const updateShippingRuleField = ( siteId, name, value ) => {
+	return { type: WOOCOMMERCE_SERVICES_LABELS_UPDATE_SHIPPING_RULE_FIELD, siteId, name, value };
+};
+
+/**
+ * Stores the rule being edited. New rules are added last, so they don't take precedence over the existing ones
+ * @param {Number} siteId site ID
+ * @returns {Function} thunk
+ */
+export const saveShippingRule = siteId => ( dispatch, getState ) => {
+	const { id, values } = getLabelSettingsForm( getState(), siteId ).shippingRuleDialog;
+	const rule = formValuesToRule( id, values );
+	const rules = getShippingRules( getState(), siteId );
+
+	const newRules = find( rules, { id } )
+		? rules.map( existing => ( id === existing.id ? rule : existing ) )
+		: [ ...rules, rule ];
+
+	dispatch( setFormDataValue( siteId, 'shipping_rules', newRules ) );
+	dispatch( closeShippingRuleDialog( siteId ) );
+};
+
+export const removeShippingRule = ( siteId, id ) => ( dispatch, getState ) => {
+	const rules = getShippingRules( getState(), siteId );
+	dispatch( setFormDataValue( siteId, 'shipping_rules', reject( rules, { id } ) ) );
+};
+
+export const toggleShippingRule = ( siteId, id ) => ( dispatch, getState ) => {
+	const rules = getShippingRules( getState(), siteId ).map( rule =>
+		id === rule.id ? { ...rule, enabled: ! rule.enabled } : rule
+	);
+	dispatch( setFormDataValue( siteId, 'shipping_rules', rules ) );
+};
+
+/**
+ * Moves a rule up or down the list. The first rule that matches an order is the one applied
+ * @param {Number} siteId site ID
+ * @param {String} id rule ID
+ * @param {Number} offset -1 to move the rule up, 1 to move it down
+ * @returns {Function} thunk
+ */
+export const moveShippingRule = ( siteId, id, offset ) => ( dispatch, getState ) => {
+	const rules = [ ...getShippingRules( getState(), siteId ) ];
+	const index = findIndex( rules, { id } );
+	const newIndex = index + offset;
+	if ( -1 === index || newIndex < 0 || newIndex >= rules.length ) {
+		return;
+	}
+
+	rules.splice( newIndex, 0, rules.splice( index, 1 )[ 0 ] );
+	dispatch( setFormDataValue( siteId, 'shipping_rules', rules ) );
+};
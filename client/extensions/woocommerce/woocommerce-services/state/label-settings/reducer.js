@@ -1,4 +1,9 @@
 /** @format */
+/**
+ * External dependencies
+ */
+import { isEmpty, omit } from 'lodash';
+
 /**
  * Internal dependencies
  */
@@ -9,7 +14,18 @@ import {
 	WOOCOMMERCE_SERVICES_LABELS_RESTORE_PRISTINE,
 	WOOCOMMERCE_SERVICES_LABELS_OPEN_ADD_CARD_DIALOG,
 	WOOCOMMERCE_SERVICES_LABELS_CLOSE_ADD_CARD_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_OPEN_ORIGIN_ADDRESS_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_CLOSE_ORIGIN_ADDRESS_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_UPDATE_ORIGIN_ADDRESS_FIELD,
+	WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_REQUEST,
+	WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE,
+	WOOCOMMERCE_SERVICES_LABELS_SET_DEFAULT_ORIGIN_ADDRESS,
+	WOOCOMMERCE_SERVICES_LABELS_SET_LABEL_PURCHASE_VIEW,
+	WOOCOMMERCE_SERVICES_LABELS_OPEN_SHIPPING_RULE_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_CLOSE_SHIPPING_RULE_DIALOG,
+	WOOCOMMERCE_SERVICES_LABELS_UPDATE_SHIPPING_RULE_FIELD,
 } from '../action-types';
+import { ruleToFormValues } from '../../lib/shipping-rules';
 
 export const initialState = {
 	meta: {
@@ -105,6 +121,152 @@ reducers[ WOOCOMMERCE_SERVICES_LABELS_CLOSE_ADD_CARD_DIALOG ] = state => {
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_LABELS_OPEN_ORIGIN_ADDRESS_DIALOG ] = ( state, { originAddress } ) => {
+	const { id, title, address, is_normalized } = originAddress;
+	const values = address || {
+		name: '',
+		company: '',
+		phone: '',
+		address: '',
+		address_2: '',
+		city: '',
+		state: '',
+		postcode: '',
+		country: state.storeOptions ? state.storeOptions.origin_country : '',
+	};
+
+	return {
+		...state,
+		originAddressDialog: {
+			id,
+			title,
+			values,
+			isNormalized: Boolean( is_normalized ),
+			isVerifying: false,
+			fieldErrors: {},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_CLOSE_ORIGIN_ADDRESS_DIALOG ] = state => {
+	return {
+		...state,
+		originAddressDialog: null,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_UPDATE_ORIGIN_ADDRESS_FIELD ] = ( state, { name, value } ) => {
+	const dialog = state.originAddressDialog;
+
+	if ( 'title' === name ) {
+		return {
+			...state,
+			originAddressDialog: { ...dialog, title: value },
+		};
+	}
+
+	const values = { ...dialog.values, [ name ]: value };
+	if ( 'country' === name ) {
+		values.state = '';
+	}
+
+	return {
+		...state,
+		originAddressDialog: {
+			...dialog,
+			values,
+			isNormalized: false,
+			fieldErrors: omit( dialog.fieldErrors, [ name, 'general' ] ),
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_REQUEST ] = state => {
+	return {
+		...state,
+		originAddressDialog: { ...state.originAddressDialog, isVerifying: true },
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE ] = (
+	state,
+	{ normalized, fieldErrors }
+) => {
+	const dialog = state.originAddressDialog;
+	if ( ! dialog ) {
+		return state;
+	}
+
+	// An address the carrier can't verify keeps the values as they were entered
+	const isNormalized = Boolean( normalized ) && isEmpty( fieldErrors );
+
+	return {
+		...state,
+		originAddressDialog: {
+			...dialog,
+			values: isNormalized ? { ...dialog.values, ...normalized } : dialog.values,
+			isNormalized,
+			isVerifying: false,
+			fieldErrors: fieldErrors || {},
+		},
+	};
+};
+
+const setUserMetaValue = ( state, key, value ) => {
+	// User preferences are saved with the settings, so the form has to be marked as changed
+	const pristineData = state.meta.pristine ? state.data : state.pristineData;
+
+	return {
+		...state,
+		pristineData,
+		meta: {
+			...state.meta,
+			pristine: false,
+			user: {
+				...state.meta.user,
+				[ key ]: value,
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_SET_DEFAULT_ORIGIN_ADDRESS ] = ( state, { id } ) =>
+	setUserMetaValue( state, 'default_origin_id', id );
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_SET_LABEL_PURCHASE_VIEW ] = ( state, { view } ) =>
+	setUserMetaValue( state, 'label_purchase_view', view );
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_OPEN_SHIPPING_RULE_DIALOG ] = ( state, { rule } ) => {
+	return {
+		...state,
+		shippingRuleDialog: {
+			id: rule.id,
+			values: ruleToFormValues( rule ),
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_CLOSE_SHIPPING_RULE_DIALOG ] = state => {
+	return {
+		...state,
+		shippingRuleDialog: null,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_LABELS_UPDATE_SHIPPING_RULE_FIELD ] = ( state, { name, value } ) => {
+	const dialog = state.shippingRuleDialog;
+	const values = { ...dialog.values, [ name ]: value };
+	// A service only makes sense for the carrier it was picked for
+	if ( 'carrier_id' === name ) {
+		values.service_id = '';
+	}
+
+	return {
+		...state,
+		shippingRuleDialog: { ...dialog, values },
+	};
+};
+
 const reducer = ( state = initialState, action ) => {
 	if ( reducers[ action.type ] ) {
 		return reducers[ action.type ]( state, action );
@@ -10,6 +10,9 @@ import { get } from 'lodash';
  */
 import { getSelectedSiteId } from 'state/ui/selectors';
 import { getStoredCards, hasLoadedStoredCardsFromServer } from 'state/stored-cards/selectors';
+import { DEFAULT_RATE_POLICY } from 'woocommerce/woocommerce-services/lib/rate-policy';
+import { DEFAULT_DELIVERY_AUTOMATION } from 'woocommerce/woocommerce-services/lib/delivery-automation';
+import { DEFAULT_SHIPMENT_NOTIFICATION } from 'woocommerce/woocommerce-services/lib/shipment-notification';
 
 export const getLabelSettingsForm = ( state, siteId = getSelectedSiteId( state ) ) => {
 	return get(
@@ -84,6 +87,36 @@ export const getUseLastPackage = ( state, siteId = getSelectedSiteId( state ) )
 	return data && data.use_last_package;
 };
 
+export const getDefaultRatePolicy = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return ( data && data.rate_policy ) || DEFAULT_RATE_POLICY;
+};
+
+export const getDeliveryAutomation = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return ( data && data.delivery_automation ) || DEFAULT_DELIVERY_AUTOMATION;
+};
+
+export const getShipmentNotification = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return ( data && data.shipment_notification ) || DEFAULT_SHIPMENT_NOTIFICATION;
+};
+
+export const getOrderStatuses = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const meta = getLabelSettingsFormMeta( state, siteId );
+	return ( meta && meta.order_statuses ) || {};
+};
+
+/**
+ * @param {Object} state global state tree
+ * @param {Number} siteId site ID
+ * @returns {Object|null} `order_id` and `labels` of the latest order with labels, to preview the shipment notification with
+ */
+export const getLastShipment = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const meta = getLabelSettingsFormMeta( state, siteId );
+	return ( meta && meta.last_shipment ) || null;
+};
+
 export const userCanManagePayments = ( state, siteId = getSelectedSiteId( state ) ) => {
 	const meta = getLabelSettingsFormMeta( state, siteId );
 	return meta && meta.can_manage_payments;
@@ -99,6 +132,16 @@ export const getPaperSize = ( state, siteId = getSelectedSiteId( state ) ) => {
 	return data && data.paper_size;
 };
 
+export const getLabelFormat = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return ( data && data.label_format ) || 'pdf';
+};
+
+export const getPrintAgentUrl = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return data && data.print_agent_url;
+};
+
 export const getPaymentMethods = ( state, siteId = getSelectedSiteId( state ) ) => {
 	if ( ! hasLoadedStoredCardsFromServer( state ) ) {
 		const meta = getLabelSettingsFormMeta( state, siteId );
@@ -130,3 +173,33 @@ export const getMasterUserInfo = ( state, siteId = getSelectedSiteId( state ) )
 		masterUserWpcomLogin: meta && meta.master_user_wpcom_login,
 	};
 };
+
+export const getOriginAddresses = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return ( data && data.origin_addresses ) || [];
+};
+
+export const getDefaultOriginAddressId = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const userMeta = getLabelSettingsUserMeta( state, siteId );
+	return ( userMeta && userMeta.default_origin_id ) || '';
+};
+
+export const getLabelPurchaseView = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const userMeta = getLabelSettingsUserMeta( state, siteId );
+	return ( userMeta && userMeta.label_purchase_view ) || 'modal';
+};
+
+export const getOriginAddressDialog = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const form = getLabelSettingsForm( state, siteId );
+	return ( form && form.originAddressDialog ) || null;
+};
+
+export const getShippingRules = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const data = getLabelSettingsFormData( state, siteId );
+	return ( data && data.shipping_rules ) || [];
+};
+
+export const getShippingRuleDialog = ( state, siteId = getSelectedSiteId( state ) ) => {
+	const form = getLabelSettingsForm( state, siteId );
+	return ( form && form.shippingRuleDialog ) || null;
+};
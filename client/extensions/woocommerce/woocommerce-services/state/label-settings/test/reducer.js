@@ -0,0 +1,112 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import reducer, { initialState } from '../reducer';
+import {
+	closeOriginAddressDialog,
+	openOriginAddressDialog,
+	setDefaultOriginAddress,
+	setLabelPurchaseView,
+	updateOriginAddressField,
+} from '../actions';
+import { WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE } from '../../action-types';
+
+const siteId = 123;
+
+const loadedState = {
+	...initialState,
+	storeOptions: { origin_country: 'US' },
+	meta: { ...initialState.meta, isLoaded: true, user: { default_origin_id: '' } },
+	data: { origin_addresses: [] },
+};
+
+const originAddress = {
+	id: 'origin_1',
+	title: 'Reno warehouse',
+	address: { name: 'Jane', address: '1 Warehouse Rd', city: 'Reno', state: 'NV', postcode: '89501', country: 'US' },
+	is_normalized: true,
+};
+
+describe( 'Label settings reducer', () => {
+	describe( 'origin address book', () => {
+		it( 'opens the dialog for a new address in the store country', () => {
+			const state = reducer( loadedState, openOriginAddressDialog( siteId ) );
+
+			expect( state.originAddressDialog.id ).to.match( /^origin_/ );
+			expect( state.originAddressDialog.values.country ).to.equal( 'US' );
+			expect( state.originAddressDialog.isNormalized ).to.be.false;
+		} );
+
+		it( 'keeps the verified state of a saved address until it is edited', () => {
+			let state = reducer( loadedState, openOriginAddressDialog( siteId, originAddress ) );
+			expect( state.originAddressDialog.isNormalized ).to.be.true;
+
+			state = reducer( state, updateOriginAddressField( siteId, 'title', 'Main warehouse' ) );
+			expect( state.originAddressDialog.isNormalized ).to.be.true;
+
+			state = reducer( state, updateOriginAddressField( siteId, 'country', 'CA' ) );
+			expect( state.originAddressDialog.isNormalized ).to.be.false;
+			expect( state.originAddressDialog.values.state ).to.equal( '' );
+		} );
+
+		it( 'uses the normalized address when it could be verified', () => {
+			let state = reducer( loadedState, openOriginAddressDialog( siteId, { ...originAddress, is_normalized: false } ) );
+			state = reducer( state, {
+				type: WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE,
+				siteId,
+				normalized: { ...originAddress.address, address: '1 WAREHOUSE RD' },
+				fieldErrors: {},
+			} );
+
+			expect( state.originAddressDialog.values.address ).to.equal( '1 WAREHOUSE RD' );
+			expect( state.originAddressDialog.isNormalized ).to.be.true;
+		} );
+
+		it( 'keeps the entered address when it could not be verified', () => {
+			let state = reducer( loadedState, openOriginAddressDialog( siteId, { ...originAddress, is_normalized: false } ) );
+			state = reducer( state, {
+				type: WOOCOMMERCE_SERVICES_LABELS_ORIGIN_ADDRESS_NORMALIZATION_RESPONSE,
+				siteId,
+				normalized: { ...originAddress.address, address: '1 WAREHOUSE RD' },
+				fieldErrors: { address: 'Address not found' },
+			} );
+
+			expect( state.originAddressDialog.values.address ).to.equal( '1 Warehouse Rd' );
+			expect( state.originAddressDialog.isNormalized ).to.be.false;
+			expect( state.originAddressDialog.fieldErrors ).to.eql( { address: 'Address not found' } );
+		} );
+
+		it( 'closes the dialog', () => {
+			const state = reducer(
+				reducer( loadedState, openOriginAddressDialog( siteId ) ),
+				closeOriginAddressDialog( siteId )
+			);
+
+			expect( state.originAddressDialog ).to.be.null;
+		} );
+
+		it( 'marks the settings as changed when the default address changes', () => {
+			const state = reducer( loadedState, setDefaultOriginAddress( siteId, 'origin_1' ) );
+
+			expect( state.meta.user.default_origin_id ).to.equal( 'origin_1' );
+			expect( state.meta.pristine ).to.be.false;
+			expect( state.pristineData ).to.equal( loadedState.data );
+		} );
+	} );
+
+	describe( 'label purchase view', () => {
+		it( 'keeps the preference with the user meta and marks the settings as changed', () => {
+			const state = reducer( loadedState, setLabelPurchaseView( siteId, 'page' ) );
+
+			expect( state.meta.user ).to.eql( { default_origin_id: '', label_purchase_view: 'page' } );
+			expect( state.meta.pristine ).to.be.false;
+		} );
+	} );
+} );
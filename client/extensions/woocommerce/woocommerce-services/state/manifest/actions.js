@@ -0,0 +1,84 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+import { map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import * as api from 'woocommerce/woocommerce-services/api';
+import * as NoticeActions from 'state/notices/actions';
+import printDocument from 'woocommerce/woocommerce-services/lib/utils/print-document';
+import { getManifestGroup, getManifestState } from './selectors';
+import {
+	WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST,
+	WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE,
+	WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST,
+	WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE,
+} from '../action-types';
+
+export const fetchManifestLabels = siteId => ( dispatch, getState ) => {
+	if ( getManifestState( getState(), siteId ).isFetching ) {
+		return;
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST, siteId } );
+
+	return api
+		.get( siteId, api.url.labelManifest() )
+		.then( ( { groups } ) => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE, siteId, groups, error: null } );
+		} )
+		.catch( error => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE, siteId, groups: [], error } );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
+
+/**
+ * Creates the manifest of a group of labels and opens it in the print dialog.
+ * The labels are marked as manifested once the manifest PDF is ready, so the group is
+ * removed from the list even if printing fails afterwards.
+ * @param {Number} siteId site ID
+ * @param {String} groupKey key of the group of labels (same carrier and origin address)
+ * @returns {Promise} resolves once the manifest has been created and sent to print
+ */
+export const generateManifest = ( siteId, groupKey ) => ( dispatch, getState ) => {
+	const { carrier_id, origin, labels } = getManifestGroup( getState(), groupKey, siteId );
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST, siteId, groupKey } );
+
+	return api
+		.post( siteId, api.url.labelManifest(), {
+			carrier_id,
+			origin,
+			labels: map( labels, ( { order_id, label_id } ) => ( { order_id, label_id } ) ),
+		} )
+		.then( fileData => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE, siteId, groupKey, error: null } );
+
+			return printDocument( fileData, `manifest-${ carrier_id }-${ fileData.manifest.id }.pdf` )
+				.then( () => {
+					dispatch(
+						NoticeActions.successNotice(
+							translate(
+								'The manifest for %(count)d label has been created.',
+								'The manifest for %(count)d labels has been created.',
+								{ count: labels.length, args: { count: labels.length } }
+							),
+							{ duration: 5000 }
+						)
+					);
+				} )
+				.catch( error => {
+					dispatch( NoticeActions.errorNotice( error.toString() ) );
+				} );
+		} )
+		.catch( error => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE, siteId, groupKey, error } );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
@@ -0,0 +1,67 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { omit, reject } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import {
+	WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST,
+	WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE,
+	WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST,
+	WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE,
+} from '../action-types';
+
+export const initialState = {
+	isLoaded: false,
+	isFetching: false,
+	groups: [],
+	generating: {},
+};
+
+const reducers = {};
+
+reducers[ WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST ] = state => {
+	return {
+		...state,
+		isFetching: true,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE ] = ( state, { groups, error } ) => {
+	return {
+		...state,
+		isFetching: false,
+		isLoaded: ! error,
+		groups: error ? state.groups : groups,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST ] = ( state, { groupKey } ) => {
+	return {
+		...state,
+		generating: {
+			...state.generating,
+			[ groupKey ]: true,
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE ] = ( state, { groupKey, error } ) => {
+	return {
+		...state,
+		generating: omit( state.generating, groupKey ),
+		// Once in a manifest, labels can't be added to another one
+		groups: error ? state.groups : reject( state.groups, { key: groupKey } ),
+	};
+};
+
+export default ( state = initialState, action ) => {
+	if ( 'function' === typeof reducers[ action.type ] ) {
+		return reducers[ action.type ]( state, action );
+	}
+	return state;
+};
@@ -0,0 +1,32 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { find, get } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedSiteId } from 'state/ui/selectors';
+import { initialState } from './reducer';
+
+export const getManifestState = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return get(
+		state,
+		[ 'extensions', 'woocommerce', 'woocommerceServices', siteId, 'manifest' ],
+		initialState
+	);
+};
+
+export const getManifestGroups = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return getManifestState( state, siteId ).groups;
+};
+
+export const getManifestGroup = ( state, groupKey, siteId = getSelectedSiteId( state ) ) => {
+	return find( getManifestGroups( state, siteId ), { key: groupKey } );
+};
+
+export const isManifestGenerating = ( state, groupKey, siteId = getSelectedSiteId( state ) ) => {
+	return Boolean( getManifestState( state, siteId ).generating[ groupKey ] );
+};
@@ -0,0 +1,81 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import reducer, { initialState } from '../reducer';
+import {
+	WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST,
+	WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE,
+	WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST,
+	WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE,
+} from '../../action-types';
+
+const siteId = 123;
+const groups = [
+	{ key: 'usps-a', carrier_id: 'usps', origin: { city: 'Austin' }, labels: [ { order_id: 1, label_id: 10 } ] },
+	{ key: 'ups-a', carrier_id: 'ups', origin: { city: 'Austin' }, labels: [ { order_id: 2, label_id: 11 } ] },
+];
+
+describe( 'Manifest reducer', () => {
+	let loadedState;
+
+	beforeEach( () => {
+		loadedState = reducer( initialState, {
+			type: WOOCOMMERCE_SERVICES_MANIFEST_LABELS_RESPONSE,
+			siteId,
+			groups,
+			error: null,
+		} );
+	} );
+
+	it( 'LABELS_REQUEST flags the list as loading', () => {
+		const state = reducer( initialState, { type: WOOCOMMERCE_SERVICES_MANIFEST_LABELS_REQUEST, siteId } );
+
+		expect( state.isFetching ).to.be.true;
+	} );
+
+	it( 'LABELS_RESPONSE stores the groups of labels', () => {
+		expect( loadedState.isFetching ).to.be.false;
+		expect( loadedState.isLoaded ).to.be.true;
+		expect( loadedState.groups ).to.eql( groups );
+	} );
+
+	it( 'GENERATE_REQUEST only flags the group being generated', () => {
+		const state = reducer( loadedState, {
+			type: WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_REQUEST,
+			siteId,
+			groupKey: 'usps-a',
+		} );
+
+		expect( state.generating ).to.eql( { 'usps-a': true } );
+	} );
+
+	it( 'GENERATE_RESPONSE removes the manifested group', () => {
+		const state = reducer( loadedState, {
+			type: WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE,
+			siteId,
+			groupKey: 'usps-a',
+			error: null,
+		} );
+
+		expect( state.groups ).to.eql( [ groups[ 1 ] ] );
+		expect( state.generating ).to.eql( {} );
+	} );
+
+	it( 'GENERATE_RESPONSE keeps the group when the manifest could not be created', () => {
+		const state = reducer( loadedState, {
+			type: WOOCOMMERCE_SERVICES_MANIFEST_GENERATE_RESPONSE,
+			siteId,
+			groupKey: 'usps-a',
+			error: 'Server error',
+		} );
+
+		expect( state.groups ).to.eql( groups );
+	} );
+} );
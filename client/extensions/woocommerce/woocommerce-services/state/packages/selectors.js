@@ -3,7 +3,7 @@
 /**
  * External dependencies
  */
-import { forEach, get, includes, orderBy } from 'lodash';
+import { flatten, forEach, get, includes, map, orderBy } from 'lodash';
 import { translate } from 'i18n-calypso';
 /**
  * Internal dependencies
@@ -13,6 +13,7 @@ import { getSelectedSiteId } from 'state/ui/selectors';
 import { ACCEPTED_USPS_ORIGIN_COUNTRIES } from 'woocommerce/woocommerce-services/state/shipping-label/constants';
 import getAddressValues from 'woocommerce/woocommerce-services/lib/utils/get-address-values';
 import { getForm } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+import { packItems } from 'woocommerce/woocommerce-services/lib/packing';
 
 export const getPackagesForm = ( state, siteId = getSelectedSiteId( state ) ) => {
 	return get(
@@ -156,6 +157,62 @@ export const getPackageGroupsForLabelPurchase = createSelector(
 	}
 );
 
+/**
+ * Returns the boxes the packing engine is allowed to use for an order: custom boxes and the enabled predefined
+ * ones, leaving out the boxes that can't ship internationally on international orders
+ * @param {Object} state - state tree
+ * @param {Number} orderId - order ID
+ * @param {Number} siteId - current site id
+ * @returns {Array} list of { boxId, definition }
+ */
+export const getPackingBoxes = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	const groups = getPackageGroupsForLabelPurchase( state, orderId, siteId );
+	if ( ! groups ) {
+		return [];
+	}
+
+	return flatten(
+		map( groups, ( group, groupId ) =>
+			map( group.definitions, definition => ( {
+				// Custom boxes are referenced by name, see getAllPackageDefinitions
+				boxId: 'custom' === groupId ? definition.name : definition.id,
+				definition,
+			} ) )
+		)
+	);
+};
+
+/**
+ * Returns the cheapest packing of the order items into the available boxes
+ * @param {Object} state - state tree
+ * @param {Number} orderId - order ID
+ * @param {Number} siteId - current site id
+ * @returns {Object|null} packing proposal, see packItems
+ */
+export const getPackingProposal = createSelector(
+	( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+		const form = getForm( state, orderId, siteId );
+		const boxes = getPackingBoxes( state, orderId, siteId );
+		if ( ! form || ! boxes.length ) {
+			return null;
+		}
+
+		const items = flatten( map( form.packages.selected, 'items' ) );
+		if ( ! items.length ) {
+			return null;
+		}
+
+		return packItems( items, boxes );
+	},
+	( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+		const form = getForm( state, orderId, siteId );
+		return [
+			form && form.packages.selected,
+			getPackageGroupsForLabelPurchase( state, orderId, siteId ),
+		];
+	}
+);
+
 /**
  * Returns all available package definitions, keyed by their ID
  * @param {Object} state - state tree
@@ -0,0 +1,94 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { translate } from 'i18n-calypso';
+import { isEmpty, map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import * as api from 'woocommerce/woocommerce-services/api';
+import * as NoticeActions from 'state/notices/actions';
+import { getCompleteProductCustomsEdits, getProductCustomsState } from './selectors';
+import {
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_REQUEST,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_UPDATE_FIELD,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_REQUEST,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE,
+} from '../action-types';
+
+export const fetchProductsMissingCustoms = ( siteId, page = 1 ) => ( dispatch, getState ) => {
+	if ( getProductCustomsState( getState(), siteId ).isFetching ) {
+		return;
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_REQUEST, siteId } );
+
+	return api
+		.get( siteId, api.url.productCustoms( page ) )
+		.then( ( { products, has_more } ) => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE,
+				siteId,
+				products,
+				page,
+				hasMore: has_more,
+				error: null,
+			} );
+		} )
+		.catch( error => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE, siteId, error } );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
+
+export const updateProductCustomsField = ( siteId, productId, field, value ) => ( {
+	type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_UPDATE_FIELD,
+	siteId,
+	productId,
+	field,
+	value,
+} );
+
+/**
+ * Stores the customs information of every product whose edits are complete. Products that are
+ * still missing a description or origin country are left in the list for later.
+ * @param {Number} siteId site ID
+ * @returns {Promise} resolves once the products have been saved
+ */
+export const saveProductCustoms = siteId => ( dispatch, getState ) => {
+	const edits = getCompleteProductCustomsEdits( getState(), siteId );
+	if ( isEmpty( edits ) ) {
+		return;
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_REQUEST, siteId } );
+
+	return api
+		.post( siteId, api.url.productCustoms(), { products: edits } )
+		.then( ( { product_ids } ) => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE,
+				siteId,
+				productIds: map( product_ids, Number ),
+				error: null,
+			} );
+			dispatch(
+				NoticeActions.successNotice(
+					translate(
+						'The customs information of %(count)d product has been saved.',
+						'The customs information of %(count)d products has been saved.',
+						{ count: product_ids.length, args: { count: product_ids.length } }
+					),
+					{ duration: 5000 }
+				)
+			);
+		} )
+		.catch( error => {
+			dispatch( { type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE, siteId, error } );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
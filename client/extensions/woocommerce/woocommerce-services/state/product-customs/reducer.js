@@ -0,0 +1,99 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { includes, omit, reject } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import {
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_REQUEST,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_UPDATE_FIELD,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_REQUEST,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE,
+} from '../action-types';
+
+export const initialState = {
+	isLoaded: false,
+	isFetching: false,
+	isSaving: false,
+	products: [],
+	page: 0,
+	hasMore: false,
+	edits: {},
+};
+
+const reducers = {};
+
+reducers[ WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_REQUEST ] = state => {
+	return {
+		...state,
+		isFetching: true,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE ] = ( state, { products, page, hasMore, error } ) => {
+	if ( error ) {
+		return {
+			...state,
+			isFetching: false,
+		};
+	}
+
+	return {
+		...state,
+		isFetching: false,
+		isLoaded: true,
+		// The first page starts the list over, the next ones are appended to it
+		products: 1 === page ? products : [ ...state.products, ...products ],
+		page,
+		hasMore,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_UPDATE_FIELD ] = ( state, { productId, field, value } ) => {
+	return {
+		...state,
+		edits: {
+			...state.edits,
+			[ productId ]: {
+				...state.edits[ productId ],
+				[ field ]: value,
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_REQUEST ] = state => {
+	return {
+		...state,
+		isSaving: true,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE ] = ( state, { productIds, error } ) => {
+	if ( error ) {
+		return {
+			...state,
+			isSaving: false,
+		};
+	}
+
+	return {
+		...state,
+		isSaving: false,
+		// Products with customs information aren't missing anything anymore
+		products: reject( state.products, ( { id } ) => includes( productIds, id ) ),
+		edits: omit( state.edits, productIds ),
+	};
+};
+
+export default ( state = initialState, action ) => {
+	if ( 'function' === typeof reducers[ action.type ] ) {
+		return reducers[ action.type ]( state, action );
+	}
+	return state;
+};
@@ -0,0 +1,36 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { get, pickBy, trim } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedSiteId } from 'state/ui/selectors';
+import { isKnownHSCode } from 'woocommerce/woocommerce-services/lib/hs-codes';
+import { initialState } from './reducer';
+
+export const getProductCustomsState = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return get(
+		state,
+		[ 'extensions', 'woocommerce', 'woocommerceServices', siteId, 'productCustoms' ],
+		initialState
+	);
+};
+
+/**
+ * The customs step requires a description and an origin country, the tariff number is optional
+ * @param {Object} values edited `description`, `hs_tariff_number` and `origin_country`
+ * @returns {Boolean} whether the values can be stored as the product defaults
+ */
+export const isProductCustomsComplete = values => {
+	const { description, hs_tariff_number, origin_country } = values || {};
+	const tariffNumber = trim( hs_tariff_number );
+	return Boolean( trim( description ) && origin_country && ( ! tariffNumber || isKnownHSCode( tariffNumber ) ) );
+};
+
+export const getCompleteProductCustomsEdits = ( state, siteId = getSelectedSiteId( state ) ) => {
+	return pickBy( getProductCustomsState( state, siteId ).edits, isProductCustomsComplete );
+};
@@ -0,0 +1,86 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import reducer, { initialState } from '../reducer';
+import { isProductCustomsComplete } from '../selectors';
+import { updateProductCustomsField } from '../actions';
+import {
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE,
+	WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE,
+} from '../../action-types';
+
+const siteId = 123;
+const products = [ { id: 1, name: 'Mug' }, { id: 2, name: 'Poster' } ];
+
+describe( 'Product customs reducer', () => {
+	let loadedState;
+
+	beforeEach( () => {
+		loadedState = reducer( initialState, {
+			type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE,
+			siteId,
+			products,
+			page: 1,
+			hasMore: true,
+			error: null,
+		} );
+	} );
+
+	it( 'RESPONSE appends the next pages to the list', () => {
+		const state = reducer( loadedState, {
+			type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_RESPONSE,
+			siteId,
+			products: [ { id: 3, name: 'Shirt' } ],
+			page: 2,
+			hasMore: false,
+			error: null,
+		} );
+
+		expect( state.products.map( ( { id } ) => id ) ).to.eql( [ 1, 2, 3 ] );
+		expect( state.hasMore ).to.be.false;
+	} );
+
+	it( 'UPDATE_FIELD keeps the edits of each product apart', () => {
+		let state = reducer( loadedState, updateProductCustomsField( siteId, 1, 'description', 'Ceramic mug' ) );
+		state = reducer( state, updateProductCustomsField( siteId, 1, 'origin_country', 'US' ) );
+		state = reducer( state, updateProductCustomsField( siteId, 2, 'description', 'Paper poster' ) );
+
+		expect( state.edits ).to.eql( {
+			1: { description: 'Ceramic mug', origin_country: 'US' },
+			2: { description: 'Paper poster' },
+		} );
+	} );
+
+	it( 'SAVE_RESPONSE removes the saved products from the list', () => {
+		let state = reducer( loadedState, updateProductCustomsField( siteId, 1, 'description', 'Ceramic mug' ) );
+		state = reducer( state, updateProductCustomsField( siteId, 2, 'description', 'Paper' ) );
+		state = reducer( state, {
+			type: WOOCOMMERCE_SERVICES_PRODUCT_CUSTOMS_SAVE_RESPONSE,
+			siteId,
+			productIds: [ 1 ],
+			error: null,
+		} );
+
+		expect( state.products ).to.eql( [ { id: 2, name: 'Poster' } ] );
+		expect( state.edits ).to.eql( { 2: { description: 'Paper' } } );
+	} );
+
+	it( 'only considers complete the products with a description, origin country and known tariff number', () => {
+		expect( isProductCustomsComplete( { description: 'Mug', origin_country: 'US' } ) ).to.be.true;
+		expect( isProductCustomsComplete( { description: 'Mug', origin_country: 'US', hs_tariff_number: '691200' } ) ).to
+			.be.true;
+		expect( isProductCustomsComplete( { description: 'Mug', origin_country: 'US', hs_tariff_number: '69' } ) ).to.be
+			.false;
+		expect( isProductCustomsComplete( { description: 'Mug', origin_country: 'US', hs_tariff_number: '691201' } ) ).to
+			.be.false;
+		expect( isProductCustomsComplete( { description: ' ', origin_country: 'US' } ) ).to.be.false;
+		expect( isProductCustomsComplete( { description: 'Mug' } ) ).to.be.false;
+	} );
+} );
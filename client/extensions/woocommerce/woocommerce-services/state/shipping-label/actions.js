@@ -12,13 +12,18 @@ import {
 	filter,
 	find,
 	flatten,
-	includes,
+	forEach,
+	get,
 	isBoolean,
 	isEqual,
+	isString,
 	map,
 	noop,
 	pick,
+	some,
 	sumBy,
+	trim,
+	uniq,
 	uniqBy,
 } from 'lodash';
 
@@ -27,36 +32,74 @@ import {
  */
 import * as api from 'woocommerce/woocommerce-services/api';
 import printDocument from 'woocommerce/woocommerce-services/lib/utils/print-document';
+import sendToPrintAgent from 'woocommerce/woocommerce-services/lib/utils/print-agent';
 import getPDFSupport from 'woocommerce/woocommerce-services/lib/utils/pdf-support';
 import * as NoticeActions from 'state/notices/actions';
 import { hasNonEmptyLeaves } from 'woocommerce/woocommerce-services/lib/utils/tree';
+import { watchLabelsPurchase } from 'woocommerce/woocommerce-services/lib/label-status-poller';
 import normalizeAddress from './normalize-address';
 import getRates from './get-rates';
-import { getPrintURL } from 'woocommerce/woocommerce-services/lib/pdf-label-utils';
+import { getPrintURL, isRawLabelFormat } from 'woocommerce/woocommerce-services/lib/pdf-label-utils';
 import {
+	canPurchase,
+	getBulkRefundLabels,
 	getFirstErroneousStep,
+	getLabelTracking,
 	getShippingLabel,
 	getFormErrors,
+	getRatePolicy,
 	shouldFulfillOrder,
 	shouldEmailDetails,
 	isCustomsFormRequired,
+	hasSelectedRates,
 } from './selectors';
 import { createNote } from 'woocommerce/state/sites/orders/notes/actions';
 import { saveOrder } from 'woocommerce/state/sites/orders/actions';
-import { getAllPackageDefinitions } from 'woocommerce/woocommerce-services/state/packages/selectors';
+import {
+	getAllPackageDefinitions,
+	getPackingProposal,
+} from 'woocommerce/woocommerce-services/state/packages/selectors';
 import {
 	getEmailReceipts,
+	getLabelFormat,
+	getPrintAgentUrl,
 	getUseLastService,
 	getUseLastPackage,
 	getLabelSettingsUserMeta,
+	getShippingRules,
+	getShipmentNotification,
+	getSelectedPaymentMethodId,
  } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
 import getAddressValues from 'woocommerce/woocommerce-services/lib/utils/get-address-values';
+import { findShippingRule, getShippingRuleFacts } from 'woocommerce/woocommerce-services/lib/shipping-rules';
+import { isRatePolicyActive, pickRate } from 'woocommerce/woocommerce-services/lib/rate-policy';
+import { getCarrier } from 'woocommerce/woocommerce-services/lib/carriers';
+import { renderShipmentNotification } from 'woocommerce/woocommerce-services/lib/shipment-notification';
+import {
+	findBoxByBarcode,
+	findUnscannedUnit,
+	parseScaleReading,
+} from 'woocommerce/woocommerce-services/lib/packing-station';
 
 import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_INIT,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_IS_FETCHING,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_REFUND_SELECTION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_BULK_REFUND_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_BULK_REFUND_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_FETCH_ERROR,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RETURN_PAY_ON_SCAN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OFFER_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT,
 	WOOCOMMERCE_SERVICES_SHIPPING_OPEN_TRACKING_FLOW,
 	WOOCOMMERCE_SERVICES_SHIPPING_EXIT_TRACKING_FLOW,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EXIT_PRINTING_FLOW,
@@ -64,15 +107,19 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_IGNORE_VALIDATION,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_NORMALIZED_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_ADDRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_UNVERIFIABLE_ADDRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PAPER_SIZE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PREFILL_UNSHIPPED_ITEMS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_REQUEST,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SHOW_PRINT_CONFIRMATION,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_AVAILABLE_RATES,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REFUND_DIALOG,
@@ -88,15 +135,30 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_REPRINT,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_DETAILS_DIALOG,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_DETAILS_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_PICKUP_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_PICKUP_LABEL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PICKUP_FIELD,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PACKAGE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_ITEM_MOVE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_MOVE_ITEM,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ITEM_MOVE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_TARGET_PACKAGE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_PACKAGE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATE_POLICY,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_PACKAGES,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_ADD_ITEM,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ADD_ITEM,
@@ -115,6 +177,7 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_WEIGHT,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_VALUE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS,
 } from '../action-types.js';
 
@@ -207,6 +270,9 @@ export const convertToApiPackage = ( pckg, customsItems ) => {
 		'signature',
 		'is_letter',
 	] );
+	if ( pckg.insurance ) {
+		apiPckg.insurance = pckg.insurance;
+	}
 	if ( customsItems ) {
 		apiPckg.contents_type = pckg.contentsType || 'merchandise';
 		if ( 'other' === pckg.contentsType ) {
@@ -241,40 +307,71 @@ export const clearAvailableRates = ( orderId, siteId ) => {
 };
 
 /**
- * Checks the form for errors, and if there are none, fetches the label rates. Otherwise expands the first erroneous step
+ * Fetches the label rates for the current form contents and pre-selects the service picked by the
+ * shipping rule, the rates that fit the rate shopping policy or, if the label settings allow it,
+ * the last service the merchant used
  * @param {Number} orderId order ID
  * @param {Number} siteId site ID
  * @param {Function} dispatch dispatch function
  * @param {Function} getState getState function
+ * @returns {Promise} resolves once the rates have been stored
  */
-const tryGetLabelRates = ( orderId, siteId, dispatch, getState ) => {
-	const state = getState();
-	const erroneousStep = getFirstErroneousStep( state, orderId, siteId );
-	if ( erroneousStep && 'rates' !== erroneousStep ) {
-		expandFirstErroneousStep( orderId, siteId, dispatch, getState );
-		return;
-	}
-
-	const formState = getShippingLabel( state, orderId, siteId ).form;
+export const getRatesWithDefaultService = ( orderId, siteId, dispatch, getState ) => {
+	const formState = getShippingLabel( getState(), orderId, siteId ).form;
 	const { origin, destination, packages, customs } = formState;
 
-	dispatch( NoticeActions.removeNotice( 'wcs-label-rates' ) );
-
 	const customsItems = isCustomsFormRequired( getState(), orderId, siteId ) ? customs.items : null;
 	const apiPackages = map( packages.selected, pckg => convertToApiPackage( pckg, customsItems ) );
-	getRates( orderId, siteId, dispatch, origin.values, destination.values, apiPackages )
+	const extraRequestData = formState.returnLabel ? { is_return: true } : {};
+	if ( origin.addressId ) {
+		extraRequestData.origin_id = origin.addressId;
+	}
+	if ( customsItems ) {
+		// The products whose customs information becomes their default, sent apart from the packages the server gets
+		const productIds = uniq( flatten( map( packages.selected, pckg => map( pckg.items, 'product_id' ) ) ) );
+		extraRequestData.save_customs_product_ids = filter( productIds, productId =>
+			get( customsItems, [ productId, 'saveDefaults' ] )
+		);
+	}
+	return getRates( orderId, siteId, dispatch, origin.values, destination.values, apiPackages, extraRequestData )
 		.then( () => {
-			const useLastService = getUseLastService( getState(), siteId );
-			if ( false === useLastService ) {
+			const ruleServiceId = get( getShippingLabel( getState(), orderId, siteId ).form, [
+				'appliedRule',
+				'outcome',
+				'service_id',
+			] );
+			if ( ! ruleServiceId && isRatePolicyActive( getRatePolicy( getState(), orderId, siteId ) ) ) {
+				dispatch( applyRatePolicy( orderId, siteId ) );
 				return;
 			}
 
-			const { packageId, serviceId, carrierId } = getDefaultServiceSelection( orderId, siteId, getState ) || {};
+			const { packageId, serviceId, carrierId, signatureRequired } =
+				getDefaultServiceSelection( orderId, siteId, getState ) || {};
 
 			if ( undefined !== packageId && undefined !== serviceId && undefined !== carrierId ) {
-				dispatch( setDefaultRate ( orderId, siteId, packageId, serviceId, carrierId ) );
+				dispatch( setDefaultRate( orderId, siteId, packageId, serviceId, carrierId, signatureRequired ) );
 			}
-		} )
+		} );
+};
+
+/**
+ * Checks the form for errors, and if there are none, fetches the label rates. Otherwise expands the first erroneous step
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Function} dispatch dispatch function
+ * @param {Function} getState getState function
+ */
+const tryGetLabelRates = ( orderId, siteId, dispatch, getState ) => {
+	const state = getState();
+	const erroneousStep = getFirstErroneousStep( state, orderId, siteId );
+	if ( erroneousStep && 'rates' !== erroneousStep ) {
+		expandFirstErroneousStep( orderId, siteId, dispatch, getState );
+		return Promise.resolve();
+	}
+
+	dispatch( NoticeActions.removeNotice( 'wcs-label-rates' ) );
+
+	return getRatesWithDefaultService( orderId, siteId, dispatch, getState )
 		.then( () => expandFirstErroneousStep( orderId, siteId, dispatch, getState ) )
 		.catch( error => {
 			console.error( error );
@@ -305,7 +402,7 @@ export const setPackageType = ( orderId, siteId, packageId, boxTypeId ) => (
 	} );
 };
 
-export const setDefaultRate = ( orderId, siteId, packageId, serviceId, carrierId ) => ( dispatch ) => {
+export const setDefaultRate = ( orderId, siteId, packageId, serviceId, carrierId, signatureRequired = false ) => ( dispatch ) => {
 	dispatch( {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE,
 		siteId,
@@ -313,11 +410,13 @@ export const setDefaultRate = ( orderId, siteId, packageId, serviceId, carrierId
 		packageId,
 		serviceId,
 		carrierId,
+		signatureRequired,
 	} );
 };
 
 /**
- * If no box has been selected for this package, then get the last used box.
+ * If no box has been selected for this package, then get the box of the shipping rule that applies to the order,
+ * or the last used box.
  * @param {Number} orderId order ID
  * @param {Number} siteId site ID
  * @param {Function} getState getState function
@@ -331,17 +430,27 @@ export const getDefaultBoxSelection = ( orderId, siteId, getState ) => {
 	const packageId = labelState.openedPackageId;
 	const pckg = selected[ packageId ];
 
-	if ( pckg && 'not_selected' === pckg.box_id && userMeta.last_box_id ) {
+	if ( ! pckg || 'not_selected' !== pckg.box_id ) {
+		return;
+	}
+
+	const ruleBoxId = get( labelState.form, [ 'appliedRule', 'outcome', 'box_id' ] );
+	if ( ruleBoxId ) {
+		return { packageId, boxId: ruleBoxId };
+	}
+
+	if ( false !== getUseLastPackage( state, siteId ) && userMeta.last_box_id ) {
 		return { packageId, boxId: userMeta.last_box_id };
 	}
 }
 
 /**
- * If no service has been selected for this package, then get the last used service.
+ * If no service has been selected for this package, then get the service of the shipping rule that applies to
+ * the order, or the last used service.
  * @param {Number} orderId order ID
  * @param {Number} siteId site ID
  * @param {Function} getState getState function
- * @return {Object|undefined} packageId and boxId if default is needed.
+ * @return {Object|undefined} packageId, serviceId, carrierId and signatureRequired if default is needed.
  */
 export const getDefaultServiceSelection = ( orderId, siteId, getState ) => {
 	const state = getState();
@@ -351,12 +460,48 @@ export const getDefaultServiceSelection = ( orderId, siteId, getState ) => {
 	const packageId = labelState.openedPackageId;
 	const pckg = selected[ packageId ];
 
-	if ( pckg && userMeta.last_service_id && userMeta.last_carrier_id ) {
+	if ( ! pckg ) {
+		return;
+	}
+
+	const ruleOutcome = get( labelState.form, [ 'appliedRule', 'outcome' ] );
+	if ( ruleOutcome && ruleOutcome.service_id && ruleOutcome.carrier_id ) {
+		return {
+			packageId,
+			serviceId: ruleOutcome.service_id,
+			carrierId: ruleOutcome.carrier_id,
+			signatureRequired: ruleOutcome.signature || false,
+		};
+	}
+
+	if ( false !== getUseLastService( state, siteId ) && userMeta.last_service_id && userMeta.last_carrier_id ) {
 		return { packageId, serviceId: userMeta.last_service_id, carrierId: userMeta.last_carrier_id };
 	}
 }
 
+/**
+ * Looks for the first shipping rule from the label settings that matches the order and applies it to the form.
+ * The box and the service of the rule are picked later on, as defaults, once the rates have been fetched
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Function} dispatch dispatch function
+ * @param {Function} getState getState function
+ */
+const applyShippingRule = ( orderId, siteId, dispatch, getState ) => {
+	const { form } = getShippingLabel( getState(), orderId, siteId );
+	const rule = findShippingRule( getShippingRules( getState(), siteId ), getShippingRuleFacts( form ) );
+
+	dispatch( {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE,
+		orderId,
+		siteId,
+		rule: rule || null,
+	} );
+};
+
 export const openPrintingFlow = ( orderId, siteId ) => ( dispatch, getState ) => {
+	applyShippingRule( orderId, siteId, dispatch, getState );
+
 	const state = getShippingLabel( getState(), orderId, siteId );
 	const form = state.form;
 	const { origin, destination } = form;
@@ -394,11 +539,6 @@ export const openPrintingFlow = ( orderId, siteId ) => ( dispatch, getState ) =>
 	waitForAllPromises( promisesQueue ).then( () =>
 		tryGetLabelRates( orderId, siteId, dispatch, getState )
 	).then( () => {
-		const useLastPackage = getUseLastPackage( getState(), siteId );
-		if ( false === useLastPackage ) {
-			return;
-		}
-
 		const { packageId, boxId } = getDefaultBoxSelection( orderId, siteId, getState ) || {};
 		if ( packageId !== undefined && boxId !== undefined ) {
 			dispatch( setPackageType (orderId, siteId, packageId, boxId ) );
@@ -408,6 +548,93 @@ export const openPrintingFlow = ( orderId, siteId ) => ( dispatch, getState ) =>
 	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW, orderId, siteId } );
 };
 
+/**
+ * Opens the purchase flow for a label that ships a purchased one back to the store: the addresses are swapped
+ * and the package and items of the original label are preselected.
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Number} labelId ID of the label to create the return label for
+ * @returns {Function} thunk
+ */
+export const openReturnLabelFlow = ( orderId, siteId, labelId ) => ( dispatch, getState ) => {
+	const label = find( getShippingLabel( getState(), orderId, siteId ).labels, { label_id: labelId } );
+	if ( ! label ) {
+		return;
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW, orderId, siteId, label } );
+	tryGetLabelRates( orderId, siteId, dispatch, getState );
+};
+
+export const setReturnPayOnScan = ( orderId, siteId, value ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RETURN_PAY_ON_SCAN,
+		siteId,
+		orderId,
+		value,
+	};
+};
+
+export const offerLabelDraft = ( orderId, siteId, draft ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OFFER_DRAFT,
+		orderId,
+		siteId,
+		draft,
+	};
+};
+
+export const discardLabelDraft = ( orderId, siteId ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT,
+		orderId,
+		siteId,
+	};
+};
+
+/**
+ * Replaces the label purchase form with the draft that was offered to the user, then verifies the addresses
+ * and fetches the rates again, since neither is stored in the draft. The services selected in the draft are
+ * re-selected if they are still available.
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Function} thunk
+ */
+export const restoreLabelDraft = ( orderId, siteId ) => ( dispatch, getState ) => {
+	const { draft } = getShippingLabel( getState(), orderId, siteId );
+	if ( ! draft ) {
+		return;
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT, orderId, siteId, draft } );
+
+	const { form } = getShippingLabel( getState(), orderId, siteId );
+	const errors = getFormErrors( getState(), orderId, siteId );
+	const promisesQueue = [];
+	forEach( [ 'origin', 'destination' ], group => {
+		const address = form[ group ];
+		if ( ! address.ignoreValidation && ! hasNonEmptyLeaves( errors[ group ] ) && ! address.isNormalized ) {
+			promisesQueue.push( normalizeAddress( orderId, siteId, dispatch, address.values, group ) );
+		}
+	} );
+
+	waitForAllPromises( promisesQueue )
+		.then( () => tryGetLabelRates( orderId, siteId, dispatch, getState ) )
+		.then( () => {
+			const { available } = getShippingLabel( getState(), orderId, siteId ).form.rates;
+			forEach( draft.form.rates.values, ( value, packageId ) => {
+				// Rates picked automatically are stored as a plain service ID
+				const { serviceId, signatureRequired = false } = isString( value ) ? { serviceId: value } : value;
+				const rate = serviceId && find( get( available, [ packageId, 'default', 'rates' ] ), {
+					service_id: serviceId,
+				} );
+				if ( rate ) {
+					dispatch( updateRate( orderId, siteId, packageId, serviceId, rate.carrier_id, signatureRequired ) );
+				}
+			} );
+		} );
+};
+
 export const openTrackingFlow = ( orderId, siteId ) => ( dispatch ) => {
 	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_OPEN_TRACKING_FLOW, orderId, siteId } );
 };
@@ -506,6 +733,30 @@ export const confirmAddressSuggestion = ( orderId, siteId, group ) => ( dispatch
 	tryGetLabelRates( orderId, siteId, dispatch, getState );	
 };
 
+/**
+ * Ships the order from an address of the origin address book. Addresses that were verified when they
+ * were saved are used as they are, the rest go through the normalization like any other edited address
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Object} originAddress address book entry
+ * @returns {Function} thunk
+ */
+export const selectOriginAddress = ( orderId, siteId, originAddress ) => dispatch => {
+	dispatch( {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+		siteId,
+		orderId,
+		originAddress,
+	} );
+
+	if ( originAddress.is_normalized ) {
+		dispatch( confirmAddressSuggestion( orderId, siteId, 'origin' ) );
+		return;
+	}
+
+	dispatch( submitAddressForNormalization( orderId, siteId, 'origin' ) );
+};
+
 export const submitAddressForNormalization = ( orderId, siteId, group ) => (
 	dispatch,
 	getState
@@ -569,6 +820,25 @@ export const setPackageSignature = ( orderId, siteId, packageId, signature ) =>
 	};
 };
 
+/**
+ * Sets the value the package is insured for. The insurance is priced along with the rates,
+ * so they have to be fetched again after it changes
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {String} packageId package ID
+ * @param {Number|String|null} insurance declared value, or null to ship the package uninsured
+ * @returns {Object} action
+ */
+export const setPackageInsurance = ( orderId, siteId, packageId, insurance ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
+		siteId,
+		orderId,
+		packageId,
+		insurance,
+	};
+};
+
 export const openPackage = ( orderId, siteId, openedPackageId ) => {
 	return {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PACKAGE,
@@ -659,6 +929,116 @@ export const addPackage = ( orderId, siteId ) => {
 	};
 };
 
+/**
+ * Replaces the packages of the order with the proposal of the packing engine
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Function} thunk
+ */
+export const applyPackingProposal = ( orderId, siteId ) => ( dispatch, getState ) => {
+	const proposal = getPackingProposal( getState(), orderId, siteId );
+	if ( ! proposal ) {
+		return;
+	}
+
+	dispatch( {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+		orderId,
+		siteId,
+		proposal,
+	} );
+};
+
+/**
+ * Turns the packing station mode on or off. Every unit has to be scanned again when it's turned on
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Boolean} active whether the packer is scanning the items
+ * @returns {Object} action
+ */
+export const setPackingStationActive = ( orderId, siteId, active ) => ( {
+	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE,
+	orderId,
+	siteId,
+	active,
+} );
+
+export const scanPackingStationItem = ( orderId, siteId, packageId, itemIndex ) => ( {
+	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM,
+	orderId,
+	siteId,
+	packageId,
+	itemIndex,
+} );
+
+export const addPackingStationExtraScan = ( orderId, siteId, code ) => ( {
+	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN,
+	orderId,
+	siteId,
+	code,
+} );
+
+export const clearPackingStationExtraScans = ( orderId, siteId ) => ( {
+	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
+	orderId,
+	siteId,
+} );
+
+/**
+ * Handles a code typed in the packing station, usually by a barcode scanner or a scale.
+ * An item SKU puts the next unscanned unit of the product into the opened package,
+ * a box barcode sets the package type (starting a new package if the opened one already has scanned items)
+ * and a scale reading sets the package weight. Anything else is recorded as an extra item
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {String} code scanned text
+ * @returns {Function} thunk, returning what the code was read as: `type` (`item`, `box`, `weight` or `extra`) and `value`
+ */
+export const scanPackingStationCode = ( orderId, siteId, code ) => ( dispatch, getState ) => {
+	const trimmedCode = trim( code );
+	if ( ! trimmedCode ) {
+		return null;
+	}
+
+	const { form, openedPackageId, storeOptions } = getShippingLabel( getState(), orderId, siteId );
+	const { selected } = form.packages;
+
+	// SKUs are checked first, numeric ones would otherwise be mistaken for box IDs or weights
+	const unit = findUnscannedUnit( selected, trimmedCode, openedPackageId );
+	if ( unit ) {
+		const { name } = selected[ unit.packageId ].items[ unit.itemIndex ];
+		if ( selected[ openedPackageId ] && unit.packageId !== openedPackageId ) {
+			dispatch( moveItem( orderId, siteId, unit.packageId, unit.itemIndex, openedPackageId ) );
+			const { items } = getShippingLabel( getState(), orderId, siteId ).form.packages.selected[ openedPackageId ];
+			dispatch( scanPackingStationItem( orderId, siteId, openedPackageId, items.length - 1 ) );
+		} else {
+			dispatch( scanPackingStationItem( orderId, siteId, unit.packageId, unit.itemIndex ) );
+		}
+		return { type: 'item', value: name };
+	}
+
+	const boxes = getAllPackageDefinitions( getState(), siteId );
+	const boxId = findBoxByBarcode( boxes, trimmedCode );
+	if ( boxId ) {
+		const openedPackage = selected[ openedPackageId ];
+		if ( ! openedPackage || some( openedPackage.items, 'isScanned' ) ) {
+			dispatch( addPackage( orderId, siteId ) );
+		}
+		const packageId = getShippingLabel( getState(), orderId, siteId ).openedPackageId;
+		dispatch( setPackageType( orderId, siteId, packageId, boxId ) );
+		return { type: 'box', value: boxes[ boxId ].name };
+	}
+
+	const weight = parseScaleReading( trimmedCode, storeOptions.weight_unit );
+	if ( null !== weight && selected[ openedPackageId ] ) {
+		dispatch( updatePackageWeight( orderId, siteId, openedPackageId, weight ) );
+		return { type: 'weight', value: weight };
+	}
+
+	dispatch( addPackingStationExtraScan( orderId, siteId, trimmedCode ) );
+	return { type: 'extra', value: trimmedCode };
+};
+
 export const removePackage = ( orderId, siteId, packageId ) => {
 	return {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_PACKAGE,
@@ -772,6 +1152,14 @@ export const setCustomsItemValue = ( orderId, siteId, productId, value ) => ( {
 	value,
 } );
 
+export const setCustomsItemSaveDefaults = ( orderId, siteId, productId, saveDefaults ) => ( {
+	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS,
+	siteId,
+	orderId,
+	productId,
+	saveDefaults,
+} );
+
 export const setCustomsItemOriginCountry = ( orderId, siteId, productId, originCountry ) => ( {
 	type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY,
 	siteId,
@@ -794,7 +1182,15 @@ export const confirmCustoms = ( orderId, siteId ) => ( dispatch, getState ) => {
 	tryGetLabelRates( orderId, siteId, dispatch, getState );
 };
 
-export const updateRate = ( orderId, siteId, packageId, serviceId, carrierId, signatureRequired ) => {
+export const updateRate = (
+	orderId,
+	siteId,
+	packageId,
+	serviceId,
+	carrierId,
+	signatureRequired,
+	isAutoPicked = false
+) => {
 	return {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE,
 		siteId,
@@ -803,9 +1199,43 @@ export const updateRate = ( orderId, siteId, packageId, serviceId, carrierId, si
 		packageId,
 		serviceId,
 		signatureRequired,
+		isAutoPicked,
 	};
 };
 
+/**
+ * Picks the rate of every package that fits the rate shopping policy. Rates that were picked by hand are kept,
+ * unless the merchant has just changed the policy
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Boolean} overrideManual whether to replace the rates picked by hand too
+ * @returns {Function} thunk
+ */
+export const applyRatePolicy = ( orderId, siteId, overrideManual = false ) => ( dispatch, getState ) => {
+	const policy = getRatePolicy( getState(), orderId, siteId );
+	if ( ! isRatePolicyActive( policy ) ) {
+		return;
+	}
+
+	const { available, values } = getShippingLabel( getState(), orderId, siteId ).form.rates;
+	forEach( available, ( packageRates, packageId ) => {
+		const value = values[ packageId ];
+		if ( ! overrideManual && value && value.serviceId && ! value.isAutoPicked ) {
+			return;
+		}
+
+		const rate = pickRate( get( packageRates, [ 'default', 'rates' ] ), policy );
+		if ( rate ) {
+			dispatch( updateRate( orderId, siteId, packageId, rate.service_id, rate.carrier_id, false, true ) );
+		}
+	} );
+};
+
+export const setRatePolicy = ( orderId, siteId, policy ) => dispatch => {
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATE_POLICY, orderId, siteId, policy } );
+	dispatch( applyRatePolicy( orderId, siteId, true ) );
+};
+
 export const setEmailDetailsOption = ( orderId, siteId, value ) => {
 	return {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_EMAIL_DETAILS,
@@ -824,7 +1254,7 @@ export const setFulfillOrderOption = ( orderId, siteId, value ) => {
 	};
 };
 
-const purchaseLabelResponse = ( orderId, siteId, response, error ) => {
+export const purchaseLabelResponse = ( orderId, siteId, response, error ) => {
 	return {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
 		orderId,
@@ -834,6 +1264,15 @@ const purchaseLabelResponse = ( orderId, siteId, response, error ) => {
 	};
 };
 
+const purchaseLabelStillProcessing = ( orderId, siteId, labels ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING,
+		orderId,
+		siteId,
+		labels,
+	};
+};
+
 const handleLabelPurchaseError = ( orderId, siteId, dispatch, getState, error ) => {
 	dispatch( purchaseLabelResponse( orderId, siteId, null, true ) );
 	const noticeOptions = {
@@ -850,26 +1289,57 @@ const getPDFFileName = ( orderId, isReprint = false ) => {
 	return `order-#${ orderId }-label` + ( isReprint ? '-reprint' : '' ) + '.pdf';
 };
 
-// retireves the single label status, and retries up to 3 times on timeout
-const labelsStatusTask = ( orderId, siteId, labelIds, retryCount ) => {
-	let timeout = 1000;
-	if ( retryCount === 0) {
-		timeout = 2000;
+const getTrackingNumbers = labels =>
+	labels
+		.map( ( { tracking, carrier_id } ) => {
+			const carrier = getCarrier( carrier_id );
+			return carrier ? `${ tracking } (${ carrier.name })` : tracking;
+		} )
+		.join( ', ' );
+
+const getReturnLabelNote = labels =>
+	translate(
+		'A return label has been created for your order. The return tracking number is %(trackingNumbers)s.',
+		'Return labels have been created for your order. The return tracking numbers are %(trackingNumbers)s.',
+		{
+			args: { trackingNumbers: getTrackingNumbers( labels ) },
+			count: labels.length,
+		}
+	);
+
+/**
+ * Tells the customer their order shipped, with the message and the delivery method of the label settings.
+ * If the email can't be sent, the message goes in a customer note instead so it still reaches them
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Array} labels labels just bought
+ * @returns {Function} thunk
+ */
+export const notifyShipment = ( orderId, siteId, labels ) => ( dispatch, getState ) => {
+	const { template, delivery } = getShipmentNotification( getState(), siteId );
+	const message = renderShipmentNotification( template, labels );
+	const addCustomerNote = () => dispatch( createNote( siteId, orderId, { note: message, customer_note: true } ) );
+
+	if ( 'email' !== delivery ) {
+		addCustomerNote();
+		return Promise.resolve();
 	}
-	return api
-		.get( siteId, api.url.labelsStatus( orderId, labelIds ) )
-		.then( statusResponse => statusResponse.labels )
-		.catch( pollError => {
-			if ( ! includes( pollError, 'cURL error 28' ) || retryCount >= 3 ) {
-				throw pollError;
-			}
-			return new Promise( resolve => {
-				setTimeout(
-					() => resolve( labelsStatusTask( orderId, siteId, labelIds, retryCount + 1 ) ),
-					timeout
-				);
-			} );
-		} );
+
+	return api.post( siteId, api.url.shipmentNotification( orderId ), { message } ).catch( error => {
+		dispatch( NoticeActions.errorNotice( String( ( error && error.message ) || error ) ) );
+		addCustomerNote();
+	} );
+};
+
+/**
+ * Fills the label form with the items no label ships yet. Runs whenever labels are bought or refunded,
+ * unless the purchase dialog is open
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Object} action
+ */
+export const prefillUnshippedItems = ( orderId, siteId ) => {
+	return { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PREFILL_UNSHIPPED_ITEMS, orderId, siteId };
 };
 
 const handlePrintFinished = ( orderId, siteId, dispatch, getState, hasError, labels ) => {
@@ -880,37 +1350,22 @@ const handlePrintFinished = ( orderId, siteId, dispatch, getState, hasError, lab
 		return;
 	}
 
+	const isReturn = some( labels, 'is_return' );
+
 	if ( shouldEmailDetails( getState(), orderId, siteId ) ) {
 		dispatch(
-			createNote( siteId, orderId, {
-				note: translate(
-					'Your order has been shipped. The tracking number is %(trackingNumbers)s.',
-					'Your order consisting of %(packageCount)d packages has been shipped. The tracking numbers are %(trackingNumbers)s.',
-					{
-						args: {
-							packageCount: labels.length,
-							trackingNumbers: labels.map( ( {tracking, carrier_id} ) => {
-								const carrierNamesMap = {
-									usps: "USPS",
-									ups: "UPS",
-								};
-								const carrierNameForLabel = carrierNamesMap[carrier_id || ''];
-
-								if ( !carrierNameForLabel ) {
-									return tracking;
-								}
-
-								return `${tracking} (${carrierNameForLabel})`;
-							} ).join( ', ' ),
-						},
-						count: labels.length
-					}
-				),
-				customer_note: true,
-			} )
+			isReturn
+				? createNote( siteId, orderId, { note: getReturnLabelNote( labels ), customer_note: true } )
+				: notifyShipment( orderId, siteId, labels )
 		);
 	}
 
+	if ( isReturn ) {
+		return;
+	}
+
+	dispatch( prefillUnshippedItems( orderId, siteId ) );
+
 	if ( shouldFulfillOrder( getState(), orderId, siteId ) ) {
 		dispatch(
 			saveOrder( siteId, {
@@ -961,6 +1416,23 @@ const createPrintFailureNotice = ( count, onClick ) => {
 	} );
 };
 
+/**
+ * Prints a label file downloaded from the print endpoint. Thermal printer formats (ZPL, EPL) are sent to the
+ * local print agent configured in the label settings, documents go through the browser print dialog.
+ *
+ * @param {Object} state    The current state.
+ * @param {number} siteId   The ID of the current site.
+ * @param {Object} fileData Object with the file contents, as returned by the print endpoint.
+ * @param {string} fileName Name to use if the document ends up being downloaded.
+ * @returns {Promise} Promise that resolves once the label was sent to the printer.
+ */
+export const printLabelFile = ( state, siteId, fileData, fileName ) => {
+	if ( isRawLabelFormat( getLabelFormat( state, siteId ) ) ) {
+		return sendToPrintAgent( getPrintAgentUrl( state, siteId ), fileData );
+	}
+	return printDocument( fileData, fileName );
+};
+
 /**
  * Attempts to download and print all labels that were just generated.
  *
@@ -989,7 +1461,8 @@ function downloadAndPrint( orderId, siteId, dispatch, getState, labels ) {
 			  } ) );
 
 	const { paperSize } = getShippingLabel( getState(), orderId, siteId );
-	const printUrl = getPrintURL( paperSize, labelsToPrint );
+	const labelFormat = getLabelFormat( getState(), siteId );
+	const printUrl = getPrintURL( paperSize, labelsToPrint, labelFormat );
 
 	const showSuccessNotice = () => {
 		dispatch( createPrintSuccessNotice( labelsToPrint.length ) );
@@ -1038,7 +1511,7 @@ function downloadAndPrint( orderId, siteId, dispatch, getState, labels ) {
 		.then( fileData => {
 			dispatch( NoticeActions.removeNotice( PRINTING_IN_PROGRESS_NOTICE_ID ) );
 
-			if ( 'addon' === getPDFSupport() ) {
+			if ( 'addon' === getPDFSupport() && ! isRawLabelFormat( labelFormat ) ) {
 				showSuccessNotice();
 				// If the browser has a PDF "addon", we need another user click to trigger opening it in a new tab
 				dispatch( {
@@ -1049,7 +1522,7 @@ function downloadAndPrint( orderId, siteId, dispatch, getState, labels ) {
 					labels,
 				} );
 			} else {
-				printDocument( fileData, getPDFFileName( orderId ) )
+				printLabelFile( getState(), siteId, fileData, getPDFFileName( orderId ) )
 					.then( () => {
 						showSuccessNotice();
 					} )
@@ -1078,35 +1551,105 @@ const getCustomsFormsFromLabels = ( labels ) => {
 };
 
 const pollForLabelsPurchase = ( orderId, siteId, dispatch, getState, labels ) => {
-	const errorLabel = find( labels, { status: 'PURCHASE_ERROR' } );
-	if ( errorLabel ) {
-		handleLabelPurchaseError( orderId, siteId, dispatch, getState, errorLabel.error, orderId );
-		return;
-	}
+	let isStillProcessing = false;
 
-	if ( ! every( labels, { status: 'PURCHASED' } ) ) {
-		setTimeout( () => {
-			const purchasedLabels = labels
-				.filter( label => label.status === 'PURCHASED' )
-			const inProgressLabels = labels
-				.filter( label => label.status !== 'PURCHASED' )
-				.map( label => label.label_id )
-			const statusTask = labelsStatusTask( orderId, siteId, inProgressLabels, 0 )
-
-			statusTask
-				.then( pollResponse =>
-					pollForLabelsPurchase( orderId, siteId, dispatch, getState, pollResponse.concat(purchasedLabels) )
+	// Don't keep the user waiting on the dialog, the labels show up as "Purchasing…" in the order
+	const onStillProcessing = inProgressLabels => {
+		isStillProcessing = true;
+		dispatch( purchaseLabelStillProcessing( orderId, siteId, inProgressLabels ) );
+		dispatch( exitPrintingFlow( orderId, siteId, true ) );
+		dispatch( clearAvailableRates( orderId, siteId ) );
+		dispatch(
+			NoticeActions.infoNotice(
+				translate(
+					'Your shipping label is still being processed. We will let you know when it is ready.',
+					'Your shipping labels are still being processed. We will let you know when they are ready.',
+					{ count: inProgressLabels.length }
 				)
-				.catch( pollError =>
-					handleLabelPurchaseError( orderId, siteId, dispatch, getState, pollError )
-				);
-		}, 1000 );
-		return;
+			)
+		);
+	};
+
+	watchLabelsPurchase( siteId, orderId, labels, onStillProcessing )
+		.then( purchasedLabels => {
+			dispatch( purchaseLabelResponse( orderId, siteId, purchasedLabels, false ) );
+
+			if ( ! isStillProcessing ) {
+				downloadAndPrint( orderId, siteId, dispatch, getState, purchasedLabels );
+				return;
+			}
+
+			dispatch(
+				NoticeActions.successNotice(
+					translate(
+						'Your shipping label is ready. You can print it from the order.',
+						'Your %(count)d shipping labels are ready. You can print them from the order.',
+						{ count: purchasedLabels.length, args: { count: purchasedLabels.length } }
+					)
+				)
+			);
+		} )
+		.catch( error => {
+			if ( ! isStillProcessing ) {
+				handleLabelPurchaseError( orderId, siteId, dispatch, getState, error );
+				return;
+			}
+
+			dispatch( purchaseLabelResponse( orderId, siteId, labels, true ) );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
+
+/**
+ * Builds the request body for the label purchase endpoint out of the order's label form
+ * @param {Object} state global state tree
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Object} purchase request payload
+ */
+export const getLabelPurchaseData = ( state, orderId, siteId ) => {
+	const form = getShippingLabel( state, orderId, siteId ).form;
+	const customsItems = isCustomsFormRequired( state, orderId, siteId ) ? form.customs.items : null;
+	const formData = {
+		async: true,
+		origin: getAddressValues( form.origin ),
+		destination: getAddressValues( form.destination ),
+		packages: map( form.packages.selected, ( pckg, pckgId ) => {
+			const { serviceId, signatureRequired } = form.rates.values[ pckgId ];
+			const rateType = ( signatureRequired in form.rates.available[ pckgId ] ) ? signatureRequired : 'default';
+			const packageFields = convertToApiPackage( pckg, customsItems );
+			const rate = find( form.rates.available[ pckgId ][ rateType ].rates, r => serviceId === r.service_id );
+			const packageData = {
+				...packageFields,
+				shipment_id: rate.shipment_id,
+				rate_id: rate.rate_id,
+				service_id: serviceId,
+				carrier_id: rate.carrier_id,
+				service_name: rate.title,
+				// Stored with the label for the estimated delivery of the shipment notification
+				delivery_date: rate.delivery_date_guaranteed ? rate.delivery_date : null,
+				delivery_days: rate.delivery_days || null,
+				products: flatten(
+					pckg.items.map( item => fill( new Array( item.quantity ), item.product_id ) )
+				),
+			};
+			return packageData;
+		} ),
+	};
+
+	if ( form.returnLabel ) {
+		formData.is_return = true;
+		formData.original_label_id = form.returnLabel.labelId;
+		formData.pay_on_scan = form.returnLabel.payOnScan;
 	}
 
-	dispatch( purchaseLabelResponse( orderId, siteId, labels, false ) );
+	//compatibility - only add the email_receipt if the plugin and the server support it
+	const emailReceipt = getEmailReceipts( state, siteId );
+	if ( isBoolean( emailReceipt ) ) {
+		formData.email_receipt = emailReceipt;
+	}
 
-	downloadAndPrint( orderId, siteId, dispatch, getState, labels );
+	return formData;
 };
 
 export const purchaseLabel = ( orderId, siteId ) => ( dispatch, getState ) => {
@@ -1127,7 +1670,7 @@ export const purchaseLabel = ( orderId, siteId ) => ( dispatch, getState ) => {
 		}
 	};
 
-	let form = getShippingLabel( getState(), orderId, siteId ).form;
+	const form = getShippingLabel( getState(), orderId, siteId ).form;
 	const addressNormalizationQueue = [];
 	if ( ! form.origin.isNormalized ) {
 		const task = normalizeAddress( orderId, siteId, dispatch, form.origin.values, 'origin' );
@@ -1149,39 +1692,7 @@ export const purchaseLabel = ( orderId, siteId ) => ( dispatch, getState ) => {
 			if ( ! every( normalizationResults ) ) {
 				return;
 			}
-			form = getShippingLabel( getState(), orderId, siteId ).form;
-			const customsItems = isCustomsFormRequired( getState(), orderId, siteId )
-				? form.customs.items
-				: null;
-			const formData = {
-				async: true,
-				origin: getAddressValues( form.origin ),
-				destination: getAddressValues( form.destination ),
-				packages: map( form.packages.selected, ( pckg, pckgId ) => {
-					const { serviceId, signatureRequired } = form.rates.values[ pckgId ];
-					const rateType = ( signatureRequired in form.rates.available[ pckgId ] ) ? signatureRequired : 'default';
-					const packageFields = convertToApiPackage( pckg, customsItems );
-					const rate = find( form.rates.available[ pckgId ][ rateType ].rates, r => serviceId === r.service_id );
-					const packageData = {
-						...packageFields,
-						shipment_id: rate.shipment_id,
-						rate_id: rate.rate_id,
-						service_id: serviceId,
-						carrier_id: rate.carrier_id,
-						service_name: rate.title,
-						products: flatten(
-							pckg.items.map( item => fill( new Array( item.quantity ), item.product_id ) )
-						),
-					};
-					return packageData;
-				} ),
-			};
-
-			//compatibility - only add the email_receipt if the plugin and the server support it
-			const emailReceipt = getEmailReceipts( getState(), siteId );
-			if ( isBoolean( emailReceipt ) ) {
-				formData.email_receipt = emailReceipt;
-			}
+			const formData = getLabelPurchaseData( getState(), orderId, siteId );
 
 			setIsSaving( true );
 			api
@@ -1214,6 +1725,66 @@ export const confirmPrintLabel = ( orderId, siteId ) => ( dispatch, getState ) =
 		.catch( error => dispatch( NoticeActions.errorNotice( error.toString() ) ) );
 };
 
+const confirmLabelPurchase = ( orderId, siteId ) => ( dispatch, getState ) => {
+	const { form } = getShippingLabel( getState(), orderId, siteId );
+	if ( form.needsPrintConfirmation ) {
+		return dispatch( confirmPrintLabel( orderId, siteId ) );
+	}
+
+	// UPS labels are paid through the UPS account, every other carrier needs a card
+	const needsPaymentMethod =
+		hasSelectedRates( form.rates ) && some( form.rates.values, rate => 'ups' !== rate.carrierId );
+	if (
+		canPurchase( getState(), orderId, siteId ) &&
+		! form.isSubmitting &&
+		! ( needsPaymentMethod && ! getSelectedPaymentMethodId( getState(), siteId ) )
+	) {
+		return dispatch( purchaseLabel( orderId, siteId ) );
+	}
+};
+
+/**
+ * Does what the main button of a step of the purchase flow does, if it's enabled: confirms the address, the
+ * packages or the customs form, and buys or prints the labels from the rates step
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {String} step name of the step
+ * @returns {Function} thunk
+ */
+export const confirmLabelPurchaseStep = ( orderId, siteId, step ) => ( dispatch, getState ) => {
+	const { form } = getShippingLabel( getState(), orderId, siteId );
+	const errors = getFormErrors( getState(), orderId, siteId );
+
+	switch ( step ) {
+		case 'origin':
+		case 'destination':
+			// Verified addresses show the suggestion to accept, unless the phone has to be fixed first
+			if ( form[ step ].isNormalized && ! get( errors, [ step, 'phone' ] ) ) {
+				return dispatch( confirmAddressSuggestion( orderId, siteId, step ) );
+			}
+			if ( ! hasNonEmptyLeaves( errors[ step ] ) && ! form[ step ].normalizationInProgress ) {
+				return dispatch( submitAddressForNormalization( orderId, siteId, step ) );
+			}
+			return;
+		case 'packages':
+			if (
+				! hasNonEmptyLeaves( errors.packages ) &&
+				! hasNonEmptyLeaves( errors.packingStation ) &&
+				Object.keys( form.packages.selected ).length
+			) {
+				return dispatch( confirmPackages( orderId, siteId ) );
+			}
+			return;
+		case 'customs':
+			if ( ! hasNonEmptyLeaves( errors.customs ) ) {
+				return dispatch( confirmCustoms( orderId, siteId ) );
+			}
+			return;
+		default:
+			return dispatch( confirmLabelPurchase( orderId, siteId ) );
+	}
+};
+
 export const openRefundDialog = ( orderId, siteId, labelId ) => {
 	return {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REFUND_DIALOG,
@@ -1289,6 +1860,7 @@ export const confirmRefund = ( orderId, siteId ) => ( dispatch, getState ) => {
 			if ( error ) {
 				dispatch( NoticeActions.errorNotice( error.toString() ) );
 			} else {
+				dispatch( prefillUnshippedItems( orderId, siteId ) );
 				dispatch(
 					NoticeActions.successNotice(
 						translate( 'The refund request has been sent successfully.' ),
@@ -1307,6 +1879,105 @@ export const confirmRefund = ( orderId, siteId ) => ( dispatch, getState ) => {
 		.then( () => setIsSaving( false ) );
 };
 
+export const toggleLabelRefundSelection = ( orderId, siteId, labelId ) => {
+	return { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_REFUND_SELECTION, labelId, orderId, siteId };
+};
+
+export const openBulkRefundDialog = ( orderId, siteId ) => {
+	return { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_BULK_REFUND_DIALOG, orderId, siteId };
+};
+
+export const closeBulkRefundDialog = ( orderId, siteId ) => {
+	return { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_BULK_REFUND_DIALOG, orderId, siteId };
+};
+
+/**
+ * Requests the refund of every selected label that can be refunded. The requests are queued and sent
+ * one at a time, and a failed request doesn't stop the ones after it
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Promise} resolves once every refund request has been answered
+ */
+export const confirmBulkRefund = ( orderId, siteId ) => ( dispatch, getState ) => {
+	const labelIds = map( getBulkRefundLabels( getState(), orderId, siteId ).refundable, 'label_id' );
+	if ( ! labelIds.length ) {
+		return Promise.resolve();
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST, labelIds, orderId, siteId } );
+
+	const requestRefund = labelId =>
+		api.post( siteId, api.url.labelRefund( orderId, labelId ) ).then(
+			json =>
+				dispatch( {
+					type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE,
+					labelId,
+					response: json.refund,
+					error: null,
+					orderId,
+					siteId,
+				} ),
+			error =>
+				dispatch( {
+					type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE,
+					labelId,
+					response: null,
+					error: String( ( error && error.message ) || error ),
+					orderId,
+					siteId,
+				} )
+		);
+
+	return labelIds
+		.reduce( ( queue, labelId ) => queue.then( () => requestRefund( labelId ) ), Promise.resolve() )
+		.then( () => dispatch( prefillUnshippedItems( orderId, siteId ) ) );
+};
+
+/**
+ * Loads the tracking timeline of a label, unless it's loaded already or on its way.
+ * Errors are shown in the timeline, this also runs in the background to fill in the status badges
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @param {Number} labelId label ID
+ * @returns {Promise|undefined} resolves once the timeline is stored
+ */
+export const fetchLabelTracking = ( orderId, siteId, labelId ) => ( dispatch, getState ) => {
+	const { isFetching, data } = getLabelTracking( getState(), orderId, siteId, labelId );
+	if ( isFetching || data ) {
+		return;
+	}
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST, labelId, orderId, siteId } );
+
+	return api
+		.get( siteId, api.url.labelTracking( orderId, labelId ) )
+		.then( json =>
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
+				labelId,
+				response: json.tracking,
+				error: null,
+				orderId,
+				siteId,
+			} )
+		)
+		.catch( error =>
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
+				labelId,
+				response: null,
+				error: String( ( error && error.message ) || error ),
+				orderId,
+				siteId,
+			} )
+		);
+};
+
+export const toggleLabelTrackingTimeline = ( orderId, siteId, labelId ) => dispatch => {
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE, labelId, orderId, siteId } );
+	return dispatch( fetchLabelTracking( orderId, siteId, labelId ) );
+};
+
 export const openReprintDialog = ( orderId, siteId, labelId ) => ( dispatch, getState ) => {
 	dispatch( {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REPRINT_DIALOG,
@@ -1317,7 +1988,7 @@ export const openReprintDialog = ( orderId, siteId, labelId ) => ( dispatch, get
 
 	dispatch( NoticeActions.removeNotice( 'wcs-reprint-label' ) );
 	const shippingLabel = getShippingLabel( getState(), orderId, siteId );
-	const printUrl = getPrintURL( shippingLabel.paperSize, [ { labelId } ] );
+	const printUrl = getPrintURL( shippingLabel.paperSize, [ { labelId } ], getLabelFormat( getState(), siteId ) );
 
 	api
 		.get( siteId, printUrl )
@@ -1358,7 +2029,7 @@ export const confirmReprint = ( orderId, siteId ) => ( dispatch, getState ) => {
 	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_REPRINT, orderId, siteId } );
 	const shippingLabel = getShippingLabel( getState(), orderId, siteId );
 
-	printDocument( shippingLabel.reprintDialog.fileData, getPDFFileName( orderId, true ) )
+	printLabelFile( getState(), siteId, shippingLabel.reprintDialog.fileData, getPDFFileName( orderId, true ) )
 		.catch( error => {
 			console.error( error );
 			dispatch( NoticeActions.errorNotice( error.toString() ) );
@@ -1392,3 +2063,146 @@ export const openDetailsDialog = ( orderId, siteId, labelId ) => {
 export const closeDetailsDialog = ( orderId, siteId ) => {
 	return { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_DETAILS_DIALOG, orderId, siteId };
 };
+
+export const openPickupDialog = ( orderId, siteId, labelId ) => ( dispatch, getState ) => {
+	const shippingLabel = getShippingLabel( getState(), orderId, siteId );
+	const label = find( shippingLabel.labels, { label_id: labelId } );
+
+	dispatch( {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG,
+		labelId,
+		carrierId: label.carrier_id,
+		origin: shippingLabel.form.origin.values,
+		orderId,
+		siteId,
+	} );
+
+	api
+		.get( siteId, api.url.pickupEligibleLabels( label.carrier_id ) )
+		.then( response => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE,
+				labels: response.labels,
+				error: null,
+				orderId,
+				siteId,
+			} );
+		} )
+		.catch( error => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE,
+				labels: [],
+				error,
+				orderId,
+				siteId,
+			} );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
+
+export const closePickupDialog = ( orderId, siteId ) => {
+	return { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_PICKUP_DIALOG, orderId, siteId };
+};
+
+export const togglePickupLabel = ( orderId, siteId, pickupOrderId, pickupLabelId ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_PICKUP_LABEL,
+		pickupOrderId,
+		pickupLabelId,
+		orderId,
+		siteId,
+	};
+};
+
+export const updatePickupField = ( orderId, siteId, name, value ) => {
+	return {
+		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PICKUP_FIELD,
+		name,
+		value,
+		orderId,
+		siteId,
+	};
+};
+
+export const schedulePickup = ( orderId, siteId ) => ( dispatch, getState ) => {
+	const { pickupDialog } = getShippingLabel( getState(), orderId, siteId );
+	const { carrierId, selected, values } = pickupDialog;
+	const { pickup_date, ready_time, close_time, location, instructions, ...address } = values;
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_REQUEST, orderId, siteId } );
+
+	api
+		.post( siteId, api.url.labelPickup(), {
+			carrier_id: carrierId,
+			labels: selected,
+			pickup_date,
+			ready_time,
+			close_time,
+			address,
+			location,
+			instructions,
+		} )
+		.then( response => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+				pickup: response.pickup,
+				error: null,
+				orderId,
+				siteId,
+			} );
+			dispatch(
+				NoticeActions.successNotice(
+					translate( 'Pickup scheduled. Confirmation number: %(confirmationNumber)s', {
+						args: { confirmationNumber: response.pickup.confirmation_number },
+					} ),
+					{ duration: 10000 }
+				)
+			);
+		} )
+		.catch( error => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+				pickup: null,
+				error,
+				orderId,
+				siteId,
+			} );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
+
+export const cancelPickup = ( orderId, siteId, labelId ) => ( dispatch, getState ) => {
+	const { labels } = getShippingLabel( getState(), orderId, siteId );
+	const { pickup } = find( labels, { label_id: labelId } );
+
+	dispatch( { type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_REQUEST, orderId, siteId } );
+
+	api
+		.post( siteId, api.url.labelPickupCancel(), {
+			carrier_id: pickup.carrier_id,
+			confirmation_number: pickup.confirmation_number,
+			labels: pickup.labels,
+		} )
+		.then( () => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE,
+				confirmationNumber: pickup.confirmation_number,
+				error: null,
+				orderId,
+				siteId,
+			} );
+			dispatch(
+				NoticeActions.successNotice( translate( 'The pickup has been cancelled.' ), { duration: 5000 } )
+			);
+		} )
+		.catch( error => {
+			dispatch( {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE,
+				confirmationNumber: pickup.confirmation_number,
+				error,
+				orderId,
+				siteId,
+			} );
+			dispatch( NoticeActions.errorNotice( error.toString() ) );
+		} );
+};
@@ -20,3 +20,6 @@ export const US_MILITARY_STATES = [ 'AA', 'AE', 'AP' ];
 
 // These destination countries require an ITN regardless of shipment value
 export const USPS_ITN_REQUIRED_DESTINATIONS = [ 'IR', 'SY', 'KP', 'CU', 'SD' ];
+
+// Currency assumed for rates that don't specify one. WooCommerce Shipping bills USPS labels in US dollars
+export const DEFAULT_RATE_CURRENCY = 'USD';
@@ -10,8 +10,8 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_COMPLETED,
 } from '../action-types';
 
-export default ( orderId, siteId, dispatch, origin, destination, packages ) => {
-	const requestData = { origin, destination, packages };
+export default ( orderId, siteId, dispatch, origin, destination, packages, extraRequestData = {} ) => {
+	const requestData = { origin, destination, packages, ...extraRequestData };
 	dispatch( {
 		type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_IN_PROGRESS,
 		requestData,
@@ -4,19 +4,27 @@
  * External dependencies
  */
 import {
+	differenceBy,
 	each,
+	every,
 	find,
 	findIndex,
+	flatMap,
 	get,
 	includes,
 	isEqual,
 	mapValues,
 	omit,
+	pick,
+	reject,
 	round,
+	some,
 	sortBy,
 	sumBy,
 	without,
+	zipObject,
 	isBoolean,
+	isString,
 } from 'lodash';
 
 /**
@@ -28,6 +36,11 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_IS_FETCHING,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_FETCH_ERROR,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RETURN_PAY_ON_SCAN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OFFER_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EXIT_PRINTING_FLOW,
 	WOOCOMMERCE_SERVICES_SHIPPING_OPEN_TRACKING_FLOW,
 	WOOCOMMERCE_SERVICES_SHIPPING_EXIT_TRACKING_FLOW,
@@ -37,23 +50,37 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADDRESS_NORMALIZATION_IN_PROGRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADDRESS_NORMALIZATION_COMPLETED,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_NORMALIZED_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_ADDRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EDIT_UNVERIFIABLE_ADDRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PAPER_SIZE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PREFILL_UNSHIPPED_ITEMS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_REQUEST,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SHOW_PRINT_CONFIRMATION,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_IN_PROGRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATES,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATE_POLICY,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RATES_RETRIEVAL_COMPLETED,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_AVAILABLE_RATES,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REFUND_DIALOG,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_REFUND_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_REFUND_SELECTION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_BULK_REFUND_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_BULK_REFUND_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_STATUS_RESPONSE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_STATUS_RETRIEVAL_IN_PROGRESS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REFUND_REQUEST,
@@ -71,6 +98,11 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_ITEM_MOVE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_TARGET_PACKAGE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_PACKAGE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_PACKAGES,
@@ -91,12 +123,24 @@ import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_WEIGHT,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_VALUE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_PICKUP_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_PICKUP_LABEL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PICKUP_FIELD,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE,
 } from '../action-types';
 import { WOOCOMMERCE_ORDER_REQUEST_SUCCESS } from 'woocommerce/state/action-types';
 import getBoxDimensions from 'woocommerce/woocommerce-services/lib/utils/get-box-dimensions';
 import initializeLabelsState from 'woocommerce/woocommerce-services/lib/initialize-labels-state';
+import { getUnshippedPackages } from 'woocommerce/woocommerce-services/lib/fulfillment';
 import { isOrderFinished } from 'woocommerce/lib/order-status';
+import { hasCarrierFeature } from 'woocommerce/woocommerce-services/lib/carriers';
 
 const generateUniqueBoxId = ( keyBase, boxIds ) => {
 	for ( let i = 0; i <= boxIds.length; i++ ) {
@@ -136,6 +180,178 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PRINTING_FLOW ] = state => {
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE ] = ( state, { rule } ) => {
+	const contentsType = rule && rule.outcome.contents_type;
+
+	return {
+		...state,
+		form: {
+			...state.form,
+			appliedRule: rule,
+			packages: {
+				...state.form.packages,
+				// The contents type only matters for international shipments, and never overrides the one picked by hand
+				selected: mapValues( state.form.packages.selected, pckg =>
+					contentsType && ! pckg.contentsType ? { ...pckg, contentsType } : pckg
+				),
+			},
+		},
+	};
+};
+
+const RETURN_PACKAGE_ID = 'return_package';
+
+/**
+ * Rebuilds the package of a purchased label, taking its items from the packages of the order
+ * @param {Object} label purchased label
+ * @param {Object} selectedPackages packages currently selected in the form
+ * @returns {Object} package
+ */
+const getReturnPackage = ( label, selectedPackages ) => {
+	const orderItems = flatMap( selectedPackages, 'items' );
+	const items = label.product_ids
+		? label.product_ids.map( ( productId, index ) => {
+				const itemIndex = findIndex( orderItems, { product_id: productId } );
+				if ( -1 === itemIndex ) {
+					const name = label.product_names ? label.product_names[ index ] : '';
+					return { product_id: productId, name, quantity: 1, weight: 0, length: 0, width: 0, height: 0 };
+				}
+				return orderItems.splice( itemIndex, 1 )[ 0 ];
+		  } )
+		: orderItems;
+
+	return {
+		id: RETURN_PACKAGE_ID,
+		box_id: label.box_id || 'not_selected',
+		length: label.length || 0,
+		width: label.width || 0,
+		height: label.height || 0,
+		weight: label.weight || round( sumBy( items, 'weight' ), 8 ),
+		is_letter: Boolean( label.is_letter ),
+		items,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW ] = ( state, { label } ) => {
+	const { form } = state;
+
+	return {
+		...state,
+		showPurchaseDialog: true,
+		openedPackageId: RETURN_PACKAGE_ID,
+		// The regular form is put back once the return flow is closed
+		formBeforeReturn: form,
+		form: {
+			...form,
+			needsPrintConfirmation: false,
+			appliedRule: null,
+			returnLabel: {
+				labelId: label.label_id,
+				payOnScan: false,
+			},
+			origin: {
+				...form.destination,
+				allowChangeCountry: form.origin.allowChangeCountry,
+			},
+			destination: {
+				...form.origin,
+				allowChangeCountry: form.destination.allowChangeCountry,
+			},
+			packages: {
+				...form.packages,
+				selected: {
+					// The form only holds the items that weren't shipped yet, the label's items are among the order's
+					[ RETURN_PACKAGE_ID ]: getReturnPackage( label, state.orderPackages || form.packages.selected ),
+				},
+				isPacked: true,
+				saved: true,
+			},
+			rates: {
+				...form.rates,
+				values: {
+					[ RETURN_PACKAGE_ID ]: {
+						serviceId: '',
+						signatureRequired: false,
+					},
+				},
+				available: {},
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RETURN_PAY_ON_SCAN ] = ( state, { value } ) => {
+	return {
+		...state,
+		form: {
+			...state.form,
+			returnLabel: {
+				...state.form.returnLabel,
+				payOnScan: value,
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OFFER_DRAFT ] = ( state, { draft } ) => {
+	return {
+		...state,
+		draft,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT ] = ( state, { draft } ) => {
+	const { origin, destination, packages, customs, rates } = draft.form;
+	const { available } = state.form.rates;
+
+	return {
+		...state,
+		draft: null,
+		openedPackageId: Object.keys( packages.selected )[ 0 ] || '',
+		form: {
+			...state.form,
+			needsPrintConfirmation: false,
+			origin: {
+				...state.form.origin,
+				...origin,
+			},
+			destination: {
+				...state.form.destination,
+				...destination,
+			},
+			packages: {
+				...state.form.packages,
+				...packages,
+			},
+			customs: {
+				...state.form.customs,
+				...customs,
+			},
+			// The rates are fetched again, a selected rate is only dropped once it isn't offered for its package anymore
+			rates: {
+				...state.form.rates,
+				values: mapValues( packages.selected, ( pckg, packageId ) => {
+					const value = get( rates, [ 'values', packageId ] );
+					// Rates picked automatically are stored as a plain service ID
+					const serviceId = isString( value ) ? value : get( value, 'serviceId' );
+					const packageRates = get( available, [ packageId, 'default', 'rates' ] );
+					if ( ! serviceId || ( packageRates && ! find( packageRates, { service_id: serviceId } ) ) ) {
+						return { serviceId: '', signatureRequired: false };
+					}
+					return value;
+				} ),
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_DISCARD_DRAFT ] = state => {
+	return {
+		...state,
+		draft: null,
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_OPEN_TRACKING_FLOW ] = state => {
 	return {
 		...state,
@@ -150,8 +366,12 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EXIT_PRINTING_FLOW ] = ( state, {
 	return {
 		...state,
 		showPurchaseDialog: false,
+		formBeforeReturn: null,
+		openedPackageId: state.formBeforeReturn
+			? Object.keys( state.formBeforeReturn.packages.selected )[ 0 ] || ''
+			: state.openedPackageId,
 		form: {
-			...state.form,
+			...( state.formBeforeReturn || state.form ),
 			isSubmitting: false,
 		},
 	};
@@ -197,6 +417,10 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE ] = (
 			},
 		},
 	};
+	if ( 'origin' === group ) {
+		// An edited address is no longer the one from the address book
+		newState.form.origin.addressId = null;
+	}
 	if ( 'country' === name ) {
 		return reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE ]( newState, {
 			group,
@@ -213,6 +437,31 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_ADDRESS_VALUE ] = (
 	return newState;
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS ] = ( state, { originAddress } ) => {
+	const { id, address, is_normalized } = originAddress;
+
+	return {
+		...state,
+		form: {
+			...state.form,
+			origin: {
+				...state.form.origin,
+				values: address,
+				addressId: id,
+				isNormalized: Boolean( is_normalized ),
+				isUnverifiable: false,
+				normalized: is_normalized ? address : null,
+				ignoreValidation: null,
+				selectNormalized: true,
+			},
+			rates: {
+				...state.form.rates,
+				available: {},
+			},
+		},
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_IGNORE_VALIDATION ] = ( state, { group } ) => {
 	return {
 		...state,
@@ -380,6 +629,41 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT ] = (
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE ] = (
+	state,
+	{ packageId, insurance }
+) => {
+	const newPackages = { ...state.form.packages.selected };
+
+	newPackages[ packageId ] = {
+		...newPackages[ packageId ],
+		insurance: null === insurance ? null : parseFloat( insurance ),
+	};
+
+	return {
+		...state,
+		form: {
+			...state.form,
+			packages: {
+				...state.form.packages,
+				selected: newPackages,
+				saved: false,
+			},
+			rates: {
+				...state.form.rates,
+				values: {
+					...state.form.rates.values,
+					[ packageId ]: {
+						serviceId: '',
+						signatureRequired: false,
+					},
+				},
+				available: {},
+			},
+		},
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE ] = (
 	state,
 	{ packageId, signature }
@@ -635,6 +919,106 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKAGE ] = state => {
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL ] = ( state, { proposal } ) => {
+	const newPackages = {};
+
+	proposal.packages.forEach( ( { boxId, items, weight, length, width, height, isLetter } ) => {
+		const packageId = generateUniqueBoxId( 'client_custom_', Object.keys( newPackages ) );
+		newPackages[ packageId ] = {
+			height,
+			length,
+			width,
+			weight,
+			id: packageId,
+			box_id: boxId,
+			is_letter: isLetter,
+			items,
+		};
+	} );
+
+	proposal.individual.forEach( item => {
+		const packageId = generateUniqueBoxId( 'client_individual_', Object.keys( newPackages ) );
+		const { height, length, width, weight } = item;
+		newPackages[ packageId ] = {
+			height,
+			length,
+			width,
+			weight,
+			id: packageId,
+			box_id: 'individual',
+			items: [ item ],
+		};
+	} );
+
+	return {
+		...state,
+		openedPackageId: Object.keys( newPackages )[ 0 ] || '',
+		form: {
+			...state.form,
+			needsPrintConfirmation: false,
+			packages: {
+				...state.form.packages,
+				selected: newPackages,
+				saved: false,
+			},
+			rates: {
+				...state.form.rates,
+				values: mapValues( newPackages, () => ( {
+					serviceId: '',
+					signatureRequired: false,
+				} ) ),
+				available: {},
+			},
+		},
+	};
+};
+
+const updatePackingStation = ( state, packingStation, selected = state.form.packages.selected ) => ( {
+	...state,
+	form: {
+		...state.form,
+		packages: {
+			...state.form.packages,
+			selected,
+			packingStation: {
+				...state.form.packages.packingStation,
+				...packingStation,
+			},
+		},
+	},
+} );
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKING_STATION_ACTIVE ] = ( state, { active } ) => {
+	const selected = mapValues( state.form.packages.selected, pckg => ( {
+		...pckg,
+		items: pckg.items.map( item => omit( item, 'isScanned' ) ),
+	} ) );
+
+	return updatePackingStation( state, { active, extraScans: [] }, selected );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SCAN_PACKING_STATION_ITEM ] = (
+	state,
+	{ packageId, itemIndex }
+) => {
+	const pckg = state.form.packages.selected[ packageId ];
+	const items = [ ...pckg.items ];
+	items[ itemIndex ] = { ...items[ itemIndex ], isScanned: true };
+
+	return updatePackingStation( state, {}, {
+		...state.form.packages.selected,
+		[ packageId ]: { ...pckg, items },
+	} );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_ADD_PACKING_STATION_EXTRA_SCAN ] = ( state, { code } ) =>
+	updatePackingStation( state, {
+		extraScans: [ ...state.form.packages.packingStation.extraScans, code ],
+	} );
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLEAR_PACKING_STATION_EXTRA_SCANS ] = state =>
+	updatePackingStation( state, { extraScans: [] } );
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REMOVE_PACKAGE ] = ( state, { packageId } ) => {
 	const newPackages = { ...state.form.packages.selected };
 	const pckg = newPackages[ packageId ];
@@ -987,6 +1371,28 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_ORIGIN_COUNTRY ]
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_CUSTOMS_ITEM_SAVE_DEFAULTS ] = (
+	state,
+	{ productId, saveDefaults }
+) => {
+	return {
+		...state,
+		form: {
+			...state.form,
+			customs: {
+				...state.form.customs,
+				items: {
+					...state.form.customs.items,
+					[ productId ]: {
+						...state.form.customs.items[ productId ],
+						saveDefaults,
+					},
+				},
+			},
+		},
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS ] = state => {
 	return {
 		...state,
@@ -1005,12 +1411,16 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SAVE_CUSTOMS ] = state => {
 	};
 };
 
-reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE ] = ( state, { packageId, serviceId, carrierId, signatureRequired } ) => {
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE ] = (
+	state,
+	{ packageId, serviceId, carrierId, signatureRequired, isAutoPicked }
+) => {
 	const newRates = { ...state.form.rates.values };
 	newRates[ packageId ] = {
 		serviceId,
 		carrierId,
 		signatureRequired,
+		isAutoPicked: Boolean( isAutoPicked ),
 	};
 
 	return {
@@ -1025,6 +1435,16 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_RATE ] = ( state, { package
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATE_POLICY ] = ( state, { policy } ) => {
+	return {
+		...state,
+		form: {
+			...state.form,
+			ratePolicy: policy,
+		},
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PAPER_SIZE ] = ( state, { value } ) => {
 	return {
 		...state,
@@ -1046,6 +1466,36 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_FULFILL_ORDER ] = ( state, { v
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PREFILL_UNSHIPPED_ITEMS ] = state => {
+	// Never pull the packages from under a label that's being bought
+	if ( state.showPurchaseDialog || ! state.orderPackages ) {
+		return state;
+	}
+
+	const selected = getUnshippedPackages( state.orderPackages, state.labels );
+	return {
+		...state,
+		openedPackageId: Object.keys( selected )[ 0 ] || '',
+		form: {
+			...state.form,
+			needsPrintConfirmation: false,
+			packages: {
+				...state.form.packages,
+				selected,
+				saved: true,
+			},
+			rates: {
+				...state.form.rates,
+				values: mapValues( selected, () => ( {
+					serviceId: '',
+					signatureRequired: false,
+				} ) ),
+				available: {},
+			},
+		},
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_REQUEST ] = state => {
 	return {
 		...state,
@@ -1060,9 +1510,13 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE ] = (
 	state,
 	{ response, error }
 ) => {
+	// The labels of a purchase that was still processing are already in the list, as "in progress"
+	const labels = differenceBy( state.labels, response || [], 'label_id' );
+
 	if ( error ) {
 		return {
 			...state,
+			labels,
 			form: {
 				...state.form,
 				isSubmitting: false,
@@ -1077,11 +1531,22 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE ] = (
 				...label,
 				statusUpdated: true,
 			} ) ),
-			...state.labels,
+			...labels,
 		],
 	};
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING ] = ( state, { labels } ) => {
+	return {
+		...state,
+		labels: [ ...labels, ...state.labels ],
+		form: {
+			...state.form,
+			isSubmitting: false,
+		},
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SHOW_PRINT_CONFIRMATION ] = (
 	state,
 	{ fileData, labels }
@@ -1143,20 +1608,28 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_RATES ] = ( state, { rates, re
 	};
 };
 
-reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE ] = ( state, { serviceId, carrierId } ) => {
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE ] = (
+	state,
+	{ serviceId, carrierId, signatureRequired }
+) => {
 	return {
 		...state,
 		form: {
 			...state.form,
 			rates: {
 				...state.form.rates,
-				values: mapValues( state.form.rates.values, val => {
-					if ( ! val ) {
-						return { serviceId, carrierId }
-					}
-
-					return val;
-				} ),
+				values: {
+					...state.form.rates.values,
+					// Packages that haven't been visited yet have no rate value at all
+					...mapValues( state.form.packages.selected, ( pckg, pckgId ) => {
+						const val = state.form.rates.values[ pckgId ];
+						if ( ! val || ! val.serviceId ) {
+							return { serviceId, carrierId, signatureRequired };
+						}
+
+						return val;
+					} ),
+				},
 			},
 		},
 	};
@@ -1278,6 +1751,110 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_REFUND_RESPONSE ] = (
 	return newState;
 };
 
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_REFUND_SELECTION ] = ( state, { labelId } ) => {
+	const selected = state.refundSelection || [];
+	return {
+		...state,
+		refundSelection: includes( selected, labelId ) ? without( selected, labelId ) : [ ...selected, labelId ],
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_BULK_REFUND_DIALOG ] = state => {
+	return {
+		...state,
+		bulkRefundDialog: {
+			isSubmitting: false,
+			results: {},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_BULK_REFUND_DIALOG ] = state => {
+	if ( state.bulkRefundDialog && state.bulkRefundDialog.isSubmitting ) {
+		return state;
+	}
+	return {
+		...state,
+		bulkRefundDialog: null,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST ] = ( state, { labelIds } ) => {
+	return {
+		...state,
+		bulkRefundDialog: {
+			...state.bulkRefundDialog,
+			isSubmitting: true,
+			results: zipObject( labelIds, labelIds.map( () => ( { status: 'pending' } ) ) ),
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE ] = (
+	state,
+	{ labelId, response, error }
+) => {
+	const results = {
+		...state.bulkRefundDialog.results,
+		[ labelId ]: error ? { status: 'failed', error } : { status: 'accepted' },
+	};
+	const newState = {
+		...state,
+		bulkRefundDialog: {
+			...state.bulkRefundDialog,
+			isSubmitting: some( results, { status: 'pending' } ),
+			results,
+		},
+	};
+	if ( error ) {
+		return newState;
+	}
+
+	// Labels with a refund underway can't be refunded again, so they leave the selection
+	return {
+		...newState,
+		labels: state.labels.map( label => ( label.label_id === labelId ? { ...label, refund: response } : label ) ),
+		refundSelection: without( state.refundSelection, labelId ),
+	};
+};
+
+const updateLabelTracking = ( state, labelId, changes ) => ( {
+	...state,
+	tracking: {
+		...state.tracking,
+		[ labelId ]: {
+			...( state.tracking && state.tracking[ labelId ] ),
+			...changes,
+		},
+	},
+} );
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE ] = ( state, { labelId } ) => {
+	const tracking = state.tracking && state.tracking[ labelId ];
+	return updateLabelTracking( state, labelId, { isOpen: ! ( tracking && tracking.isOpen ) } );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST ] = ( state, { labelId } ) => {
+	return updateLabelTracking( state, labelId, { isFetching: true, error: null } );
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE ] = (
+	state,
+	{ labelId, response, error }
+) => {
+	if ( error ) {
+		return updateLabelTracking( state, labelId, { isFetching: false, error } );
+	}
+
+	// The server keeps the latest status in the label too, so it's there the next time the labels are loaded
+	return {
+		...updateLabelTracking( state, labelId, { isFetching: false, data: response } ),
+		labels: state.labels.map( label =>
+			label.label_id === labelId ? { ...label, tracking_status: response.status } : label
+		),
+	};
+};
+
 reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_REPRINT_DIALOG ] = ( state, { labelId } ) => {
 	return {
 		...state,
@@ -1351,6 +1928,154 @@ reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_DETAILS_DIALOG ] = state =>
 	};
 };
 
+const PICKUP_ADDRESS_FIELDS = [ 'name', 'company', 'phone', 'address', 'address_2', 'city', 'state', 'postcode', 'country' ];
+
+const isPickupLabel = ( orderId, labelId ) => pickupLabel =>
+	Number( pickupLabel.order_id ) === Number( orderId ) && Number( pickupLabel.label_id ) === Number( labelId );
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG ] = (
+	state,
+	{ orderId, labelId, carrierId, origin }
+) => {
+	return {
+		...state,
+		pickupDialog: {
+			labelId,
+			carrierId,
+			isFetching: true,
+			isSubmitting: false,
+			labels: [],
+			selected: [ { order_id: orderId, label_id: labelId } ],
+			values: {
+				...pick( origin, PICKUP_ADDRESS_FIELDS ),
+				pickup_date: '',
+				ready_time: '09:00',
+				close_time: '17:00',
+				location: '',
+				instructions: '',
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CLOSE_PICKUP_DIALOG ] = state => {
+	if ( state.pickupDialog && state.pickupDialog.isSubmitting ) {
+		return state;
+	}
+	return {
+		...state,
+		pickupDialog: null,
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_LABELS_RESPONSE ] = ( state, { labels } ) => {
+	if ( ! state.pickupDialog ) {
+		return state;
+	}
+	return {
+		...state,
+		pickupDialog: {
+			...state.pickupDialog,
+			isFetching: false,
+			labels,
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_PICKUP_LABEL ] = (
+	state,
+	{ pickupOrderId, pickupLabelId }
+) => {
+	const { selected } = state.pickupDialog;
+	const isSelected = isPickupLabel( pickupOrderId, pickupLabelId );
+	return {
+		...state,
+		pickupDialog: {
+			...state.pickupDialog,
+			selected: some( selected, isSelected )
+				? reject( selected, isSelected )
+				: [ ...selected, { order_id: pickupOrderId, label_id: pickupLabelId } ],
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PICKUP_FIELD ] = ( state, { name, value } ) => {
+	return {
+		...state,
+		pickupDialog: {
+			...state.pickupDialog,
+			values: {
+				...state.pickupDialog.values,
+				[ name ]: value,
+			},
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_REQUEST ] = state => {
+	return {
+		...state,
+		pickupDialog: {
+			...state.pickupDialog,
+			isSubmitting: true,
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE ] = ( state, { orderId, pickup, error } ) => {
+	if ( error ) {
+		return {
+			...state,
+			pickupDialog: {
+				...state.pickupDialog,
+				isSubmitting: false,
+			},
+		};
+	}
+
+	return {
+		...state,
+		pickupDialog: null,
+		labels: state.labels.map( label =>
+			some( pickup.labels, isPickupLabel( orderId, label.label_id ) ) ? { ...label, pickup } : label
+		),
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_REQUEST ] = state => {
+	return {
+		...state,
+		detailsDialog: {
+			...state.detailsDialog,
+			isCancellingPickup: true,
+		},
+	};
+};
+
+reducers[ WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE ] = (
+	state,
+	{ confirmationNumber, error }
+) => {
+	const detailsDialog = state.detailsDialog && {
+		...state.detailsDialog,
+		isCancellingPickup: false,
+	};
+
+	if ( error ) {
+		return { ...state, detailsDialog };
+	}
+
+	return {
+		...state,
+		detailsDialog,
+		labels: state.labels.map( label =>
+			label.pickup && confirmationNumber === label.pickup.confirmation_number
+				? omit( label, 'pickup' )
+				: label
+		),
+	};
+};
+
 reducers[ WOOCOMMERCE_ORDER_REQUEST_SUCCESS ] = ( state, { order: { status } } ) => {
 	return {
 		... state,
@@ -1359,9 +2084,38 @@ reducers[ WOOCOMMERCE_ORDER_REQUEST_SUCCESS ] = ( state, { order: { status } } )
 	}
 };
 
+/**
+ * Return labels can only be paid on scan when every selected rate is from a carrier that offers it, so the
+ * option is dropped as soon as a rate from another carrier is picked.
+ * @param {Object} state shipping label state of the order
+ * @returns {Object} the state, with `payOnScan` turned off if it isn't offered anymore
+ */
+const clearUnsupportedPayOnScan = state => {
+	const { form } = state;
+	if (
+		! form ||
+		! form.returnLabel ||
+		! form.returnLabel.payOnScan ||
+		every( form.rates.values, value => hasCarrierFeature( get( value, 'carrierId' ), 'payOnScanReturns' ) )
+	) {
+		return state;
+	}
+
+	return {
+		...state,
+		form: {
+			...form,
+			returnLabel: {
+				...form.returnLabel,
+				payOnScan: false,
+			},
+		},
+	};
+};
+
 export default keyedReducer( 'orderId', ( state = initializeLabelsState(), action ) => {
 	if ( reducers[ action.type ] ) {
-		return reducers[ action.type ]( state, action );
+		return clearUnsupportedPayOnScan( reducers[ action.type ]( state, action ) );
 	}
 	return state;
 } );
@@ -7,6 +7,7 @@ import {
 	every,
 	fill,
 	find,
+	flatMap,
 	flatten,
 	forEach,
 	get,
@@ -21,19 +22,28 @@ import {
 	pick,
 	round,
 	some,
+	sumBy,
 	uniq,
 	zipObject,
 } from 'lodash';
 import { translate } from 'i18n-calypso';
+import formatCurrency from '@automattic/format-currency';
 /**
  * Internal dependencies
  */
 import createSelector from 'lib/create-selector';
 import { getSelectedSiteId } from 'state/ui/selectors';
 import { hasNonEmptyLeaves } from 'woocommerce/woocommerce-services/lib/utils/tree';
+import { isKnownHSCode } from 'woocommerce/woocommerce-services/lib/hs-codes';
+import {
+	getRefundEligibilityDetails,
+	getRefundIneligibility,
+} from 'woocommerce/woocommerce-services/lib/label-refunds';
+import { getItemsFulfillment } from 'woocommerce/woocommerce-services/lib/fulfillment';
 import {
 	areSettingsLoaded,
 	areSettingsErrored,
+	getDefaultRatePolicy,
 } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
 import {
 	isLoaded as arePackagesLoaded,
@@ -45,6 +55,7 @@ import {
 	US_MILITARY_STATES,
 	DOMESTIC_US_TERRITORIES,
 	USPS_ITN_REQUIRED_DESTINATIONS,
+	DEFAULT_RATE_CURRENCY,
 } from './constants';
 import {
 	areLocationsLoaded,
@@ -90,6 +101,64 @@ export const getLabelById = ( state, orderId, siteId, labelId ) => {
 	return labels.find( ( { label_id } ) => label_id === labelId );
 };
 
+export const getRefundSelection = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	const shippingLabel = getShippingLabel( state, orderId, siteId );
+	return ( shippingLabel && shippingLabel.refundSelection ) || [];
+};
+
+/**
+ * Splits the labels selected for a bulk refund into the ones that can be refunded and the ones that can't.
+ * Labels whose refund was requested since they were selected are left out
+ * @param {Object} state global state tree
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Object} `refundable` labels and `ineligible` ones, each a `label` and the `reason`
+ */
+export const getBulkRefundLabels = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	const selection = getRefundSelection( state, orderId, siteId );
+	const selectedLabels = getLabels( state, orderId, siteId ).filter(
+		label =>
+			includes( selection, label.label_id ) &&
+			( ! label.refund || 'rejected' === label.refund.status )
+	);
+
+	const refundable = [];
+	const ineligible = [];
+	forEach( selectedLabels, label => {
+		const reason = getRefundIneligibility( getRefundEligibilityDetails( label ) );
+		if ( reason ) {
+			ineligible.push( { label, reason } );
+		} else {
+			refundable.push( label );
+		}
+	} );
+	return { refundable, ineligible };
+};
+
+export const getLabelTracking = ( state, orderId, siteId, labelId ) => {
+	const shippingLabel = getShippingLabel( state, orderId, siteId );
+	return ( shippingLabel && shippingLabel.tracking && shippingLabel.tracking[ labelId ] ) || {};
+};
+
+/**
+ * Lists the products of the order with how many of their units were shipped. Refunded labels don't count
+ * @param {Object} state global state tree
+ * @param {Number} orderId order ID
+ * @param {Number} siteId site ID
+ * @returns {Array} `productId`, `name`, `shipped` and `total` units of each product
+ */
+export const getFulfillment = createSelector(
+	( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+		if ( ! isLoaded( state, orderId, siteId ) ) {
+			return [];
+		}
+
+		const { orderPackages, labels } = getShippingLabel( state, orderId, siteId );
+		return getItemsFulfillment( flatMap( orderPackages, 'items' ), labels );
+	},
+	( state, orderId, siteId = getSelectedSiteId( state ) ) => [ getShippingLabel( state, orderId, siteId ) ]
+);
+
 export const shouldFulfillOrder = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
 	const shippingLabel = getShippingLabel( state, orderId, siteId );
 	return shippingLabel && shippingLabel.fulfillOrder;
@@ -119,14 +188,34 @@ export const getForm = ( state, orderId, siteId = getSelectedSiteId( state ) ) =
 	return shippingLabel && shippingLabel.form;
 };
 
+/**
+ * Returns the rate shopping policy of the label: the one picked in the rates step, or the one from the label settings
+ * @param {Object} state - state tree
+ * @param {Number} orderId - order ID
+ * @param {Number} siteId - site ID
+ * @returns {Object} policy with `type`, `max_days` and `carriers`
+ */
+export const getRatePolicy = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
+	const form = getForm( state, orderId, siteId );
+	return ( form && form.ratePolicy ) || getDefaultRatePolicy( state, siteId );
+};
+
+/**
+ * Gets the value of the order items in a package, which is what it's insured for by default
+ * @param {Object} pckg selected package
+ * @returns {Number} items value
+ */
+export const getPackageItemsValue = pckg =>
+	round( sumBy( pckg.items, ( { quantity, value } ) => ( quantity || 1 ) * ( value || 0 ) ), 2 );
 
 /**
- * Returns a breakdown of the total price for selected labels in form of { prices, discount, total }
+ * Adds up the selected rates of every package. Rates billed in different currencies can't be added together,
+ * so the totals are also broken down by currency in `subtotals`. `total`, `discount` and `currency` are only
+ * set when every rate is in the same currency, and are `null` otherwise.
  * @param {Object} state global state tree
- * @param {Number} orderId order Id
- * @param {Number} siteId site Id
- *
- * @returns {Object} price breakdown
+ * @param {Number} orderId order ID
+ * @param {Number} [siteId] site ID
+ * @returns {Object|null} { prices, subtotals: [ { currency, total, discount } ], currency, total, discount }
  */
 export const getTotalPriceBreakdown = ( state, orderId, siteId = getSelectedSiteId( state ) ) => {
 	const form = getForm( state, orderId, siteId );
@@ -136,13 +225,13 @@ export const getTotalPriceBreakdown = ( state, orderId, siteId = getSelectedSite
 
 	const { values: selectedRates, available: availableRates } = form.rates;
 	const prices = [];
-	let discount = 0;
-	let total = 0;
+	const subtotals = [];
 	for ( const packageId in selectedRates ) {
 		if ( ! ( packageId in availableRates ) ) {
 			continue;
 		}
 		const { serviceId, signatureRequired } = selectedRates[ packageId ];
+		const pckg = get( form, [ 'packages', 'selected', packageId ] );
 		const packageRates = availableRates[ packageId ].default.rates;
 		let signatureRates = null;
 		let foundRateSignatureRequired = null;
@@ -155,37 +244,60 @@ export const getTotalPriceBreakdown = ( state, orderId, siteId = getSelectedSite
 
 		if ( foundRate ) {
 			const rateDiscount = foundRate.retail_rate - foundRate.rate;
+			const currency = foundRate.currency || DEFAULT_RATE_CURRENCY;
 			let rateTotal = foundRate.rate;
 
 			const price = {
 				title: foundRate.title,
 				retailRate: foundRate.retail_rate,
 				rateWithDiscount: rateTotal,
+				currency,
 				addons: [],
 				carrierId: foundRate.carrier_id,
 				carrierTitle: foundRate.title.split( '-' )[0].trim(),
 			}
 			if ( null !== foundRateSignatureRequired ) {
-				price.addons = [ {
+				price.addons.push( {
 					title: translate( 'Signature Required' ),
 					rate: foundRateSignatureRequired.rate - foundRate.rate,
-				} ];
+				} );
 				rateTotal = foundRateSignatureRequired.rate;
 			}
+			// The server prices the insurance with each rate when the package has a declared value
+			if ( pckg && pckg.insurance && foundRate.insurance_cost ) {
+				price.addons.push( {
+					title: translate( 'Insurance (%(value)s)', {
+						args: { value: formatCurrency( pckg.insurance, currency ) },
+					} ),
+					rate: foundRate.insurance_cost,
+				} );
+				rateTotal += foundRate.insurance_cost;
+			}
 			prices.push( price );
 
-			discount += round( rateDiscount,  2 );
-			total += rateTotal;
+			let subtotal = find( subtotals, { currency } );
+			if ( ! subtotal ) {
+				subtotal = { currency, total: 0, discount: 0 };
+				subtotals.push( subtotal );
+			}
+			subtotal.discount += round( rateDiscount,  2 );
+			subtotal.total += rateTotal;
 		}
 	}
 
-	return prices.length
-		? {
-				prices,
-				discount: discount,
-				total: total,
-		  }
-		: null;
+	if ( ! prices.length ) {
+		return null;
+	}
+
+	const singleCurrency = 1 === subtotals.length ? subtotals[ 0 ] : null;
+
+	return {
+		prices,
+		subtotals,
+		currency: singleCurrency && singleCurrency.currency,
+		discount: singleCurrency && singleCurrency.discount,
+		total: singleCurrency && singleCurrency.total,
+	};
 };
 
 export const isCustomsFormRequired = createSelector(
@@ -332,9 +444,36 @@ const getPackagesErrors = values =>
 			errors.dimensions = translate( 'Package dimensions must be greater than zero' );
 		}
 
+		if ( ! isNil( pckg.insurance ) && ( ! isFinite( pckg.insurance ) || 0 >= pckg.insurance ) ) {
+			errors.insurance = translate( 'The insured value must be greater than zero' );
+		}
+
 		return errors;
 	} );
 
+// In the packing station mode, the packages can't be used until every unit was scanned and nothing else was
+const getPackingStationErrors = ( { selected, packingStation } ) => {
+	if ( ! packingStation || ! packingStation.active ) {
+		return {};
+	}
+
+	const errors = {};
+	const missingCount = sumBy( flatten( map( selected, 'items' ) ), item => ( item.isScanned ? 0 : 1 ) );
+	if ( missingCount ) {
+		errors.missing = translate( '%(count)d item has not been scanned', '%(count)d items have not been scanned', {
+			count: missingCount,
+			args: { count: missingCount },
+		} );
+	}
+	if ( packingStation.extraScans.length ) {
+		errors.extra = translate( 'Scanned codes that are not in this order: %(codes)s', {
+			args: { codes: packingStation.extraScans.join( ', ' ) },
+		} );
+	}
+
+	return errors;
+};
+
 export const getCustomsErrors = (
 	packages,
 	customs,
@@ -437,6 +576,8 @@ export const getCustomsErrors = (
 			}
 			if ( itemData.tariffNumber && 6 !== itemData.tariffNumber.length ) {
 				itemErrors.tariffNumber = translate( 'The tariff number must be 6 digits long' );
+			} else if ( itemData.tariffNumber && ! isKnownHSCode( itemData.tariffNumber ) ) {
+				itemErrors.tariffNumber = translate( 'This tariff number is not a known HS code' );
 			}
 			return itemErrors;
 		} ),
@@ -497,6 +638,7 @@ export const getFormErrors = createSelector(
 			origin: getAddressErrors( form.origin, state, siteId, { originPhone: shouldValidateOriginPhone } ),
 			destination: getAddressErrors( form.destination, state, siteId, { destinationPhone: shouldValidateDestinationPhone } ),
 			packages: getPackagesErrors( form.packages.selected ),
+			packingStation: getPackingStationErrors( form.packages ),
 			customs: getCustomsErrors(
 				form.packages.selected,
 				form.customs,
@@ -591,7 +733,7 @@ export const getFirstErroneousStep = ( state, orderId, siteId = getSelectedSiteI
 		return 'destination';
 	}
 
-	if ( hasNonEmptyLeaves( errors.packages ) ) {
+	if ( hasNonEmptyLeaves( errors.packages ) || hasNonEmptyLeaves( errors.packingStation ) ) {
 		return 'packages';
 	}
 
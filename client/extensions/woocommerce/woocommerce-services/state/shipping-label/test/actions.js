@@ -15,6 +15,7 @@ import {
 	convertToApiPackage,
 	submitAddressForNormalization,
 	confirmAddressSuggestion,
+	confirmLabelPurchaseStep,
 	getDefaultBoxSelection,
 } from '../actions';
 import {
@@ -70,6 +71,7 @@ function createGetStateFn( newProps = { origin: {}, destination: {}, packages: {
 										rates: {
 											values: {},
 										},
+										appliedRule: newProps.appliedRule || null,
 									},
 									openedPackageId: 'default_box',
 								},
@@ -338,6 +340,23 @@ describe( 'Shipping label Actions', () => {
 				],
 			} );
 		} );
+
+		it( 'includes the declared value of insured packages', () => {
+			const pckg = {
+				id: 'id',
+				box_id: 'box_id',
+				weight: 8,
+				insurance: 150,
+				items: [],
+			};
+
+			expect( convertToApiPackage( pckg, null ) ).to.deep.equal( {
+				id: 'id',
+				box_id: 'box_id',
+				weight: 8,
+				insurance: 150,
+			} );
+		} );
 	} );
 
 	describe( '#submitAddressForNormalization', () => {
@@ -408,6 +427,64 @@ describe( 'Shipping label Actions', () => {
 		} );
 	} );
 
+	describe( '#confirmLabelPurchaseStep', () => {
+		let getFormErrors;
+
+		beforeEach( () => {
+			getFormErrors = sinon.stub( selectors, 'getFormErrors' ).returns( {} );
+		} );
+
+		afterEach( () => {
+			getFormErrors.restore();
+		} );
+
+		const runThunk = ( thunk, getState ) => {
+			const dispatchSpy = sinon.spy();
+			const dispatch = action =>
+				'function' === typeof action ? action( dispatch, getState ) : dispatchSpy( action );
+			dispatch( thunk );
+			return dispatchSpy;
+		};
+
+		it( 'accepts the suggestion of a verified address', () => {
+			const dispatchSpy = runThunk(
+				confirmLabelPurchaseStep( orderId, siteId, 'origin' ),
+				createGetStateFn( { origin: { isNormalized: true } } )
+			);
+
+			expect(
+				dispatchSpy.calledWith( {
+					type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_CONFIRM_ADDRESS_SUGGESTION,
+					orderId,
+					siteId,
+					group: 'origin',
+				} )
+			).to.equal( true );
+		} );
+
+		it( 'leaves a verified address with a wrong phone alone', () => {
+			getFormErrors.returns( { origin: { phone: 'Invalid phone' } } );
+
+			const dispatchSpy = runThunk(
+				confirmLabelPurchaseStep( orderId, siteId, 'origin' ),
+				createGetStateFn( { origin: { isNormalized: true } } )
+			);
+
+			expect( dispatchSpy.called ).to.equal( false );
+		} );
+
+		it( 'leaves the customs form alone while it has errors', () => {
+			getFormErrors.returns( { customs: { items: { 1: { tariffNumber: 'Invalid' } } } } );
+
+			const dispatchSpy = runThunk(
+				confirmLabelPurchaseStep( orderId, siteId, 'customs' ),
+				createGetStateFn()
+			);
+
+			expect( dispatchSpy.called ).to.equal( false );
+		} );
+	} );
+
 	describe( 'getDefaultBoxSelection', () => {
 		it( 'defaults to last used by user', () => {
 			const { packageId, boxId } = getDefaultBoxSelection( orderId, siteId, createGetStateFn() );
@@ -420,6 +497,19 @@ describe( 'Shipping label Actions', () => {
 			).to.equal( 'test_last_box' );
 		} );
 
+		it( 'prefers the box of the applied shipping rule', () => {
+			const { packageId, boxId } = getDefaultBoxSelection( orderId, siteId, createGetStateFn( {
+				appliedRule: { id: 'rule_1', outcome: { box_id: 'rule_box' } },
+			} ) );
+
+			expect(
+				packageId
+			).to.equal( 'default_box' );
+			expect(
+				boxId
+			).to.equal( 'rule_box' );
+		} );
+
 		it( 'no default if package has been selected', () => {
 			const { packageId, boxId } = getDefaultBoxSelection( orderId, siteId, createGetStateFn( {
 				packages: {
@@ -23,13 +23,44 @@ import {
 	updateAddressValue,
 	clearAvailableRates,
 	confirmAddressSuggestion,
+	offerLabelDraft,
+	discardLabelDraft,
+	togglePickupLabel,
+	updatePickupField,
+	updateRate,
+	setReturnPayOnScan,
+	setPackingStationActive,
+	scanPackingStationItem,
+	addPackingStationExtraScan,
+	clearPackingStationExtraScans,
+	toggleLabelRefundSelection,
+	openBulkRefundDialog,
+	closeBulkRefundDialog,
+	prefillUnshippedItems,
 } from '../actions';
 import {
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_SIGNATURE,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT,
 	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SHOW_PRINT_CONFIRMATION,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EXIT_PRINTING_FLOW,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST,
+	WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
 } from '../../action-types';
 
 const orderId = 1;
@@ -239,6 +270,42 @@ describe( 'Label purchase form reducer', () => {
 		expect( state[ orderId ].form.rates.available ).to.eql( {} );
 	} );
 
+	it( 'APPLY_PACKING_PROPOSAL replaces the selected packages with the proposed ones', () => {
+		const boxItem = { product_id: 123, weight: 1.2 };
+		const oversizedItem = { product_id: 456, weight: 2.3, length: 30, width: 20, height: 10 };
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_PACKING_PROPOSAL,
+			orderId,
+			siteId,
+			proposal: {
+				packages: [
+					{
+						boxId: 'medium_box',
+						items: [ boxItem ],
+						weight: 1.7,
+						length: 10,
+						width: 8,
+						height: 4,
+						isLetter: false,
+					},
+				],
+				individual: [ oversizedItem ],
+			},
+		};
+		const state = reducer( initialState, action );
+		const selected = state[ orderId ].form.packages.selected;
+
+		expect( selected ).to.have.all.keys( 'client_custom_0', 'client_individual_1' );
+		expect( selected.client_custom_0 ).to.include( { box_id: 'medium_box', weight: 1.7, length: 10 } );
+		expect( selected.client_custom_0.items ).to.eql( [ boxItem ] );
+		expect( selected.client_individual_1 ).to.include( { box_id: 'individual', weight: 2.3, height: 10 } );
+		expect( selected.client_individual_1.items ).to.eql( [ oversizedItem ] );
+		expect( state[ orderId ].form.rates.values ).to.have.all.keys( Object.keys( selected ) );
+		expect( state[ orderId ].form.packages.saved ).to.eql( false );
+		expect( state[ orderId ].openedPackageId ).to.eql( 'client_custom_0' );
+		expect( state[ orderId ].form.rates.available ).to.eql( {} );
+	} );
+
 	it( 'SET_PACKAGE_TYPE changes an existing package', () => {
 		const action = {
 			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_TYPE,
@@ -348,6 +415,119 @@ describe( 'Label purchase form reducer', () => {
 		expect( state[ orderId ].form.origin.ignoreValidation.postcode ).to.be.true;
 	} );
 
+	it( 'UPDATE_ADDRESS_VALUE on the origin unlinks it from the address book', () => {
+		const existingState = cloneDeep( initialState );
+		existingState[ orderId ].form.origin.addressId = 'origin_1';
+
+		const action = updateAddressValue( orderId, siteId, 'origin', 'address', 'Main Street' );
+		const state = reducer( existingState, action );
+
+		expect( state[ orderId ].form.origin.addressId ).to.be.null;
+	} );
+
+	it( 'SELECT_ORIGIN_ADDRESS uses a verified address book entry without normalizing it again', () => {
+		const address = { address: '1 Warehouse Rd', city: 'Reno', postcode: '89501', state: 'NV', country: 'US' };
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+			siteId,
+			orderId,
+			originAddress: { id: 'origin_1', title: 'Reno', address, is_normalized: true },
+		};
+		const state = reducer( initialState, action );
+
+		expect( state[ orderId ].form.origin.values ).to.eql( address );
+		expect( state[ orderId ].form.origin.addressId ).to.equal( 'origin_1' );
+		expect( state[ orderId ].form.origin.isNormalized ).to.be.true;
+		expect( state[ orderId ].form.origin.normalized ).to.eql( address );
+		expect( state[ orderId ].form.origin.ignoreValidation ).to.be.null;
+		expect( state[ orderId ].form.rates.available ).to.eql( {} );
+	} );
+
+	it( 'SELECT_ORIGIN_ADDRESS leaves an unverified address book entry to be normalized', () => {
+		const address = { address: '1 Warehouse Rd', city: 'Reno', postcode: '89501', state: 'NV', country: 'US' };
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SELECT_ORIGIN_ADDRESS,
+			siteId,
+			orderId,
+			originAddress: { id: 'origin_1', title: 'Reno', address, is_normalized: false },
+		};
+		const state = reducer( initialState, action );
+
+		expect( state[ orderId ].form.origin.isNormalized ).to.be.false;
+		expect( state[ orderId ].form.origin.normalized ).to.be.null;
+	} );
+
+	it( 'APPLY_SHIPPING_RULE stores the rule and fills in the contents type that was not picked yet', () => {
+		const existingState = cloneDeep( initialState );
+		existingState[ orderId ].form.packages.selected.weight_1_custom1.contentsType = 'gift';
+		const rule = { id: 'rule_1', name: 'Documents abroad', outcome: { contents_type: 'documents' } };
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE,
+			siteId,
+			orderId,
+			rule,
+		};
+		const state = reducer( existingState, action );
+
+		expect( state[ orderId ].form.appliedRule ).to.eql( rule );
+		expect( state[ orderId ].form.packages.selected.weight_0_custom1.contentsType ).to.equal( 'documents' );
+		expect( state[ orderId ].form.packages.selected.weight_1_custom1.contentsType ).to.equal( 'gift' );
+	} );
+
+	it( 'APPLY_SHIPPING_RULE clears the rule when none matches', () => {
+		const existingState = cloneDeep( initialState );
+		existingState[ orderId ].form.appliedRule = { id: 'rule_1', outcome: {} };
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_APPLY_SHIPPING_RULE,
+			siteId,
+			orderId,
+			rule: null,
+		};
+		const state = reducer( existingState, action );
+
+		expect( state[ orderId ].form.appliedRule ).to.be.null;
+		expect( state[ orderId ].form.packages.selected ).to.eql( initialState[ orderId ].form.packages.selected );
+	} );
+
+	it( 'SET_DEFAULT_RATE only fills in the packages without a service', () => {
+		const existingState = cloneDeep( initialState );
+		existingState[ orderId ].form.rates.values = {
+			weight_0_custom1: { serviceId: '', signatureRequired: false },
+		};
+		existingState[ orderId ].form.packages.selected.other = { items: [] };
+		existingState[ orderId ].form.rates.values.other = { serviceId: 'Express', carrierId: 'usps' };
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_DEFAULT_RATE,
+			siteId,
+			orderId,
+			serviceId: 'Priority',
+			carrierId: 'usps',
+			signatureRequired: 'signature_required',
+		};
+		const state = reducer( existingState, action );
+		const priority = { serviceId: 'Priority', carrierId: 'usps', signatureRequired: 'signature_required' };
+
+		expect( state[ orderId ].form.rates.values ).to.eql( {
+			weight_0_custom1: priority,
+			weight_1_custom1: priority,
+			other: { serviceId: 'Express', carrierId: 'usps' },
+		} );
+	} );
+
+	it( 'UPDATE_RATE marks whether the rate was picked automatically', () => {
+		const existingState = cloneDeep( initialState );
+		let state = reducer( existingState, updateRate( orderId, siteId, 'weight_0_custom1', 'Priority', 'usps', false, true ) );
+		expect( state[ orderId ].form.rates.values.weight_0_custom1.isAutoPicked ).to.be.true;
+
+		state = reducer( state, updateRate( orderId, siteId, 'weight_0_custom1', 'Express', 'usps', false ) );
+		expect( state[ orderId ].form.rates.values.weight_0_custom1 ).to.eql( {
+			serviceId: 'Express',
+			carrierId: 'usps',
+			signatureRequired: false,
+			isAutoPicked: false,
+		} );
+	} );
+
 	it( 'CLEAR_AVAILABLE_RATES clears the available rates and resets the print confirmation', () => {
 		const existingState = cloneDeep( initialState );
 
@@ -398,6 +578,45 @@ describe( 'Label purchase form reducer', () => {
 		expect( state[ orderId ].labels ).to.deep.equal( [ { ...label, statusUpdated: true } ] );
 	} );
 
+	it( 'PURCHASE_STILL_PROCESSING lists the labels as in progress and releases the form', () => {
+		const label = { label_id: 2, status: 'PURCHASE_IN_PROGRESS', service_name: 'USPS - Priority Mail' };
+		const existingState = cloneDeep( initialState );
+		existingState[ orderId ].form.isSubmitting = true;
+		const state = reducer( existingState, {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_STILL_PROCESSING,
+			labels: [ label ],
+			siteId,
+			orderId,
+		} );
+
+		expect( state[ orderId ].form.isSubmitting ).to.equal( false );
+		expect( state[ orderId ].labels ).to.deep.equal( [ label ] );
+	} );
+
+	it( 'PURCHASE_LABEL_RESPONSE replaces the labels that were still processing', () => {
+		const existingState = cloneDeep( initialState );
+		existingState[ orderId ].labels = [ { label_id: 2, status: 'PURCHASE_IN_PROGRESS' } ];
+		const label = { label_id: 2, status: 'PURCHASED' };
+
+		const purchasedState = reducer( existingState, {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
+			response: [ label ],
+			error: null,
+			siteId,
+			orderId,
+		} );
+		expect( purchasedState[ orderId ].labels ).to.deep.equal( [ { ...label, statusUpdated: true } ] );
+
+		const failedState = reducer( existingState, {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PURCHASE_RESPONSE,
+			response: existingState[ orderId ].labels,
+			error: true,
+			siteId,
+			orderId,
+		} );
+		expect( failedState[ orderId ].labels ).to.deep.equal( [] );
+	} );
+
 	it( 'Maintains fixed precision upon adjusting total weight', () => {
 		const existingState = cloneDeep( initialState );
 		existingState[ orderId ].form.packages.selected.weight_0_custom1 = {
@@ -461,6 +680,25 @@ describe( 'Label purchase form reducer', () => {
 		expect( state[ orderId ].form.rates.values.weight_0_custom1 ).to.eql( { serviceId: '', signatureRequired: false } );
 	} );
 
+	it( 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE updates package declared value and clears rates', () => {
+		const action = {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_SET_PACKAGE_INSURANCE,
+			siteId,
+			orderId,
+			packageId: 'weight_0_custom1',
+			insurance: '45.5',
+		};
+		const state = reducer( initialState, action );
+
+		expect( state[ orderId ].form.packages.selected.weight_0_custom1.insurance ).to.eql( 45.5 );
+		expect( state[ orderId ].form.packages.saved ).to.be.false;
+		expect( state[ orderId ].form.rates.available ).to.be.an( 'object' ).that.is.empty;
+		expect( state[ orderId ].form.rates.values.weight_0_custom1 ).to.eql( { serviceId: '', signatureRequired: false } );
+
+		const uninsuredState = reducer( state, { ...action, insurance: null } );
+		expect( uninsuredState[ orderId ].form.packages.selected.weight_0_custom1.insurance ).to.be.null;
+	} );
+
 	it( 'WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT updates package weight option and clears rates', () => {
 		const action = {
 			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_UPDATE_PACKAGE_WEIGHT,
@@ -545,4 +783,433 @@ describe( 'Label purchase form reducer', () => {
 		expect( state[ orderId ].form.fileData ).to.equal( action.fileData );
 		expect( initialState[ orderId ].labels ).to.deep.equal( state[ orderId ].labels );
 	} );
+
+	describe( 'label drafts', () => {
+		const draft = {
+			form: {
+				origin: {
+					values: { address: 'Draft street', postcode: '94110', state: 'CA', country: 'US' },
+					isNormalized: true,
+					normalized: null,
+				},
+				destination: {
+					isNormalized: false,
+				},
+				packages: {
+					selected: {
+						draft_package: {
+							items: [ { product_id: 123, weight: 1.2 }, { product_id: 456, weight: 2.3 } ],
+						},
+					},
+					saved: true,
+				},
+				rates: {
+					values: { draft_package: { serviceId: 'Priority', signatureRequired: true } },
+				},
+			},
+			labelsCount: 0,
+		};
+
+		it( 'OFFER_DRAFT stores the draft without touching the form', () => {
+			const state = reducer( initialState, offerLabelDraft( orderId, siteId, draft ) );
+
+			expect( state[ orderId ].draft ).to.equal( draft );
+			expect( state[ orderId ].form ).to.equal( initialState[ orderId ].form );
+		} );
+
+		it( 'RESTORE_DRAFT replaces the form with the draft and keeps the selected rates', () => {
+			const offeredState = reducer( initialState, offerLabelDraft( orderId, siteId, draft ) );
+			const state = reducer( offeredState, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+				orderId,
+				siteId,
+				draft,
+			} );
+			const { form } = state[ orderId ];
+
+			expect( state[ orderId ].draft ).to.be.null;
+			expect( state[ orderId ].openedPackageId ).to.eql( 'draft_package' );
+			expect( form.origin.values ).to.eql( draft.form.origin.values );
+			expect( form.origin.ignoreValidation ).to.eql( initialState[ orderId ].form.origin.ignoreValidation );
+			expect( form.packages.selected ).to.eql( draft.form.packages.selected );
+			expect( form.packages.isPacked ).to.be.true;
+			expect( form.rates.values ).to.eql( {
+				draft_package: { serviceId: 'Priority', signatureRequired: true },
+			} );
+		} );
+
+		it( 'RESTORE_DRAFT clears the selected rates that are no longer available', () => {
+			const offeredState = cloneDeep( reducer( initialState, offerLabelDraft( orderId, siteId, draft ) ) );
+			offeredState[ orderId ].form.rates.available = {
+				draft_package: { default: { rates: [ { service_id: 'Express' } ], errors: [] } },
+			};
+			const state = reducer( offeredState, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_RESTORE_DRAFT,
+				orderId,
+				siteId,
+				draft,
+			} );
+
+			expect( state[ orderId ].form.rates.values ).to.eql( {
+				draft_package: { serviceId: '', signatureRequired: false },
+			} );
+		} );
+
+		it( 'DISCARD_DRAFT drops the offered draft', () => {
+			const offeredState = reducer( initialState, offerLabelDraft( orderId, siteId, draft ) );
+			const state = reducer( offeredState, discardLabelDraft( orderId, siteId ) );
+
+			expect( state[ orderId ].draft ).to.be.null;
+			expect( state[ orderId ].form ).to.equal( initialState[ orderId ].form );
+		} );
+	} );
+
+	describe( 'return labels', () => {
+		const label = {
+			label_id: 7,
+			product_ids: [ 456 ],
+			product_names: [ 'Item 456' ],
+			box_id: 'medium_box',
+			length: 10,
+			width: 8,
+			height: 4,
+			weight: 3,
+		};
+		const openReturnFlow = state =>
+			reducer( state, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_RETURN_FLOW,
+				orderId,
+				siteId,
+				label,
+			} );
+
+		it( 'OPEN_RETURN_FLOW swaps the addresses and selects the package of the label', () => {
+			const state = openReturnFlow( initialState );
+			const { form } = state[ orderId ];
+			const originalForm = initialState[ orderId ].form;
+
+			expect( state[ orderId ].showPurchaseDialog ).to.be.true;
+			expect( form.returnLabel ).to.eql( { labelId: 7, payOnScan: false } );
+			expect( form.origin.isNormalized ).to.eql( originalForm.destination.isNormalized );
+			expect( form.destination.values ).to.eql( originalForm.origin.values );
+			expect( form.packages.selected ).to.eql( {
+				return_package: {
+					id: 'return_package',
+					box_id: 'medium_box',
+					length: 10,
+					width: 8,
+					height: 4,
+					weight: 3,
+					is_letter: false,
+					items: [ { product_id: 456, weight: 2.3 } ],
+				},
+			} );
+			expect( form.rates.values ).to.eql( {
+				return_package: { serviceId: '', signatureRequired: false },
+			} );
+		} );
+
+		it( 'UPDATE_RATE turns off pay on scan when the carrier of the new rate does not offer it', () => {
+			let state = reducer( openReturnFlow( initialState ), updateRate( orderId, siteId, 'return_package', 'Priority', 'usps', false ) );
+			state = reducer( state, setReturnPayOnScan( orderId, siteId, true ) );
+			expect( state[ orderId ].form.returnLabel.payOnScan ).to.be.true;
+
+			state = reducer( state, updateRate( orderId, siteId, 'return_package', 'Ground', 'ups', false ) );
+			expect( state[ orderId ].form.returnLabel.payOnScan ).to.be.false;
+		} );
+
+		it( 'EXIT_PRINTING_FLOW puts back the form from before the return flow', () => {
+			const state = reducer( openReturnFlow( initialState ), {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_EXIT_PRINTING_FLOW,
+				orderId,
+				siteId,
+				force: true,
+			} );
+
+			expect( state[ orderId ].form ).to.eql( { ...initialState[ orderId ].form, isSubmitting: false } );
+			expect( state[ orderId ].formBeforeReturn ).to.be.null;
+			expect( state[ orderId ].openedPackageId ).to.eql( 'weight_0_custom1' );
+		} );
+	} );
+
+	describe( 'pickups', () => {
+		const pickup = {
+			confirmation_number: 'WTC123',
+			carrier_id: 'usps',
+			labels: [ { order_id: orderId, label_id: 7 }, { order_id: 2, label_id: 8 } ],
+		};
+
+		const openPickupDialog = () =>
+			reducer(
+				{ [ orderId ]: { ...initialState[ orderId ], labels: [ { label_id: 7 }, { label_id: 9 } ] } },
+				{
+					type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_OPEN_PICKUP_DIALOG,
+					orderId,
+					siteId,
+					labelId: 7,
+					carrierId: 'usps',
+					origin: initialState[ orderId ].form.origin.values,
+				}
+			);
+
+		it( 'OPEN_PICKUP_DIALOG selects the label and pre-fills the location with the origin address', () => {
+			const { pickupDialog } = openPickupDialog()[ orderId ];
+
+			expect( pickupDialog.isFetching ).to.be.true;
+			expect( pickupDialog.selected ).to.eql( [ { order_id: orderId, label_id: 7 } ] );
+			expect( pickupDialog.values ).to.include( { address: 'Some street', state: 'CA', country: 'US' } );
+		} );
+
+		it( 'TOGGLE_PICKUP_LABEL adds and removes labels from other orders', () => {
+			const added = reducer( openPickupDialog(), togglePickupLabel( orderId, siteId, 2, 8 ) );
+			expect( added[ orderId ].pickupDialog.selected ).to.eql( [
+				{ order_id: orderId, label_id: 7 },
+				{ order_id: 2, label_id: 8 },
+			] );
+
+			const removed = reducer( added, togglePickupLabel( orderId, siteId, orderId, 7 ) );
+			expect( removed[ orderId ].pickupDialog.selected ).to.eql( [ { order_id: 2, label_id: 8 } ] );
+		} );
+
+		it( 'UPDATE_PICKUP_FIELD changes a single value', () => {
+			const state = reducer( openPickupDialog(), updatePickupField( orderId, siteId, 'pickup_date', '2020-05-04' ) );
+
+			expect( state[ orderId ].pickupDialog.values.pickup_date ).to.eql( '2020-05-04' );
+			expect( state[ orderId ].pickupDialog.values.address ).to.eql( 'Some street' );
+		} );
+
+		it( 'PICKUP_RESPONSE stores the pickup in the labels of the order', () => {
+			const state = reducer( openPickupDialog(), {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+				orderId,
+				siteId,
+				pickup,
+				error: null,
+			} );
+
+			expect( state[ orderId ].pickupDialog ).to.be.null;
+			expect( state[ orderId ].labels ).to.eql( [ { label_id: 7, pickup }, { label_id: 9 } ] );
+		} );
+
+		it( 'PICKUP_RESPONSE keeps the dialog open on errors', () => {
+			const state = reducer( openPickupDialog(), {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_RESPONSE,
+				orderId,
+				siteId,
+				pickup: null,
+				error: 'No pickups on Sundays',
+			} );
+
+			expect( state[ orderId ].pickupDialog.isSubmitting ).to.be.false;
+			expect( state[ orderId ].labels ).to.eql( [ { label_id: 7 }, { label_id: 9 } ] );
+		} );
+
+		it( 'PICKUP_CANCEL_RESPONSE removes the pickup from the labels', () => {
+			const scheduledState = {
+				[ orderId ]: {
+					...initialState[ orderId ],
+					labels: [ { label_id: 7, pickup }, { label_id: 9 } ],
+					detailsDialog: { labelId: 7, isCancellingPickup: true },
+				},
+			};
+			const state = reducer( scheduledState, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_PICKUP_CANCEL_RESPONSE,
+				orderId,
+				siteId,
+				confirmationNumber: 'WTC123',
+				error: null,
+			} );
+
+			expect( state[ orderId ].labels ).to.eql( [ { label_id: 7 }, { label_id: 9 } ] );
+			expect( state[ orderId ].detailsDialog.isCancellingPickup ).to.be.false;
+		} );
+	} );
+
+	describe( 'packing station', () => {
+		const activeState = reducer( initialState, setPackingStationActive( orderId, siteId, true ) );
+
+		it( 'SET_PACKING_STATION_ACTIVE starts with every unit unscanned', () => {
+			const scannedState = reducer( activeState, scanPackingStationItem( orderId, siteId, 'weight_0_custom1', 0 ) );
+			const state = reducer( scannedState, setPackingStationActive( orderId, siteId, true ) );
+
+			expect( state[ orderId ].form.packages.packingStation ).to.eql( { active: true, extraScans: [] } );
+			expect( state[ orderId ].form.packages.selected.weight_0_custom1.items[ 0 ] ).to.eql( {
+				product_id: 123,
+				weight: 1.2,
+			} );
+		} );
+
+		it( 'SCAN_PACKING_STATION_ITEM flags the unit as scanned', () => {
+			const state = reducer( activeState, scanPackingStationItem( orderId, siteId, 'weight_1_custom1', 0 ) );
+
+			expect( state[ orderId ].form.packages.selected.weight_1_custom1.items[ 0 ].isScanned ).to.be.true;
+			expect( state[ orderId ].form.packages.selected.weight_0_custom1 ).to.equal(
+				activeState[ orderId ].form.packages.selected.weight_0_custom1
+			);
+		} );
+
+		it( 'keeps the codes that are not in the order until they are cleared', () => {
+			const state = [ 'ABC', 'DEF' ].reduce(
+				( result, code ) => reducer( result, addPackingStationExtraScan( orderId, siteId, code ) ),
+				activeState
+			);
+			expect( state[ orderId ].form.packages.packingStation.extraScans ).to.eql( [ 'ABC', 'DEF' ] );
+
+			const clearedState = reducer( state, clearPackingStationExtraScans( orderId, siteId ) );
+			expect( clearedState[ orderId ].form.packages.packingStation.extraScans ).to.eql( [] );
+		} );
+	} );
+
+	describe( 'bulk refunds', () => {
+		const selectedState = [ 7, 9 ].reduce(
+			( result, labelId ) => reducer( result, toggleLabelRefundSelection( orderId, siteId, labelId ) ),
+			{ [ orderId ]: { ...initialState[ orderId ], labels: [ { label_id: 7 }, { label_id: 9 } ] } }
+		);
+		const submittingState = reducer( reducer( selectedState, openBulkRefundDialog( orderId, siteId ) ), {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_REQUEST,
+			labelIds: [ 7, 9 ],
+			orderId,
+			siteId,
+		} );
+		const respond = ( state, labelId, error = null ) =>
+			reducer( state, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_BULK_REFUND_RESPONSE,
+				labelId,
+				response: error ? null : { status: 'pending', request_date: 1000 },
+				error,
+				orderId,
+				siteId,
+			} );
+
+		it( 'TOGGLE_REFUND_SELECTION adds and removes the label', () => {
+			expect( selectedState[ orderId ].refundSelection ).to.eql( [ 7, 9 ] );
+
+			const state = reducer( selectedState, toggleLabelRefundSelection( orderId, siteId, 7 ) );
+			expect( state[ orderId ].refundSelection ).to.eql( [ 9 ] );
+		} );
+
+		it( 'stays submitting until every refund request is answered', () => {
+			const state = respond( submittingState, 7 );
+
+			expect( state[ orderId ].bulkRefundDialog.isSubmitting ).to.be.true;
+			expect( state[ orderId ].bulkRefundDialog.results ).to.eql( {
+				7: { status: 'accepted' },
+				9: { status: 'pending' },
+			} );
+
+			// The dialog can't be closed while the queue is running
+			expect( reducer( state, closeBulkRefundDialog( orderId, siteId ) ) ).to.equal( state );
+		} );
+
+		it( 'BULK_REFUND_RESPONSE stores the refund of accepted labels and keeps the failed ones selected', () => {
+			const state = respond( respond( submittingState, 7 ), 9, 'Label already used' );
+
+			expect( state[ orderId ].bulkRefundDialog.isSubmitting ).to.be.false;
+			expect( state[ orderId ].bulkRefundDialog.results[ 9 ] ).to.eql( {
+				status: 'failed',
+				error: 'Label already used',
+			} );
+			expect( state[ orderId ].labels ).to.eql( [
+				{ label_id: 7, refund: { status: 'pending', request_date: 1000 } },
+				{ label_id: 9 },
+			] );
+			expect( state[ orderId ].refundSelection ).to.eql( [ 9 ] );
+
+			const closedState = reducer( state, closeBulkRefundDialog( orderId, siteId ) );
+			expect( closedState[ orderId ].bulkRefundDialog ).to.be.null;
+		} );
+	} );
+
+	describe( 'tracking', () => {
+		const labelState = { [ orderId ]: { ...initialState[ orderId ], labels: [ { label_id: 7 }, { label_id: 9 } ] } };
+		const fetchingState = reducer( labelState, {
+			type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_REQUEST,
+			labelId: 7,
+			orderId,
+			siteId,
+		} );
+
+		it( 'TRACKING_RESPONSE stores the timeline and the latest status in the label', () => {
+			const response = { status: 'in_transit', estimated_delivery: null, exception: null, events: [] };
+			const state = reducer( fetchingState, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
+				labelId: 7,
+				response,
+				error: null,
+				orderId,
+				siteId,
+			} );
+
+			expect( state[ orderId ].tracking[ 7 ] ).to.eql( { isFetching: false, error: null, data: response } );
+			expect( state[ orderId ].labels ).to.eql( [ { label_id: 7, tracking_status: 'in_transit' }, { label_id: 9 } ] );
+		} );
+
+		it( 'TRACKING_RESPONSE keeps the labels untouched on errors', () => {
+			const state = reducer( fetchingState, {
+				type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TRACKING_RESPONSE,
+				labelId: 7,
+				response: null,
+				error: 'Carrier unavailable',
+				orderId,
+				siteId,
+			} );
+
+			expect( state[ orderId ].tracking[ 7 ] ).to.eql( { isFetching: false, error: 'Carrier unavailable' } );
+			expect( state[ orderId ].labels ).to.equal( labelState[ orderId ].labels );
+		} );
+
+		it( 'TOGGLE_TRACKING_TIMELINE opens and closes the timeline of one label', () => {
+			const toggle = state =>
+				reducer( state, {
+					type: WOOCOMMERCE_SERVICES_SHIPPING_LABEL_TOGGLE_TRACKING_TIMELINE,
+					labelId: 9,
+					orderId,
+					siteId,
+				} );
+			const openState = toggle( fetchingState );
+
+			expect( openState[ orderId ].tracking[ 9 ].isOpen ).to.be.true;
+			expect( openState[ orderId ].tracking[ 7 ] ).to.equal( fetchingState[ orderId ].tracking[ 7 ] );
+			expect( toggle( openState )[ orderId ].tracking[ 9 ].isOpen ).to.be.false;
+		} );
+	} );
+
+	describe( 'partial fulfillment', () => {
+		const orderPackages = initialState[ orderId ].form.packages.selected;
+		const shippedState = {
+			[ orderId ]: {
+				...initialState[ orderId ],
+				orderPackages,
+				labels: [ { label_id: 7, product_ids: [ 123 ] } ],
+			},
+		};
+
+		it( 'PREFILL_UNSHIPPED_ITEMS leaves out the packages a label already ships', () => {
+			const state = reducer( shippedState, prefillUnshippedItems( orderId, siteId ) );
+
+			expect( state[ orderId ].form.packages.selected ).to.eql( { weight_1_custom1: orderPackages.weight_1_custom1 } );
+			expect( state[ orderId ].openedPackageId ).to.equal( 'weight_1_custom1' );
+			expect( state[ orderId ].form.rates.values ).to.eql( {
+				weight_1_custom1: { serviceId: '', signatureRequired: false },
+			} );
+		} );
+
+		it( 'PREFILL_UNSHIPPED_ITEMS puts the items of refunded labels back', () => {
+			const refundedState = {
+				[ orderId ]: {
+					...shippedState[ orderId ],
+					labels: [ { label_id: 7, product_ids: [ 123 ], refund: { status: 'pending' } } ],
+				},
+			};
+			const state = reducer( refundedState, prefillUnshippedItems( orderId, siteId ) );
+
+			expect( state[ orderId ].form.packages.selected ).to.eql( orderPackages );
+		} );
+
+		it( 'PREFILL_UNSHIPPED_ITEMS does not change the form while a label is being bought', () => {
+			const openState = { [ orderId ]: { ...shippedState[ orderId ], showPurchaseDialog: true } };
+
+			expect( reducer( openState, prefillUnshippedItems( orderId, siteId ) ) ).to.equal( openState );
+		} );
+	} );
 } );
@@ -8,7 +8,13 @@ import { expect } from 'chai';
 /**
  * Internal dependencies
  */
-import { getRatesErrors, getRawAddressErrors, getTotalPriceBreakdown, isAddressUsable } from '../selectors';
+import {
+	getCustomsErrors,
+	getRatesErrors,
+	getRawAddressErrors,
+	getTotalPriceBreakdown,
+	isAddressUsable,
+} from '../selectors';
 
 describe( '#getRatesErrors', () => {
 	// when there are selected rates
@@ -410,9 +416,46 @@ describe( 'Shipping label selectors', () => {
 			},
 		} );
 		const result = getTotalPriceBreakdown( state, orderId, siteId );
-		expect( result.prices ).to.eql( [ { title: 'USPS - Priority Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 7.8, rateWithDiscount: 6.61, addons: [] } ] );
+		expect( result.prices ).to.eql( [ { title: 'USPS - Priority Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 7.8, rateWithDiscount: 6.61, currency: 'USD', addons: [] } ] );
 		expect( result.discount ).to.eql( 1.19 );
 		expect( result.total ).to.eql( 6.61 );
+		expect( result.currency ).to.eql( 'USD' );
+	} );
+
+	it( 'getTotalPriceBreakdown - adds the insurance as an addon when the package has a declared value', () => {
+		const state = getFullState( {
+			form: {
+				packages: {
+					selected: {
+						default_box: { insurance: 120 },
+					},
+				},
+				rates: {
+					values: {
+						default_box: { serviceId: 'Priority', signatureRequired: false }
+					},
+					available: {
+						default_box: {
+							default: {
+								rates: [
+									{
+										carrier_id: 'usps',
+										rate: 6.61,
+										retail_rate: 7.8,
+										insurance_cost: 2.4,
+										service_id: 'Priority',
+										title: 'USPS - Priority Mail',
+									},
+								],
+							}
+						},
+					},
+				},
+			},
+		} );
+		const result = getTotalPriceBreakdown( state, orderId, siteId );
+		expect( result.prices[ 0 ].addons ).to.eql( [ { title: 'Insurance ($120.00)', rate: 2.4 } ] );
+		expect( result.total ).to.eql( 9.01 );
 	} );
 
 	it( 'getTotalPriceBreakdown - returns a breakdown when one out of many rates is selected', () => {
@@ -459,7 +502,7 @@ describe( 'Shipping label selectors', () => {
 			},
 		} );
 		const result = getTotalPriceBreakdown( state, orderId, siteId );
-		expect( result.prices ).to.eql( [ { title: 'USPS - Priority Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 7.8, rateWithDiscount: 6.61, addons: [] } ] );
+		expect( result.prices ).to.eql( [ { title: 'USPS - Priority Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 7.8, rateWithDiscount: 6.61, currency: 'USD', addons: [] } ] );
 		expect( result.discount ).to.eql( 1.19 );
 		expect( result.total ).to.eql( 6.61 );
 	} );
@@ -510,13 +553,64 @@ describe( 'Shipping label selectors', () => {
 		const result = getTotalPriceBreakdown( state, orderId, siteId );
 		expect( result.prices ).to.eql( [
 
-			{ title: 'USPS - Priority Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 7.8, rateWithDiscount: 6.61, addons: [] },
-			{ title: 'USPS - Express Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 23.85, rateWithDiscount: 21.18, addons: [] },
+			{ title: 'USPS - Priority Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 7.8, rateWithDiscount: 6.61, currency: 'USD', addons: [] },
+			{ title: 'USPS - Express Mail', carrierId: 'usps', carrierTitle: 'USPS', retailRate: 23.85, rateWithDiscount: 21.18, currency: 'USD', addons: [] },
 		] );
 		expect( result.discount ).to.eql( 3.86 );
 		expect( result.total ).to.eql( 27.79 );
 	} );
 
+	it( 'getTotalPriceBreakdown - breaks the total down by currency when the rates are in several currencies', () => {
+		const state = getFullState( {
+			form: {
+				rates: {
+					values: {
+						box1: { serviceId: 'Priority', signatureRequired: false },
+						box2: { serviceId: 'ExpressWorldwide', signatureRequired: false },
+					},
+					available: {
+						box1: {
+							default: {
+								rates: [
+									{
+										carrier_id: 'usps',
+										rate: 6.61,
+										retail_rate: 7.8,
+										service_id: 'Priority',
+										title: 'USPS - Priority Mail',
+									},
+								],
+							}
+						},
+						box2: {
+							default: {
+								rates: [
+									{
+										carrier_id: 'dhlexpress',
+										rate: 45.5,
+										retail_rate: 45.5,
+										service_id: 'ExpressWorldwide',
+										title: 'DHL - Express Worldwide',
+										currency: 'EUR',
+									},
+								],
+							}
+						},
+					},
+				},
+			},
+		} );
+		const result = getTotalPriceBreakdown( state, orderId, siteId );
+		expect( result.prices[ 1 ].currency ).to.eql( 'EUR' );
+		expect( result.subtotals ).to.eql( [
+			{ currency: 'USD', total: 6.61, discount: 1.19 },
+			{ currency: 'EUR', total: 45.5, discount: 0 },
+		] );
+		expect( result.currency ).to.be.null;
+		expect( result.total ).to.be.null;
+		expect( result.discount ).to.be.null;
+	} );
+
 	const getAddressState = ( group, values = {} ) => {
 		return getFullState( {
 			form: {
@@ -657,3 +751,27 @@ describe( 'Shipping label form validation', () => {
 	} );
 
 } );
+
+describe( '#getCustomsErrors', () => {
+	const packages = {
+		box_1: { items: [ { product_id: 1, quantity: 1 } ] },
+	};
+	const getTariffNumberError = tariffNumber => {
+		const customs = {
+			items: {
+				1: { description: 'Mug', value: 10, weight: 1, originCountry: 'US', tariffNumber },
+			},
+		};
+		return getCustomsErrors( packages, customs, 'DE', 'Germany' ).items[ 1 ].tariffNumber;
+	};
+
+	it( 'accepts the tariff numbers listed in the HS codes dataset', () => {
+		expect( getTariffNumberError( '691200' ) ).to.be.undefined;
+		expect( getTariffNumberError( '' ) ).to.be.undefined;
+	} );
+
+	it( 'rejects the tariff numbers missing from the HS codes dataset', () => {
+		expect( getTariffNumberError( '691201' ) ).to.equal( 'This tariff number is not a known HS code' );
+		expect( getTariffNumberError( '6912' ) ).to.equal( 'The tariff number must be 6 digits long' );
+	} );
+} );
@@ -0,0 +1,153 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button, Card } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import { getPaperSizes } from 'woocommerce/woocommerce-services/lib/pdf-label-utils';
+import formatSubtotals from 'woocommerce/woocommerce-services/lib/utils/format-subtotals';
+import BulkOrderRow from './order-row';
+import {
+	fetchBulkRates,
+	printBulkLabels,
+	purchaseBulkLabels,
+	updateBulkPaperSize,
+} from 'woocommerce/woocommerce-services/state/bulk-label/actions';
+import {
+	getBulkOrderIds,
+	getBulkPaperSize,
+	getBulkPurchasableOrderIds,
+	getBulkPurchasedLabels,
+	getBulkSubtotals,
+	isBulkPrinting,
+	isBulkPurchasing,
+} from 'woocommerce/woocommerce-services/state/bulk-label/selectors';
+import { getLabelSettingsStoreOptions } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
+
+export const BulkLabelPurchase = props => {
+	const {
+		siteId,
+		orderIds,
+		purchasableCount,
+		purchasedCount,
+		subtotals,
+		paperSize,
+		originCountry,
+		purchasing,
+		printing,
+		translate,
+	} = props;
+
+	const onPurchase = () => props.purchaseBulkLabels( siteId );
+	const onPrint = () => props.printBulkLabels( siteId );
+	const onRefreshRates = () => props.fetchBulkRates( siteId );
+	const onPaperSizeChange = value => props.updateBulkPaperSize( siteId, value );
+
+	return (
+		<Card className="bulk-label-purchase">
+			<table className="bulk-label-purchase__table widefat striped">
+				<thead>
+					<tr>
+						<th />
+						<th>{ translate( 'Order' ) }</th>
+						<th>{ translate( 'Ship to' ) }</th>
+						<th>{ translate( 'Service' ) }</th>
+						<th>{ translate( 'Rate' ) }</th>
+						<th>{ translate( 'Status' ) }</th>
+					</tr>
+				</thead>
+				<tbody>
+					{ orderIds.map( orderId => (
+						<BulkOrderRow key={ orderId } siteId={ siteId } orderId={ orderId } />
+					) ) }
+				</tbody>
+			</table>
+			<div className="bulk-label-purchase__footer">
+				<Dropdown
+					id={ 'bulk_paper_size' }
+					valuesMap={ getPaperSizes( originCountry ) }
+					title={ translate( 'Paper size' ) }
+					value={ paperSize }
+					updateValue={ onPaperSizeChange }
+				/>
+				<div className="bulk-label-purchase__actions">
+					<Button isSecondary onClick={ onRefreshRates } disabled={ purchasing }>
+						{ translate( 'Refresh rates' ) }
+					</Button>
+					{ 0 < purchasedCount && (
+						<Button isSecondary onClick={ onPrint } isBusy={ printing } disabled={ purchasing || printing }>
+							{ translate( 'Print all purchased labels' ) }
+						</Button>
+					) }
+					<Button
+						isPrimary
+						onClick={ onPurchase }
+						isBusy={ purchasing }
+						disabled={ purchasing || ! purchasableCount || ! paperSize }
+					>
+						{ translate(
+							'Buy %(count)d shipping label (%(total)s)',
+							'Buy %(count)d shipping labels (%(total)s)',
+							{
+								count: purchasableCount,
+								args: { count: purchasableCount, total: formatSubtotals( subtotals ) },
+							}
+						) }
+					</Button>
+				</div>
+			</div>
+		</Card>
+	);
+};
+
+BulkLabelPurchase.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderIds: PropTypes.array.isRequired,
+	purchasableCount: PropTypes.number.isRequired,
+	purchasedCount: PropTypes.number.isRequired,
+	subtotals: PropTypes.array.isRequired,
+	paperSize: PropTypes.string,
+	originCountry: PropTypes.string,
+	purchasing: PropTypes.bool.isRequired,
+	printing: PropTypes.bool.isRequired,
+};
+
+const mapStateToProps = ( state, { siteId } ) => {
+	const storeOptions = getLabelSettingsStoreOptions( state, siteId );
+	return {
+		orderIds: getBulkOrderIds( state, siteId ),
+		purchasableCount: getBulkPurchasableOrderIds( state, siteId ).length,
+		purchasedCount: getBulkPurchasedLabels( state, siteId ).length,
+		subtotals: getBulkSubtotals( state, siteId ),
+		paperSize: getBulkPaperSize( state, siteId ),
+		originCountry: storeOptions && storeOptions.origin_country,
+		purchasing: isBulkPurchasing( state, siteId ),
+		printing: isBulkPrinting( state, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators(
+		{
+			fetchBulkRates,
+			printBulkLabels,
+			purchaseBulkLabels,
+			updateBulkPaperSize,
+		},
+		dispatch
+	);
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( BulkLabelPurchase ) );
@@ -0,0 +1,146 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { CheckboxControl } from '@wordpress/components';
+import { map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Spinner from 'wcs-client/components/spinner';
+import formatSubtotals from 'woocommerce/woocommerce-services/lib/utils/format-subtotals';
+import { toggleBulkOrder } from 'woocommerce/woocommerce-services/state/bulk-label/actions';
+import {
+	getBulkOrder,
+	getBulkOrderErrors,
+	isBulkOrderPurchasable,
+	isBulkPurchasing,
+} from 'woocommerce/woocommerce-services/state/bulk-label/selectors';
+import {
+	getShippingLabel,
+	getTotalPriceBreakdown,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const BulkOrderRow = props => {
+	const {
+		siteId,
+		orderId,
+		order,
+		destination,
+		priceBreakdown,
+		errors,
+		purchasable,
+		purchasing,
+		translate,
+	} = props;
+
+	const stepNames = {
+		origin: translate( 'Origin address' ),
+		destination: translate( 'Destination address' ),
+		packages: translate( 'Packages' ),
+		customs: translate( 'Customs' ),
+		rates: translate( 'Rates' ),
+	};
+
+	const renderStatus = () => {
+		if ( 'purchased' === order.purchaseStatus ) {
+			return (
+				<span className="bulk-label-purchase__status is-success">
+					{ translate( 'Purchased' ) }
+				</span>
+			);
+		}
+		if ( 'processing' === order.purchaseStatus ) {
+			return (
+				<span className="bulk-label-purchase__status">
+					{ translate( 'Still processing, this will update when the label is ready' ) }
+				</span>
+			);
+		}
+		if ( 'purchasing' === order.purchaseStatus || 'loading' === order.ratesStatus ) {
+			return <Spinner size={ 18 } />;
+		}
+		if ( order.purchaseError || order.ratesError ) {
+			return (
+				<span className="bulk-label-purchase__status is-error">
+					{ order.purchaseError || order.ratesError }
+				</span>
+			);
+		}
+		return map( errors, ( messages, step ) => (
+			<p key={ step } className="bulk-label-purchase__error">
+				<strong>{ stepNames[ step ] }:</strong> { messages.join( ' ' ) }
+			</p>
+		) );
+	};
+
+	const renderServices = () => {
+		if ( ! priceBreakdown || ! priceBreakdown.prices.length ) {
+			return '—';
+		}
+		return map( priceBreakdown.prices, ( price, index ) => <div key={ index }>{ price.title }</div> );
+	};
+
+	const onToggle = () => props.toggleBulkOrder( siteId, orderId );
+
+	return (
+		<tr className="bulk-label-purchase__row">
+			<td>
+				<CheckboxControl
+					checked={ order.selected && purchasable }
+					disabled={ ! purchasable || purchasing }
+					onChange={ onToggle }
+				/>
+			</td>
+			<td>
+				<a href={ `post.php?post=${ orderId }&action=edit` }>#{ orderId }</a>
+			</td>
+			<td>
+				{ destination.name }
+				<br />
+				{ destination.city }, { destination.country }
+			</td>
+			<td>{ renderServices() }</td>
+			<td>{ priceBreakdown ? formatSubtotals( priceBreakdown.subtotals ) : '—' }</td>
+			<td>{ renderStatus() }</td>
+		</tr>
+	);
+};
+
+BulkOrderRow.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	order: PropTypes.object.isRequired,
+	destination: PropTypes.object.isRequired,
+	priceBreakdown: PropTypes.object,
+	errors: PropTypes.object.isRequired,
+	purchasable: PropTypes.bool.isRequired,
+	purchasing: PropTypes.bool.isRequired,
+	toggleBulkOrder: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => {
+	const shippingLabel = getShippingLabel( state, orderId, siteId );
+	return {
+		order: getBulkOrder( state, orderId, siteId ),
+		destination: shippingLabel.form.destination.values,
+		priceBreakdown: getTotalPriceBreakdown( state, orderId, siteId ),
+		errors: getBulkOrderErrors( state, orderId, siteId ),
+		purchasable: isBulkOrderPurchasable( state, orderId, siteId ),
+		purchasing: isBulkPurchasing( state, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch => bindActionCreators( { toggleBulkOrder }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( BulkOrderRow ) );
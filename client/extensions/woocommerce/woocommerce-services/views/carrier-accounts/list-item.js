@@ -17,6 +17,7 @@ import { Button } from '@wordpress/components';
  * Internal dependencies
  */
 import CarrierIcon from '../../components/carrier-icon';
+import { getCarrierIdByAccountType } from 'woocommerce/woocommerce-services/lib/carriers';
 import Dialog from 'components/dialog';
 import * as api from 'woocommerce/woocommerce-services/api';
 import { errorNotice as errorNoticeAction, successNotice as successNoticeAction } from 'state/notices/actions'
@@ -79,17 +80,10 @@ const CarrierAccountListItem = ( props ) => {
 		];
 	}, [handleDisconnectDialogCancel, handleDisconnectConfirmation, isSaving]);
 
-	const carrierTypeIconMap = {
-		DhlExpressAccount: 'dhlexpress',
-		DhlEcsAccount: 'dhlecommerce',
-		DhlEcommerceAsiaAccount: 'dhlecommerceasia',
-		UpsAccount: 'ups',
-	}
-
 	return (
 		<div className="carrier-accounts__list-item">
 			<div className="carrier-accounts__list-item-carrier-icon">
-				<CarrierIcon carrier={ carrierTypeIconMap[accountData.type] } size={ 18 } />
+				<CarrierIcon carrier={ getCarrierIdByAccountType( accountData.type ) } size={ 18 } />
 			</div>
 			<div className="carrier-accounts__list-item-name">
 				<span>{ accountData.carrier }</span>
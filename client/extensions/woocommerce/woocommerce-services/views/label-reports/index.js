@@ -0,0 +1,245 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize, moment } from 'i18n-calypso';
+import { Button, Card, TextControl } from '@wordpress/components';
+import classNames from 'classnames';
+import formatCurrency from '@automattic/format-currency';
+import { fromPairs, map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import ExtendedHeader from 'woocommerce/components/extended-header';
+import { getSelectedSiteId } from 'state/ui/selectors';
+import Spinner from 'wcs-client/components/spinner';
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import LabelReportTotals from './totals';
+import { getLabelReportHeadings, getRefundStatusNames } from 'woocommerce/woocommerce-services/lib/label-reports';
+import { getCarrierName } from 'woocommerce/woocommerce-services/lib/carriers';
+import {
+	exportLabelReport,
+	fetchLabelReport,
+	setLabelReportFilter,
+} from 'woocommerce/woocommerce-services/state/label-reports/actions';
+import { getLabelReportState } from 'woocommerce/woocommerce-services/state/label-reports/selectors';
+
+// Page size of the report endpoint
+const PER_PAGE = 50;
+
+class LabelReports extends Component {
+	componentDidMount() {
+		this.props.fetchLabelReport( this.props.siteId );
+	}
+
+	setFilter = field => value => {
+		// Clearing a date field would drop the whole range, the report keeps the last date picked instead
+		if ( ( 'start' === field || 'end' === field ) && ! value ) {
+			return;
+		}
+		this.props.setLabelReportFilter( this.props.siteId, field, value );
+	};
+
+	goToPage = page => () => this.props.fetchLabelReport( this.props.siteId, page );
+
+	onExport = () => this.props.exportLabelReport( this.props.siteId );
+
+	renderFilters() {
+		const { filters, carriers, services, isExporting, totalCount, translate } = this.props;
+
+		return (
+			<div className="label-reports__filters">
+				<TextControl
+					type="date"
+					label={ translate( 'From' ) }
+					value={ filters.start }
+					max={ filters.end }
+					onChange={ this.setFilter( 'start' ) }
+				/>
+				<TextControl
+					type="date"
+					label={ translate( 'To' ) }
+					value={ filters.end }
+					min={ filters.start }
+					onChange={ this.setFilter( 'end' ) }
+				/>
+				<Dropdown
+					id="label_reports_carrier"
+					title={ translate( 'Carrier' ) }
+					value={ filters.carrier }
+					valuesMap={ {
+						'': translate( 'All carriers' ),
+						...fromPairs( map( carriers, carrierId => [ carrierId, getCarrierName( carrierId ) ] ) ),
+					} }
+					updateValue={ this.setFilter( 'carrier' ) }
+				/>
+				<Dropdown
+					id="label_reports_service"
+					title={ translate( 'Service' ) }
+					value={ filters.service }
+					valuesMap={ {
+						'': translate( 'All services' ),
+						...fromPairs( map( services, service => [ service, service ] ) ),
+					} }
+					updateValue={ this.setFilter( 'service' ) }
+				/>
+				<Dropdown
+					id="label_reports_refund"
+					title={ translate( 'Refund' ) }
+					value={ filters.refund }
+					valuesMap={ { '': translate( 'Any' ), ...getRefundStatusNames() } }
+					updateValue={ this.setFilter( 'refund' ) }
+				/>
+				<Button
+					className={ classNames( 'button', 'label-reports__export' ) }
+					onClick={ this.onExport }
+					isBusy={ isExporting }
+					disabled={ isExporting || ! totalCount }
+				>
+					{ translate( 'Export CSV' ) }
+				</Button>
+			</div>
+		);
+	}
+
+	renderLabel = label => {
+		const refundStatusNames = getRefundStatusNames();
+
+		return (
+			<tr key={ label.label_id } className={ classNames( { 'is-refunded': 'refunded' === label.refund_status } ) }>
+				<td>{ moment( label.created ).format( 'lll' ) }</td>
+				<td>
+					{ label.order_url ? <a href={ label.order_url }>#{ label.order_number }</a> : `#${ label.order_number }` }
+				</td>
+				<td>{ getCarrierName( label.carrier_id ) }</td>
+				<td>{ label.service_name }</td>
+				<td>{ label.package_name }</td>
+				<td className="label-reports__cost">{ formatCurrency( label.rate, label.currency ) }</td>
+				<td>{ refundStatusNames[ label.refund_status ] }</td>
+				<td>{ label.tracking }</td>
+			</tr>
+		);
+	};
+
+	renderPagination() {
+		const { page, hasMore, totalCount, isFetching, translate } = this.props;
+		if ( 1 === page && ! hasMore ) {
+			return null;
+		}
+
+		return (
+			<div className="label-reports__pagination">
+				<Button isSecondary isSmall onClick={ this.goToPage( page - 1 ) } disabled={ isFetching || 1 === page }>
+					{ translate( 'Previous' ) }
+				</Button>
+				<span>
+					{ translate( 'Page %(page)d of %(pages)d', {
+						args: { page, pages: Math.ceil( totalCount / PER_PAGE ) },
+					} ) }
+				</span>
+				<Button isSecondary isSmall onClick={ this.goToPage( page + 1 ) } disabled={ isFetching || ! hasMore }>
+					{ translate( 'Next' ) }
+				</Button>
+			</div>
+		);
+	}
+
+	renderContent() {
+		const { isLoaded, isFetching, labels, totals, translate } = this.props;
+
+		if ( isFetching && ! isLoaded ) {
+			return (
+				<div className="label-reports__loading">
+					<Spinner size={ 24 } />
+				</div>
+			);
+		}
+
+		if ( ! labels.length ) {
+			return <p className="label-reports__empty">{ translate( 'No labels were bought in this period.' ) }</p>;
+		}
+
+		const headings = getLabelReportHeadings();
+
+		return (
+			<div className={ classNames( { 'is-loading': isFetching } ) }>
+				<LabelReportTotals totals={ totals } />
+				<table className="label-reports__labels widefat striped">
+					<thead>
+						<tr>
+							<th>{ headings.created }</th>
+							<th>{ headings.order }</th>
+							<th>{ headings.carrier }</th>
+							<th>{ headings.service }</th>
+							<th>{ headings.package }</th>
+							<th>{ headings.cost }</th>
+							<th>{ headings.refund }</th>
+							<th>{ headings.tracking }</th>
+						</tr>
+					</thead>
+					<tbody>{ labels.map( this.renderLabel ) }</tbody>
+				</table>
+				{ this.renderPagination() }
+			</div>
+		);
+	}
+
+	render() {
+		const { translate } = this.props;
+
+		return (
+			<div>
+				<ExtendedHeader
+					label={ translate( 'Label costs' ) }
+					description={ translate(
+						'Every label bought in a period, across all orders. Refunded labels are listed but not counted in the totals.'
+					) }
+				/>
+				<Card className="label-reports">
+					{ this.renderFilters() }
+					{ this.renderContent() }
+				</Card>
+			</div>
+		);
+	}
+}
+
+LabelReports.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	isLoaded: PropTypes.bool.isRequired,
+	isFetching: PropTypes.bool.isRequired,
+	isExporting: PropTypes.bool.isRequired,
+	filters: PropTypes.object.isRequired,
+	labels: PropTypes.array.isRequired,
+	page: PropTypes.number.isRequired,
+	hasMore: PropTypes.bool.isRequired,
+	totalCount: PropTypes.number.isRequired,
+	totals: PropTypes.object.isRequired,
+	carriers: PropTypes.array.isRequired,
+	services: PropTypes.array.isRequired,
+	fetchLabelReport: PropTypes.func.isRequired,
+	setLabelReportFilter: PropTypes.func.isRequired,
+	exportLabelReport: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => {
+	const siteId = getSelectedSiteId( state );
+	return {
+		siteId,
+		...getLabelReportState( state, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators( { exportLabelReport, fetchLabelReport, setLabelReportFilter }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( LabelReports ) );
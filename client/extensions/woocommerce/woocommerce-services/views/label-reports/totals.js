@@ -0,0 +1,74 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { localize } from 'i18n-calypso';
+import { map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getCarrierName } from 'woocommerce/woocommerce-services/lib/carriers';
+import formatSubtotals from 'woocommerce/woocommerce-services/lib/utils/format-subtotals';
+
+// The amounts are keyed by currency
+const formatAmounts = amounts => formatSubtotals( map( amounts, ( total, currency ) => ( { currency, total } ) ) );
+
+const TotalsTable = ( { title, rows, translate } ) => (
+	<table className="label-reports__totals widefat">
+		<thead>
+			<tr>
+				<th>{ title }</th>
+				<th>{ translate( 'Labels' ) }</th>
+				<th>{ translate( 'Cost' ) }</th>
+			</tr>
+		</thead>
+		<tbody>
+			{ rows.map( row => (
+				<tr key={ row.key }>
+					<td>{ row.name }</td>
+					<td>{ row.count }</td>
+					<td>{ formatAmounts( row.amounts ) }</td>
+				</tr>
+			) ) }
+		</tbody>
+	</table>
+);
+
+export const LabelReportTotals = ( { totals, translate } ) => {
+	if ( ! totals.carriers.length ) {
+		return null;
+	}
+
+	const carrierRows = totals.carriers.map( ( { carrier_id, count, amounts } ) => ( {
+		key: carrier_id,
+		name: getCarrierName( carrier_id ),
+		count,
+		amounts,
+	} ) );
+	const serviceRows = totals.services.map( ( { carrier_id, service_name, count, amounts } ) => ( {
+		key: `${ carrier_id }-${ service_name }`,
+		name: `${ getCarrierName( carrier_id ) } ${ service_name }`,
+		count,
+		amounts,
+	} ) );
+
+	return (
+		<div className="label-reports__totals-tables">
+			<TotalsTable title={ translate( 'Carrier' ) } rows={ carrierRows } translate={ translate } />
+			<TotalsTable title={ translate( 'Service' ) } rows={ serviceRows } translate={ translate } />
+		</div>
+	);
+};
+
+LabelReportTotals.propTypes = {
+	totals: PropTypes.shape( {
+		carriers: PropTypes.array.isRequired,
+		services: PropTypes.array.isRequired,
+	} ).isRequired,
+};
+
+export default localize( LabelReportTotals );
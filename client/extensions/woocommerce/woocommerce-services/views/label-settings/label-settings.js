@@ -9,19 +9,36 @@ import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import PropTypes from 'prop-types';
 import { localize } from 'i18n-calypso';
-import { find, isBoolean } from 'lodash';
+import { find, includes, isBoolean, isEmpty, keyBy, map, mapValues, without } from 'lodash';
 import Gridicon from 'gridicons';
-import { CheckboxControl } from '@wordpress/components';
+import { CheckboxControl, TextControl } from '@wordpress/components';
 import classNames from 'classnames';
 
 /**
  * Internal dependencies
  */
-import { getPaperSizes } from 'woocommerce/woocommerce-services/lib/pdf-label-utils';
+import {
+	getLabelFormats,
+	getPaperSizes,
+	isRawLabelFormat,
+} from 'woocommerce/woocommerce-services/lib/pdf-label-utils';
+import { getRatePolicyNames } from 'woocommerce/woocommerce-services/lib/rate-policy';
+import { getDeliveryEventNames } from 'woocommerce/woocommerce-services/lib/delivery-automation';
+import { getOrderStatusList } from 'woocommerce/lib/order-status';
+import { getCarrierNames } from 'woocommerce/woocommerce-services/lib/carriers';
+import {
+	getDefaultTemplate,
+	getDeliveryMethodNames,
+	getPlaceholderNames,
+	getSampleLabels,
+	renderShipmentNotification,
+} from 'woocommerce/woocommerce-services/lib/shipment-notification';
 import FormFieldSet from 'components/forms/form-fieldset';
 import FormButton from 'wcs-client/components/forms/form-button';
 import FormLabel from 'components/forms/form-label';
 import FormSelect from 'wcs-client/components/forms/form-select';
+import FormTextarea from 'components/forms/form-textarea';
+import FormSettingExplanation from 'wcs-client/components/forms/form-setting-explanation';
 import Notice from 'wcs-client/components/notice';
 import NoticeAction from 'wcs-client/components/notice/notice-action';
 import PaymentMethod, { getPaymentMethodTitle } from './label-payment-method';
@@ -29,19 +46,28 @@ import { getOrigin } from 'woocommerce/lib/nav-utils';
 import {
 	openAddCardDialog,
 	fetchSettings,
+	setLabelPurchaseView,
 } from 'woocommerce/woocommerce-services/state/label-settings/actions';
 import {
 	areSettingsFetching,
 	areSettingsLoaded,
+	getDefaultRatePolicy,
+	getDeliveryAutomation,
 	getEmailReceipts,
 	getUseLastService,
 	getUseLastPackage,
+	getLabelFormat,
+	getLabelPurchaseView,
 	getLabelSettingsStoreOptions,
+	getLastShipment,
 	getMasterUserInfo,
+	getOrderStatuses,
 	getPaperSize,
+	getPrintAgentUrl,
 	getPaymentMethods,
 	getPaymentMethodsWarning,
 	getSelectedPaymentMethodId,
+	getShipmentNotification,
 	isPristine,
 	userCanEditSettings,
 	userCanManagePayments,
@@ -407,6 +433,234 @@ class ShippingLabels extends Component {
 		);
 	};
 
+	renderRatePolicySection = () => {
+		const { canEditSettings, ratePolicy, translate } = this.props;
+		const ratePolicyNames = getRatePolicyNames();
+
+		const update = changes => this.props.setValue( 'rate_policy', { ...ratePolicy, ...changes } );
+		const onTypeChange = event => update( { type: event.target.value } );
+		const onDaysChange = value => update( { max_days: parseInt( value, 10 ) || 0 } );
+		const onCarrierToggle = carrierId => isChecked =>
+			update( {
+				carriers: isChecked
+					? [ ...ratePolicy.carriers, carrierId ]
+					: without( ratePolicy.carriers, carrierId ),
+			} );
+
+		return (
+			<FormFieldSet>
+				<FormLabel className="label-settings__cards-label">
+					{ translate( 'Rate selection' ) }
+				</FormLabel>
+				<FormSelect onChange={ onTypeChange } value={ ratePolicy.type } disabled={ ! canEditSettings }>
+					{ Object.keys( ratePolicyNames ).map( type => (
+						<option value={ type } key={ type }>
+							{ ratePolicyNames[ type ] }
+						</option>
+					) ) }
+				</FormSelect>
+				{ 'cheapest_within_days' === ratePolicy.type && (
+					<TextControl
+						className="label-settings__rate-policy-days"
+						label={ translate( 'Business days' ) }
+						type="number"
+						value={ String( ratePolicy.max_days ) }
+						onChange={ onDaysChange }
+						disabled={ ! canEditSettings }
+					/>
+				) }
+				{ 'cheapest_preferred' === ratePolicy.type &&
+					map( getCarrierNames( 'labels' ), ( name, carrierId ) => (
+						<CheckboxControl
+							key={ carrierId }
+							label={ name }
+							checked={ includes( ratePolicy.carriers, carrierId ) }
+							onChange={ onCarrierToggle( carrierId ) }
+							disabled={ ! canEditSettings }
+						/>
+					) ) }
+			</FormFieldSet>
+		);
+	};
+
+	renderDeliveryAutomationSection = () => {
+		const { canEditSettings, deliveryAutomation, translate } = this.props;
+		const eventNames = getDeliveryEventNames();
+		// Older servers don't list the statuses, the core ones are still there
+		const orderStatuses = isEmpty( this.props.orderStatuses )
+			? mapValues( keyBy( getOrderStatusList(), 'value' ), 'name' )
+			: this.props.orderStatuses;
+
+		const update = changes => this.props.setValue( 'delivery_automation', { ...deliveryAutomation, ...changes } );
+		const onEnabledChange = isChecked => update( { enabled: isChecked } );
+		const onIntervalChange = value => update( { interval: parseInt( value, 10 ) || 0 } );
+		const onStatusChange = event => changeEvent =>
+			update( { statuses: { ...deliveryAutomation.statuses, [ event ]: changeEvent.target.value } } );
+
+		return (
+			<FormFieldSet>
+				<FormLabel className="label-settings__cards-label">
+					{ translate( 'Delivery updates' ) }
+				</FormLabel>
+				<CheckboxControl
+					label={ translate( 'Change the order status as the packages travel' ) }
+					help={ translate(
+						'The tracking is refreshed in the background, and a note explains each change.'
+					) }
+					checked={ deliveryAutomation.enabled }
+					onChange={ onEnabledChange }
+					disabled={ ! canEditSettings }
+				/>
+				{ deliveryAutomation.enabled && (
+					<div className="label-settings__delivery-automation">
+						{ map( eventNames, ( name, event ) => (
+							<div key={ event } className="label-settings__delivery-automation-rule">
+								<FormLabel>{ name }</FormLabel>
+								<FormSelect
+									onChange={ onStatusChange( event ) }
+									value={ deliveryAutomation.statuses[ event ] }
+									disabled={ ! canEditSettings }
+								>
+									<option value="">{ translate( 'Leave the status as it is' ) }</option>
+									{ map( orderStatuses, ( statusName, status ) => (
+										<option value={ status } key={ status }>
+											{ statusName }
+										</option>
+									) ) }
+								</FormSelect>
+							</div>
+						) ) }
+						<TextControl
+							className="label-settings__delivery-automation-interval"
+							label={ translate( 'Refresh the tracking every (minutes)' ) }
+							help={ translate( 'Carriers are asked at most every 15 minutes.' ) }
+							type="number"
+							min="15"
+							value={ String( deliveryAutomation.interval ) }
+							onChange={ onIntervalChange }
+							disabled={ ! canEditSettings }
+						/>
+					</div>
+				) }
+			</FormFieldSet>
+		);
+	};
+
+	renderShipmentNotificationSection = () => {
+		const { canEditSettings, lastShipment, shipmentNotification, translate } = this.props;
+		const template = shipmentNotification.template || getDefaultTemplate();
+		const previewLabels = lastShipment ? lastShipment.labels : getSampleLabels();
+
+		const update = changes => this.props.setValue( 'shipment_notification', { ...shipmentNotification, ...changes } );
+		// Saving the default template as is would pin it to the current language
+		const onTemplateChange = event =>
+			update( { template: event.target.value === getDefaultTemplate() ? '' : event.target.value } );
+		const onDeliveryChange = event => update( { delivery: event.target.value } );
+
+		return (
+			<FormFieldSet>
+				<FormLabel className="label-settings__cards-label">
+					{ translate( 'Shipment notification' ) }
+				</FormLabel>
+				<FormSelect
+					onChange={ onDeliveryChange }
+					value={ shipmentNotification.delivery }
+					disabled={ ! canEditSettings }
+				>
+					{ map( getDeliveryMethodNames(), ( name, method ) => (
+						<option value={ method } key={ method }>
+							{ name }
+						</option>
+					) ) }
+				</FormSelect>
+				<FormTextarea
+					className="label-settings__shipment-notification-template"
+					value={ template }
+					onChange={ onTemplateChange }
+					disabled={ ! canEditSettings }
+				/>
+				<FormSettingExplanation>
+					{ translate( 'Lines with these placeholders are repeated for every package:' ) }
+					<ul className="label-settings__shipment-notification-placeholders">
+						{ map( getPlaceholderNames(), ( name, placeholder ) => (
+							<li key={ placeholder }>
+								<code>{ `{${ placeholder }}` }</code> { name }
+							</li>
+						) ) }
+					</ul>
+				</FormSettingExplanation>
+				<FormLabel>
+					{ lastShipment
+						? translate( 'Preview with order #%(orderId)d', { args: { orderId: lastShipment.order_id } } )
+						: translate( 'Preview with a sample order' ) }
+				</FormLabel>
+				<div className="label-settings__shipment-notification-preview">
+					{ renderShipmentNotification( template, previewLabels ) }
+				</div>
+			</FormFieldSet>
+		);
+	};
+
+	renderLabelPurchaseViewSection = () => {
+		const { labelPurchaseView, siteId, translate } = this.props;
+
+		// This is a preference of the current user, so it's editable without the permission to change the settings
+		const onChange = event => this.props.setLabelPurchaseView( siteId, event.target.value );
+
+		return (
+			<FormFieldSet>
+				<FormLabel className="label-settings__cards-label">
+					{ translate( 'Label purchase view' ) }
+				</FormLabel>
+				<FormSelect onChange={ onChange } value={ labelPurchaseView }>
+					<option value="modal">{ translate( 'Dialog on the order page' ) }</option>
+					<option value="page">{ translate( 'Full page with keyboard shortcuts' ) }</option>
+				</FormSelect>
+			</FormFieldSet>
+		);
+	};
+
+	renderLabelFormatSection = () => {
+		const { canEditSettings, labelFormat, printAgentUrl, translate } = this.props;
+
+		const onLabelFormatChange = event => this.props.setValue( 'label_format', event.target.value );
+		const onPrintAgentUrlChange = value => this.props.setValue( 'print_agent_url', value );
+		const labelFormats = getLabelFormats();
+
+		return (
+			<FormFieldSet>
+				<FormLabel className="label-settings__cards-label">
+					{ translate( 'Label format' ) }
+				</FormLabel>
+				<FormSelect
+					onChange={ onLabelFormatChange }
+					value={ labelFormat }
+					disabled={ ! canEditSettings }
+				>
+					{ Object.keys( labelFormats ).map( format => (
+						<option value={ format } key={ format }>
+							{ labelFormats[ format ] }
+						</option>
+					) ) }
+				</FormSelect>
+				{ isRawLabelFormat( labelFormat ) && (
+					<TextControl
+						className="label-settings__print-agent-url"
+						label={ translate( 'Print agent URL' ) }
+						help={ translate(
+							'Thermal printer labels are sent to the print agent running on this computer instead of ' +
+								'the browser print dialog. They are always printed in the 4"x6" label size.'
+						) }
+						placeholder="http://localhost:9100/print"
+						value={ printAgentUrl || '' }
+						onChange={ onPrintAgentUrlChange }
+						disabled={ ! canEditSettings }
+					/>
+				) }
+			</FormFieldSet>
+		);
+	};
+
 	renderContent = () => {
 		const { canEditSettings, isLoading, paperSize, storeOptions, translate } = this.props;
 
@@ -436,13 +690,18 @@ class ShippingLabels extends Component {
 						) ) }
 					</FormSelect>
 				</FormFieldSet>
+				{ this.renderLabelFormatSection() }
 				<FormFieldSet>
 					<FormLabel className="label-settings__cards-label">{ translate( 'Payment' ) }</FormLabel>
 					{ this.renderPaymentsSection() }
 				</FormFieldSet>
 				{ this.renderEmailReceiptsSection() }
 				{ this.renderSaveServiceSection() }
+				{ this.renderRatePolicySection() }
 				{ this.renderSavePackageSection() }
+				{ this.renderDeliveryAutomationSection() }
+				{ this.renderShipmentNotificationSection() }
+				{ this.renderLabelPurchaseViewSection() }
 			</div>
 		);
 	};
@@ -467,13 +726,21 @@ export default connect(
 			paymentMethodsWarning: getPaymentMethodsWarning( state, siteId ),
 			selectedPaymentMethod: getSelectedPaymentMethodId( state, siteId ),
 			paperSize: getPaperSize( state, siteId ),
+			labelFormat: getLabelFormat( state, siteId ),
+			printAgentUrl: getPrintAgentUrl( state, siteId ),
 			storeOptions: getLabelSettingsStoreOptions( state, siteId ),
 			canEditPayments: userCanManagePayments( state, siteId ),
 			canEditSettings:
 				userCanManagePayments( state, siteId ) || userCanEditSettings( state, siteId ),
 			emailReceipts: getEmailReceipts( state, siteId ),
 			useLastService: getUseLastService( state, siteId ),
+			ratePolicy: getDefaultRatePolicy( state, siteId ),
+			deliveryAutomation: getDeliveryAutomation( state, siteId ),
+			orderStatuses: getOrderStatuses( state, siteId ),
+			shipmentNotification: getShipmentNotification( state, siteId ),
+			lastShipment: getLastShipment( state, siteId ),
 			useLastPackage: getUseLastPackage( state, siteId ),
+			labelPurchaseView: getLabelPurchaseView( state, siteId ),
 			...getMasterUserInfo( state, siteId ),
 		};
 	},
@@ -482,6 +749,7 @@ export default connect(
 			{
 				openAddCardDialog,
 				fetchSettings,
+				setLabelPurchaseView,
 			},
 			dispatch
 		)
@@ -11,6 +11,7 @@ import { Tooltip } from '@wordpress/components'
 import Card from 'components/card'
 import CarrierIcon from '../../components/carrier-icon'
 import Gridicon from 'gridicons'
+import { getCarrier, getCarrierIdByShippingMethod } from 'woocommerce/woocommerce-services/lib/carriers'
 
 const Actions = localize( ( { translate } ) => {
 	return (
@@ -38,55 +39,32 @@ const CarrierDiscount = localize( ( {
 	},
 }))
 
-const carrierItemMap = {
-	'wc_services_usps': ( { translate } ) => (
-		<div className="live-rates-carriers-list__element element-usps">
-			<div className="live-rates-carriers-list__icon">
-				<CarrierIcon carrier="usps" size={ 18 } />
-			</div>
-			<div className="live-rates-carriers-list__carrier">{ translate( 'USPS' ) }</div>
-			<div className="live-rates-carriers-list__features">
-				<ul>
-					<li>{ translate( 'Ship with the largest delivery network in the United States' ) }</li>
-					<li>
-						<CarrierDiscount name={ translate( 'USPS' ) } />
-					</li>
-					<li>
-						{ translate( 'Live rates for %(carrierName)s at checkout', {
-							args: {
-								carrierName: translate( 'USPS' ),
-							},
-						})}
-					</li>
-				</ul>
-			</div>
-			<div className="live-rates-carriers-list__actions"><Actions /></div>
+const CarrierView = ( { translate, carrierId, carrier } ) => (
+	<div className={ `live-rates-carriers-list__element element-${ carrierId }` }>
+		<div className="live-rates-carriers-list__icon">
+			<CarrierIcon carrier={ carrierId } size={ 18 } />
 		</div>
-
-	),
-	'wc_services_dhlexpress': ({ translate }) => (
-		<div className="live-rates-carriers-list__element element-dhlexpress">
-			<div className="live-rates-carriers-list__icon">
-				<CarrierIcon carrier="dhlexpress" size={ 18 } />
-			</div>
-			<div className="live-rates-carriers-list__carrier">{ translate( 'DHL Express' ) }</div>
-			<div className="live-rates-carriers-list__features">
-				<ul>
-					<li>{ translate( 'Express delivery from the experts in international shipping' ) }</li>
-					<li><CarrierDiscount name={ translate( 'DHL Express' ) } /></li>
+		<div className="live-rates-carriers-list__carrier">{ carrier.name }</div>
+		<div className="live-rates-carriers-list__features">
+			<ul>
+				{ carrier.description && <li>{ carrier.description() }</li> }
+				{ carrier.features.labels && (
 					<li>
-						{ translate( 'Live rates for %(carrierName)s at checkout', {
-							args: {
-								carrierName: translate( 'DHL Express' ),
-							},
-						})}
+						<CarrierDiscount name={ carrier.name } />
 					</li>
-				</ul>
-			</div>
-			<div className="live-rates-carriers-list__actions"><Actions /></div>
+				) }
+				<li>
+					{ translate( 'Live rates for %(carrierName)s at checkout', {
+						args: {
+							carrierName: carrier.name,
+						},
+					})}
+				</li>
+			</ul>
 		</div>
-	),
-}
+		<div className="live-rates-carriers-list__actions"><Actions /></div>
+	</div>
+)
 
 const CarriersList = ({ translate, carrierIds }) => {
 	return (
@@ -97,14 +75,19 @@ const CarriersList = ({ translate, carrierIds }) => {
 				<div className="live-rates-carriers-list__features">{ translate( 'Features' ) }</div>
 				<div className="live-rates-carriers-list__actions"/>
 			</div>
-			{carrierIds.map( ( carrierId ) => {
-				const CarrierView = carrierItemMap[ carrierId ]
-				if ( ! CarrierView ) {
+			{carrierIds.map( ( shippingMethodId ) => {
+				const carrierId = getCarrierIdByShippingMethod( shippingMethodId )
+				if ( ! carrierId ) {
 					return null
 				}
 
 				return (
-					<CarrierView key={ carrierId } translate={ translate } />
+					<CarrierView
+						key={ shippingMethodId }
+						translate={ translate }
+						carrierId={ carrierId }
+						carrier={ getCarrier( carrierId ) }
+					/>
 				)
 			})}
 		</Card>
@@ -9,11 +9,10 @@ import { localize } from 'i18n-calypso'
  */
 import ExtendedHeader from 'woocommerce/components/extended-header'
 import CarriersList from './carriers-list'
-
-const supportedCarrierIds = [ 'wc_services_usps', 'wc_services_dhlexpress' ];
+import { getCarrierIdByShippingMethod } from 'woocommerce/woocommerce-services/lib/carriers'
 
 const LiveRatesCarriersList = ( { translate, carrierIds } ) => {
-	if ( carrierIds.some( ( carrierId ) => supportedCarrierIds.includes( carrierId ) ) === false ) {
+	if ( carrierIds.some( ( carrierId ) => getCarrierIdByShippingMethod( carrierId ) ) === false ) {
 		return null
 	}
 
@@ -0,0 +1,83 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Card } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import ExtendedHeader from 'woocommerce/components/extended-header';
+import { getSelectedSiteId } from 'state/ui/selectors';
+import Spinner from 'wcs-client/components/spinner';
+import ManifestGroup from './manifest-group';
+import { fetchManifestLabels } from 'woocommerce/woocommerce-services/state/manifest/actions';
+import { getManifestState } from 'woocommerce/woocommerce-services/state/manifest/selectors';
+
+class Manifest extends Component {
+	componentDidMount() {
+		this.props.fetchManifestLabels( this.props.siteId );
+	}
+
+	renderContent() {
+		const { siteId, isLoaded, isFetching, groups, translate } = this.props;
+
+		if ( isFetching && ! isLoaded ) {
+			return (
+				<div className="manifest__loading">
+					<Spinner size={ 24 } />
+				</div>
+			);
+		}
+
+		if ( ! groups.length ) {
+			return <p className="manifest__empty">{ translate( 'There are no new labels to add to a manifest.' ) }</p>;
+		}
+
+		return groups.map( group => <ManifestGroup key={ group.key } siteId={ siteId } group={ group } /> );
+	}
+
+	render() {
+		const { translate } = this.props;
+
+		return (
+			<div>
+				<ExtendedHeader
+					label={ translate( 'End-of-day manifest' ) }
+					description={ translate(
+						'Create a manifest (USPS SCAN form) with the labels bought since the last one, ' +
+							'so the carrier can accept every package with a single scan.'
+					) }
+				/>
+				<Card className="manifest">{ this.renderContent() }</Card>
+			</div>
+		);
+	}
+}
+
+Manifest.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	isLoaded: PropTypes.bool.isRequired,
+	isFetching: PropTypes.bool.isRequired,
+	groups: PropTypes.array.isRequired,
+	fetchManifestLabels: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => {
+	const siteId = getSelectedSiteId( state );
+	const { isLoaded, isFetching, groups } = getManifestState( state, siteId );
+	return { siteId, isLoaded, isFetching, groups };
+};
+
+const mapDispatchToProps = dispatch => bindActionCreators( { fetchManifestLabels }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( Manifest ) );
@@ -0,0 +1,89 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button } from '@wordpress/components';
+import { compact } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import CarrierIcon from '../../components/carrier-icon';
+import { generateManifest } from 'woocommerce/woocommerce-services/state/manifest/actions';
+import { isManifestGenerating } from 'woocommerce/woocommerce-services/state/manifest/selectors';
+
+export const ManifestGroup = props => {
+	const { siteId, group, generating, translate, moment } = props;
+	const { carrier_id, origin, labels } = group;
+
+	const onGenerate = () => props.generateManifest( siteId, group.key );
+	const originText = compact( [ origin.address, origin.city, origin.state, origin.postcode ] ).join( ', ' );
+
+	return (
+		<div className="manifest__group">
+			<div className="manifest__group-header">
+				<CarrierIcon carrier={ carrier_id } size="small" />
+				<span className="manifest__group-origin">
+					{ translate( 'Shipped from %(origin)s', { args: { origin: originText } } ) }
+				</span>
+				<Button isPrimary onClick={ onGenerate } isBusy={ generating } disabled={ generating }>
+					{ translate( 'Create manifest for %(count)d label', 'Create manifest for %(count)d labels', {
+						count: labels.length,
+						args: { count: labels.length },
+					} ) }
+				</Button>
+			</div>
+			<table className="manifest__labels widefat striped">
+				<thead>
+					<tr>
+						<th>{ translate( 'Order' ) }</th>
+						<th>{ translate( 'Service' ) }</th>
+						<th>{ translate( 'Tracking #' ) }</th>
+						<th>{ translate( 'Purchased' ) }</th>
+					</tr>
+				</thead>
+				<tbody>
+					{ labels.map( label => (
+						<tr key={ label.label_id }>
+							<td>
+								<a href={ `post.php?post=${ label.order_id }&action=edit` }>#{ label.order_id }</a>
+							</td>
+							<td>{ label.service_name }</td>
+							<td>{ label.tracking }</td>
+							<td>{ moment( label.created ).format( 'LLL' ) }</td>
+						</tr>
+					) ) }
+				</tbody>
+			</table>
+		</div>
+	);
+};
+
+ManifestGroup.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	group: PropTypes.shape( {
+		key: PropTypes.string.isRequired,
+		carrier_id: PropTypes.string.isRequired,
+		origin: PropTypes.object.isRequired,
+		labels: PropTypes.array.isRequired,
+	} ).isRequired,
+	generating: PropTypes.bool.isRequired,
+	generateManifest: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { siteId, group } ) => ( {
+	generating: isManifestGenerating( state, group.key, siteId ),
+} );
+
+const mapDispatchToProps = dispatch => bindActionCreators( { generateManifest }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( ManifestGroup ) );
@@ -0,0 +1,146 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button, Card, RadioControl } from '@wordpress/components';
+import classNames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import ExtendedHeader from 'woocommerce/components/extended-header';
+import OriginAddressDialog from './origin-address-dialog';
+import { getSelectedSiteId } from 'state/ui/selectors';
+import {
+	openOriginAddressDialog,
+	removeOriginAddress,
+	setDefaultOriginAddress,
+} from 'woocommerce/woocommerce-services/state/label-settings/actions';
+import {
+	areSettingsLoaded,
+	getDefaultOriginAddressId,
+	getOriginAddresses,
+} from 'woocommerce/woocommerce-services/state/label-settings/selectors';
+
+const OriginAddresses = props => {
+	const { siteId, loaded, originAddresses, defaultOriginId, translate } = props;
+
+	if ( ! loaded ) {
+		return null;
+	}
+
+	const onAdd = () => props.openOriginAddressDialog( siteId );
+
+	const onDefaultChange = id => {
+		props.onChange();
+		props.setDefaultOriginAddress( siteId, id );
+	};
+
+	const renderAddress = originAddress => {
+		const { id, title, address, is_normalized } = originAddress;
+		const onEdit = () => props.openOriginAddressDialog( siteId, originAddress );
+		const onRemove = () => {
+			props.onChange();
+			props.removeOriginAddress( siteId, id );
+		};
+
+		return (
+			<div key={ id } className="origin-addresses__row">
+				<RadioControl
+					className="origin-addresses__default"
+					selected={ defaultOriginId }
+					options={ [ { label: '', value: id } ] }
+					onChange={ onDefaultChange }
+				/>
+				<div className="origin-addresses__details">
+					<div className="origin-addresses__title">{ title }</div>
+					<div className="origin-addresses__address">
+						{ [ address.address, address.city, address.state, address.postcode, address.country ]
+							.filter( Boolean )
+							.join( ', ' ) }
+					</div>
+					{ ! is_normalized && (
+						<div className="origin-addresses__unverified">{ translate( 'Not verified' ) }</div>
+					) }
+				</div>
+				<div className="origin-addresses__actions">
+					<Button className={ classNames( 'button', 'is-compact' ) } onClick={ onEdit }>
+						{ translate( 'Edit' ) }
+					</Button>
+					<Button className={ classNames( 'button', 'is-compact' ) } onClick={ onRemove }>
+						{ translate( 'Remove' ) }
+					</Button>
+				</div>
+			</div>
+		);
+	};
+
+	return (
+		<div>
+			<ExtendedHeader
+				label={ translate( 'Ship from addresses' ) }
+				description={ translate(
+					'Save the warehouses and other locations you ship from, and pick the one you use the most ' +
+						'as your default. You can choose any of them when creating a label.'
+				) }
+			>
+				<Button className={ classNames( 'button' ) } onClick={ onAdd }>
+					{ translate( 'Add address' ) }
+				</Button>
+			</ExtendedHeader>
+			<Card size="small" className={ classNames( 'card', 'origin-addresses' ) }>
+				{ originAddresses.length ? (
+					<div className="origin-addresses__row origin-addresses__header">
+						<div className="origin-addresses__default">{ translate( 'Default' ) }</div>
+						<div className="origin-addresses__details">{ translate( 'Location' ) }</div>
+						<div className="origin-addresses__actions" />
+					</div>
+				) : (
+					<p className="origin-addresses__empty">
+						{ translate( 'Labels are shipped from your store address.' ) }
+					</p>
+				) }
+				{ originAddresses.map( renderAddress ) }
+				<OriginAddressDialog siteId={ siteId } onChange={ props.onChange } />
+			</Card>
+		</div>
+	);
+};
+
+OriginAddresses.propTypes = {
+	onChange: PropTypes.func.isRequired,
+	siteId: PropTypes.number.isRequired,
+	loaded: PropTypes.bool,
+	originAddresses: PropTypes.array.isRequired,
+	defaultOriginId: PropTypes.string.isRequired,
+	openOriginAddressDialog: PropTypes.func.isRequired,
+	removeOriginAddress: PropTypes.func.isRequired,
+	setDefaultOriginAddress: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => {
+	const siteId = getSelectedSiteId( state );
+	return {
+		siteId,
+		loaded: areSettingsLoaded( state, siteId ),
+		originAddresses: getOriginAddresses( state, siteId ),
+		defaultOriginId: getDefaultOriginAddressId( state, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators(
+		{ openOriginAddressDialog, removeOriginAddress, setDefaultOriginAddress },
+		dispatch
+	);
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( OriginAddresses ) );
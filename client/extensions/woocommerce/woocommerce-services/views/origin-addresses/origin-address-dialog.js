@@ -0,0 +1,169 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { trim } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Dialog from 'components/dialog';
+import FormSectionHeading from 'wcs-client/components/forms/form-section-heading';
+import FormButton from 'wcs-client/components/forms/form-button';
+import Notice from 'wcs-client/components/notice';
+import TextField from 'woocommerce/woocommerce-services/components/text-field';
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import {
+	closeOriginAddressDialog,
+	saveOriginAddress,
+	updateOriginAddressField,
+	verifyOriginAddress,
+} from 'woocommerce/woocommerce-services/state/label-settings/actions';
+import { getOriginAddressDialog } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
+import {
+	getOriginCountryNames,
+	getStateNames,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+const REQUIRED_FIELDS = [ 'name', 'address', 'city', 'postcode', 'country' ];
+
+const OriginAddressDialog = props => {
+	const { siteId, dialog, countryNames, stateNames, translate } = props;
+
+	if ( ! dialog ) {
+		return null;
+	}
+
+	const { title, values, isNormalized, isVerifying, fieldErrors } = dialog;
+	const isFilled = trim( title ) && REQUIRED_FIELDS.every( field => trim( values[ field ] ) );
+
+	const onClose = () => props.closeOriginAddressDialog( siteId );
+	const onSave = () => {
+		props.onChange();
+		props.saveOriginAddress( siteId );
+	};
+	const onVerify = () => props.verifyOriginAddress( siteId );
+
+	const buttons = [
+		{ action: 'cancel', label: translate( 'Cancel' ), onClick: onClose },
+		{
+			action: 'save',
+			onClick: onSave,
+			isPrimary: true,
+			disabled: ! isFilled || isVerifying,
+			label: isNormalized ? translate( 'Save' ) : translate( 'Save without verifying' ),
+		},
+	];
+
+	const renderField = ( name, label, className ) => (
+		<TextField
+			id={ `origin_address_${ name }` }
+			title={ label }
+			value={ values[ name ] || '' }
+			updateValue={ value => props.updateOriginAddressField( siteId, name, value ) }
+			className={ className }
+			error={ fieldErrors[ name ] }
+		/>
+	);
+
+	return (
+		<Dialog
+			additionalClassNames="origin-address-dialog woocommerce wcc-root"
+			isVisible
+			onClose={ onClose }
+			buttons={ buttons }
+		>
+			<FormSectionHeading>{ translate( 'Ship from address' ) }</FormSectionHeading>
+			<TextField
+				id="origin_address_title"
+				title={ translate( 'Location name' ) }
+				placeholder={ translate( 'e.g. East coast warehouse' ) }
+				value={ title || '' }
+				updateValue={ value => props.updateOriginAddressField( siteId, 'title', value ) }
+			/>
+			{ renderField( 'name', translate( 'Name' ) ) }
+			<div className="origin-address-dialog__company-phone">
+				{ renderField( 'company', translate( 'Company' ) ) }
+				{ renderField( 'phone', translate( 'Phone' ) ) }
+			</div>
+			{ fieldErrors.general && (
+				<Notice status="is-error" showDismiss={ false }>
+					{ fieldErrors.general }
+				</Notice>
+			) }
+			{ renderField( 'address', translate( 'Address' ) ) }
+			{ renderField( 'address_2', translate( 'Address line 2' ) ) }
+			<div className="origin-address-dialog__city-state-postal-code">
+				{ renderField( 'city', translate( 'City' ) ) }
+				{ stateNames ? (
+					<Dropdown
+						id="origin_address_state"
+						title={ translate( 'State' ) }
+						value={ values.state || '' }
+						valuesMap={ { '': translate( 'Select one…' ), ...stateNames } }
+						updateValue={ value => props.updateOriginAddressField( siteId, 'state', value ) }
+						error={ fieldErrors.state }
+					/>
+				) : (
+					renderField( 'state', translate( 'State' ) )
+				) }
+				{ renderField( 'postcode', translate( 'ZIP/Postal code' ) ) }
+			</div>
+			<Dropdown
+				id="origin_address_country"
+				title={ translate( 'Country' ) }
+				value={ values.country || '' }
+				valuesMap={ countryNames }
+				updateValue={ value => props.updateOriginAddressField( siteId, 'country', value ) }
+				error={ fieldErrors.country }
+			/>
+			<div className="origin-address-dialog__verify">
+				<FormButton
+					type="button"
+					disabled={ ! isFilled || isNormalized || isVerifying }
+					onClick={ onVerify }
+				>
+					{ isNormalized ? translate( 'Address verified' ) : translate( 'Verify address' ) }
+				</FormButton>
+			</div>
+		</Dialog>
+	);
+};
+
+OriginAddressDialog.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	onChange: PropTypes.func.isRequired,
+	dialog: PropTypes.object,
+	countryNames: PropTypes.object.isRequired,
+	stateNames: PropTypes.object,
+	closeOriginAddressDialog: PropTypes.func.isRequired,
+	saveOriginAddress: PropTypes.func.isRequired,
+	updateOriginAddressField: PropTypes.func.isRequired,
+	verifyOriginAddress: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { siteId } ) => {
+	const dialog = getOriginAddressDialog( state, siteId );
+	return {
+		dialog,
+		countryNames: getOriginCountryNames( state, siteId ),
+		stateNames: dialog ? getStateNames( state, dialog.values.country, siteId ) : null,
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators(
+		{ closeOriginAddressDialog, saveOriginAddress, updateOriginAddressField, verifyOriginAddress },
+		dispatch
+	);
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( OriginAddressDialog ) );
@@ -0,0 +1,199 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button, Card } from '@wordpress/components';
+import classNames from 'classnames';
+import { isEmpty } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import ExtendedHeader from 'woocommerce/components/extended-header';
+import { getSelectedSiteId } from 'state/ui/selectors';
+import Spinner from 'wcs-client/components/spinner';
+import TextField from 'woocommerce/woocommerce-services/components/text-field';
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import HSCodePicker from 'woocommerce/woocommerce-services/components/hs-code-picker';
+import { getAllCountryNames } from 'woocommerce/state/sites/data/locations/selectors';
+import {
+	fetchProductsMissingCustoms,
+	saveProductCustoms,
+	updateProductCustomsField,
+} from 'woocommerce/woocommerce-services/state/product-customs/actions';
+import {
+	getCompleteProductCustomsEdits,
+	getProductCustomsState,
+} from 'woocommerce/woocommerce-services/state/product-customs/selectors';
+
+class ProductCustoms extends Component {
+	componentDidMount() {
+		this.props.fetchProductsMissingCustoms( this.props.siteId );
+	}
+
+	onLoadMore = () => {
+		const { siteId, page } = this.props;
+		this.props.fetchProductsMissingCustoms( siteId, page + 1 );
+	};
+
+	onSave = () => this.props.saveProductCustoms( this.props.siteId );
+
+	renderProduct = product => {
+		const { siteId, edits, countryNames, translate } = this.props;
+		const { id, name, sku, url, categories } = product;
+		const values = edits[ id ] || {};
+		const update = field => value => this.props.updateProductCustomsField( siteId, id, field, value );
+
+		return (
+			<div key={ id } className="product-customs__row">
+				<div className="product-customs__name">
+					<a href={ url } target="_blank" rel="noopener noreferrer">
+						{ name }
+					</a>
+					{ sku && <span className="product-customs__sku">{ sku }</span> }
+				</div>
+				<TextField
+					id={ `product_customs_${ id }_description` }
+					className="product-customs__description"
+					title={ translate( 'Description' ) }
+					value={ values.description || '' }
+					updateValue={ update( 'description' ) }
+				/>
+				<HSCodePicker
+					id={ `product_customs_${ id }_hs_tariff_number` }
+					className="product-customs__tariff-number"
+					title={ translate( 'HS tariff number' ) }
+					value={ values.hs_tariff_number || '' }
+					updateValue={ update( 'hs_tariff_number' ) }
+					productName={ name }
+					categories={ categories }
+				/>
+				<Dropdown
+					id={ `product_customs_${ id }_origin_country` }
+					className="product-customs__origin-country"
+					title={ translate( 'Origin country' ) }
+					value={ values.origin_country || '' }
+					valuesMap={ { '': translate( 'Select a country' ), ...countryNames } }
+					updateValue={ update( 'origin_country' ) }
+				/>
+			</div>
+		);
+	};
+
+	renderContent() {
+		const { isLoaded, isFetching, isSaving, hasMore, products, canSave, translate } = this.props;
+
+		if ( isFetching && ! isLoaded ) {
+			return (
+				<div className="product-customs__loading">
+					<Spinner size={ 24 } />
+				</div>
+			);
+		}
+
+		if ( ! products.length && ! hasMore ) {
+			return (
+				<p className="product-customs__empty">
+					{ translate( 'Every product has its customs information filled in.' ) }
+				</p>
+			);
+		}
+
+		return (
+			<div>
+				{ products.map( this.renderProduct ) }
+				<div className="product-customs__actions">
+					{ hasMore && (
+						<Button
+							className={ classNames( 'button' ) }
+							onClick={ this.onLoadMore }
+							isBusy={ isFetching }
+							disabled={ isFetching }
+						>
+							{ translate( 'Load more products' ) }
+						</Button>
+					) }
+					<Button
+						isPrimary
+						className={ classNames( 'button' ) }
+						onClick={ this.onSave }
+						isBusy={ isSaving }
+						disabled={ isSaving || ! canSave }
+					>
+						{ translate( 'Save customs information' ) }
+					</Button>
+				</div>
+			</div>
+		);
+	}
+
+	render() {
+		const { translate } = this.props;
+
+		return (
+			<div>
+				<ExtendedHeader
+					label={ translate( 'Customs information' ) }
+					description={ translate(
+						'Products without a customs description or origin country. ' +
+							'International labels fill in what you enter here.'
+					) }
+				/>
+				<Card className="product-customs">{ this.renderContent() }</Card>
+			</div>
+		);
+	}
+}
+
+ProductCustoms.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	isLoaded: PropTypes.bool.isRequired,
+	isFetching: PropTypes.bool.isRequired,
+	isSaving: PropTypes.bool.isRequired,
+	products: PropTypes.array.isRequired,
+	page: PropTypes.number.isRequired,
+	hasMore: PropTypes.bool.isRequired,
+	edits: PropTypes.object.isRequired,
+	canSave: PropTypes.bool.isRequired,
+	countryNames: PropTypes.object.isRequired,
+	fetchProductsMissingCustoms: PropTypes.func.isRequired,
+	saveProductCustoms: PropTypes.func.isRequired,
+	updateProductCustomsField: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => {
+	const siteId = getSelectedSiteId( state );
+	const { isLoaded, isFetching, isSaving, products, page, hasMore, edits } = getProductCustomsState(
+		state,
+		siteId
+	);
+	return {
+		siteId,
+		isLoaded,
+		isFetching,
+		isSaving,
+		products,
+		page,
+		hasMore,
+		edits,
+		canSave: ! isEmpty( getCompleteProductCustomsEdits( state, siteId ) ),
+		countryNames: getAllCountryNames( state, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators(
+		{ fetchProductsMissingCustoms, saveProductCustoms, updateProductCustomsField },
+		dispatch
+	);
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( ProductCustoms ) );
@@ -0,0 +1,214 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import formatCurrency from '@automattic/format-currency';
+import { Button } from '@wordpress/components';
+import { filter, find, isEmpty, map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Dialog from 'components/dialog';
+import FormSectionHeading from 'wcs-client/components/forms/form-section-heading';
+import { getRefundIneligibilityMessage } from 'woocommerce/woocommerce-services/lib/label-refunds';
+import formatSubtotals from 'woocommerce/woocommerce-services/lib/utils/format-subtotals';
+import {
+	closeBulkRefundDialog,
+	confirmBulkRefund,
+	openBulkRefundDialog,
+} from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	getBulkRefundLabels,
+	getLabels,
+	getRefundSelection,
+	getShippingLabel,
+	isLoaded,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+const getLabelName = ( label, translate ) =>
+	translate( '%(service)s label (#%(labelId)d)', {
+		args: { service: label.service_name, labelId: label.label_id },
+	} );
+
+const LabelBulkRefundDialog = props => {
+	const { orderId, siteId, bulkRefundDialog, selectionCount, refundable, ineligible, labels, translate } = props;
+
+	if ( ! selectionCount && ! bulkRefundDialog ) {
+		return null;
+	}
+
+	const onOpen = () => props.openBulkRefundDialog( orderId, siteId );
+	const onClose = () => props.closeBulkRefundDialog( orderId, siteId );
+	const onConfirm = () => props.confirmBulkRefund( orderId, siteId );
+
+	const isSubmitting = Boolean( bulkRefundDialog && bulkRefundDialog.isSubmitting );
+	const results = bulkRefundDialog ? bulkRefundDialog.results : {};
+	const hasResults = ! isEmpty( results );
+
+	const renderSelection = () => (
+		<div>
+			<p>
+				{ translate(
+					'A refund will be requested for each label below. Labels that were used to ship a package will not be refunded, and refunds take at least 14 days to process.'
+				) }
+			</p>
+			{ 0 < refundable.length && (
+				<ul className="label-bulk-refund-modal__labels">
+					{ refundable.map( label => (
+						<li key={ label.label_id }>
+							<span>{ getLabelName( label, translate ) }</span>
+							<span>{ formatCurrency( label.refundable_amount, label.currency ) }</span>
+						</li>
+					) ) }
+				</ul>
+			) }
+			{ 0 < ineligible.length && (
+				<div>
+					<p>{ translate( 'These labels will be left out:' ) }</p>
+					<ul className="label-bulk-refund-modal__labels is-ineligible">
+						{ ineligible.map( ( { label, reason } ) => (
+							<li key={ label.label_id }>
+								<span>{ getLabelName( label, translate ) }</span>
+								<span>{ getRefundIneligibilityMessage( reason ) }</span>
+							</li>
+						) ) }
+					</ul>
+				</div>
+			) }
+		</div>
+	);
+
+	const renderResults = () => {
+		const failed = filter( map( results, ( result, labelId ) => ( { ...result, labelId: Number( labelId ) } ) ), {
+			status: 'failed',
+		} );
+		const acceptedCount = filter( results, { status: 'accepted' } ).length;
+
+		return (
+			<div>
+				{ isSubmitting && (
+					<p role="status">
+						{ translate( 'Requesting refunds…' ) }
+					</p>
+				) }
+				{ 0 < acceptedCount && (
+					<p className="label-bulk-refund-modal__summary is-success">
+						{ translate(
+							'A refund was requested for %(count)d label.',
+							'A refund was requested for %(count)d labels.',
+							{ count: acceptedCount, args: { count: acceptedCount } }
+						) }
+					</p>
+				) }
+				{ 0 < failed.length && (
+					<div className="label-bulk-refund-modal__summary is-error">
+						<p>
+							{ translate(
+								'The refund of %(count)d label could not be requested:',
+								'The refund of %(count)d labels could not be requested:',
+								{ count: failed.length, args: { count: failed.length } }
+							) }
+						</p>
+						<ul className="label-bulk-refund-modal__labels">
+							{ failed.map( ( { labelId, error } ) => (
+								<li key={ labelId }>
+									<span>{ getLabelName( find( labels, { label_id: labelId } ) || { label_id: labelId }, translate ) }</span>
+									<span>{ error }</span>
+								</li>
+							) ) }
+						</ul>
+					</div>
+				) }
+			</div>
+		);
+	};
+
+	const refundTotals = formatSubtotals(
+		map(
+			refundable.reduce( ( totals, label ) => {
+				totals[ label.currency ] = ( totals[ label.currency ] || 0 ) + label.refundable_amount;
+				return totals;
+			}, {} ),
+			( total, currency ) => ( { currency, total } )
+		)
+	);
+
+	const buttons = hasResults
+		? [ { action: 'close', label: translate( 'Close' ), onClick: onClose, disabled: isSubmitting } ]
+		: [
+				{ action: 'cancel', label: translate( 'Cancel' ), onClick: onClose },
+				{
+					action: 'confirm',
+					onClick: onConfirm,
+					isPrimary: true,
+					disabled: ! refundable.length,
+					label: translate( 'Refund %(count)d label (-%(amount)s)', 'Refund %(count)d labels (-%(amount)s)', {
+						count: refundable.length,
+						args: { count: refundable.length, amount: refundTotals },
+					} ),
+				},
+		  ];
+
+	return (
+		<div className="label-bulk-refund-modal__bar">
+			{ 0 < selectionCount && (
+				<Button isSecondary onClick={ onOpen }>
+					{ translate( 'Refund selected labels (%(count)d)', { args: { count: selectionCount } } ) }
+				</Button>
+			) }
+			<Dialog
+				additionalClassNames="label-bulk-refund-modal woocommerce wcc-root"
+				isVisible={ Boolean( bulkRefundDialog ) }
+				onClose={ onClose }
+				buttons={ buttons }
+			>
+				<FormSectionHeading>{ translate( 'Request refunds' ) }</FormSectionHeading>
+				{ hasResults ? renderResults() : renderSelection() }
+			</Dialog>
+		</div>
+	);
+};
+
+LabelBulkRefundDialog.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	bulkRefundDialog: PropTypes.object,
+	selectionCount: PropTypes.number.isRequired,
+	refundable: PropTypes.array.isRequired,
+	ineligible: PropTypes.array.isRequired,
+	labels: PropTypes.array.isRequired,
+	openBulkRefundDialog: PropTypes.func.isRequired,
+	closeBulkRefundDialog: PropTypes.func.isRequired,
+	confirmBulkRefund: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => {
+	if ( ! isLoaded( state, orderId, siteId ) ) {
+		return { selectionCount: 0, refundable: [], ineligible: [], labels: [] };
+	}
+
+	const { refundable, ineligible } = getBulkRefundLabels( state, orderId, siteId );
+	return {
+		bulkRefundDialog: getShippingLabel( state, orderId, siteId ).bulkRefundDialog,
+		selectionCount: getRefundSelection( state, orderId, siteId ).length,
+		refundable,
+		ineligible,
+		labels: getLabels( state, orderId, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch => {
+	return bindActionCreators( { closeBulkRefundDialog, confirmBulkRefund, openBulkRefundDialog }, dispatch );
+};
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( LabelBulkRefundDialog ) );
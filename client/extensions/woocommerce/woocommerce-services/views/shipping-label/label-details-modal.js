@@ -16,7 +16,10 @@ import Dialog from 'components/dialog';
 import FormSectionHeading from 'wcs-client/components/forms/form-section-heading';
 import { getOrigin } from 'woocommerce/lib/nav-utils';
 import { userCanManagePayments } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
-import { closeDetailsDialog } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	cancelPickup,
+	closeDetailsDialog,
+} from 'woocommerce/woocommerce-services/state/shipping-label/actions';
 import {
 	isLoaded,
 	getShippingLabel,
@@ -33,11 +36,24 @@ const DetailsDialog = props => {
 		productNames,
 		canManagePayments,
 		receiptId,
+		labelId,
+		pickup,
+		isCancellingPickup,
 		translate,
 	} = props;
 
 	const onClose = () => props.closeDetailsDialog( orderId, siteId );
+	const onCancelPickup = () => props.cancelPickup( orderId, siteId, labelId );
 	const buttons = [ { action: 'close', label: translate( 'Close' ), onClick: onClose } ];
+	if ( pickup ) {
+		buttons.unshift( {
+			action: 'cancel-pickup',
+			label: translate( 'Cancel pickup' ),
+			onClick: onCancelPickup,
+			disabled: isCancellingPickup,
+			additionalClassNames: isCancellingPickup ? 'is-busy' : '',
+		} );
+	}
 
 	const renderReceiptLink = () => {
 		if ( ! canManagePayments || ! receiptId ) {
@@ -79,6 +95,23 @@ const DetailsDialog = props => {
 						) ) }
 					</ul>
 				</dd>
+
+				{ pickup && <dt>{ translate( 'Pickup' ) }</dt> }
+				{ pickup && (
+					<dd>
+						{ translate( 'Confirmation #%(confirmationNumber)s', {
+							args: { confirmationNumber: pickup.confirmation_number },
+						} ) }
+						<br />
+						{ translate( '%(date)s, between %(readyTime)s and %(closeTime)s', {
+							args: {
+								date: pickup.pickup_date,
+								readyTime: pickup.ready_time,
+								closeTime: pickup.close_time,
+							},
+						} ) }
+					</dd>
+				) }
 			</dl>
 		</Dialog>
 	);
@@ -92,7 +125,11 @@ DetailsDialog.propTypes = {
 	packageName: PropTypes.string,
 	productNames: PropTypes.array,
 	closeDetailsDialog: PropTypes.func.isRequired,
+	cancelPickup: PropTypes.func.isRequired,
 	receiptId: PropTypes.number,
+	labelId: PropTypes.number,
+	pickup: PropTypes.object,
+	isCancellingPickup: PropTypes.bool,
 };
 
 const mapStateToProps = ( state, { orderId, siteId, labelId } ) => {
@@ -101,11 +138,12 @@ const mapStateToProps = ( state, { orderId, siteId, labelId } ) => {
 	return {
 		isVisible: Boolean( loaded && detailsDialog && detailsDialog.labelId === labelId ),
 		canManagePayments: userCanManagePayments( state, siteId ),
+		isCancellingPickup: Boolean( detailsDialog && detailsDialog.isCancellingPickup ),
 	};
 };
 
 const mapDispatchToProps = dispatch => {
-	return bindActionCreators( { closeDetailsDialog }, dispatch );
+	return bindActionCreators( { cancelPickup, closeDetailsDialog }, dispatch );
 };
 
 export default connect(
@@ -8,42 +8,58 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import { localize } from 'i18n-calypso';
-import { Tooltip } from '@wordpress/components';
+import { Button, Tooltip } from '@wordpress/components';
+import { includes } from 'lodash';
 
 /**
  * Internal dependencies
  */
 import EllipsisMenu from 'components/ellipsis-menu';
+import Checkbox from 'woocommerce/woocommerce-services/components/checkbox';
 import PopoverMenuItem from 'components/popover/menu-item';
 import RefundDialog from './label-refund-modal';
 import ReprintDialog from './label-reprint-modal';
 import DetailsDialog from './label-details-modal';
+import PickupDialog from './label-pickup-modal';
 import TrackingLink from './tracking-link';
+import TrackingStatusBadge from './tracking-status-badge';
+import LabelTrackingTimeline from './label-tracking-timeline';
 import {
 	openRefundDialog,
 	openReprintDialog,
 	openDetailsDialog,
+	openReturnLabelFlow,
+	openPickupDialog,
+	toggleLabelRefundSelection,
+	fetchLabelTracking,
+	toggleLabelTrackingTimeline,
 } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import { getRefundSelection } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+import { getLabelPurchaseView } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
+import { getLabelPurchasePageUrl } from './label-purchase-page/url';
+import { getCarrier } from 'woocommerce/woocommerce-services/lib/carriers';
+import {
+	getRefundIneligibility,
+	getRefundIneligibilityMessage,
+} from 'woocommerce/woocommerce-services/lib/label-refunds';
 import Gridicon from "gridicons";
 
 export class LabelItem extends Component {
-	renderRefund = ( labelId, expired, carrierId, trackingId ) => {
-		const { orderId, siteId, translate } = this.props;
-		let toolTipMessage = '';
-		let disabled = false;
+	componentDidMount() {
+		const { orderId, siteId, label } = this.props;
 
-		if ( expired ) {
-			toolTipMessage = translate( 'Labels older than 30 days cannot be refunded.' );
-			disabled       = true;
-		}
-		else if ( 'usps' === carrierId && ! trackingId ) {
-			toolTipMessage = translate( 'USPS labels without tracking are not eligible for refund.' );
-			disabled       = true
+		// Fills in the status badge, the timeline itself stays closed
+		if ( label.showDetails && label.isTrackingActive ) {
+			this.props.fetchLabelTracking( orderId, siteId, label.labelId );
 		}
+	}
 
-		if ( disabled ) {
+	renderRefund = ( labelId, ineligibility ) => {
+		const { orderId, siteId, translate } = this.props;
+
+		if ( ineligibility ) {
 			return (
-				<Tooltip position="top left" text={ toolTipMessage }>
+				<Tooltip position="top left" text={ getRefundIneligibilityMessage( ineligibility ) }>
 					<button className="popover__menu-item shipping-label__item-menu-reprint-expired" role="menuitem" tabIndex="-1">
 						<Gridicon icon="refund" size={ 18 }/>
 						<span> { translate( 'Request refund' ) } </span>
@@ -102,30 +118,56 @@ export class LabelItem extends Component {
 		);
 	};
 
-	renderPickup = carrierId => {
-		const { translate } = this.props;
-		const pickup_urls = {
-			'usps': 'https://tools.usps.com/schedule-pickup-steps.htm',
-			'fedex': 'https://www.fedex.com/en-us/shipping/schedule-manage-pickups.html',
-			'ups': 'https://wwwapps.ups.com/pickup/request',
-			'dhlexpress': 'https://mydhl.express.dhl/us/en/schedule-pickup.html#/schedule-pickup#label-reference',
-		};
+	renderPickup = ( labelId, carrierId, pickup ) => {
+		const { orderId, siteId, translate } = this.props;
 
-		if ( ! ( pickup_urls.hasOwnProperty( carrierId ) ) ) {
+		const carrier = getCarrier( carrierId );
+		if ( pickup || ! carrier ) {
 			return null;
 		}
 
-		const onClickOpenPage = () => {
-			window.open(pickup_urls[ carrierId ], '_blank');
+		// Carriers whose pickups can't be scheduled here may still take the booking on their site
+		if ( ! carrier.features.pickup ) {
+			if ( ! carrier.pickupUrl ) {
+				return null;
+			}
+			const openPickupPage = () => window.open( carrier.pickupUrl, '_blank' );
+			return (
+				<PopoverMenuItem onClick={ openPickupPage } icon="external">
+					{ translate( 'Schedule a pickup' ) }
+				</PopoverMenuItem>
+			);
+		}
+
+		const openDialog = () => {
+			this.props.openPickupDialog( orderId, siteId, labelId );
 		};
 
 		return (
-			<PopoverMenuItem onClick={ onClickOpenPage } icon="external">
+			<PopoverMenuItem onClick={ openDialog } icon="calendar">
 				{ translate( 'Schedule a pickup' ) }
 			</PopoverMenuItem>
 		);
 	};
 
+	renderReturnLabel = labelId => {
+		const { orderId, siteId, labelPurchaseView, translate } = this.props;
+
+		const openReturnFlow = () => {
+			if ( 'page' === labelPurchaseView ) {
+				window.location.assign( getLabelPurchasePageUrl( orderId, labelId ) );
+				return;
+			}
+			this.props.openReturnLabelFlow( orderId, siteId, labelId );
+		};
+
+		return (
+			<PopoverMenuItem onClick={ openReturnFlow } icon="undo">
+				{ translate( 'Create return label' ) }
+			</PopoverMenuItem>
+		);
+	};
+
 	renderCommercialInvoiceLink () {
 		const { translate, label: { commercialInvoiceUrl } } = this.props;
 
@@ -163,16 +205,20 @@ export class LabelItem extends Component {
                 tracking,
 				carrierId,
 				commercialInvoiceUrl,
+				isReturn,
+				payOnScan,
+				pickup,
+				trackingStatus,
 			},
 			siteId,
 			orderId,
 			translate,
-			isModal
+			isModal,
+			isSelectedForRefund,
 		} = this.props;
 
 		const todayTime = new Date().getTime();
 		let expired = false;
-		let refundExpired = false;
 		if (
 			anonymized ||
 			usedDate ||
@@ -181,32 +227,44 @@ export class LabelItem extends Component {
 			expired = true;
 		}
 
-		const thirtyDaysAgo = new Date().setDate( (new Date()).getDate() - 30 );
-		if (
-			anonymized ||
-			usedDate ||
-			( createdDate && createdDate < thirtyDaysAgo )
-		) {
-			refundExpired = true;
-		}
+		const refundIneligibility = getRefundIneligibility( { createdDate, usedDate, anonymized, carrierId, tracking } );
+
+		const titleOptions = {
+			args: {
+				service: serviceName,
+				labelIndex: labelIndex + 1,
+			},
+		};
+
+		const onToggleRefundSelection = () => this.props.toggleLabelRefundSelection( orderId, siteId, labelId );
+		const onToggleTrackingTimeline = () => this.props.toggleLabelTrackingTimeline( orderId, siteId, labelId );
 
 		return (
 			<div className="shipping-label__item">
 				<p className="shipping-label__item-detail">
-					{ translate( '%(service)s label (#%(labelIndex)d)', {
-						args: {
-							service: serviceName,
-							labelIndex: labelIndex + 1,
-						},
-					} ) }
+					<span>
+						{ showDetails && ! isModal && (
+							<Checkbox
+								className="shipping-label__item-select"
+								checked={ isSelectedForRefund }
+								onChange={ onToggleRefundSelection }
+								aria-label={ translate( 'Select for a bulk refund' ) }
+							/>
+						) }
+						{ isReturn
+							? translate( '%(service)s return label (#%(labelIndex)d)', titleOptions )
+							: translate( '%(service)s label (#%(labelIndex)d)', titleOptions ) }
+						{ showDetails && <TrackingStatusBadge status={ trackingStatus } /> }
+					</span>
 					{ showDetails && (
 						<span>
 							{ ( ! isModal && (
 								<EllipsisMenu position="bottom left">
 									{ this.renderLabelDetails( labelId ) }
-									{ this.renderPickup( carrierId ) }
-									{ this.renderRefund( labelId, refundExpired, carrierId, tracking ) }
+									{ this.renderPickup( labelId, carrierId, pickup ) }
+									{ this.renderRefund( labelId, refundIneligibility ) }
 									{ this.renderReprint( labelId, expired ) }
+									{ ! isReturn && ! expired && this.renderReturnLabel( labelId ) }
 									{ this.renderCommercialInvoiceLink( commercialInvoiceUrl ) }
 								</EllipsisMenu>
 							) ) }
@@ -219,7 +277,9 @@ export class LabelItem extends Component {
 								productNames={ productNames }
 								receiptId={ receiptId }
 								labelId={ labelId }
+								pickup={ pickup }
 							/>
+							<PickupDialog siteId={ siteId } orderId={ orderId } labelId={ labelId } />
 							<RefundDialog
 								siteId={ siteId }
 								orderId={ orderId }
@@ -237,8 +297,21 @@ export class LabelItem extends Component {
 						{ translate( 'Tracking #: {{trackingLink/}}', {
 							components: { trackingLink: <TrackingLink carrierId={ carrierId } tracking={ tracking }  /> },
 						} ) }
+						{ tracking && (
+							<Button isLink className="shipping-label__item-tracking-toggle" onClick={ onToggleTrackingTimeline }>
+								{ translate( 'Tracking history' ) }
+							</Button>
+						) }
+						{ payOnScan && (
+							<span className="shipping-label__item-pay-on-scan">
+								{ translate( 'Billed only when scanned by the carrier' ) }
+							</span>
+						) }
 					</p>
 				) }
+				{ showDetails && tracking && (
+					<LabelTrackingTimeline siteId={ siteId } orderId={ orderId } labelId={ labelId } />
+				) }
 			</div>
 		);
 	}
@@ -264,18 +337,47 @@ LabelItem.propTypes = {
 		tracking: PropTypes.string.isRequired,
 		carrierId: PropTypes.string.isRequired,
 		commercialInvoiceUrl: PropTypes.string,
+		isReturn: PropTypes.bool,
+		payOnScan: PropTypes.bool,
+		pickup: PropTypes.object,
+		trackingStatus: PropTypes.string,
+		isTrackingActive: PropTypes.bool,
 	}).isRequired,
 	isModal: PropTypes.bool.isRequired,
+	isSelectedForRefund: PropTypes.bool,
+	labelPurchaseView: PropTypes.string,
 	openRefundDialog: PropTypes.func.isRequired,
 	openReprintDialog: PropTypes.func.isRequired,
 	openDetailsDialog: PropTypes.func.isRequired,
+	openReturnLabelFlow: PropTypes.func.isRequired,
+	openPickupDialog: PropTypes.func.isRequired,
+	toggleLabelRefundSelection: PropTypes.func.isRequired,
+	fetchLabelTracking: PropTypes.func.isRequired,
+	toggleLabelTrackingTimeline: PropTypes.func.isRequired,
 };
 
+const mapStateToProps = ( state, { orderId, siteId, label } ) => ( {
+	isSelectedForRefund: includes( getRefundSelection( state, orderId, siteId ), label.labelId ),
+	labelPurchaseView: getLabelPurchaseView( state, siteId ),
+} );
+
 const mapDispatchToProps = dispatch => {
-	return bindActionCreators( { openRefundDialog, openReprintDialog, openDetailsDialog }, dispatch );
+	return bindActionCreators(
+		{
+			openRefundDialog,
+			openReprintDialog,
+			openDetailsDialog,
+			openReturnLabelFlow,
+			openPickupDialog,
+			toggleLabelRefundSelection,
+			fetchLabelTracking,
+			toggleLabelTrackingTimeline,
+		},
+		dispatch
+	);
 };
 
 export default connect(
-	null,
+	mapStateToProps,
 	mapDispatchToProps
 )( localize( LabelItem ) );
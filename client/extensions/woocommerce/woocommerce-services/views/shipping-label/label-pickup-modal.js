@@ -0,0 +1,167 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { CheckboxControl, TextControl } from '@wordpress/components';
+import { some } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Dialog from 'components/dialog';
+import FormSectionHeading from 'wcs-client/components/forms/form-section-heading';
+import Spinner from 'wcs-client/components/spinner';
+import {
+	closePickupDialog,
+	schedulePickup,
+	togglePickupLabel,
+	updatePickupField,
+} from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	isLoaded,
+	getShippingLabel,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+const isSelected = ( selected, { order_id, label_id } ) =>
+	some( selected, pickupLabel => pickupLabel.order_id === order_id && pickupLabel.label_id === label_id );
+
+const PickupDialog = props => {
+	const { orderId, siteId, pickupDialog, translate } = props;
+
+	if ( ! pickupDialog ) {
+		return null;
+	}
+
+	const { isFetching, isSubmitting, labels, selected, values } = pickupDialog;
+	const isValid =
+		selected.length > 0 &&
+		values.pickup_date &&
+		values.ready_time &&
+		values.close_time &&
+		values.ready_time < values.close_time;
+
+	const onClose = () => props.closePickupDialog( orderId, siteId );
+	const onConfirm = () => props.schedulePickup( orderId, siteId );
+
+	const buttons = [
+		{ action: 'cancel', label: translate( 'Cancel' ), onClick: onClose },
+		{
+			action: 'confirm',
+			onClick: onConfirm,
+			isPrimary: true,
+			disabled: ! isValid || isSubmitting,
+			additionalClassNames: isSubmitting ? 'is-busy' : '',
+			label: translate( 'Schedule pickup' ),
+		},
+	];
+
+	const renderField = ( name, label, type = 'text' ) => (
+		<TextControl
+			className={ `label-pickup-modal__field-${ name }` }
+			label={ label }
+			type={ type }
+			value={ values[ name ] || '' }
+			onChange={ value => props.updatePickupField( orderId, siteId, name, value ) }
+		/>
+	);
+
+	const renderLabels = () => {
+		if ( isFetching ) {
+			return (
+				<div className="shipping-label__loading-spinner">
+					<Spinner size={ 24 } />
+				</div>
+			);
+		}
+
+		if ( ! labels.length ) {
+			return <p>{ translate( 'There are no labels left that can be added to a pickup.' ) }</p>;
+		}
+
+		return labels.map( label => (
+			<CheckboxControl
+				key={ `${ label.order_id }-${ label.label_id }` }
+				checked={ isSelected( selected, label ) }
+				onChange={ () => props.togglePickupLabel( orderId, siteId, label.order_id, label.label_id ) }
+				label={ translate( 'Order #%(orderId)s: %(service)s (%(tracking)s)', {
+					args: {
+						orderId: label.order_id,
+						service: label.service_name,
+						tracking: label.tracking,
+					},
+				} ) }
+			/>
+		) );
+	};
+
+	return (
+		<Dialog
+			additionalClassNames="label-pickup-modal woocommerce wcc-root"
+			isVisible
+			onClose={ onClose }
+			buttons={ buttons }
+		>
+			<FormSectionHeading>{ translate( 'Schedule a pickup' ) }</FormSectionHeading>
+			<h4>{ translate( 'Packages' ) }</h4>
+			<div className="label-pickup-modal__labels">{ renderLabels() }</div>
+
+			<h4>{ translate( 'Pickup window' ) }</h4>
+			<div className="label-pickup-modal__window">
+				{ renderField( 'pickup_date', translate( 'Date' ), 'date' ) }
+				{ renderField( 'ready_time', translate( 'Ready from' ), 'time' ) }
+				{ renderField( 'close_time', translate( 'Until' ), 'time' ) }
+			</div>
+
+			<h4>{ translate( 'Pickup location' ) }</h4>
+			{ renderField( 'name', translate( 'Name' ) ) }
+			{ renderField( 'company', translate( 'Company' ) ) }
+			{ renderField( 'phone', translate( 'Phone' ), 'tel' ) }
+			{ renderField( 'address', translate( 'Address' ) ) }
+			{ renderField( 'address_2', translate( 'Address line 2' ) ) }
+			<div className="label-pickup-modal__city">
+				{ renderField( 'city', translate( 'City' ) ) }
+				{ renderField( 'state', translate( 'State' ) ) }
+				{ renderField( 'postcode', translate( 'Postal code' ) ) }
+			</div>
+			{ renderField( 'location', translate( 'Where should the driver find the packages?' ) ) }
+			{ renderField( 'instructions', translate( 'Instructions for the driver' ) ) }
+		</Dialog>
+	);
+};
+
+PickupDialog.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	labelId: PropTypes.number.isRequired,
+	pickupDialog: PropTypes.object,
+	closePickupDialog: PropTypes.func.isRequired,
+	schedulePickup: PropTypes.func.isRequired,
+	togglePickupLabel: PropTypes.func.isRequired,
+	updatePickupField: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId, labelId } ) => {
+	const loaded = isLoaded( state, orderId, siteId );
+	const { pickupDialog } = getShippingLabel( state, orderId, siteId );
+	return {
+		pickupDialog: loaded && pickupDialog && pickupDialog.labelId === labelId ? pickupDialog : null,
+	};
+};
+
+const mapDispatchToProps = dispatch => {
+	return bindActionCreators(
+		{ closePickupDialog, schedulePickup, togglePickupLabel, updatePickupField },
+		dispatch
+	);
+};
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( PickupDialog ) );
@@ -8,7 +8,7 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import { localize } from 'i18n-calypso';
-import { isEqual, isObject, size } from 'lodash';
+import { find, isEqual, isObject, size } from 'lodash';
 
 /**
  * Internal dependencies
@@ -27,6 +27,7 @@ import {
 	editAddress,
 	editUnverifiableAddress,
 	updateAddressValue,
+	selectOriginAddress,
 	submitAddressForNormalization,
 } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
 import {
@@ -38,6 +39,7 @@ import {
 	getDestinationCountryNames,
 	getStateNames,
 } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+import { getOriginAddresses } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
 import { getCountryName } from 'woocommerce/state/sites/data/locations/selectors';
 
 const AddressFields = props => {
@@ -45,6 +47,8 @@ const AddressFields = props => {
 		siteId,
 		orderId,
 		values,
+		addressId,
+		originAddresses,
 		isNormalized,
 		normalized,
 		selectNormalized,
@@ -110,8 +114,34 @@ const AddressFields = props => {
 	const submitAddressForNormalizationHandler = () =>
 		props.submitAddressForNormalization( orderId, siteId, group );
 
+	const renderAddressBook = () => {
+		if ( ! originAddresses.length ) {
+			return null;
+		}
+
+		const titles = {};
+		originAddresses.forEach( ( { id, title } ) => ( titles[ id ] = title ) );
+		const onSelect = id => {
+			const originAddress = find( originAddresses, { id } );
+			if ( originAddress ) {
+				props.selectOriginAddress( orderId, siteId, originAddress );
+			}
+		};
+
+		return (
+			<Dropdown
+				id={ getId( 'address_book' ) }
+				title={ translate( 'Ship from' ) }
+				value={ addressId || '' }
+				valuesMap={ { '': translate( 'Other address' ), ...titles } }
+				updateValue={ onSelect }
+			/>
+		);
+	};
+
 	return (
 		<div>
+			{ renderAddressBook() }
 			<TextField
 				id={ getId( 'name' ) }
 				title={ translate( 'Name' ) }
@@ -240,6 +270,8 @@ AddressFields.propTypes = {
 	group: PropTypes.string.isRequired,
 	countryNames: PropTypes.object.isRequired,
 	stateNames: PropTypes.object,
+	addressId: PropTypes.string,
+	originAddresses: PropTypes.array.isRequired,
 };
 
 const mapStateToProps = ( state, { group, orderId, siteId } ) => {
@@ -265,6 +297,9 @@ const mapStateToProps = ( state, { group, orderId, siteId } ) => {
 		isUsable: loaded && isAddressUsable( state, orderId, group, siteId ),
 		countryNames,
 		stateNames: getStateNames( state, formData.values.country, siteId ),
+		// Return labels are shipped from the customer, not from one of the store locations
+		originAddresses:
+			'origin' === group && ! shippingLabel.form.returnLabel ? getOriginAddresses( state, siteId ) : [],
 	};
 };
 
@@ -276,6 +311,7 @@ const mapDispatchToProps = dispatch => {
 			editAddress,
 			editUnverifiableAddress,
 			updateAddressValue,
+			selectOriginAddress,
 			submitAddressForNormalization,
 		},
 		dispatch
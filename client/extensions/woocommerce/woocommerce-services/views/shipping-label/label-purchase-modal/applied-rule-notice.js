@@ -0,0 +1,43 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { localize } from 'i18n-calypso';
+
+/**
+ * Internal dependencies
+ */
+import { getShippingLabel } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const AppliedRuleNotice = props => {
+	const { appliedRule, translate } = props;
+
+	if ( ! appliedRule ) {
+		return null;
+	}
+
+	return (
+		<div className="label-purchase-modal__applied-rule">
+			{ translate( 'Shipping rule {{strong}}%(name)s{{/strong}} was applied to this order.', {
+				args: { name: appliedRule.name },
+				components: { strong: <strong /> },
+			} ) }
+		</div>
+	);
+};
+
+AppliedRuleNotice.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	appliedRule: PropTypes.object,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => ( {
+	appliedRule: getShippingLabel( state, orderId, siteId ).form.appliedRule,
+} );
+
+export default connect( mapStateToProps )( localize( AppliedRuleNotice ) );
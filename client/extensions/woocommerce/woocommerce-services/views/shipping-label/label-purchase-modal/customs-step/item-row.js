@@ -5,17 +5,20 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { localize } from 'i18n-calypso';
+import { CheckboxControl } from '@wordpress/components';
 
 /**
  * Internal dependencies
  */
 import TextField from 'woocommerce/woocommerce-services/components/text-field';
+import HSCodePicker from 'woocommerce/woocommerce-services/components/hs-code-picker';
 import {
 	setCustomsItemDescription,
 	setCustomsItemTariffNumber,
 	setCustomsItemWeight,
 	setCustomsItemValue,
 	setCustomsItemOriginCountry,
+	setCustomsItemSaveDefaults,
 } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
 import {
 	getShippingLabel,
@@ -40,54 +43,65 @@ const ItemRow = props => {
 		value,
 		tariffNumber,
 		originCountry,
+		saveDefaults,
+		categories,
 		countryNames,
 		weightUnit,
 	} = props;
 
 	return (
-		<div className="customs-step__item-row">
-			<TextField
-				id={ packageId + '_' + productId + '_description' }
-				className="customs-step__item-description-column"
-				title={ <DescriptionTitle /> }
-				value={ description }
-				placeholder={ defaultDescription }
-				updateValue={ props.setCustomsItemDescription }
-				error={ errors.description }
-			/>
-			<TextField
-				id={ packageId + '_' + productId + '_tariffNumber' }
-				className="customs-step__item-code-column"
-				title={ <TariffCodeTitle /> }
-				placeholder={ translate( 'Optional' ) }
-				value={ tariffNumber }
-				updateValue={ props.setCustomsItemTariffNumber }
-				error={ errors.tariffNumber }
-			/>
-			<WeightField
-				weightUnit={ weightUnit }
-				id={ packageId + '_' + productId + '_weight' }
-				className="customs-step__item-weight-column"
-				title={ translate( 'Weight (per unit)' ) }
-				value={ weight }
-				updateValue={ props.setCustomsItemWeight }
-				error={ errors.weight }
-			/>
-			<PriceField
-				id={ packageId + '_' + productId + '_value' }
-				className="customs-step__item-value-column"
-				title={ translate( 'Value (per unit)' ) }
-				value={ value }
-				updateValue={ props.setCustomsItemValue }
-				error={ errors.value }
-			/>
-			<Dropdown
-				id={ packageId + '_' + productId + '_originCountry' }
-				className="customs-step__item-country-column"
-				title={ <OriginCountryTitle /> }
-				value={ originCountry }
-				updateValue={ props.setCustomsItemOriginCountry }
-				valuesMap={ countryNames }
+		<div className="customs-step__item">
+			<div className="customs-step__item-row">
+				<TextField
+					id={ packageId + '_' + productId + '_description' }
+					className="customs-step__item-description-column"
+					title={ <DescriptionTitle /> }
+					value={ description }
+					placeholder={ defaultDescription }
+					updateValue={ props.setCustomsItemDescription }
+					error={ errors.description }
+				/>
+				<HSCodePicker
+					id={ packageId + '_' + productId + '_tariffNumber' }
+					className="customs-step__item-code-column"
+					title={ <TariffCodeTitle /> }
+					value={ tariffNumber }
+					updateValue={ props.setCustomsItemTariffNumber }
+					error={ errors.tariffNumber }
+					productName={ defaultDescription }
+					categories={ categories }
+				/>
+				<WeightField
+					weightUnit={ weightUnit }
+					id={ packageId + '_' + productId + '_weight' }
+					className="customs-step__item-weight-column"
+					title={ translate( 'Weight (per unit)' ) }
+					value={ weight }
+					updateValue={ props.setCustomsItemWeight }
+					error={ errors.weight }
+				/>
+				<PriceField
+					id={ packageId + '_' + productId + '_value' }
+					className="customs-step__item-value-column"
+					title={ translate( 'Value (per unit)' ) }
+					value={ value }
+					updateValue={ props.setCustomsItemValue }
+					error={ errors.value }
+				/>
+				<Dropdown
+					id={ packageId + '_' + productId + '_originCountry' }
+					className="customs-step__item-country-column"
+					title={ <OriginCountryTitle /> }
+					value={ originCountry }
+					updateValue={ props.setCustomsItemOriginCountry }
+					valuesMap={ countryNames }
+				/>
+			</div>
+			<CheckboxControl
+				className="customs-step__item-save-defaults"
+				label={ translate( 'Remember for this product' ) }
+				checked={ saveDefaults }
+				onChange={ props.setCustomsItemSaveDefaults }
 			/>
 		</div>
 	);
@@ -104,6 +118,8 @@ ItemRow.propTypes = {
 	weight: PropTypes.oneOfType( [ PropTypes.string, PropTypes.number ] ).isRequired,
 	value: PropTypes.oneOfType( [ PropTypes.string, PropTypes.number ] ).isRequired,
 	originCountry: PropTypes.string.isRequired,
+	saveDefaults: PropTypes.bool.isRequired,
+	categories: PropTypes.array,
 	errors: PropTypes.object,
 	countryNames: PropTypes.object.isRequired,
 	setCustomsItemDescription: PropTypes.func.isRequired,
@@ -111,6 +127,7 @@ ItemRow.propTypes = {
 	setCustomsItemWeight: PropTypes.func.isRequired,
 	setCustomsItemValue: PropTypes.func.isRequired,
 	setCustomsItemOriginCountry: PropTypes.func.isRequired,
+	setCustomsItemSaveDefaults: PropTypes.func.isRequired,
 };
 
 const mapStateToProps = ( state, { orderId, siteId, productId } ) => {
@@ -123,6 +140,8 @@ const mapStateToProps = ( state, { orderId, siteId, productId } ) => {
 		weight,
 		value,
 		originCountry,
+		saveDefaults,
+		categories,
 	} = shippingLabel.form.customs.items[ productId ];
 
 	return {
@@ -132,6 +151,8 @@ const mapStateToProps = ( state, { orderId, siteId, productId } ) => {
 		weight,
 		value,
 		originCountry,
+		saveDefaults: Boolean( saveDefaults ),
+		categories,
 		errors: isShippingLabelLoaded
 			? getFormErrors( state, orderId, siteId ).customs.items[ productId ]
 			: {},
@@ -151,6 +172,8 @@ const mapDispatchToProps = ( dispatch, { orderId, siteId, productId } ) => ( {
 		dispatch( setCustomsItemValue( orderId, siteId, productId, value ) ),
 	setCustomsItemOriginCountry: value =>
 		dispatch( setCustomsItemOriginCountry( orderId, siteId, productId, value ) ),
+	setCustomsItemSaveDefaults: value =>
+		dispatch( setCustomsItemSaveDefaults( orderId, siteId, productId, value ) ),
 } );
 
 export default connect(
@@ -0,0 +1,67 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import {
+	discardLabelDraft,
+	restoreLabelDraft,
+} from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import { getShippingLabel } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const DraftNotice = props => {
+	const { orderId, siteId, draft, translate } = props;
+
+	if ( ! draft ) {
+		return null;
+	}
+
+	const onResume = () => props.restoreLabelDraft( orderId, siteId );
+	const onDiscard = () => props.discardLabelDraft( orderId, siteId );
+
+	return (
+		<div className="label-purchase-modal__draft-notice">
+			<span>
+				{ translate( 'Resume your draft? It keeps the changes you made to this label on your last visit.' ) }
+			</span>
+			<div className="label-purchase-modal__draft-notice-actions">
+				<Button isSecondary isSmall onClick={ onDiscard }>
+					{ translate( 'Discard draft' ) }
+				</Button>
+				<Button isPrimary isSmall onClick={ onResume }>
+					{ translate( 'Resume your draft' ) }
+				</Button>
+			</div>
+		</div>
+	);
+};
+
+DraftNotice.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	draft: PropTypes.object,
+	restoreLabelDraft: PropTypes.func.isRequired,
+	discardLabelDraft: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => ( {
+	draft: getShippingLabel( state, orderId, siteId ).draft,
+} );
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators( { discardLabelDraft, restoreLabelDraft }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( DraftNotice ) );
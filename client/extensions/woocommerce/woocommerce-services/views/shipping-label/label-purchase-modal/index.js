@@ -18,6 +18,8 @@ import PackagesStep from './packages-step';
 import CustomsStep from './customs-step';
 import RatesStep from './rates-step';
 import Sidebar from './sidebar';
+import DraftNotice from './draft-notice';
+import AppliedRuleNotice from './applied-rule-notice';
 import { exitPrintingFlow } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
 import {
 	getShippingLabel,
@@ -41,10 +43,14 @@ const LabelPurchaseModal = props => {
 				className="woocommerce label-purchase-modal wcc-root"
 				shouldCloseOnClickOutside={ false }
 				onRequestClose={ onClose }
-				title={ translate( 'Create shipping label', 'Create shipping labels', { count: Object.keys( props.form.packages.selected ).length } ) }
+				title={ props.form.returnLabel
+					? translate( 'Create return label' )
+					: translate( 'Create shipping label', 'Create shipping labels', { count: Object.keys( props.form.packages.selected ).length } ) }
 			>
 				<div className="label-purchase-modal__content">
 					<div className="label-purchase-modal__main-section">
+						<DraftNotice siteId={ props.siteId } orderId={ props.orderId } />
+						<AppliedRuleNotice siteId={ props.siteId } orderId={ props.orderId } />
 						<AddressStep
 							type="origin"
 							title={ translate( 'Origin address' ) }
@@ -0,0 +1,54 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { localize } from 'i18n-calypso';
+import { some } from 'lodash';
+import classNames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import { getFulfillment } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const FulfillmentSummary = ( { fulfillment, translate } ) => {
+	// Nothing to tell until part of the order went out
+	if ( ! some( fulfillment, 'shipped' ) ) {
+		return null;
+	}
+
+	return (
+		<div className="packages-step__fulfillment">
+			<p>{ translate( 'Some items were already shipped, only the others are in the packages below.' ) }</p>
+			<ul>
+				{ fulfillment.map( ( { productId, name, shipped, total } ) => (
+					<li
+						key={ productId }
+						className={ classNames( 'packages-step__fulfillment-item', { 'is-shipped': shipped === total } ) }
+					>
+						<span className="packages-step__fulfillment-name">{ name }</span>
+						<span className="packages-step__fulfillment-count">
+							{ translate( 'Shipped %(shipped)d of %(total)d', { args: { shipped, total } } ) }
+						</span>
+					</li>
+				) ) }
+			</ul>
+		</div>
+	);
+};
+
+FulfillmentSummary.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	fulfillment: PropTypes.array.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => ( {
+	fulfillment: getFulfillment( state, orderId, siteId ),
+} );
+
+export default connect( mapStateToProps )( localize( FulfillmentSummary ) );
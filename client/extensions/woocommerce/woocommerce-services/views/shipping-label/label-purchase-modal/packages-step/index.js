@@ -8,7 +8,7 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import { localize, numberFormat } from 'i18n-calypso';
-import { find, isEmpty } from 'lodash';
+import { find, isEmpty, values } from 'lodash';
 
 /**
  * Internal dependencies
@@ -17,6 +17,9 @@ import PackageList from './list';
 import PackageInfo from './package-info';
 import MoveItemDialog from './move-item';
 import AddItemDialog from './add-item';
+import PackingSuggestion from './packing-suggestion';
+import PackingStation from './packing-station';
+import FulfillmentSummary from './fulfillment-summary';
 import StepConfirmationButton from '../step-confirmation-button';
 import { hasNonEmptyLeaves } from 'woocommerce/woocommerce-services/lib/utils/tree';
 import StepContainer from '../step-container';
@@ -39,7 +42,7 @@ const PRECISION = {
 }
 
 const PackagesStep = props => {
-	const { siteId, orderId, selected, weightUnit, errors, expanded, translate } = props;
+	const { siteId, orderId, selected, weightUnit, errors, packingStationErrors, expanded, translate } = props;
 
 	const packageIds = Object.keys( selected );
 	const itemsCount = packageIds.reduce(
@@ -57,7 +60,7 @@ const PackagesStep = props => {
 			};
 		}
 
-		const errorPackage = find( errors, pckg => ! isEmpty( pckg ) );
+		const errorPackage = find( [ ...values( errors ), packingStationErrors ], group => ! isEmpty( group ) );
 		if ( errorPackage ) {
 			return {
 				isError: true,
@@ -109,13 +112,16 @@ const PackagesStep = props => {
 			expanded={ expanded }
 			toggleStep={ toggleStepHandler }
 		>
+			<FulfillmentSummary siteId={ props.siteId } orderId={ props.orderId } />
+			<PackingStation siteId={ props.siteId } orderId={ props.orderId } />
+			<PackingSuggestion siteId={ props.siteId } orderId={ props.orderId } />
 			<div className="packages-step__contents">
 				<PackageList siteId={ props.siteId } orderId={ props.orderId } />
 				<PackageInfo siteId={ props.siteId } orderId={ props.orderId } />
 			</div>
 
 			<StepConfirmationButton
-				disabled={ hasNonEmptyLeaves( errors ) || ! packageIds.length }
+				disabled={ hasNonEmptyLeaves( errors ) || hasNonEmptyLeaves( packingStationErrors ) || ! packageIds.length }
 				onClick={ confirmPackagesHandler }
 			>
 				{ translate( 'Use these packages' ) }
@@ -133,6 +139,7 @@ PackagesStep.propTypes = {
 	selected: PropTypes.object.isRequired,
 	weightUnit: PropTypes.string.isRequired,
 	errors: PropTypes.object.isRequired,
+	packingStationErrors: PropTypes.object,
 	expanded: PropTypes.bool,
 };
 
@@ -140,8 +147,10 @@ const mapStateToProps = ( state, { orderId, siteId } ) => {
 	const loaded = isLoaded( state, orderId, siteId );
 	const shippingLabel = getShippingLabel( state, orderId, siteId );
 	const storeOptions = loaded ? shippingLabel.storeOptions : {};
+	const errors = loaded ? getFormErrors( state, orderId, siteId ) : {};
 	return {
-		errors: loaded && getFormErrors( state, orderId, siteId ).packages,
+		errors: errors.packages,
+		packingStationErrors: errors.packingStation,
 		weightUnit: storeOptions.weight_unit,
 		expanded: shippingLabel.form.packages.expanded,
 		selected: shippingLabel.form.packages.selected,
@@ -9,7 +9,7 @@ import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import { localize } from 'i18n-calypso';
 import { some } from 'lodash';
-import { Button } from '@wordpress/components';
+import { Button, CheckboxControl } from '@wordpress/components';
 import classNames from 'classnames';
 
 /**
@@ -19,17 +19,21 @@ import FieldError from 'woocommerce/woocommerce-services/components/field-error'
 import FormLabel from 'components/forms/form-label';
 import FormLegend from 'wcs-client/components/forms/form-legend';
 import TextControlWithAffixes from 'components/forms/text-control-with-affixes';
+import PriceField from 'woocommerce/woocommerce-services/components/price-field';
 import ItemInfo from './item-info';
 import PackageSelect from './package-select';
+import ScaleReader from './scale-reader';
 import {
 	updatePackageWeight,
 	openAddItem,
+	setPackageInsurance,
 	setPackageType,
 } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
 import {
 	getShippingLabel,
 	isLoaded,
 	getFormErrors,
+	getPackageItemsValue,
 } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
 import {
 	getLabelSettingsUserMeta,
@@ -124,6 +128,37 @@ const PackageInfo = props => {
 
 	const packageWeight = isNaN( pckg.weight ) ? '' : pckg.weight;
 
+	const isInsured = null != pckg.insurance;
+
+	const onInsuranceToggle = isChecked => {
+		props.setPackageInsurance( orderId, siteId, packageId, isChecked ? getPackageItemsValue( pckg ) : null );
+	};
+
+	const onInsuranceChange = value => {
+		props.setPackageInsurance( orderId, siteId, packageId, value );
+	};
+
+	const renderInsurance = () => {
+		return (
+			<div className="packages-step__package-insurance">
+				<CheckboxControl
+					label={ translate( 'Insure this package' ) }
+					checked={ isInsured }
+					onChange={ onInsuranceToggle }
+				/>
+				{ isInsured && (
+					<PriceField
+						id={ `insurance_${ packageId }` }
+						title={ translate( 'Declared value' ) }
+						value={ isNaN( pckg.insurance ) ? '' : pckg.insurance }
+						updateValue={ onInsuranceChange }
+						error={ pckgErrors.insurance }
+					/>
+				) }
+			</div>
+		);
+	};
+
 	return (
 		<div className="packages-step__package">
 			<div>
@@ -163,7 +198,16 @@ const PackageInfo = props => {
 					suffix={ weightUnit }
 				/>
 				{ pckgErrors.weight && <FieldError text={ pckgErrors.weight } /> }
+				<ScaleReader
+					key={ packageId }
+					siteId={ siteId }
+					orderId={ orderId }
+					packageId={ packageId }
+					weightUnit={ weightUnit }
+				/>
 			</div>
+
+			{ renderInsurance() }
 		</div>
 	);
 };
@@ -178,6 +222,7 @@ PackageInfo.propTypes = {
 	weightUnit: PropTypes.string.isRequired,
 	errors: PropTypes.object.isRequired,
 	openAddItem: PropTypes.func.isRequired,
+	setPackageInsurance: PropTypes.func.isRequired,
 	userMeta: PropTypes.object.isRequired,
 };
 
@@ -204,6 +249,7 @@ const mapDispatchToProps = dispatch => {
 		{
 			updatePackageWeight,
 			openAddItem,
+			setPackageInsurance,
 			setPackageType,
 			... PackagesActions,
 		},
@@ -0,0 +1,157 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button, TextControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { filter, flatten, map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import {
+	clearPackingStationExtraScans,
+	scanPackingStationCode,
+	setPackingStationActive,
+} from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	getFormErrors,
+	getShippingLabel,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+const getScanMessage = ( result, weightUnit, translate ) => {
+	switch ( result.type ) {
+		case 'item':
+			return translate( 'Packed %(name)s', { args: { name: result.value } } );
+		case 'box':
+			return translate( 'Package type set to %(name)s', { args: { name: result.value } } );
+		case 'weight':
+			return translate( 'Weight set to %(weight)s %(unit)s', { args: { weight: result.value, unit: weightUnit } } );
+		default:
+			return translate( '%(code)s is not in this order', { args: { code: result.value } } );
+	}
+};
+
+export const PackingStation = props => {
+	const { orderId, siteId, packingStation, units, weightUnit, errors, translate } = props;
+	const [ code, setCode ] = useState( '' );
+	const [ lastResult, setLastResult ] = useState( null );
+
+	if ( ! packingStation ) {
+		return null;
+	}
+
+	const onStart = () => {
+		setLastResult( null );
+		props.setPackingStationActive( orderId, siteId, true );
+	};
+
+	if ( ! packingStation.active ) {
+		return (
+			<div className="packages-step__packing-station">
+				<Button isSecondary isSmall onClick={ onStart }>
+					{ translate( 'Pack with a barcode scanner' ) }
+				</Button>
+			</div>
+		);
+	}
+
+	const onStop = () => props.setPackingStationActive( orderId, siteId, false );
+	const onClearExtras = () => props.clearPackingStationExtraScans( orderId, siteId );
+	// Scanners type the barcode like a keyboard would and press Enter at the end
+	const onKeyDown = event => {
+		if ( 'Enter' !== event.key ) {
+			return;
+		}
+		event.preventDefault();
+		const result = props.scanPackingStationCode( orderId, siteId, code );
+		if ( result ) {
+			setLastResult( result );
+		}
+		setCode( '' );
+	};
+
+	const scannedCount = filter( units, 'isScanned' ).length;
+
+	return (
+		<div className="packages-step__packing-station is-active">
+			<TextControl
+				className="packages-step__packing-station-input"
+				label={ translate( 'Scan an item, a box or type in the scale reading' ) }
+				help={ translate(
+					'Scanning a box starts a new package once the current one has items. Type weights with a decimal point or a unit, like 1.5 or 600 g.'
+				) }
+				value={ code }
+				onChange={ setCode }
+				onKeyDown={ onKeyDown }
+				autoComplete="off"
+				autoFocus
+			/>
+			<div className="packages-step__packing-station-status">
+				<span>
+					{ translate( '%(scanned)d of %(total)d items scanned', {
+						args: { scanned: scannedCount, total: units.length },
+					} ) }
+				</span>
+				{ lastResult && (
+					<span
+						className={ 'extra' === lastResult.type ? 'is-error' : 'is-success' }
+						role="status"
+					>
+						{ getScanMessage( lastResult, weightUnit, translate ) }
+					</span>
+				) }
+			</div>
+			{ errors.extra && (
+				<div className="packages-step__packing-station-extra is-error">
+					<span>{ errors.extra }</span>
+					<Button isLink onClick={ onClearExtras }>
+						{ translate( 'Clear' ) }
+					</Button>
+				</div>
+			) }
+			<Button isLink onClick={ onStop }>
+				{ translate( 'Stop scanning' ) }
+			</Button>
+		</div>
+	);
+};
+
+PackingStation.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	packingStation: PropTypes.object,
+	units: PropTypes.array.isRequired,
+	weightUnit: PropTypes.string,
+	errors: PropTypes.object.isRequired,
+	setPackingStationActive: PropTypes.func.isRequired,
+	scanPackingStationCode: PropTypes.func.isRequired,
+	clearPackingStationExtraScans: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => {
+	const { form, storeOptions } = getShippingLabel( state, orderId, siteId );
+	return {
+		packingStation: form.packages.packingStation,
+		units: flatten( map( form.packages.selected, 'items' ) ),
+		weightUnit: storeOptions.weight_unit,
+		errors: getFormErrors( state, orderId, siteId ).packingStation || {},
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators(
+		{ clearPackingStationExtraScans, scanPackingStationCode, setPackingStationActive },
+		dispatch
+	);
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( PackingStation ) );
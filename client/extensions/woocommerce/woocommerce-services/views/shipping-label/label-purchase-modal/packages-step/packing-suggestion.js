@@ -0,0 +1,83 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button } from '@wordpress/components';
+import { countBy, isEqual, map, sortBy } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { applyPackingProposal } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import { getShippingLabel } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+import { getPackingProposal } from 'woocommerce/woocommerce-services/state/packages/selectors';
+
+const getPackingSignature = packages =>
+	sortBy( map( packages, ( { boxId, items } ) => `${ boxId }:${ sortBy( map( items, 'product_id' ) ).join() }` ) );
+
+const isAlreadyApplied = ( proposal, selected ) => {
+	const proposed = proposal.packages
+		.map( ( { boxId, items } ) => ( { boxId, items } ) )
+		.concat( proposal.individual.map( item => ( { boxId: 'individual', items: [ item ] } ) ) );
+	const current = map( selected, ( { box_id, items } ) => ( { boxId: box_id, items } ) );
+
+	return isEqual( getPackingSignature( proposed ), getPackingSignature( current ) );
+};
+
+export const PackingSuggestion = props => {
+	const { orderId, siteId, proposal, selected, translate } = props;
+
+	if ( ! proposal || isAlreadyApplied( proposal, selected ) ) {
+		return null;
+	}
+
+	const boxCounts = countBy( proposal.packages, ( { definition } ) => definition.name );
+	const descriptions = map( boxCounts, ( count, name ) => `${ count } × ${ name }` );
+	if ( proposal.individual.length ) {
+		descriptions.push(
+			translate( '%(count)d item in its own packaging', '%(count)d items in their own packaging', {
+				count: proposal.individual.length,
+				args: { count: proposal.individual.length },
+			} )
+		);
+	}
+
+	const onApply = () => props.applyPackingProposal( orderId, siteId );
+
+	return (
+		<div className="packages-step__packing-suggestion">
+			<span>
+				{ translate( 'Suggested packing: %(boxes)s', { args: { boxes: descriptions.join( ', ' ) } } ) }
+			</span>
+			<Button isSecondary isSmall onClick={ onApply }>
+				{ translate( 'Apply' ) }
+			</Button>
+		</div>
+	);
+};
+
+PackingSuggestion.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	proposal: PropTypes.object,
+	selected: PropTypes.object.isRequired,
+	applyPackingProposal: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => ( {
+	proposal: getPackingProposal( state, orderId, siteId ),
+	selected: getShippingLabel( state, orderId, siteId ).form.packages.selected,
+} );
+
+const mapDispatchToProps = dispatch => bindActionCreators( { applyPackingProposal }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( PackingSuggestion ) );
@@ -0,0 +1,156 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button, CheckboxControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { filter, fromPairs, map } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import { convertWeight, getScaleParsers } from 'woocommerce/woocommerce-services/lib/scales';
+import {
+	connectScale,
+	disconnectScale,
+	getConnectedScaleParser,
+	getScalePreferences,
+	getSupportedTransports,
+	isScaleConnected,
+	onScaleReading,
+	readScale,
+	setScalePreferences,
+} from 'woocommerce/woocommerce-services/lib/scales/connection';
+import { updatePackageWeight } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+
+export const ScaleReader = props => {
+	const { orderId, siteId, packageId, weightUnit, translate } = props;
+	const transports = getSupportedTransports();
+	const parsers = filter( getScaleParsers(), parser => transports[ parser.transport ] );
+	const preferences = getScalePreferences();
+
+	const [ isConnected, setIsConnected ] = useState( isScaleConnected() );
+	const [ parserId, setParserId ] = useState(
+		( getConnectedScaleParser() || {} ).id || preferences.parserId || ( parsers[ 0 ] || {} ).id
+	);
+	const [ autoRead, setAutoRead ] = useState( preferences.autoRead );
+	const [ isBusy, setIsBusy ] = useState( false );
+	const [ message, setMessage ] = useState( null );
+	const lastAutoWeight = useRef( null );
+
+	const applyReading = ( { weight, unit } ) => {
+		const value = convertWeight( weight, unit, weightUnit );
+		props.updatePackageWeight( orderId, siteId, packageId, value );
+		setMessage( {
+			isError: false,
+			text: translate( 'Weighed %(weight)s %(unit)s', { args: { weight: value, unit: weightUnit } } ),
+		} );
+	};
+
+	// Only settled weights of something on the platform are taken, the same weight isn't stored twice
+	useEffect( () => {
+		if ( ! isConnected || ! autoRead ) {
+			return;
+		}
+		return onScaleReading( reading => {
+			if ( ! reading.isStable || 0 >= reading.weight || reading.weight === lastAutoWeight.current ) {
+				return;
+			}
+			lastAutoWeight.current = reading.weight;
+			applyReading( reading );
+		} );
+	} );
+
+	if ( ! parsers.length ) {
+		return null;
+	}
+
+	const showError = text => setMessage( { isError: true, text } );
+
+	const onConnect = () => {
+		setIsBusy( true );
+		setMessage( null );
+		connectScale( parserId )
+			.then( connected => setIsConnected( connected ) )
+			.catch( () => showError( translate( "Couldn't connect to the scale. Check that no other tab or app is using it." ) ) )
+			.then( () => setIsBusy( false ) );
+	};
+
+	const onDisconnect = () => {
+		disconnectScale().then( () => setIsConnected( false ) );
+	};
+
+	const onRead = () => {
+		setIsBusy( true );
+		readScale()
+			.then( applyReading )
+			.catch( () => showError( translate( "The scale didn't report a steady weight. Try again once it settles." ) ) )
+			.then( () => setIsBusy( false ) );
+	};
+
+	const onAutoReadChange = checked => {
+		lastAutoWeight.current = null;
+		setAutoRead( checked );
+		setScalePreferences( { autoRead: checked } );
+	};
+
+	return (
+		<div className="packages-step__scale">
+			{ isConnected ? (
+				<div className="packages-step__scale-actions">
+					<Button isSecondary isSmall onClick={ onRead } disabled={ isBusy }>
+						{ translate( 'Read scale' ) }
+					</Button>
+					<CheckboxControl
+						label={ translate( 'Read automatically when the weight settles' ) }
+						checked={ autoRead }
+						onChange={ onAutoReadChange }
+					/>
+					<Button isLink onClick={ onDisconnect }>
+						{ translate( 'Disconnect' ) }
+					</Button>
+				</div>
+			) : (
+				<div className="packages-step__scale-actions">
+					<Dropdown
+						id={ `scale_protocol_${ packageId }` }
+						title={ translate( 'Scale' ) }
+						value={ parserId }
+						valuesMap={ fromPairs( map( parsers, parser => [ parser.id, parser.name ] ) ) }
+						updateValue={ setParserId }
+					/>
+					<Button isSecondary isSmall onClick={ onConnect } disabled={ isBusy }>
+						{ translate( 'Connect scale' ) }
+					</Button>
+				</div>
+			) }
+			{ message && (
+				<span className={ message.isError ? 'is-error' : 'is-success' } role="status">
+					{ message.text }
+				</span>
+			) }
+		</div>
+	);
+};
+
+ScaleReader.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	packageId: PropTypes.string.isRequired,
+	weightUnit: PropTypes.string.isRequired,
+	updatePackageWeight: PropTypes.func.isRequired,
+};
+
+const mapDispatchToProps = dispatch => bindActionCreators( { updatePackageWeight }, dispatch );
+
+export default connect(
+	null,
+	mapDispatchToProps
+)( localize( ScaleReader ) );
@@ -17,18 +17,18 @@ import { Tooltip } from '@wordpress/components';
 import { getTotalPriceBreakdown } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
 
 class PriceSummary extends Component {
-	renderDiscount = (discount) => {
+	renderDiscount = ( discount, currency ) => {
 		const { translate } = this.props;
 		const tooltipText = translate( "WooCommerce Shipping gives you access to USPS Commercial Pricing, which is discounted over Retail rates.");
 
 		return (
-			<div className="label-purchase-modal__price-item-help">
+			<div key={ 'discount-' + currency } className="label-purchase-modal__price-item-help">
 				<Tooltip
 					className="label-purchase-modal__price-item-tooltip is-dialog-visible"
 				    position="top center"
 					text={ tooltipText }>
 					<div className="label-purchase-modal__discount">
-						{ translate( 'You save %s with WooCommerce Shipping', { args: [ formatCurrency( discount, 'USD' ) ]} ) }
+						{ translate( 'You save %s with WooCommerce Shipping', { args: [ formatCurrency( discount, currency ) ]} ) }
 						<Gridicon
 							icon="help-outline"
 							size={ 18 }
@@ -39,7 +39,7 @@ class PriceSummary extends Component {
 		);
 	};
 
-	renderRow = ( itemName, itemCost, key, isTotal ) => {
+	renderRow = ( itemName, itemCost, currency, key, isTotal ) => {
 		const className = classNames( 'label-purchase-modal__price-item', {
 			'label-purchase-modal__price-item-total': isTotal,
 		} );
@@ -47,7 +47,7 @@ class PriceSummary extends Component {
 			<div key={ key } className={ className }>
 				<div className="label-purchase-modal__price-item-name">{ itemName }</div>
 				<div className="label-purchase-modal__price-item-amount">
-					{ formatCurrency( itemCost, 'USD' ) }
+					{ formatCurrency( itemCost, currency ) }
 				</div>
 			</div>
 		);
@@ -59,7 +59,7 @@ class PriceSummary extends Component {
 			return null;
 		}
 
-		const { prices, discount, total } = priceBreakdown;
+		const { prices, subtotals } = priceBreakdown;
 
 		return (
 			<div className="label-purchase-modal__shipping-summary-section">
@@ -73,18 +73,26 @@ class PriceSummary extends Component {
 					} );
 					return (
 						<Fragment key={ index }>
-							{ this.renderRow( title, service.rateWithDiscount, index ) }
+							{ this.renderRow( title, service.rateWithDiscount, service.currency, index ) }
 							{ service.carrierId === 'ups' ? <div className="label-purchase-modal__price-item-carrier-account-notice"> { translate( 'Your UPS account will be charged' ) }</div> : <div /> }
 							{ service.addons.map( ( addon, addonIndex ) =>
-								<div key={ 'addons-' + index } className="label-purchase-modal__price-item-addons">
-									{ this.renderRow( addon.title, addon.rate, 'addon-' + addonIndex ) }
+								<div key={ 'addons-' + index + '-' + addonIndex } className="label-purchase-modal__price-item-addons">
+									{ this.renderRow( addon.title, addon.rate, service.currency, 'addon-' + addonIndex ) }
 								</div>
 							) }
 						</Fragment>
 					);
 				} ) }
-				{ this.renderRow( translate( 'Total' ), total, 'total', true ) }
-				{ 0 < discount && this.renderDiscount( discount ) }
+				{ subtotals.map( ( { currency, total } ) => {
+					// Rates billed in different currencies can't be added up, show one total per currency instead
+					const title = 1 === subtotals.length
+						? translate( 'Total' )
+						: translate( 'Total (%(currency)s)', { args: { currency } } );
+					return this.renderRow( title, total, currency, 'total-' + currency, true );
+				} ) }
+				{ subtotals.map( ( { currency, discount } ) =>
+					0 < discount && this.renderDiscount( discount, currency )
+				) }
 			</div>
 		);
 	}
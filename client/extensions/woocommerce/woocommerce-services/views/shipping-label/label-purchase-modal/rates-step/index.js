@@ -16,8 +16,11 @@ import Gridicon from 'gridicons';
  * Internal dependencies
  */
 import ShippingRates from './list';
+import RatePolicy from './rate-policy';
 import StepContainer from '../step-container';
 import { hasNonEmptyLeaves } from 'woocommerce/woocommerce-services/lib/utils/tree';
+import formatSubtotals from 'woocommerce/woocommerce-services/lib/utils/format-subtotals';
+import { DEFAULT_RATE_CURRENCY } from 'woocommerce/woocommerce-services/state/shipping-label/constants';
 import {
 	toggleStep,
 	updateRate,
@@ -37,7 +40,7 @@ import {
 import { getOrder } from 'woocommerce/state/sites/orders/selectors';
 
 
-const ratesSummary = ( selectedRates, availableRates, total, packagesSaved, translate ) => {
+const ratesSummary = ( selectedRates, availableRates, priceBreakdown, packagesSaved, translate ) => {
 	if ( ! packagesSaved ) {
 		return translate( 'Unsaved changes made to packages' );
 	}
@@ -46,7 +49,7 @@ const ratesSummary = ( selectedRates, availableRates, total, packagesSaved, tran
 		return translate( 'No rates found' );
 	}
 
-	if ( ! total ) {
+	if ( ! priceBreakdown ) {
 		return '';
 	}
 
@@ -63,7 +66,7 @@ const ratesSummary = ( selectedRates, availableRates, total, packagesSaved, tran
 			return translate( '%(serviceName)s: %(rate)s', {
 				args: {
 					serviceName: rateInfo.title,
-					rate: formatCurrency( rateInfo.rate, 'USD' ),
+					rate: formatCurrency( rateInfo.rate, rateInfo.currency || DEFAULT_RATE_CURRENCY ),
 				},
 			} );
 		}
@@ -74,7 +77,7 @@ const ratesSummary = ( selectedRates, availableRates, total, packagesSaved, tran
 	// Otherwise, just show the total
 	return translate( 'Total rate: %(total)s', {
 		args: {
-			total: formatCurrency( total, 'USD' ),
+			total: formatSubtotals( priceBreakdown.subtotals ),
 		},
 	} );
 };
@@ -157,11 +160,11 @@ const RatesStep = props => {
 		values,
 		available,
 		errors,
-		ratesTotal,
+		priceBreakdown,
 		translate,
 		currency,
 	} = props;
-	const summary = ratesSummary( values, available, ratesTotal, form.packages.saved, translate );
+	const summary = ratesSummary( values, available, priceBreakdown, form.packages.saved, translate );
 	const toggleStepHandler = () => props.toggleStep( orderId, siteId, 'rates' );
 	const updateRateHandler = ( packageId, serviceId, carrierId, signatureRequired ) =>
 		props.updateRate( orderId, siteId, packageId, serviceId, carrierId, signatureRequired );
@@ -189,6 +192,7 @@ const RatesStep = props => {
 			{ ...getRatesStatus( props ) }
 		>
 			{ ! isEmpty( available ) && showCheckoutShippingInfo( props ) }
+			{ ! isEmpty( available ) && <RatePolicy orderId={ orderId } siteId={ siteId } /> }
 			<ShippingRates
 				id="rates"
 				orderId={ orderId }
@@ -220,14 +224,13 @@ RatesStep.propTypes = {
 const mapStateToProps = ( state, { orderId, siteId } ) => {
 	const loaded = isLoaded( state, orderId, siteId );
 	const shippingLabelState = getShippingLabel( state, orderId, siteId );
-	const priceBreakdown = getTotalPriceBreakdown( state, orderId, siteId );
 	const order = getOrder( state, orderId, siteId );
 
 	return {
 		...shippingLabelState.form.rates,
 		form: shippingLabelState.form,
 		errors: loaded && getFormErrors( state, orderId, siteId ).rates,
-		ratesTotal: priceBreakdown ? priceBreakdown.total : 0,
+		priceBreakdown: getTotalPriceBreakdown( state, orderId, siteId ),
 		allPackages: getAllPackageDefinitions( state, siteId ),
 		shippingCost: getOrderShippingTotal( order ),
 		shippingMethod: getOrderShippingMethod( order ),
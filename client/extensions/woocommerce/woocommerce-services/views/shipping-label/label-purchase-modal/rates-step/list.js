@@ -73,8 +73,10 @@ export const ShippingRates = ( {
 							currency={ currency }
 							rateObject={ serviceRateObject }
 							signatureRates={ getSignatureServiceRates( pckgId, service_id, availableRates ) }
+							insuredValue={ pckg.insurance }
 							updateValue={ onRateUpdate }
 							isSelected={ service_id === selectedRate.serviceId }
+							isAutoPicked={ service_id === selectedRate.serviceId && Boolean( selectedRate.isAutoPicked ) }
 						/>
 					} ) )
 				) }
@@ -0,0 +1,92 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { CheckboxControl } from '@wordpress/components';
+import { flatMap, includes, map, uniq, without } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import TextField from 'woocommerce/woocommerce-services/components/text-field';
+import { getRatePolicyNames } from 'woocommerce/woocommerce-services/lib/rate-policy';
+import { getCarrierName } from 'woocommerce/woocommerce-services/lib/carriers';
+import { setRatePolicy } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	getRatePolicy,
+	getShippingLabel,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const RatePolicy = props => {
+	const { orderId, siteId, policy, carrierIds, translate } = props;
+
+	const update = changes => props.setRatePolicy( orderId, siteId, { ...policy, ...changes } );
+	const onTypeChange = type => update( { type } );
+	const onDaysChange = value => update( { max_days: parseInt( value, 10 ) || 0 } );
+	const onCarrierToggle = carrierId => isChecked =>
+		update( {
+			carriers: isChecked ? [ ...policy.carriers, carrierId ] : without( policy.carriers, carrierId ),
+		} );
+
+	return (
+		<div className="rates-step__policy">
+			<Dropdown
+				id="rate_policy"
+				title={ translate( 'Select rates automatically' ) }
+				value={ policy.type }
+				valuesMap={ getRatePolicyNames() }
+				updateValue={ onTypeChange }
+			/>
+			{ 'cheapest_within_days' === policy.type && (
+				<TextField
+					id="rate_policy_max_days"
+					title={ translate( 'Business days' ) }
+					value={ String( policy.max_days ) }
+					updateValue={ onDaysChange }
+				/>
+			) }
+			{ 'cheapest_preferred' === policy.type && (
+				<div className="rates-step__policy-carriers">
+					{ carrierIds.map( carrierId => (
+						<CheckboxControl
+							key={ carrierId }
+							label={ getCarrierName( carrierId ) }
+							checked={ includes( policy.carriers, carrierId ) }
+							onChange={ onCarrierToggle( carrierId ) }
+						/>
+					) ) }
+				</div>
+			) }
+		</div>
+	);
+};
+
+RatePolicy.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	policy: PropTypes.object.isRequired,
+	carrierIds: PropTypes.array.isRequired,
+	setRatePolicy: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => {
+	const { available } = getShippingLabel( state, orderId, siteId ).form.rates;
+	return {
+		policy: getRatePolicy( state, orderId, siteId ),
+		carrierIds: uniq( map( flatMap( available, 'default.rates' ), 'carrier_id' ) ),
+	};
+};
+
+const mapDispatchToProps = dispatch => bindActionCreators( { setRatePolicy }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( RatePolicy ) );
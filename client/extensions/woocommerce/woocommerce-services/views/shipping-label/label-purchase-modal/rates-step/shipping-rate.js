@@ -15,6 +15,7 @@ import Gridicon from 'gridicons';
  */
 import CarrierIcon from 'woocommerce/woocommerce-services/components/carrier-icon';
 import formatCurrency from '@automattic/format-currency';
+import { DEFAULT_RATE_CURRENCY } from 'woocommerce/woocommerce-services/state/shipping-label/constants';
 
 class ShippingRate extends Component {
 	constructor() {
@@ -31,7 +32,7 @@ class ShippingRate extends Component {
 		updateValue( service_id, carrier_id, isChecked ? signatureOption.value : 0 );
 	}
 
-	renderServices( carrier_id, signatureOptions, includedServices ) {
+	renderServices( carrier_id, signatureOptions, includedServices, rateCurrency ) {
 
 		const servicesToRender = [];
 
@@ -44,12 +45,19 @@ class ShippingRate extends Component {
 					servicesToRender.push( translate( 'Includes tracking' ) );
 			}
 		}
-		if ( includedServices.insurance ) {
+		if ( includedServices.insuranceCost ) {
+			servicesToRender.push( translate( 'Insured for %(value)s (+%(cost)s)', {
+				args: {
+					value: formatCurrency( includedServices.insuredValue, rateCurrency ),
+					cost: formatCurrency( includedServices.insuranceCost, rateCurrency ),
+				},
+			} ) );
+		} else if ( includedServices.insurance ) {
 			const numericInsurance = Number( includedServices.insurance );
 			if ( isNaN( numericInsurance ) ) {
 				servicesToRender.push( translate( 'Insurance (%s)', { args: [ includedServices.insurance ] } ) );
 			} else if ( numericInsurance > 0 ) {
-				servicesToRender.push( translate( 'Insurance (up to %s)', { args: [ formatCurrency( numericInsurance, 'USD') ] } ) );
+				servicesToRender.push( translate( 'Insurance (up to %s)', { args: [ formatCurrency( numericInsurance, rateCurrency ) ] } ) );
 			}
 		}
 		if ( signatureOptions.filter( signatureOption => 0 === signatureOption.netCost ).length > 0 ) {
@@ -86,18 +94,22 @@ class ShippingRate extends Component {
 				tracking,
 				insurance,
 				free_pickup,
+				insurance_cost,
+				currency: rateCurrency = DEFAULT_RATE_CURRENCY,
 			},
 			isSelected,
+			isAutoPicked,
 			updateValue,
 			currency,
 			signatureRates,
+			insuredValue,
 		} = this.props;
 		const { selectedSignature } = this.state;
 
 		const signatureOptions = values(
 			mapValues( signatureRates, ( r, key ) => {
 				const priceString = ( 0 === r.optionNetCost ) ? translate( 'free' ) :
-					translate( '+%s', { args: [ formatCurrency( r.optionNetCost, 'USD') ] } );
+					translate( '+%s', { args: [ formatCurrency( r.optionNetCost, rateCurrency ) ] } );
 				return {
 					label: translate( '%(label)s (%(price)s)', {
 						args: { label: r.label, price: priceString },
@@ -119,10 +131,11 @@ class ShippingRate extends Component {
 			} );
 		}
 
-		const ratePlusSignatureCost = selectedSignature ? rate + selectedSignature.netCost : rate;
+		const insuranceCost = insuredValue && insurance_cost ? insurance_cost : 0;
+		const ratePlusSignatureCost = ( selectedSignature ? rate + selectedSignature.netCost : rate ) + insuranceCost;
 
-		// Add suffix for non USD.
-		const formattedRatePlusSignatureCost = ( typeof currency != 'undefined' && 'USD' !== currency ) ? formatCurrency( ratePlusSignatureCost, 'USD' ) + ' USD' : formatCurrency( ratePlusSignatureCost, 'USD' );
+		// Add the currency code when the rate isn't billed in the currency of the order.
+		const formattedRatePlusSignatureCost = ( typeof currency != 'undefined' && rateCurrency !== currency ) ? formatCurrency( ratePlusSignatureCost, rateCurrency ) + ' ' + rateCurrency : formatCurrency( ratePlusSignatureCost, rateCurrency );
 
 		return(
 			<div className="rates-step__shipping-rate-container">
@@ -139,7 +152,7 @@ class ShippingRate extends Component {
 					<div className="rates-step__shipping-rate-description">
 						<div className="rates-step__shipping-rate-description-title">{ title }</div>
 						<div className="rates-step__shipping-rate-description-details">
-							{ this.renderServices( carrier_id, signatureOptions, { tracking, insurance, free_pickup } ) }
+							{ this.renderServices( carrier_id, signatureOptions, { tracking, insurance, free_pickup, insuredValue, insuranceCost }, rateCurrency ) }
 							{ isSelected && signatureOptions.length > 1 ? (
 								this.renderSignatureOptions( signatureOptions )
 							) : null }
@@ -164,6 +177,9 @@ class ShippingRate extends Component {
 							{ formattedRatePlusSignatureCost }
 						</div>
 						<div className="rates-step__shipping-rate-delivery-date">{ deliveryDateMessage }</div>
+						{ isAutoPicked && (
+							<div className="rates-step__shipping-rate-auto-picked">{ translate( 'Picked automatically' ) }</div>
+						) }
 					</div>
 				</div>
 			</div>
@@ -187,8 +203,12 @@ ShippingRate.propTypes = {
 			PropTypes.number
 		]),
 		free_pickup: PropTypes.bool,
+		insurance_cost: PropTypes.number,
+		currency: PropTypes.string,
 	}).isRequired,
 	signatureRates: PropTypes.object.isRequired,
+	insuredValue: PropTypes.number,
+	isAutoPicked: PropTypes.bool,
 };
 
 export default ShippingRate;
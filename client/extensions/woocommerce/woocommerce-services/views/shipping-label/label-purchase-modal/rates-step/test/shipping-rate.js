@@ -38,9 +38,14 @@ function createShippingRateWrapper( {
 	deliveryDate,
 	tracking,
 	insuranceAmount,
+	insuranceCost,
+	insuredValue,
 	freePickup,
 	signatureRates,
 	isSelected,
+	isAutoPicked,
+	rateCurrency,
+	orderCurrency,
 } ) {
 
 	const props = {
@@ -58,13 +63,18 @@ function createShippingRateWrapper( {
 			tracking: tracking || true,
 			insurance: insuranceAmount === undefined ? 100 : insuranceAmount,
 			free_pickup: freePickup || true,
+			insurance_cost: insuranceCost,
+			currency: rateCurrency,
 		},
+		insuredValue,
 		signatureRates: signatureRates || {
 			rate1: signatureRequiredRate,
 			rate2: adultSignatureRequiredRate
 		},
 		updateValue() {},
-		isSelected: isSelected || true
+		isSelected: isSelected || true,
+		isAutoPicked,
+		currency: orderCurrency,
 	};
 
 	return mount( <ShippingRate { ...props } /> );
@@ -173,6 +183,44 @@ describe( 'ShippingRate', () => {
 
 	} );
 
+	describe( 'for packages with a declared value', () => {
+		const shippingRateWrapper = createShippingRateWrapper( { insuredValue: 250, insuranceCost: 3.5, signatureRates: { rate1: signatureRequiredRate } } );
+
+		it( 'replaces the included insurance with the declared value and its cost', () => {
+			const listOfServices = /Includes tracking, Insured for \$250.00 \(\+\$3.50\), Signature required, Eligible for free pickup/;
+
+			expect( shippingRateWrapper.find( '.rates-step__shipping-rate-description-details' ).text() ).to.match( listOfServices );
+		} );
+
+		it( "adds the insurance cost to the rate's amount", () => {
+			expect( shippingRateWrapper.find( '.rates-step__shipping-rate-rate' ).text() ).to.equal( '$13.50' );
+		} );
+	} );
+
+	describe( 'for rates picked by the rate shopping policy', () => {
+		it( 'marks the rate as picked automatically', () => {
+			const shippingRateWrapper = createShippingRateWrapper( { isAutoPicked: true } );
+			expect( shippingRateWrapper.find( '.rates-step__shipping-rate-auto-picked' ) ).to.have.lengthOf( 1 );
+		} );
+
+		it( 'does not mark rates picked by hand', () => {
+			const shippingRateWrapper = createShippingRateWrapper( {} );
+			expect( shippingRateWrapper.find( '.rates-step__shipping-rate-auto-picked' ) ).to.have.lengthOf( 0 );
+		} );
+	} );
+
+	describe( 'for rates in another currency', () => {
+		const shippingRateWrapper = createShippingRateWrapper( { rateCurrency: 'EUR', orderCurrency: 'USD', signatureRates: { rate2: adultSignatureRequiredRate } } );
+
+		it( 'renders the amounts in the currency of the rate', () => {
+			expect( shippingRateWrapper.find( '.rates-step__shipping-rate-description-details' ).text() ).to.match( /Insurance \(up to €100[.,]00\)/ );
+		} );
+
+		it( 'adds the currency code when it differs from the order currency', () => {
+			expect( shippingRateWrapper.find( '.rates-step__shipping-rate-rate' ).text() ).to.match( /^€10[.,]00 EUR$/ );
+		} );
+	} );
+
 	describe( 'for a list of rates', () => {
 
 		const activeShippingRateWrapper = createShippingRateWrapper( { rateId: 'rate_1'} );
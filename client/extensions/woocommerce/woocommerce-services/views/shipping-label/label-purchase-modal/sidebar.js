@@ -9,6 +9,7 @@ import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import { localize } from 'i18n-calypso';
 import { CheckboxControl, Card } from '@wordpress/components';
+import { every } from 'lodash';
 
 /**
  * Internal dependencies
@@ -21,8 +22,10 @@ import PurchaseSection from './purchase-section';
 import {
 	setEmailDetailsOption,
 	setFulfillOrderOption,
+	setReturnPayOnScan,
 	updatePaperSize,
 } from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import { hasCarrierFeature } from 'woocommerce/woocommerce-services/lib/carriers';
 import {
 	getShippingLabel,
 	isLoaded,
@@ -64,6 +67,33 @@ export const Sidebar = props => {
 	} );
 	const canPurchaseLabel = ( hasLabelsPaymentMethod && labelRequiresPaymentMethod ) || ! labelRequiresPaymentMethod;
 
+	const renderReturnOptions = () => {
+		const onEmailChange = value => props.setEmailDetailsOption( orderId, siteId, value );
+		const onPayOnScanChange = value => props.setReturnPayOnScan( orderId, siteId, value );
+		const canPayOnScan =
+			hasSelectedRate &&
+			every( form.rates.values, ( { carrierId } ) => hasCarrierFeature( carrierId, 'payOnScanReturns' ) );
+
+		return (
+			<div>
+				{ canPayOnScan && (
+					<CheckboxControl
+						className="label-purchase-modal__option-pay-on-scan"
+						label={ translate( 'Pay only when the carrier scans the return label' ) }
+						checked={ form.returnLabel.payOnScan }
+						onChange={ onPayOnScanChange }
+					/>
+				) }
+				<CheckboxControl
+					className="label-purchase-modal__option-email-return-tracking"
+					label={ translate( 'Email the return tracking number to the customer' ) }
+					checked={ emailDetails }
+					onChange={ onEmailChange }
+				/>
+			</div>
+		);
+	};
+
 	return (
 		<Card 
 			className="label-purchase-modal__sidebar"
@@ -86,7 +116,7 @@ export const Sidebar = props => {
 					/> : null }
 					<PurchaseSection siteId={ siteId } orderId={ orderId } />
 				</div>
-				<CheckboxControl
+				{ form.returnLabel ? renderReturnOptions() : <CheckboxControl
 					className="label-purchase-modal__option-mark-order-fulfilled"
 					label={ isOrderFinished( order.status ) ?
 						translate( 'Notify the customer with shipment details' ) :
@@ -94,7 +124,7 @@ export const Sidebar = props => {
 					}
 					checked={ fulfillOrder || emailDetails }
 					onChange={ onFulfillAndEmailOrderChange }
-				/>
+				/> }
 		</Card>
 	);
 };
@@ -110,7 +140,8 @@ Sidebar.propTypes = {
 	emailDetails: PropTypes.bool.isRequired,
 	order: PropTypes.object.isRequired,
 	hasLabelsPaymentMethod: PropTypes.bool.isRequired,
-	setFulfillOrderOption: PropTypes.func.isRequired
+	setFulfillOrderOption: PropTypes.func.isRequired,
+	setReturnPayOnScan: PropTypes.func.isRequired,
 };
 
 const mapStateToProps = ( state, { orderId, siteId } ) => {
@@ -134,6 +165,7 @@ const mapDispatchToProps = dispatch => {
 		{
 			setEmailDetailsOption,
 			setFulfillOrderOption,
+			setReturnPayOnScan,
 			updatePaperSize,
 		},
 		dispatch
@@ -0,0 +1,53 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import { expect } from 'chai';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+import { Button } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import { DraftNotice } from '../draft-notice.js';
+
+function createDraftNoticeWrapper( initProps = {} ) {
+	const props = {
+		orderId: 1000,
+		siteId: 10,
+		translate: text => text,
+		draft: { form: {} },
+		restoreLabelDraft: sinon.spy(),
+		discardLabelDraft: sinon.spy(),
+		...initProps,
+	};
+
+	return { props, wrapper: shallow( <DraftNotice { ...props } /> ) };
+}
+
+describe( 'DraftNotice', () => {
+	it( 'renders nothing without a draft', () => {
+		const { wrapper } = createDraftNoticeWrapper( { draft: null } );
+		expect( wrapper.isEmptyRender() ).to.equal( true );
+	} );
+
+	it( 'resumes the draft', () => {
+		const { props, wrapper } = createDraftNoticeWrapper();
+		const resumeButton = wrapper.find( Button ).filterWhere( button => button.prop( 'isPrimary' ) );
+
+		expect( resumeButton.children().text() ).to.equal( 'Resume your draft' );
+		resumeButton.simulate( 'click' );
+		expect( props.restoreLabelDraft ).to.have.been.calledOnce;
+		expect( props.restoreLabelDraft ).to.have.been.calledWith( 1000, 10 );
+	} );
+
+	it( 'discards the draft', () => {
+		const { props, wrapper } = createDraftNoticeWrapper();
+		wrapper.find( Button ).filterWhere( button => button.prop( 'isSecondary' ) ).simulate( 'click' );
+		expect( props.discardLabelDraft ).to.have.been.calledOnce;
+		expect( props.discardLabelDraft ).to.have.been.calledWith( 1000, 10 );
+	} );
+} );
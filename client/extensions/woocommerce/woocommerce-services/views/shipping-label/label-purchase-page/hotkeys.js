@@ -0,0 +1,37 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { indexOf } from 'lodash';
+
+/**
+ * Maps a key press to what it does in the label purchase page
+ * @param {Object} event keyboard event
+ * @returns {String|null} `next` or `previous` to move between the steps, `confirm` to submit the current one
+ */
+export const getHotkeyCommand = event => {
+	if ( event.altKey && ! event.ctrlKey && ! event.metaKey ) {
+		if ( 'ArrowDown' === event.key ) {
+			return 'next';
+		}
+		if ( 'ArrowUp' === event.key ) {
+			return 'previous';
+		}
+	}
+	if ( ( event.ctrlKey || event.metaKey ) && 'Enter' === event.key ) {
+		return 'confirm';
+	}
+	return null;
+};
+
+/**
+ * @param {Array} steps names of the steps, in order
+ * @param {String} step name of the current step
+ * @param {Number} offset 1 for the next step, -1 for the previous one
+ * @returns {String} name of the step to move to, the current one if there's nowhere else to go
+ */
+export const getAdjacentStep = ( steps, step, offset ) => {
+	const index = indexOf( steps, step ) + offset;
+	return 0 <= index && index < steps.length ? steps[ index ] : step;
+};
@@ -0,0 +1,193 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import classNames from 'classnames';
+import { Button } from '@wordpress/components';
+import { includes } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import AddressStep from '../label-purchase-modal/address-step';
+import PackagesStep from '../label-purchase-modal/packages-step';
+import CustomsStep from '../label-purchase-modal/customs-step';
+import RatesStep from '../label-purchase-modal/rates-step';
+import Sidebar from '../label-purchase-modal/sidebar';
+import DraftNotice from '../label-purchase-modal/draft-notice';
+import AppliedRuleNotice from '../label-purchase-modal/applied-rule-notice';
+import { getAdjacentStep, getHotkeyCommand } from './hotkeys';
+import {
+	confirmLabelPurchaseStep,
+	exitPrintingFlow,
+	toggleStep,
+} from 'woocommerce/woocommerce-services/state/shipping-label/actions';
+import {
+	getFirstErroneousStep,
+	getShippingLabel,
+	isLoaded,
+	isCustomsFormRequired,
+} from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const LabelPurchasePage = props => {
+	const { orderId, siteId, loaded, showPurchaseDialog, form, firstErroneousStep, translate } = props;
+	const [ activeStep, setActiveStep ] = useState( null );
+	const pageRef = useRef( null );
+	const isMovingWithKeyboard = useRef( false );
+
+	const steps = [ 'origin', 'destination', 'packages' ];
+	if ( props.isCustomsFormRequired ) {
+		steps.push( 'customs' );
+	}
+	steps.push( 'rates' );
+	const currentStep = includes( steps, activeStep ) ? activeStep : firstErroneousStep || 'rates';
+
+	const goToStep = step => {
+		if ( step !== currentStep ) {
+			props.toggleStep( orderId, siteId, currentStep, false );
+		}
+		props.toggleStep( orderId, siteId, step, true );
+		isMovingWithKeyboard.current = true;
+		setActiveStep( step );
+	};
+
+	useEffect( () => {
+		if ( ! showPurchaseDialog ) {
+			return;
+		}
+
+		const onKeyDown = event => {
+			const command = getHotkeyCommand( event );
+			if ( ! command ) {
+				return;
+			}
+
+			event.preventDefault();
+			if ( 'confirm' === command ) {
+				props.confirmLabelPurchaseStep( orderId, siteId, currentStep );
+			} else {
+				goToStep( getAdjacentStep( steps, currentStep, 'next' === command ? 1 : -1 ) );
+			}
+		};
+
+		document.addEventListener( 'keydown', onKeyDown );
+		return () => document.removeEventListener( 'keydown', onKeyDown );
+	} );
+
+	// Only steps reached with the hotkeys take the focus, clicking into a step must leave it where it landed
+	useEffect( () => {
+		if ( ! isMovingWithKeyboard.current || ! pageRef.current ) {
+			return;
+		}
+		isMovingWithKeyboard.current = false;
+
+		const stepElement = pageRef.current.querySelector( '.label-purchase-page__step.is-active' );
+		stepElement.scrollIntoView( { block: 'nearest' } );
+		const field = stepElement.querySelector( '.foldable-card__content input, .foldable-card__content select' );
+		if ( field ) {
+			field.focus();
+		}
+	}, [ activeStep ] );
+
+	if ( ! loaded || ! showPurchaseDialog ) {
+		return null;
+	}
+
+	const onClose = () => props.exitPrintingFlow( orderId, siteId, false );
+
+	const stepElements = {
+		origin: (
+			<AddressStep type="origin" title={ translate( 'Origin address' ) } siteId={ siteId } orderId={ orderId } />
+		),
+		destination: (
+			<AddressStep
+				type="destination"
+				title={ translate( 'Destination address' ) }
+				siteId={ siteId }
+				orderId={ orderId }
+			/>
+		),
+		packages: <PackagesStep siteId={ siteId } orderId={ orderId } />,
+		customs: <CustomsStep siteId={ siteId } orderId={ orderId } />,
+		rates: <RatesStep siteId={ siteId } orderId={ orderId } />,
+	};
+
+	const title = form.returnLabel
+		? translate( 'Create return label' )
+		: translate( 'Create shipping label', 'Create shipping labels', {
+				count: Object.keys( form.packages.selected ).length,
+		  } );
+
+	return (
+		<div className="woocommerce label-purchase-page wcc-root" ref={ pageRef }>
+			<div className="label-purchase-page__header">
+				<h1 className="label-purchase-page__title">{ title }</h1>
+				<ul className="label-purchase-page__hotkeys">
+					<li>
+						<kbd>Alt</kbd> + <kbd>↑</kbd> / <kbd>↓</kbd> { translate( 'previous or next step' ) }
+					</li>
+					<li>
+						<kbd>Ctrl</kbd> + <kbd>Enter</kbd> { translate( 'confirm the step or buy the labels' ) }
+					</li>
+				</ul>
+				<Button isSecondary onClick={ onClose }>
+					{ translate( 'Close' ) }
+				</Button>
+			</div>
+			<div className="label-purchase-modal__content label-purchase-page__content">
+				<div className="label-purchase-modal__main-section label-purchase-page__steps">
+					<DraftNotice siteId={ siteId } orderId={ orderId } />
+					<AppliedRuleNotice siteId={ siteId } orderId={ orderId } />
+					{ steps.map( step => (
+						<div
+							key={ step }
+							role="group"
+							className={ classNames( 'label-purchase-page__step', { 'is-active': step === currentStep } ) }
+							onFocus={ () => setActiveStep( step ) }
+						>
+							{ stepElements[ step ] }
+						</div>
+					) ) }
+				</div>
+				<div className="label-purchase-page__summary">
+					<Sidebar siteId={ siteId } orderId={ orderId } />
+				</div>
+			</div>
+		</div>
+	);
+};
+
+LabelPurchasePage.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	toggleStep: PropTypes.func.isRequired,
+	exitPrintingFlow: PropTypes.func.isRequired,
+	confirmLabelPurchaseStep: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => {
+	const loaded = isLoaded( state, orderId, siteId );
+	const shippingLabel = getShippingLabel( state, orderId, siteId );
+	return {
+		loaded,
+		form: loaded && shippingLabel.form,
+		showPurchaseDialog: shippingLabel.showPurchaseDialog,
+		isCustomsFormRequired: isCustomsFormRequired( state, orderId, siteId ),
+		firstErroneousStep: loaded && getFirstErroneousStep( state, orderId, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch => {
+	return bindActionCreators( { confirmLabelPurchaseStep, exitPrintingFlow, toggleStep }, dispatch );
+};
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( LabelPurchasePage ) );
@@ -0,0 +1,45 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import { expect } from 'chai';
+
+/**
+ * Internal dependencies
+ */
+import { getAdjacentStep, getHotkeyCommand } from '../hotkeys';
+
+describe( 'Label purchase page hotkeys', () => {
+	describe( 'getHotkeyCommand', () => {
+		it( 'moves between the steps with Alt and the arrow keys', () => {
+			expect( getHotkeyCommand( { altKey: true, key: 'ArrowDown' } ) ).to.equal( 'next' );
+			expect( getHotkeyCommand( { altKey: true, key: 'ArrowUp' } ) ).to.equal( 'previous' );
+		} );
+
+		it( 'confirms with Ctrl+Enter or Cmd+Enter', () => {
+			expect( getHotkeyCommand( { ctrlKey: true, key: 'Enter' } ) ).to.equal( 'confirm' );
+			expect( getHotkeyCommand( { metaKey: true, key: 'Enter' } ) ).to.equal( 'confirm' );
+		} );
+
+		it( 'leaves other keys alone', () => {
+			expect( getHotkeyCommand( { key: 'ArrowDown' } ) ).to.be.null;
+			expect( getHotkeyCommand( { key: 'Enter' } ) ).to.be.null;
+			expect( getHotkeyCommand( { altKey: true, ctrlKey: true, key: 'ArrowDown' } ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'getAdjacentStep', () => {
+		const steps = [ 'origin', 'destination', 'packages', 'rates' ];
+
+		it( 'returns the next and previous steps', () => {
+			expect( getAdjacentStep( steps, 'destination', 1 ) ).to.equal( 'packages' );
+			expect( getAdjacentStep( steps, 'destination', -1 ) ).to.equal( 'origin' );
+		} );
+
+		it( 'stays on the first and last steps', () => {
+			expect( getAdjacentStep( steps, 'origin', -1 ) ).to.equal( 'origin' );
+			expect( getAdjacentStep( steps, 'rates', 1 ) ).to.equal( 'rates' );
+		} );
+	} );
+} );
@@ -0,0 +1,12 @@
+/** @format */
+
+/**
+ * @param {Number} orderId order ID
+ * @param {Number} [returnLabelId] ID of the label to create a return label for
+ * @returns {String} address of the admin page where the labels of the order are bought
+ */
+export const getLabelPurchasePageUrl = ( orderId, returnLabelId = null ) =>
+	`admin.php?page=wc-connect-label-purchase&order_id=${ orderId }` +
+	( returnLabelId ? `&return_label_id=${ returnLabelId }` : '' );
+
+export const getOrderUrl = orderId => `post.php?post=${ orderId }&action=edit`;
@@ -0,0 +1,84 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { localize } from 'i18n-calypso';
+import classNames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import Spinner from 'wcs-client/components/spinner';
+import { getTrackingStatusName } from 'woocommerce/woocommerce-services/lib/label-tracking';
+import { getLabelTracking } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const LabelTrackingTimeline = ( { tracking, translate, moment } ) => {
+	const { isOpen, isFetching, data, error } = tracking;
+
+	if ( ! isOpen ) {
+		return null;
+	}
+
+	if ( ! data ) {
+		return (
+			<div className="label-tracking-timeline">
+				{ isFetching ? (
+					<Spinner size={ 16 } />
+				) : (
+					<p className="label-tracking-timeline__error">
+						{ translate( 'The tracking history could not be loaded: %(error)s', { args: { error } } ) }
+					</p>
+				) }
+			</div>
+		);
+	}
+
+	return (
+		<div className="label-tracking-timeline">
+			<dl className="label-tracking-timeline__summary">
+				<dt>{ translate( 'Status' ) }</dt>
+				<dd className={ `is-${ data.status }` }>{ getTrackingStatusName( data.status ) }</dd>
+				{ data.estimated_delivery && <dt>{ translate( 'Estimated delivery' ) }</dt> }
+				{ data.estimated_delivery && <dd>{ moment( data.estimated_delivery ).format( 'LL' ) }</dd> }
+			</dl>
+			{ data.exception && <p className="label-tracking-timeline__error">{ data.exception }</p> }
+			{ data.events.length ? (
+				<ol className="label-tracking-timeline__events">
+					{ data.events.map( ( event, index ) => (
+						<li
+							key={ index }
+							className={ classNames( 'label-tracking-timeline__event', `is-${ event.status }` ) }
+						>
+							<span className="label-tracking-timeline__event-date">
+								{ moment( event.date ).format( 'lll' ) }
+							</span>
+							<span className="label-tracking-timeline__event-description">{ event.description }</span>
+							{ event.location && (
+								<span className="label-tracking-timeline__event-location">{ event.location }</span>
+							) }
+						</li>
+					) ) }
+				</ol>
+			) : (
+				<p>{ translate( 'The carrier has not scanned this package yet.' ) }</p>
+			) }
+		</div>
+	);
+};
+
+LabelTrackingTimeline.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	labelId: PropTypes.number.isRequired,
+	tracking: PropTypes.object.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId, labelId } ) => ( {
+	tracking: getLabelTracking( state, orderId, siteId, labelId ),
+} );
+
+export default connect( mapStateToProps )( localize( LabelTrackingTimeline ) );
@@ -0,0 +1,53 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { localize } from 'i18n-calypso';
+import { sumBy } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { getFulfillment, getLabels } from 'woocommerce/woocommerce-services/state/shipping-label/selectors';
+
+export const ShipmentProgress = ( { shipped, total, hasLabels, translate } ) => {
+	if ( ! hasLabels || ! total ) {
+		return null;
+	}
+
+	return (
+		<div className="shipment-progress">
+			<span className="shipment-progress__text">
+				{ shipped === total
+					? translate( 'All %(total)d items shipped', { args: { total } } )
+					: translate( 'Shipped %(shipped)d of %(total)d items', { args: { shipped, total } } ) }
+			</span>
+			<div className="shipment-progress__bar">
+				<div className="shipment-progress__bar-fill" style={ { width: `${ ( shipped / total ) * 100 }%` } } />
+			</div>
+		</div>
+	);
+};
+
+ShipmentProgress.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	orderId: PropTypes.number.isRequired,
+	shipped: PropTypes.number.isRequired,
+	total: PropTypes.number.isRequired,
+	hasLabels: PropTypes.bool.isRequired,
+};
+
+const mapStateToProps = ( state, { orderId, siteId } ) => {
+	const fulfillment = getFulfillment( state, orderId, siteId );
+	return {
+		shipped: sumBy( fulfillment, 'shipped' ),
+		total: sumBy( fulfillment, 'total' ),
+		hasLabels: 0 < getLabels( state, orderId, siteId ).length,
+	};
+};
+
+export default connect( mapStateToProps )( localize( ShipmentProgress ) );
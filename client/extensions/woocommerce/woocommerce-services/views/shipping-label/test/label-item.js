@@ -13,6 +13,7 @@ import { translate } from 'i18n-calypso';
  */
 import { LabelItem } from '../label-item.js';
 import PopoverMenuItem from 'components/popover/menu-item';
+import Checkbox from 'woocommerce/woocommerce-services/components/checkbox';
 import { Tooltip } from '@wordpress/components';
 
 function createLabelItemWrapper( props = {} ) {
@@ -37,9 +38,15 @@ function createLabelItemWrapper( props = {} ) {
 			carrierId: "",
 		},
 		isModal: false,
+		isSelectedForRefund: false,
 		openRefundDialog: () => {},
 		openReprintDialog: () => {},
 		openDetailsDialog: () => {},
+		openReturnLabelFlow: () => {},
+		openPickupDialog: () => {},
+		toggleLabelRefundSelection: () => {},
+		fetchLabelTracking: () => {},
+		toggleLabelTrackingTimeline: () => {},
 		translate: translate,
 	};
 
@@ -128,6 +135,26 @@ describe( 'Label item', () => {
 			expect( requestShipmentLink.length ).toBe( 1 );
 		} );
 
+		it( 'Request shipment pickup opens the pickup dialog', function () {
+			const openPickupDialog = jest.fn();
+			const pickupLink = createLabelItemWrapper( { ...props, openPickupDialog } ).findWhere( ( n ) => {
+				return n.is( PopoverMenuItem ) && 'Schedule a pickup' === n.children().text();
+			} );
+
+			pickupLink.simulate( 'click' );
+			expect( openPickupDialog ).toHaveBeenCalledWith( 1, 1, 1 );
+		} );
+
+		it( 'Request shipment pickup is hidden once a pickup is scheduled', function () {
+			const pickupLink = createLabelItemWrapper( {
+				label: { ...props.label, pickup: { confirmation_number: 'WTC123' } },
+			} ).findWhere( ( n ) => {
+				return n.is( PopoverMenuItem ) && 'Schedule a pickup' === n.children().text();
+			} );
+
+			expect( pickupLink.length ).toBe( 0 );
+		} );
+
 	} );
 
 	describe( 'with non usps untracked label', () => {
@@ -146,4 +173,68 @@ describe( 'Label item', () => {
 			expect( requestRefundLink.length ).toBe( 1 );
 		} );
 	} );
+
+	describe( 'return labels', () => {
+		const findReturnLink = wrapper =>
+			wrapper.findWhere( ( n ) => {
+				return n.is( PopoverMenuItem ) && 'Create return label' === n.children().text();
+			} );
+
+		it( 'can be created for a shipping label', function () {
+			const openReturnLabelFlow = jest.fn();
+			const wrapper = createLabelItemWrapper( { openReturnLabelFlow } );
+			const returnLink = findReturnLink( wrapper );
+
+			expect( returnLink.length ).toBe( 1 );
+			returnLink.simulate( 'click' );
+			expect( openReturnLabelFlow ).toHaveBeenCalledWith( 1, 1, 1 );
+		} );
+
+		it( 'cannot be created for another return label', function () {
+			const wrapper = createLabelItemWrapper( { label: { isReturn: true } } );
+
+			expect( findReturnLink( wrapper ).length ).toBe( 0 );
+		} );
+	} );
+
+	describe( 'bulk refund selection', () => {
+		it( 'toggles the label in the selection', function () {
+			const toggleLabelRefundSelection = jest.fn();
+			const checkbox = createLabelItemWrapper( { toggleLabelRefundSelection } ).find( Checkbox );
+
+			expect( checkbox.length ).toBe( 1 );
+			checkbox.simulate( 'change' );
+			expect( toggleLabelRefundSelection ).toHaveBeenCalledWith( 1, 1, 1 );
+		} );
+
+		it( 'is not offered in the purchase modal', function () {
+			const wrapper = createLabelItemWrapper( { isModal: true } );
+
+			expect( wrapper.find( Checkbox ).length ).toBe( 0 );
+		} );
+	} );
+
+	describe( 'tracking', () => {
+		it( 'loads the tracking status of packages still on their way', function () {
+			const fetchLabelTracking = jest.fn();
+			createLabelItemWrapper( { fetchLabelTracking, label: { isTrackingActive: true } } );
+
+			expect( fetchLabelTracking ).toHaveBeenCalledWith( 1, 1, 1 );
+		} );
+
+		it( 'does not load the tracking status of delivered packages', function () {
+			const fetchLabelTracking = jest.fn();
+			createLabelItemWrapper( { fetchLabelTracking, label: { trackingStatus: 'delivered', isTrackingActive: false } } );
+
+			expect( fetchLabelTracking ).not.toHaveBeenCalled();
+		} );
+
+		it( 'opens the tracking history', function () {
+			const toggleLabelTrackingTimeline = jest.fn();
+			const wrapper = createLabelItemWrapper( { toggleLabelTrackingTimeline } );
+
+			wrapper.find( '.shipping-label__item-tracking-toggle' ).simulate( 'click' );
+			expect( toggleLabelTrackingTimeline ).toHaveBeenCalledWith( 1, 1, 1 );
+		} );
+	} );
 } );
@@ -0,0 +1,27 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import { getTrackingBadge } from 'woocommerce/woocommerce-services/lib/label-tracking';
+
+const TrackingStatusBadge = ( { status } ) => {
+	const badge = getTrackingBadge( status );
+	if ( ! badge ) {
+		return null;
+	}
+
+	return <span className={ `tracking-status-badge is-${ badge.status }` }>{ badge.text }</span>;
+};
+
+TrackingStatusBadge.propTypes = {
+	status: PropTypes.string,
+};
+
+export default TrackingStatusBadge;
@@ -0,0 +1,148 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { Button, Card, CheckboxControl } from '@wordpress/components';
+import classNames from 'classnames';
+
+/**
+ * Internal dependencies
+ */
+import ExtendedHeader from 'woocommerce/components/extended-header';
+import ShippingRuleDialog from './shipping-rule-dialog';
+import { getSelectedSiteId } from 'state/ui/selectors';
+import {
+	moveShippingRule,
+	openShippingRuleDialog,
+	removeShippingRule,
+	toggleShippingRule,
+} from 'woocommerce/woocommerce-services/state/label-settings/actions';
+import {
+	areSettingsLoaded,
+	getShippingRules,
+} from 'woocommerce/woocommerce-services/state/label-settings/selectors';
+
+const ShippingRules = props => {
+	const { siteId, loaded, rules, translate } = props;
+
+	if ( ! loaded ) {
+		return null;
+	}
+
+	const onAdd = () => props.openShippingRuleDialog( siteId );
+
+	const renderRule = ( rule, index ) => {
+		const { id, name, enabled } = rule;
+		const withChange = action => () => {
+			props.onChange();
+			action();
+		};
+
+		return (
+			<div key={ id } className="shipping-rules__row">
+				<CheckboxControl
+					className="shipping-rules__enabled"
+					checked={ enabled }
+					onChange={ withChange( () => props.toggleShippingRule( siteId, id ) ) }
+				/>
+				<div className="shipping-rules__name">{ name }</div>
+				<div className="shipping-rules__actions">
+					<Button
+						className={ classNames( 'button', 'is-compact' ) }
+						disabled={ 0 === index }
+						onClick={ withChange( () => props.moveShippingRule( siteId, id, -1 ) ) }
+					>
+						{ translate( 'Move up' ) }
+					</Button>
+					<Button
+						className={ classNames( 'button', 'is-compact' ) }
+						disabled={ rules.length - 1 === index }
+						onClick={ withChange( () => props.moveShippingRule( siteId, id, 1 ) ) }
+					>
+						{ translate( 'Move down' ) }
+					</Button>
+					<Button
+						className={ classNames( 'button', 'is-compact' ) }
+						onClick={ () => props.openShippingRuleDialog( siteId, rule ) }
+					>
+						{ translate( 'Edit' ) }
+					</Button>
+					<Button
+						className={ classNames( 'button', 'is-compact' ) }
+						onClick={ withChange( () => props.removeShippingRule( siteId, id ) ) }
+					>
+						{ translate( 'Remove' ) }
+					</Button>
+				</div>
+			</div>
+		);
+	};
+
+	return (
+		<div>
+			<ExtendedHeader
+				label={ translate( 'Shipping rules' ) }
+				description={ translate(
+					'Pick the package, service and customs contents automatically when creating a label. ' +
+						'The first enabled rule that matches the order is applied.'
+				) }
+			>
+				<Button className={ classNames( 'button' ) } onClick={ onAdd }>
+					{ translate( 'Add rule' ) }
+				</Button>
+			</ExtendedHeader>
+			<Card size="small" className={ classNames( 'card', 'shipping-rules' ) }>
+				{ rules.length ? (
+					<div className="shipping-rules__row shipping-rules__header">
+						<div className="shipping-rules__enabled">{ translate( 'Enabled' ) }</div>
+						<div className="shipping-rules__name">{ translate( 'Rule' ) }</div>
+						<div className="shipping-rules__actions" />
+					</div>
+				) : (
+					<p className="shipping-rules__empty">
+						{ translate( 'Labels use the last package and service you picked.' ) }
+					</p>
+				) }
+				{ rules.map( renderRule ) }
+				<ShippingRuleDialog siteId={ siteId } onChange={ props.onChange } />
+			</Card>
+		</div>
+	);
+};
+
+ShippingRules.propTypes = {
+	onChange: PropTypes.func.isRequired,
+	siteId: PropTypes.number.isRequired,
+	loaded: PropTypes.bool,
+	rules: PropTypes.array.isRequired,
+	moveShippingRule: PropTypes.func.isRequired,
+	openShippingRuleDialog: PropTypes.func.isRequired,
+	removeShippingRule: PropTypes.func.isRequired,
+	toggleShippingRule: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => {
+	const siteId = getSelectedSiteId( state );
+	return {
+		siteId,
+		loaded: areSettingsLoaded( state, siteId ),
+		rules: getShippingRules( state, siteId ),
+	};
+};
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators(
+		{ moveShippingRule, openShippingRuleDialog, removeShippingRule, toggleShippingRule },
+		dispatch
+	);
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( ShippingRules ) );
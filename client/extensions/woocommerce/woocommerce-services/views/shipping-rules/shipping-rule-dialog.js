@@ -0,0 +1,193 @@
+/** @format */
+
+/**
+ * External dependencies
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { bindActionCreators } from 'redux';
+import { localize } from 'i18n-calypso';
+import { CheckboxControl } from '@wordpress/components';
+import { mapValues, trim } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Dialog from 'components/dialog';
+import FormSectionHeading from 'wcs-client/components/forms/form-section-heading';
+import TextField from 'woocommerce/woocommerce-services/components/text-field';
+import Dropdown from 'woocommerce/woocommerce-services/components/dropdown';
+import {
+	closeShippingRuleDialog,
+	saveShippingRule,
+	updateShippingRuleField,
+} from 'woocommerce/woocommerce-services/state/label-settings/actions';
+import { getShippingRuleDialog } from 'woocommerce/woocommerce-services/state/label-settings/selectors';
+import { getAllPackageDefinitions } from 'woocommerce/woocommerce-services/state/packages/selectors';
+import { getCarrierNames } from 'woocommerce/woocommerce-services/lib/carriers';
+
+const ShippingRuleDialog = props => {
+	const { siteId, dialog, boxNames, translate } = props;
+
+	if ( ! dialog ) {
+		return null;
+	}
+
+	const { values } = dialog;
+	const hasService = Boolean( values.carrier_id && trim( values.service_id ) );
+	// A carrier without a service would leave the rates step half filled
+	const isValid = trim( values.name ) && ( ! values.carrier_id || hasService );
+
+	const onClose = () => props.closeShippingRuleDialog( siteId );
+	const onSave = () => {
+		props.onChange();
+		props.saveShippingRule( siteId );
+	};
+	const update = name => value => props.updateShippingRuleField( siteId, name, value );
+
+	const buttons = [
+		{ action: 'cancel', label: translate( 'Cancel' ), onClick: onClose },
+		{
+			action: 'save',
+			onClick: onSave,
+			isPrimary: true,
+			disabled: ! isValid,
+			label: translate( 'Save' ),
+		},
+	];
+
+	const renderField = ( name, label, description, placeholder ) => (
+		<TextField
+			id={ `shipping_rule_${ name }` }
+			title={ label }
+			description={ description }
+			placeholder={ placeholder }
+			value={ values[ name ] }
+			updateValue={ update( name ) }
+		/>
+	);
+
+	const anyValue = translate( "Don't change" );
+
+	return (
+		<Dialog
+			additionalClassNames="shipping-rule-dialog woocommerce wcc-root"
+			isVisible
+			onClose={ onClose }
+			buttons={ buttons }
+		>
+			<FormSectionHeading>{ translate( 'Shipping rule' ) }</FormSectionHeading>
+			{ renderField( 'name', translate( 'Name' ), null, translate( 'e.g. Heavy orders to Canada' ) ) }
+			<CheckboxControl
+				label={ translate( 'Apply this rule to new labels' ) }
+				checked={ values.enabled }
+				onChange={ update( 'enabled' ) }
+			/>
+
+			<h4>{ translate( 'When the order matches' ) }</h4>
+			<p className="shipping-rule-dialog__hint">
+				{ translate( 'Leave a field empty to match any order. Separate multiple values with commas.' ) }
+			</p>
+			<div className="shipping-rule-dialog__columns">
+				{ renderField( 'countries', translate( 'Destination countries' ), null, 'US, CA' ) }
+				{ renderField( 'states', translate( 'Destination states' ), null, 'CA, NY' ) }
+			</div>
+			<div className="shipping-rule-dialog__columns">
+				{ renderField( 'min_total', translate( 'Minimum order total' ) ) }
+				{ renderField( 'max_total', translate( 'Maximum order total' ) ) }
+			</div>
+			<div className="shipping-rule-dialog__columns">
+				{ renderField( 'min_weight', translate( 'Minimum total weight' ) ) }
+				{ renderField( 'max_weight', translate( 'Maximum total weight' ) ) }
+			</div>
+			{ renderField(
+				'shipping_classes',
+				translate( 'Shipping classes' ),
+				translate( 'Matches when any product in the order has one of these shipping class slugs.' )
+			) }
+			{ renderField(
+				'product_ids',
+				translate( 'Product IDs' ),
+				translate( 'Matches when the order contains any of these products.' )
+			) }
+			{ renderField(
+				'shipping_methods',
+				translate( 'Checkout shipping methods' ),
+				translate( 'IDs of the shipping methods picked by the customer, for example flat_rate or free_shipping.' )
+			) }
+
+			<h4>{ translate( 'Then' ) }</h4>
+			<Dropdown
+				id="shipping_rule_box_id"
+				title={ translate( 'Package' ) }
+				value={ values.box_id }
+				valuesMap={ { '': anyValue, ...boxNames } }
+				updateValue={ update( 'box_id' ) }
+			/>
+			<div className="shipping-rule-dialog__columns">
+				<Dropdown
+					id="shipping_rule_carrier_id"
+					title={ translate( 'Carrier' ) }
+					value={ values.carrier_id }
+					valuesMap={ { '': anyValue, ...getCarrierNames( 'labels' ) } }
+					updateValue={ update( 'carrier_id' ) }
+				/>
+				{ values.carrier_id &&
+					renderField(
+						'service_id',
+						translate( 'Service' ),
+						translate( 'The service ID, as listed in the rates step.' )
+					) }
+			</div>
+			<Dropdown
+				id="shipping_rule_signature"
+				title={ translate( 'Signature' ) }
+				value={ values.signature }
+				valuesMap={ {
+					'': translate( 'No signature' ),
+					signature_required: translate( 'Signature required' ),
+					adult_signature_required: translate( 'Adult signature required' ),
+				} }
+				disabled={ ! values.carrier_id }
+				updateValue={ update( 'signature' ) }
+			/>
+			<Dropdown
+				id="shipping_rule_contents_type"
+				title={ translate( 'Customs contents type' ) }
+				value={ values.contents_type }
+				valuesMap={ {
+					'': anyValue,
+					merchandise: translate( 'Merchandise' ),
+					documents: translate( 'Documents' ),
+					gift: translate( 'Gift' ),
+					sample: translate( 'Sample' ),
+				} }
+				updateValue={ update( 'contents_type' ) }
+			/>
+		</Dialog>
+	);
+};
+
+ShippingRuleDialog.propTypes = {
+	siteId: PropTypes.number.isRequired,
+	onChange: PropTypes.func.isRequired,
+	dialog: PropTypes.object,
+	boxNames: PropTypes.object.isRequired,
+	closeShippingRuleDialog: PropTypes.func.isRequired,
+	saveShippingRule: PropTypes.func.isRequired,
+	updateShippingRuleField: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = ( state, { siteId } ) => ( {
+	dialog: getShippingRuleDialog( state, siteId ),
+	boxNames: mapValues( getAllPackageDefinitions( state, siteId ), 'name' ),
+} );
+
+const mapDispatchToProps = dispatch =>
+	bindActionCreators( { closeShippingRuleDialog, saveShippingRule, updateShippingRuleField }, dispatch );
+
+export default connect(
+	mapStateToProps,
+	mapDispatchToProps
+)( localize( ShippingRuleDialog ) );
@@ -15,6 +15,7 @@ import classNames from 'classnames';
  * Internal dependencies
  */
 import CarrierIcon from '../../components/carrier-icon';
+import { getCarrierIdByProductName } from 'woocommerce/woocommerce-services/lib/carriers';
 import * as api from 'woocommerce/woocommerce-services/api';
 import { errorNotice as errorNoticeAction, successNotice as successNoticeAction } from 'state/notices/actions';
 import { getSelectedSiteId } from 'state/ui/selectors';
@@ -24,19 +25,6 @@ const SubscriptionsUsageListItem = ( props ) => {
 	const [isActive, setisActive] = React.useState( data.is_active );
 	const [isSaving, setIsSaving] = React.useState(false);
 
-	const getIcon = ( productName ) => {
-		const subscriptionToIconRules = [
-			[/^DHL/g, 'dhlexpress'],
-			[/^UPS/g, 'ups'],
-			[/^USPS/g, 'usps'],
-		];
-
-		const i = subscriptionToIconRules.findIndex( ( [rule] ) => rule.test( productName ) );
-		if ( i > -1 ) return subscriptionToIconRules[i][1];
-
-		return '';
-	};
-
 	const handleActivate = () =>{
 		const submitActivation = async () => {
 			setIsSaving(true);
@@ -67,7 +55,7 @@ const SubscriptionsUsageListItem = ( props ) => {
 	return (
 		<div className= "subscriptions-usage__list-item" >
 			<div className="subscriptions-usage__list-item-carrier-icon">
-				<CarrierIcon carrier={ getIcon( data.product_name ) } size={ 18 } />
+				<CarrierIcon carrier={ getCarrierIdByProductName( data.product_name ) } size={ 18 } />
 			</div>
 			<div className="subscriptions-usage__list-item-name">
 				<span>{ data.product_name }</span>
@@ -27,6 +27,14 @@ const PAPER_SIZES = {
 	},
 };
 
+const LABEL_FORMATS = {
+	pdf: __( 'PDF' ),
+	zpl: __( 'ZPL (Zebra thermal printers)' ),
+	epl: __( 'EPL (Eltron and Zebra thermal printers)' ),
+};
+
+export const getLabelFormats = () => LABEL_FORMATS;
+
 export const getPaperSizes = ( country ) => (
 	_.reduce( PAPER_SIZES, ( result, { name, exclude }, key ) => {
 		if ( ! exclude || ! exclude( country ) ) {
@@ -36,16 +44,20 @@ export const getPaperSizes = ( country ) => (
 	}, {} )
 );
 
-const _getPDFURL = ( paperSize, labels, test = false ) => {
+const getLabelParams = ( paperSize, labels ) => {
 	if ( ! PAPER_SIZES[ paperSize ] ) {
 		throw new Error( `Invalid paper size: ${ paperSize }` );
 	}
-	const params = {
+	return {
 		paper_size: paperSize,
 		//send params as a CSV to avoid conflicts with some plugins out there (#1111)
 		label_id_csv: _.filter( _.map( labels, 'labelId' ) ).join( ',' ),
 		caption_csv: _.filter( _.map( labels, ( l ) => ( l.caption ? encodeURIComponent( l.caption ) : null ) ) ).join( ',' ),
 	};
+};
+
+const _getPDFURL = ( paperSize, labels, test = false ) => {
+	const params = getLabelParams( paperSize, labels );
 	const urlBase = test ? api.url.labelTestPrint() : api.url.labelsPrint();
 
 	return api.createGetUrlWithNonce( urlBase, stringify( params ) );
@@ -58,3 +70,19 @@ export const getPrintURL = ( paperSize, labels ) => {
 export const getPreviewURL = ( paperSize, labels ) => {
 	return getPDFSupport() ? _getPDFURL( paperSize, labels, true ) : null;
 };
+
+/**
+ * Path of the test label in a thermal printer format (ZPL, EPL). The endpoint answers with the printer commands
+ * encoded in Base64, to be sent to the print agent.
+ * @param {string} labelFormat Raw label format
+ * @param {array} labels Captions of the test labels
+ * @returns {string} Path to use with api.get
+ */
+export const getRawPreviewPath = ( labelFormat, labels ) => {
+	const params = {
+		...getLabelParams( 'label', labels ),
+		label_format: labelFormat,
+		json: true,
+	};
+	return api.url.labelTestPrint() + '?' + stringify( params );
+};
@@ -49,6 +49,7 @@ const classNamesToRoutes = {
 	'wc-connect-admin-status': './apps/plugin-status',
 	'wc-connect-shipping-settings': './apps/shipping-settings',
 	'wc-connect-admin-test-print': './apps/print-test-label',
+	'wc-connect-bulk-shipping-label': './apps/bulk-shipping-label',
 };
 
 const getRouteClass = async ( className ) => {
@@ -69,6 +70,9 @@ const getRouteClass = async ( className ) => {
 		case 'wc-connect-admin-test-print':
 			module = await import('./apps/print-test-label');
 			break;
+		case 'wc-connect-bulk-shipping-label':
+			module = await import('./apps/bulk-shipping-label');
+			break;
 		default:
 			return null;
 	}
@@ -178,6 +182,9 @@ if ( module.hot ) {
 				    case 'wc-connect-admin-test-print':
 					    module = require( './apps/print-test-label' );
 					    break;
+				    case 'wc-connect-bulk-shipping-label':
+					    module = require( './apps/bulk-shipping-label' );
+					    break;
 				    default:
 				    	return;
 			    }
@@ -0,0 +1,182 @@
+<?php
+
+/**
+ * Unit test for WC_REST_Connect_Shipping_Label_Manifest_Controller
+ */
+class WP_Test_WC_REST_Connect_Shipping_Label_Manifest_Controller extends WC_Unit_Test_Case {
+
+	/** @var WC_Connect_API_Client_Live $api_client_mock */
+	protected $api_client_mock;
+
+	/** @var WC_Connect_Service_Settings_Store $settings_store */
+	protected $settings_store;
+
+	/** @var WC_REST_Connect_Shipping_Label_Manifest_Controller $controller */
+	protected $controller;
+
+	/**
+	 * @inherit
+	 */
+	public static function set_up_before_class() {
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-api-client-live.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-service-settings-store.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-logger.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-service-schemas-store.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-rest-connect-base-controller.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-rest-connect-shipping-label-manifest-controller.php';
+	}
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @see WC_Unit_Test_Case::setUp()
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		$this->api_client_mock = $this->getMockBuilder( WC_Connect_API_Client_Live::class )
+			->disableOriginalConstructor()
+			->setMethods( array( 'create_manifest', 'get_manifest_pdf' ) )
+			->getMock();
+
+		$logger                = $this->createMock( WC_Connect_Logger::class );
+		$service_schemas_store = $this->createMock( WC_Connect_Service_Schemas_Store::class );
+		$this->settings_store  = new WC_Connect_Service_Settings_Store( $service_schemas_store, $this->api_client_mock, $logger );
+		$this->controller      = new WC_REST_Connect_Shipping_Label_Manifest_Controller( $this->api_client_mock, $this->settings_store, $logger );
+
+		WC_Connect_Options::delete_option( 'last_manifest_dates' );
+	}
+
+	/**
+	 * Test that only the labels bought today are listed when no manifest was created yet.
+	 */
+	public function test_get_lists_the_labels_bought_today() {
+		// Given.
+		$order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order(
+			$order->get_id(),
+			array(
+				$this->create_label( 1, time() ),
+				$this->create_label( 2, time() - 2 * DAY_IN_SECONDS ),
+			)
+		);
+
+		// When.
+		$response = $this->controller->get( new WP_REST_Request( 'GET', '/wc/v1/connect/label/manifest' ) );
+
+		// Then.
+		$this->assertCount( 1, $response['groups'] );
+		$this->assertEquals( array( 1 ), wp_list_pluck( $response['groups'][0]['labels'], 'label_id' ) );
+	}
+
+	/**
+	 * Test that the labels stay out of a manifest when its PDF can't be fetched.
+	 */
+	public function test_post_leaves_the_labels_unmarked_when_the_manifest_pdf_fails() {
+		// Given.
+		$order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order( $order->get_id(), array( $this->create_label( 1, time() ) ) );
+		$this->api_client_mock->method( 'create_manifest' )->willReturn(
+			(object) array(
+				'manifest' => (object) array(
+					'id'      => 'manifest-1',
+					'created' => time() * 1000,
+				),
+			)
+		);
+		$this->api_client_mock->method( 'get_manifest_pdf' )->willReturn( new WP_Error( 'pdf_error', 'Server error' ) );
+
+		// When.
+		$response = $this->controller->post( $this->create_manifest_request( $order->get_id(), 'usps' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$labels = $this->settings_store->get_label_order_meta_data( $order->get_id() );
+		$this->assertArrayNotHasKey( 'manifest', $labels[0] );
+		$this->assertFalse( WC_Connect_Options::get_option( 'last_manifest_dates' ) );
+	}
+
+	/**
+	 * Test that a manifest can't include a label of another order.
+	 */
+	public function test_post_with_label_of_another_order_is_a_bad_request() {
+		// Given.
+		$order       = WC_Helper_Order::create_order();
+		$other_order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order( $order->get_id(), array( $this->create_label( 1, time() ) ) );
+		$this->api_client_mock->expects( $this->never() )->method( 'create_manifest' );
+
+		// When.
+		$response = $this->controller->post( $this->create_manifest_request( $other_order->get_id(), 'usps' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( 'label_not_manifestable', $response->get_error_code() );
+		$this->assertEquals( array( 'status' => 400 ), $response->get_error_data() );
+	}
+
+	/**
+	 * Test that a manifest can't include a label of another carrier.
+	 */
+	public function test_post_with_label_of_another_carrier_is_a_bad_request() {
+		// Given.
+		$order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order( $order->get_id(), array( $this->create_label( 1, time() ) ) );
+		$this->api_client_mock->expects( $this->never() )->method( 'create_manifest' );
+
+		// When.
+		$response = $this->controller->post( $this->create_manifest_request( $order->get_id(), 'ups' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( 'label_not_manifestable', $response->get_error_code() );
+	}
+
+	/**
+	 * Test that a manifest can't include a refunded label.
+	 */
+	public function test_post_with_refunded_label_is_a_bad_request() {
+		// Given.
+		$order = WC_Helper_Order::create_order();
+		$label = array_merge( $this->create_label( 1, time() ), array( 'refund' => array( 'status' => 'complete' ) ) );
+		$this->settings_store->add_labels_to_order( $order->get_id(), array( $label ) );
+		$this->api_client_mock->expects( $this->never() )->method( 'create_manifest' );
+
+		// When.
+		$response = $this->controller->post( $this->create_manifest_request( $order->get_id(), 'usps' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( 'label_not_manifestable', $response->get_error_code() );
+	}
+
+	private function create_manifest_request( $order_id, $carrier_id ) {
+		$request = new WP_REST_Request( 'POST', '/wc/v1/connect/label/manifest' );
+		$request->set_header( 'Content-Type', 'application/json' );
+		$request->set_body(
+			wp_json_encode(
+				array(
+					'carrier_id' => $carrier_id,
+					'origin'     => $this->settings_store->get_origin_address(),
+					'labels'     => array(
+						array(
+							'order_id' => $order_id,
+							'label_id' => 1,
+						),
+					),
+				)
+			)
+		);
+		return $request;
+	}
+
+	private function create_label( $label_id, $created ) {
+		return array(
+			'label_id'     => $label_id,
+			'tracking'     => '94055000000000000000' . $label_id,
+			'carrier_id'   => 'usps',
+			'service_name' => 'USPS - Priority Mail',
+			'created'      => $created * 1000,
+		);
+	}
+}
@@ -0,0 +1,210 @@
+<?php
+
+/**
+ * Unit test for WC_REST_Connect_Shipping_Label_Pickup_Controller
+ */
+class WP_Test_WC_REST_Connect_Shipping_Label_Pickup_Controller extends WC_Unit_Test_Case {
+
+	/** @var WC_Connect_API_Client_Live $api_client_mock */
+	protected $api_client_mock;
+
+	/** @var WC_Connect_Logger $connect_logger_mock */
+	protected $connect_logger_mock;
+
+	/** @var WC_Connect_Service_Settings_Store $settings_store */
+	protected $settings_store;
+
+	/** @var WC_REST_Connect_Shipping_Label_Pickup_Controller $controller */
+	protected $controller;
+
+	/**
+	 * @inherit
+	 */
+	public static function set_up_before_class() {
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-api-client-live.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-service-settings-store.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-logger.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-connect-service-schemas-store.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-rest-connect-base-controller.php';
+		require_once dirname( __FILE__ ) . '/../../../classes/class-wc-rest-connect-shipping-label-pickup-controller.php';
+	}
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @see WC_Unit_Test_Case::setUp()
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		$this->api_client_mock = $this->getMockBuilder( WC_Connect_API_Client_Live::class )
+			->disableOriginalConstructor()
+			->setMethods( array( 'schedule_pickup', 'cancel_pickup' ) )
+			->getMock();
+
+		$this->connect_logger_mock = $this->createMock( WC_Connect_Logger::class );
+		$service_schemas_store     = $this->createMock( WC_Connect_Service_Schemas_Store::class );
+		$this->settings_store      = new WC_Connect_Service_Settings_Store( $service_schemas_store, $this->api_client_mock, $this->connect_logger_mock );
+		$this->controller          = new WC_REST_Connect_Shipping_Label_Pickup_Controller( $this->api_client_mock, $this->settings_store, $this->connect_logger_mock );
+	}
+
+	/**
+	 * Test that cancelling a pickup without its labels is rejected before reaching the connection server.
+	 */
+	public function test_cancel_without_labels_is_a_bad_request() {
+		// Given.
+		$this->api_client_mock->expects( $this->never() )->method( 'cancel_pickup' );
+
+		// When.
+		$response = $this->controller->cancel(
+			$this->create_request(
+				'/wc/v1/connect/label/pickup/cancel',
+				array(
+					'carrier_id'          => 'usps',
+					'confirmation_number' => 'WTC123',
+					'labels'              => 'all',
+				)
+			)
+		);
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( array( 'status' => 400 ), $response->get_error_data() );
+	}
+
+	/**
+	 * Test that the orders left untouched since before the oldest eligible label aren't looked at.
+	 */
+	public function test_get_skips_orders_not_modified_recently() {
+		global $wpdb;
+
+		// Given.
+		$recent_order = $this->create_order_with_label( array( 'service_name' => 'USPS - Priority Mail' ) );
+		$old_order    = $this->create_order_with_label( array( 'service_name' => 'USPS - Priority Mail' ) );
+		$wpdb->update(
+			$wpdb->posts,
+			array( 'post_modified_gmt' => gmdate( 'Y-m-d H:i:s', time() - 30 * DAY_IN_SECONDS ) ),
+			array( 'ID' => $old_order->get_id() )
+		);
+
+		// When.
+		$response = $this->controller->get( $this->create_request( '/wc/v1/connect/label/pickup', array( 'carrier_id' => 'usps' ) ) );
+
+		// Then.
+		$this->assertEquals( array( $recent_order->get_id() ), wp_list_pluck( $response['labels'], 'order_id' ) );
+	}
+
+	/**
+	 * Test that a pickup is scheduled for recent labels of the carrier.
+	 */
+	public function test_post_schedules_the_pickup_of_eligible_labels() {
+		// Given.
+		$order = $this->create_order_with_label( array() );
+		$this->api_client_mock->expects( $this->once() )
+			->method( 'schedule_pickup' )
+			->willReturn( (object) array( 'pickup' => (object) array( 'confirmation_number' => 'WTC123' ) ) );
+
+		// When.
+		$response = $this->controller->post( $this->create_pickup_request( $order->get_id(), 'usps' ) );
+
+		// Then.
+		$this->assertTrue( $response['success'] );
+		$this->assertEquals( 'WTC123', $response['pickup']['confirmation_number'] );
+	}
+
+	/**
+	 * Test that a pickup can't be scheduled for a carrier that doesn't pick up packages.
+	 */
+	public function test_post_with_carrier_without_pickups_is_a_bad_request() {
+		// Given.
+		$order = $this->create_order_with_label( array( 'carrier_id' => 'canadapost' ) );
+		$this->api_client_mock->expects( $this->never() )->method( 'schedule_pickup' );
+
+		// When.
+		$response = $this->controller->post( $this->create_pickup_request( $order->get_id(), 'canadapost' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( 'pickup_not_supported', $response->get_error_code() );
+	}
+
+	/**
+	 * Test that a pickup can't include a label of another order.
+	 */
+	public function test_post_with_label_of_another_order_is_a_bad_request() {
+		// Given.
+		$this->create_order_with_label( array() );
+		$other_order = WC_Helper_Order::create_order();
+		$this->api_client_mock->expects( $this->never() )->method( 'schedule_pickup' );
+
+		// When.
+		$response = $this->controller->post( $this->create_pickup_request( $other_order->get_id(), 'usps' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( 'label_not_eligible', $response->get_error_code() );
+	}
+
+	/**
+	 * Test that a pickup can't include a label whose refund may still go through.
+	 */
+	public function test_post_with_refunded_label_is_a_bad_request() {
+		// Given.
+		$order = $this->create_order_with_label( array( 'refund' => array( 'status' => 'unknown' ) ) );
+		$this->api_client_mock->expects( $this->never() )->method( 'schedule_pickup' );
+
+		// When.
+		$response = $this->controller->post( $this->create_pickup_request( $order->get_id(), 'usps' ) );
+
+		// Then.
+		$this->assertWPError( $response );
+		$this->assertEquals( 'label_not_eligible', $response->get_error_code() );
+	}
+
+	private function create_order_with_label( $label ) {
+		$order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order(
+			$order->get_id(),
+			array(
+				array_merge(
+					array(
+						'label_id'   => 1,
+						'tracking'   => '9405500000000000000001',
+						'carrier_id' => 'usps',
+						'created'    => time() * 1000,
+					),
+					$label
+				),
+			)
+		);
+		return $order;
+	}
+
+	private function create_pickup_request( $order_id, $carrier_id ) {
+		return $this->create_request(
+			'/wc/v1/connect/label/pickup',
+			array(
+				'carrier_id'   => $carrier_id,
+				'labels'       => array(
+					array(
+						'order_id' => $order_id,
+						'label_id' => 1,
+					),
+				),
+				'pickup_date'  => '2020-01-01',
+				'ready_time'   => '09:00',
+				'close_time'   => '17:00',
+				'address'      => array(),
+				'location'     => 'Front door',
+				'instructions' => '',
+			)
+		);
+	}
+
+	private function create_request( $route, $params ) {
+		$request = new WP_REST_Request( 'POST', $route );
+		$request->set_header( 'Content-Type', 'application/json' );
+		$request->set_body( wp_json_encode( $params ) );
+		return $request;
+	}
+}
@@ -0,0 +1,199 @@
+<?php
+
+/**
+ * Unit test for WC_Connect_Delivery_Automation
+ */
+class WP_Test_WC_Connect_Delivery_Automation extends WC_Unit_Test_Case {
+
+	/** @var WC_Connect_API_Client_Live $api_client_mock */
+	protected $api_client_mock;
+
+	/** @var WC_Connect_Service_Settings_Store $settings_store */
+	protected $settings_store;
+
+	/** @var WC_Connect_Delivery_Automation $delivery_automation */
+	protected $delivery_automation;
+
+	/**
+	 * @inherit
+	 */
+	public static function set_up_before_class() {
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-api-client-live.php';
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-service-settings-store.php';
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-logger.php';
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-service-schemas-store.php';
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-label-tracking.php';
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-delivery-automation.php';
+	}
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @see WC_Unit_Test_Case::setUp()
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		$this->api_client_mock = $this->getMockBuilder( WC_Connect_API_Client_Live::class )
+			->disableOriginalConstructor()
+			->setMethods( array( 'get_label_tracking' ) )
+			->getMock();
+
+		$logger                    = $this->createMock( WC_Connect_Logger::class );
+		$service_schemas_store     = $this->createMock( WC_Connect_Service_Schemas_Store::class );
+		$this->settings_store      = new WC_Connect_Service_Settings_Store( $service_schemas_store, $this->api_client_mock, $logger );
+		$this->delivery_automation = new WC_Connect_Delivery_Automation( $this->api_client_mock, $this->settings_store, $logger );
+
+		$this->update_delivery_automation(
+			array(
+				'enabled'  => true,
+				'interval' => 60,
+				'statuses' => array(
+					'first_scan' => 'on-hold',
+					'delivered'  => 'completed',
+					'exception'  => '',
+				),
+			)
+		);
+	}
+
+	public function test_get_delivery_event_reports_the_first_scan_of_the_order() {
+		$labels = array( $this->label( 1, 'in_transit' ), $this->label( 2, 'pre_transit' ) );
+
+		$this->assertEquals( 'first_scan', $this->delivery_automation->get_delivery_event( $labels, 1, 'pre_transit', 'in_transit' ) );
+		$this->assertEquals( 'first_scan', $this->delivery_automation->get_delivery_event( $labels, 1, null, 'in_transit' ) );
+	}
+
+	public function test_get_delivery_event_does_not_report_a_first_scan_when_another_package_was_scanned_before() {
+		$labels = array( $this->label( 1, 'in_transit' ), $this->label( 2, 'in_transit' ) );
+
+		$this->assertNull( $this->delivery_automation->get_delivery_event( $labels, 2, 'pre_transit', 'in_transit' ) );
+	}
+
+	public function test_get_delivery_event_reports_the_delivery_once_every_package_is_delivered() {
+		$this->assertNull(
+			$this->delivery_automation->get_delivery_event(
+				array( $this->label( 1, 'delivered' ), $this->label( 2, 'in_transit' ) ),
+				1,
+				'in_transit',
+				'delivered'
+			)
+		);
+		$this->assertEquals(
+			'delivered',
+			$this->delivery_automation->get_delivery_event(
+				array( $this->label( 1, 'delivered' ), $this->label( 2, 'delivered' ) ),
+				2,
+				'in_transit',
+				'delivered'
+			)
+		);
+	}
+
+	public function test_get_delivery_event_ignores_return_and_refunded_labels() {
+		$labels = array(
+			$this->label( 1, 'delivered' ),
+			$this->label( 2, 'pre_transit', array( 'is_return' => true ) ),
+			$this->label( 3, 'pre_transit', array( 'refund' => array( 'status' => 'pending' ) ) ),
+		);
+
+		$this->assertEquals( 'delivered', $this->delivery_automation->get_delivery_event( $labels, 1, 'in_transit', 'delivered' ) );
+		$this->assertNull( $this->delivery_automation->get_delivery_event( $labels, 2, 'pre_transit', 'in_transit' ) );
+	}
+
+	/**
+	 * Test that the cron job moves the order along and explains why in the notes.
+	 */
+	public function test_refresh_delivery_statuses_updates_the_order_status() {
+		// Given.
+		$order = WC_Helper_Order::create_order();
+		$order->set_status( 'processing' );
+		$order->save();
+		$this->settings_store->add_labels_to_order( $order->get_id(), array( $this->label( 1, 'pre_transit' ) ) );
+		$this->api_client_mock->expects( $this->once() )
+			->method( 'get_label_tracking' )
+			->with( 1 )
+			->willReturn( $this->tracking_response( '03' ) );
+
+		// When.
+		$this->delivery_automation->refresh_delivery_statuses();
+
+		// Then.
+		$order  = wc_get_order( $order->get_id() );
+		$labels = $this->settings_store->get_label_order_meta_data( $order->get_id() );
+		$notes  = wc_get_order_notes( array( 'order_id' => $order->get_id() ) );
+		$this->assertEquals( 'on-hold', $order->get_status() );
+		$this->assertEquals( 'in_transit', $labels[0]['tracking_status'] );
+		$this->assertContains( 'USPS scanned the first package (tracking number TRACK1).', $notes[0]->content );
+	}
+
+	/**
+	 * Test that delivered, returned and old labels aren't refreshed anymore.
+	 */
+	public function test_refresh_delivery_statuses_skips_labels_not_on_their_way() {
+		// Given.
+		$order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order(
+			$order->get_id(),
+			array(
+				$this->label( 1, 'delivered' ),
+				$this->label( 2, 'pre_transit', array( 'is_return' => true ) ),
+				$this->label( 3, 'pre_transit', array( 'created' => ( time() - 2 * WC_Connect_Delivery_Automation::MAX_LABEL_AGE ) * 1000 ) ),
+			)
+		);
+		$this->api_client_mock->expects( $this->never() )->method( 'get_label_tracking' );
+
+		// When.
+		$this->delivery_automation->refresh_delivery_statuses();
+	}
+
+	/**
+	 * Test that nothing is refreshed while the automation is off.
+	 */
+	public function test_refresh_delivery_statuses_does_nothing_when_disabled() {
+		// Given.
+		$this->update_delivery_automation( array( 'enabled' => false ) );
+		$order = WC_Helper_Order::create_order();
+		$this->settings_store->add_labels_to_order( $order->get_id(), array( $this->label( 1, 'pre_transit' ) ) );
+		$this->api_client_mock->expects( $this->never() )->method( 'get_label_tracking' );
+
+		// When.
+		$this->delivery_automation->refresh_delivery_statuses();
+	}
+
+	private function update_delivery_automation( $delivery_automation ) {
+		$account_settings                        = $this->settings_store->get_account_settings();
+		$account_settings['delivery_automation'] = $delivery_automation;
+		$this->settings_store->update_account_settings( $account_settings );
+	}
+
+	private function label( $label_id, $tracking_status, $extra = array() ) {
+		return array_merge(
+			array(
+				'label_id'        => $label_id,
+				'tracking'        => 'TRACK' . $label_id,
+				'carrier_id'      => 'usps',
+				'tracking_status' => $tracking_status,
+				'created'         => time() * 1000,
+			),
+			$extra
+		);
+	}
+
+	/**
+	 * Tracking the connection server would send for a package with a single scan.
+	 */
+	private function tracking_response( $code ) {
+		return (object) array(
+			'tracking' => (object) array(
+				'events' => array(
+					(object) array(
+						'code'        => $code,
+						'description' => 'Scanned',
+						'date'        => '2020-06-01T10:00:00Z',
+					),
+				),
+			),
+		);
+	}
+}
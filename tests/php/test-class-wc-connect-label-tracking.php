@@ -0,0 +1,94 @@
+<?php
+
+class WP_Test_WC_Connect_Label_Tracking extends WC_Unit_Test_Case {
+	public static function set_up_before_class() {
+		require_once dirname( __FILE__ ) . '/../../classes/class-wc-connect-label-tracking.php';
+	}
+
+	public function test_normalize_sorts_events_newest_first() {
+		$actual = WC_Connect_Label_Tracking::normalize(
+			'usps',
+			(object) array(
+				'estimated_delivery_date' => '2020-06-05',
+				'events'                  => array(
+					(object) array(
+						'code'        => '03',
+						'description' => 'Accepted at USPS Origin Facility',
+						'date'        => '2020-06-01T10:00:00Z',
+						'location'    => (object) array(
+							'city'    => 'San Francisco',
+							'state'   => 'CA',
+							'country' => 'US',
+						),
+					),
+					(object) array(
+						'code'        => 'OF',
+						'description' => 'Out for Delivery',
+						'date'        => '2020-06-03T08:00:00Z',
+					),
+				),
+			)
+		);
+
+		$this->assertEquals( 'out_for_delivery', $actual['status'] );
+		$this->assertEquals( strtotime( '2020-06-05' ) * 1000, $actual['estimated_delivery'] );
+		$this->assertNull( $actual['exception'] );
+		$this->assertEquals( array( 'out_for_delivery', 'in_transit' ), wp_list_pluck( $actual['events'], 'status' ) );
+		$this->assertEquals( 'San Francisco, CA, US', $actual['events'][1]['location'] );
+	}
+
+	public function test_normalize_reports_the_exception() {
+		$actual = WC_Connect_Label_Tracking::normalize(
+			'dhlexpress',
+			(object) array(
+				'events' => array(
+					(object) array(
+						'code'        => 'PU',
+						'description' => 'Shipment picked up',
+						'date'        => '2020-06-01T10:00:00Z',
+					),
+					(object) array(
+						'code'        => 'BA',
+						'description' => 'Bad address',
+						'date'        => '2020-06-02T10:00:00Z',
+					),
+				),
+			)
+		);
+
+		$this->assertEquals( 'exception', $actual['status'] );
+		$this->assertEquals( 'Bad address', $actual['exception'] );
+	}
+
+	public function test_normalize_skips_unknown_codes_for_the_status() {
+		$actual = WC_Connect_Label_Tracking::normalize(
+			'fedex',
+			(object) array(
+				'estimated_delivery_date' => '2020-06-05',
+				'events'                  => array(
+					(object) array(
+						'code'        => 'DL',
+						'description' => 'Delivered',
+						'date'        => '2020-06-03T10:00:00Z',
+					),
+					(object) array(
+						'code'        => 'ZZ',
+						'description' => 'Customer notified',
+						'date'        => '2020-06-03T11:00:00Z',
+					),
+				),
+			)
+		);
+
+		$this->assertEquals( 'delivered', $actual['status'] );
+		$this->assertEquals( 'unknown', $actual['events'][0]['status'] );
+		$this->assertNull( $actual['estimated_delivery'] );
+	}
+
+	public function test_normalize_without_events() {
+		$actual = WC_Connect_Label_Tracking::normalize( 'ups', (object) array() );
+
+		$this->assertEquals( 'pre_transit', $actual['status'] );
+		$this->assertEquals( array(), $actual['events'] );
+	}
+}
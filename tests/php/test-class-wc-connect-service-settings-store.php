@@ -284,4 +284,89 @@ class WP_Test_WC_Connect_Service_Settings_Store extends WC_Unit_Test_Case {
 
 		$this->assertEquals( $expected, $actual );
 	}
+
+	/**
+	 * Test that printing raw thermal labels keeps the preferred PDF paper size.
+	 */
+	public function test_get_label_print_params_keeps_paper_size_for_raw_formats() {
+		// Given.
+		$settings_store = $this->get_settings_store();
+		$settings_store->set_preferred_paper_size( 'letter' );
+
+		// When.
+		$params = $settings_store->get_label_print_params(
+			array(
+				'paper_size'   => 'label',
+				'label_format' => 'zpl',
+			)
+		);
+
+		// Then.
+		$expected = array(
+			'paper_size'   => 'label',
+			'label_format' => 'zpl',
+		);
+		$this->assertEquals( $expected, $params );
+		$this->assertEquals( 'letter', $settings_store->get_preferred_paper_size() );
+		$this->assertEquals( 'zpl', $settings_store->get_preferred_label_format() );
+	}
+
+	/**
+	 * Test that a test print in a raw format doesn't change the preferred label format.
+	 */
+	public function test_get_label_print_params_does_not_remember_test_print_formats() {
+		// Given.
+		$settings_store = $this->get_settings_store();
+		$settings_store->set_preferred_label_format( 'pdf' );
+
+		// When.
+		$params = $settings_store->get_label_print_params(
+			array(
+				'paper_size'   => 'label',
+				'label_format' => 'epl',
+			),
+			false
+		);
+
+		// Then.
+		$expected = array(
+			'paper_size'   => 'label',
+			'label_format' => 'epl',
+		);
+		$this->assertEquals( $expected, $params );
+		$this->assertEquals( 'pdf', $settings_store->get_preferred_label_format() );
+	}
+
+	/**
+	 * Test that PDF prints remember the paper size they're printed in.
+	 */
+	public function test_get_label_print_params_remembers_pdf_paper_size() {
+		// Given.
+		$settings_store = $this->get_settings_store();
+		$settings_store->set_preferred_paper_size( 'letter' );
+
+		// When.
+		$params = $settings_store->get_label_print_params( array( 'paper_size' => 'a4' ) );
+
+		// Then.
+		$this->assertEquals( array( 'paper_size' => 'a4' ), $params );
+		$this->assertEquals( 'a4', $settings_store->get_preferred_paper_size() );
+	}
+
+	/**
+	 * Test that unknown label formats are rejected.
+	 */
+	public function test_get_label_print_params_rejects_unknown_formats() {
+		$settings_store = $this->get_settings_store();
+
+		$params = $settings_store->get_label_print_params(
+			array(
+				'paper_size'   => 'label',
+				'label_format' => 'png',
+			)
+		);
+
+		$this->assertWPError( $params );
+		$this->assertEquals( 'invalid_label_format', $params->get_error_code() );
+	}
 }
@@ -127,6 +127,31 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 		 */
 		protected $rest_shipping_label_refund_controller;
 
+		/**
+		 * @var WC_REST_Connect_Shipping_Label_Tracking_Controller
+		 */
+		protected $rest_shipping_label_tracking_controller;
+
+		/**
+		 * @var WC_REST_Connect_Shipping_Label_Pickup_Controller
+		 */
+		protected $rest_shipping_label_pickup_controller;
+
+		/**
+		 * @var WC_REST_Connect_Shipping_Label_Manifest_Controller
+		 */
+		protected $rest_shipping_label_manifest_controller;
+
+		/**
+		 * @var WC_REST_Connect_Product_Customs_Controller
+		 */
+		protected $rest_product_customs_controller;
+
+		/**
+		 * @var WC_REST_Connect_Label_Reports_Controller
+		 */
+		protected $rest_label_reports_controller;
+
 		/**
 		 * @var WC_REST_Connect_Shipping_Label_Preview_Controller
 		 */
@@ -190,6 +215,11 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 		 */
 		protected $paypal_ec;
 
+		/**
+		 * @var WC_Connect_Delivery_Automation
+		 */
+		protected $delivery_automation;
+
 		/**
 		 * @var WC_REST_Connect_Tos_Controller
 		 */
@@ -205,6 +235,7 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 
 		public static function plugin_deactivation() {
 			wp_clear_scheduled_hook( 'wc_connect_fetch_service_schemas' );
+			wp_clear_scheduled_hook( 'wc_connect_refresh_delivery_statuses' );
 		}
 
 		public static function plugin_uninstall() {
@@ -439,6 +470,46 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			$this->rest_shipping_label_refund_controller = $rest_shipping_label_refund_controller;
 		}
 
+		public function get_rest_shipping_label_tracking_controller() {
+			return $this->rest_shipping_label_tracking_controller;
+		}
+
+		public function set_rest_shipping_label_tracking_controller( WC_REST_Connect_Shipping_Label_Tracking_Controller $rest_shipping_label_tracking_controller ) {
+			$this->rest_shipping_label_tracking_controller = $rest_shipping_label_tracking_controller;
+		}
+
+		public function get_rest_shipping_label_pickup_controller() {
+			return $this->rest_shipping_label_pickup_controller;
+		}
+
+		public function set_rest_shipping_label_pickup_controller( WC_REST_Connect_Shipping_Label_Pickup_Controller $rest_shipping_label_pickup_controller ) {
+			$this->rest_shipping_label_pickup_controller = $rest_shipping_label_pickup_controller;
+		}
+
+		public function get_rest_shipping_label_manifest_controller() {
+			return $this->rest_shipping_label_manifest_controller;
+		}
+
+		public function set_rest_shipping_label_manifest_controller( WC_REST_Connect_Shipping_Label_Manifest_Controller $rest_shipping_label_manifest_controller ) {
+			$this->rest_shipping_label_manifest_controller = $rest_shipping_label_manifest_controller;
+		}
+
+		public function get_rest_product_customs_controller() {
+			return $this->rest_product_customs_controller;
+		}
+
+		public function set_rest_product_customs_controller( WC_REST_Connect_Product_Customs_Controller $rest_product_customs_controller ) {
+			$this->rest_product_customs_controller = $rest_product_customs_controller;
+		}
+
+		public function get_rest_label_reports_controller() {
+			return $this->rest_label_reports_controller;
+		}
+
+		public function set_rest_label_reports_controller( WC_REST_Connect_Label_Reports_Controller $rest_label_reports_controller ) {
+			$this->rest_label_reports_controller = $rest_label_reports_controller;
+		}
+
 		public function get_rest_shipping_label_preview_controller() {
 			return $this->rest_shipping_label_preview_controller;
 		}
@@ -515,6 +586,10 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			$this->label_reports = $label_reports;
 		}
 
+		public function set_delivery_automation( WC_Connect_Delivery_Automation $delivery_automation ) {
+			$this->delivery_automation = $delivery_automation;
+		}
+
 		/**
 		 * Load our textdomain
 		 *
@@ -669,6 +744,7 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			$this->schedule_service_schemas_fetch();
 			$this->service_settings_store->migrate_legacy_services();
 			$this->attach_hooks();
+			$this->delivery_automation->schedule();
 		}
 
 		/**
@@ -697,6 +773,8 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			require_once __DIR__ . '/classes/class-wc-connect-continents.php';
 			require_once __DIR__ . '/classes/class-wc-connect-order-presenter.php';
 			require_once __DIR__ . '/classes/class-wc-connect-cart-validation.php';
+			require_once __DIR__ . '/classes/class-wc-connect-label-tracking.php';
+			require_once __DIR__ . '/classes/class-wc-connect-delivery-automation.php';
 
 			$core_logger     = new WC_Logger();
 			$logger          = new WC_Connect_Logger( $core_logger );
@@ -722,6 +800,7 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			$options               = new WC_Connect_Options();
 			$paypal_ec             = new WC_Connect_PayPal_EC( $api_client, $nux );
 			$label_reports         = new WC_Connect_Label_Reports( $settings_store );
+			$delivery_automation   = new WC_Connect_Delivery_Automation( $api_client, $settings_store, $logger );
 
 			new WC_Connect_Privacy( $settings_store, $api_client );
 
@@ -738,6 +817,7 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			$this->set_taxjar( $taxjar );
 			$this->set_paypal_ec( $paypal_ec );
 			$this->set_label_reports( $label_reports );
+			$this->set_delivery_automation( $delivery_automation );
 
 			$cart_validation = new WC_Connect_Cart_Validation();
 			$cart_validation->register_filters();
@@ -805,9 +885,18 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			add_action( 'rest_api_init', array( $this, 'rest_api_init' ) );
 			add_action( 'rest_api_init', array( $this, 'wc_api_dev_init' ), 9999 );
 			add_action( 'wc_connect_fetch_service_schemas', array( $schemas_store, 'fetch_service_schemas_from_connect_server' ) );
+			add_filter( 'cron_schedules', array( $this->delivery_automation, 'add_cron_schedule' ) );
+			add_action( WC_Connect_Delivery_Automation::CRON_HOOK, array( $this->delivery_automation, 'refresh_delivery_statuses' ) );
 			add_filter( 'woocommerce_hidden_order_itemmeta', array( $this, 'hide_wc_connect_package_meta_data' ) );
 			add_filter( 'is_protected_meta', array( $this, 'hide_wc_connect_order_meta_data' ), 10, 3 );
+			add_action( 'added_post_meta', array( $this->label_reports, 'clear_cached_labels' ), 10, 3 );
+			add_action( 'updated_post_meta', array( $this->label_reports, 'clear_cached_labels' ), 10, 3 );
+			add_action( 'deleted_post_meta', array( $this->label_reports, 'clear_cached_labels' ), 10, 3 );
 			add_action( 'add_meta_boxes', array( $this, 'add_meta_boxes' ), 5, 2 );
+			add_filter( 'bulk_actions-edit-shop_order', array( $this->shipping_label, 'add_bulk_actions' ) );
+			add_filter( 'handle_bulk_actions-edit-shop_order', array( $this->shipping_label, 'handle_bulk_actions' ), 10, 3 );
+			add_action( 'admin_menu', array( $this->shipping_label, 'register_bulk_labels_page' ) );
+			add_action( 'admin_menu', array( $this->shipping_label, 'register_label_purchase_page' ) );
 			add_filter( 'woocommerce_shipping_fields', array( $this, 'add_shipping_phone_to_checkout' ) );
 			add_action( 'woocommerce_admin_shipping_fields', array( $this, 'add_shipping_phone_to_order_fields' ) );
 			add_filter( 'woocommerce_get_order_address', array( $this, 'get_shipping_or_billing_phone_from_order' ), 10, 3 );
@@ -816,6 +905,7 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			add_action( 'enqueue_wc_connect_script', array( $this, 'enqueue_wc_connect_script' ), 10, 2 );
 			add_filter( 'wc_connect_shipping_service_settings', array( $this, 'shipping_service_settings' ), 10, 3 );
 			add_action( 'woocommerce_email_after_order_table', array( $this, 'add_tracking_info_to_emails' ), 10, 3 );
+			add_filter( 'woocommerce_email_classes', array( $this, 'add_shipment_notification_email' ) );
 			add_filter( 'woocommerce_admin_reports', array( $this, 'reports_tabs' ) );
 			add_action( 'woocommerce_checkout_order_processed', array( $this, 'track_completed_order' ), 10, 3 );
 
@@ -913,6 +1003,35 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			$this->set_rest_shipping_label_refund_controller( $rest_shipping_label_refund_controller );
 			$rest_shipping_label_refund_controller->register_routes();
 
+			require_once __DIR__ . '/classes/class-wc-rest-connect-shipping-label-tracking-controller.php';
+			$rest_shipping_label_tracking_controller = new WC_REST_Connect_Shipping_Label_Tracking_Controller( $this->api_client, $settings_store, $logger, $this->delivery_automation );
+			$this->set_rest_shipping_label_tracking_controller( $rest_shipping_label_tracking_controller );
+			$rest_shipping_label_tracking_controller->register_routes();
+
+			require_once __DIR__ . '/classes/class-wc-rest-connect-shipping-label-pickup-controller.php';
+			$rest_shipping_label_pickup_controller = new WC_REST_Connect_Shipping_Label_Pickup_Controller( $this->api_client, $settings_store, $logger );
+			$this->set_rest_shipping_label_pickup_controller( $rest_shipping_label_pickup_controller );
+			$rest_shipping_label_pickup_controller->register_routes();
+
+			require_once __DIR__ . '/classes/class-wc-rest-connect-shipment-notification-controller.php';
+			$rest_shipment_notification_controller = new WC_REST_Connect_Shipment_Notification_Controller( $this->api_client, $settings_store, $logger );
+			$rest_shipment_notification_controller->register_routes();
+
+			require_once __DIR__ . '/classes/class-wc-rest-connect-shipping-label-manifest-controller.php';
+			$rest_shipping_label_manifest_controller = new WC_REST_Connect_Shipping_Label_Manifest_Controller( $this->api_client, $settings_store, $logger );
+			$this->set_rest_shipping_label_manifest_controller( $rest_shipping_label_manifest_controller );
+			$rest_shipping_label_manifest_controller->register_routes();
+
+			require_once __DIR__ . '/classes/class-wc-rest-connect-product-customs-controller.php';
+			$rest_product_customs_controller = new WC_REST_Connect_Product_Customs_Controller( $this->api_client, $settings_store, $logger );
+			$this->set_rest_product_customs_controller( $rest_product_customs_controller );
+			$rest_product_customs_controller->register_routes();
+
+			require_once __DIR__ . '/classes/class-wc-rest-connect-label-reports-controller.php';
+			$rest_label_reports_controller = new WC_REST_Connect_Label_Reports_Controller( $this->api_client, $settings_store, $logger, $this->label_reports );
+			$this->set_rest_label_reports_controller( $rest_label_reports_controller );
+			$rest_label_reports_controller->register_routes();
+
 			require_once __DIR__ . '/classes/class-wc-rest-connect-shipping-label-preview-controller.php';
 			$rest_shipping_label_preview_controller = new WC_REST_Connect_Shipping_Label_Preview_Controller( $this->api_client, $settings_store, $logger );
 			$this->set_rest_shipping_label_preview_controller( $rest_shipping_label_preview_controller );
@@ -1157,6 +1276,18 @@ if ( ! class_exists( 'WC_Connect_Loader' ) ) {
 			}
 		}
 
+		/**
+		 * Adds the email the shipment notification can be sent as, so stores can turn it off and restyle it like the others.
+		 *
+		 * @param array $emails WooCommerce emails, keyed by class name.
+		 * @return array
+		 */
+		public function add_shipment_notification_email( $emails ) {
+			require_once __DIR__ . '/classes/class-wc-connect-shipment-notification-email.php';
+			$emails['WC_Connect_Shipment_Notification_Email'] = new WC_Connect_Shipment_Notification_Email();
+			return $emails;
+		}
+
 		/**
 		 * Add tracking info (if available) to completed emails using the woocommerce_email_after_order_table hook
 		 *